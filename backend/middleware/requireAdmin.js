@@ -0,0 +1,13 @@
+/**
+ * Admin Authentication Middleware
+ * Protects endpoints that change data (e.g. the facility registry)
+ *
+ * Requests must send the admin key from the ADMIN_API_KEY environment variable:
+ *   Authorization: Bearer <ADMIN_API_KEY>
+ *
+ * If ADMIN_API_KEY is not set, admin endpoints are disabled entirely.
+ */
+
+const requireApiKey = require('./requireApiKey');
+
+module.exports = requireApiKey('ADMIN_API_KEY', 'admin API key');
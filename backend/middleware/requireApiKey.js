@@ -0,0 +1,44 @@
+/**
+ * API Key Middleware
+ * Builds middleware that only lets through requests carrying a shared secret
+ * from an environment variable:
+ *   Authorization: Bearer <key>
+ *
+ * If the environment variable is not set, the protected endpoints are disabled entirely.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Compare two strings in constant time (avoids leaking the key through timing)
+ */
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+/**
+ * Create API key middleware
+ * @param {string} envVar - Environment variable holding the key, e.g. 'ADMIN_API_KEY'
+ * @param {string} keyName - Name used in error messages, e.g. 'admin API key'
+ * @returns {Function} - Express middleware
+ */
+const requireApiKey = (envVar, keyName) => (req, res, next) => {
+  const expectedKey = process.env[envVar];
+  if (!expectedKey) {
+    return res.status(503).json({
+      success: false,
+      error: `Endpoints that need the ${keyName} are disabled - set ${envVar} on the server to enable them`
+    });
+  }
+
+  const header = req.get('Authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice('Bearer '.length) : '';
+  if (!token || !safeEqual(token, expectedKey)) {
+    return res.status(401).json({ success: false, error: `Missing or invalid ${keyName}` });
+  }
+  next();
+};
+
+module.exports = requireApiKey;
@@ -0,0 +1,149 @@
+/**
+ * Migration 001 - Facility registry
+ * Creates the facilities table and seeds the eight Midtown Atlanta facilities
+ * that used to be hard-coded in server.js
+ *
+ * BASE wait times are the starting point - actual wait times are calculated
+ * dynamically using getTimeMultiplier()
+ */
+
+const seedFacilities = [
+  // ===== HOSPITALS (ERs) - Open 24/7 =====
+  {
+    id: 1,
+    name: 'Grady Memorial Hospital',
+    type: 'ER',
+    position: { lat: 33.75195416278939, lng: -84.3819428302756 },
+    baseWaitTime: 35,  // Busy but efficient trauma center
+    insurance: ['All'],
+    specialties: ['Emergency', 'Trauma', 'Cardiac'],
+    description: 'Level I Trauma Center - Open 24 Hours',
+    hours: 'Open 24 Hours'
+  },
+  {
+    id: 2,
+    name: 'Emory University Hospital Midtown',
+    type: 'ER',
+    position: { lat: 33.76869084805124, lng: -84.38621170037598 },
+    baseWaitTime: 25,  // Well-staffed, efficient
+    insurance: ['Most major'],
+    specialties: ['Emergency', 'Cardiac', 'Orthopedic'],
+    description: 'Well-equipped ER - Open 24 Hours',
+    hours: 'Open 24 Hours'
+  },
+  {
+    id: 3,
+    name: 'Piedmont Atlanta Hospital',
+    type: 'ER',
+    position: { lat: 33.81103085024464, lng: -84.3943913906418 },
+    baseWaitTime: 28,  // Efficient operation
+    insurance: ['All'],
+    specialties: ['Emergency', 'Trauma', 'Stroke'],
+    description: 'Comprehensive ER with stroke center - Open 24 Hours',
+    hours: 'Open 24 Hours'
+  },
+
+  // ===== URGENT CARE FACILITIES - Various Hours =====
+  {
+    id: 4,
+    name: 'Peachtree Immediate Care - Midtown',
+    type: 'Urgent Care',
+    position: { lat: 33.786171179889614, lng: -84.40213978794662 },
+    baseWaitTime: 15,
+    insurance: ['Most major'],
+    specialties: ['Urgent Care', 'X-Ray'],
+    description: 'Quick walk-in care for minor injuries',
+    hours: '8am-8pm daily',
+    openHour: 8,
+    closeHour: 20
+  },
+  {
+    id: 5,
+    name: 'Northside Family Medicine & Urgent Care - Midtown',
+    type: 'Urgent Care',
+    position: { lat: 33.78559512820032, lng: -84.3881366051433 },
+    baseWaitTime: 18,
+    insurance: ['Most major'],
+    specialties: ['Urgent Care', 'Family Medicine'],
+    description: 'Family medicine and urgent care services',
+    hours: '8am-8pm daily',
+    openHour: 8,
+    closeHour: 20
+  },
+  {
+    id: 6,
+    name: 'Urgent Care 24/7 Atlanta',
+    type: 'Urgent Care',
+    position: { lat: 33.7639936949412, lng: -84.39236397399422 },
+    baseWaitTime: 20,
+    insurance: ['Most major'],
+    specialties: ['Urgent Care', '24/7 Service'],
+    description: 'Only 24-hour urgent care in the area',
+    hours: 'Open 24 Hours',
+    openHour: 0,
+    closeHour: 24
+  },
+  {
+    id: 7,
+    name: 'Piedmont Urgent Care',
+    type: 'Urgent Care',
+    position: { lat: 33.774404209332836, lng: -84.35837497260282 },
+    baseWaitTime: 17,
+    insurance: ['Most major'],
+    specialties: ['Urgent Care', 'Lab Services'],
+    description: 'Full-service urgent care with lab',
+    hours: '7am-7pm daily',
+    openHour: 7,
+    closeHour: 19
+  },
+  {
+    id: 8,
+    name: 'Atlanta Urgent Care at Peachtree',
+    type: 'Urgent Care',
+    position: { lat: 33.820357661936804, lng: -84.39200269737198 },
+    baseWaitTime: 16,
+    insurance: ['Most major'],
+    specialties: ['Urgent Care', 'X-Ray'],
+    description: 'Convenient Peachtree location',
+    hours: 'Mon-Thu 8am-8pm, Fri 8am-7pm, Sat-Sun 9am-6pm',
+    openHour: 8,
+    closeHour: 20  // Most restrictive hours for simple logic
+  }
+];
+
+const up = (db) => {
+  db.exec(`
+    CREATE TABLE facilities (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      type TEXT NOT NULL,
+      lat REAL NOT NULL,
+      lng REAL NOT NULL,
+      base_wait_time INTEGER NOT NULL,
+      insurance TEXT NOT NULL DEFAULT '[]',
+      specialties TEXT NOT NULL DEFAULT '[]',
+      description TEXT,
+      hours TEXT,
+      open_hour INTEGER,
+      close_hour INTEGER,
+      created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  const insert = db.prepare(`
+    INSERT INTO facilities (id, name, type, lat, lng, base_wait_time, insurance, specialties, description, hours, open_hour, close_hour)
+    VALUES (@id, @name, @type, @lat, @lng, @baseWaitTime, @insurance, @specialties, @description, @hours, @openHour, @closeHour)
+  `);
+  seedFacilities.forEach(facility => insert.run({
+    ...facility,
+    lat: facility.position.lat,
+    lng: facility.position.lng,
+    insurance: JSON.stringify(facility.insurance),
+    specialties: JSON.stringify(facility.specialties),
+    openHour: facility.openHour === undefined ? null : facility.openHour,
+    closeHour: facility.closeHour === undefined ? null : facility.closeHour
+  }));
+};
+
+module.exports = { up };
@@ -0,0 +1,83 @@
+/**
+ * Migration 002 - Structured opening hours
+ * Replaces the single open_hour/close_hour pair with a weekly schedule
+ * (see services/hoursService.js for the format)
+ *
+ * Existing rows keep their hours as a daily schedule. Urgent cares without
+ * hours used to default to 8am-8pm, so they get that schedule explicitly.
+ * Facility 8 gets its real Mon-Thu/Fri/Sat-Sun schedule, and the clinics
+ * that aren't open around the clock close for the major holidays.
+ */
+
+const { DAY_KEYS } = require('../services/hoursService');
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Same hours every day of the week
+ */
+const daily = (open, close) => Object.fromEntries(DAY_KEYS.map(day => [day, [{ open, close }]]));
+
+// Clinic holidays - closed on Christmas and Thanksgiving, short hours on New Year's Day
+const CLINIC_HOLIDAYS = [
+  { date: '12-25', name: 'Christmas Day' },
+  { date: '2025-11-27', name: 'Thanksgiving' },
+  { date: '2026-11-26', name: 'Thanksgiving' },
+  { date: '01-01', name: "New Year's Day", intervals: [{ open: '10:00', close: '16:00' }] }
+];
+
+// Atlanta Urgent Care at Peachtree: Mon-Thu 8am-8pm, Fri 8am-7pm, Sat-Sun 9am-6pm
+const PEACHTREE_SCHEDULE = {
+  weekly: {
+    mon: [{ open: '08:00', close: '20:00' }],
+    tue: [{ open: '08:00', close: '20:00' }],
+    wed: [{ open: '08:00', close: '20:00' }],
+    thu: [{ open: '08:00', close: '20:00' }],
+    fri: [{ open: '08:00', close: '19:00' }],
+    sat: [{ open: '09:00', close: '18:00' }],
+    sun: [{ open: '09:00', close: '18:00' }]
+  },
+  holidays: CLINIC_HOLIDAYS
+};
+
+/**
+ * Build the schedule for an existing row from its old hour columns
+ * @returns {Object|null} - Schedule, or null for open 24 hours
+ */
+const toSchedule = (row) => {
+  if (row.id === 8 && row.name === 'Atlanta Urgent Care at Peachtree') {
+    return PEACHTREE_SCHEDULE;
+  }
+
+  let openHour = row.open_hour;
+  let closeHour = row.close_hour;
+  if (openHour === null || closeHour === null) {
+    if (row.type !== 'Urgent Care') return null;  // ERs are open 24/7
+    openHour = 8;
+    closeHour = 20;
+  }
+  if (openHour === 0 && closeHour === 24) {
+    return { weekly: daily('00:00', '24:00') };
+  }
+  return {
+    weekly: daily(`${pad(openHour)}:00`, `${pad(closeHour)}:00`),
+    holidays: CLINIC_HOLIDAYS
+  };
+};
+
+const up = (db) => {
+  db.exec('ALTER TABLE facilities ADD COLUMN schedule TEXT');
+
+  const update = db.prepare('UPDATE facilities SET schedule = ? WHERE id = ?');
+  db.prepare('SELECT * FROM facilities').all().forEach(row => {
+    const schedule = toSchedule(row);
+    update.run(schedule ? JSON.stringify(schedule) : null, row.id);
+  });
+
+  db.exec(`
+    ALTER TABLE facilities DROP COLUMN open_hour;
+    ALTER TABLE facilities DROP COLUMN close_hour;
+  `);
+};
+
+module.exports = { up };
@@ -0,0 +1,33 @@
+/**
+ * Migration 003 - History samples
+ * Time-series tables for the history sampler (services/historySampler.js)
+ *
+ * Each sampler run writes one snapshot row (the moment and the traffic level)
+ * and one facility_samples row per facility. Facility ids aren't foreign keys,
+ * so the history of a deleted facility is kept.
+ */
+
+const up = (db) => {
+  db.exec(`
+    CREATE TABLE snapshots (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      sampled_at TEXT NOT NULL,          -- UTC ISO timestamp
+      traffic_level TEXT NOT NULL
+    );
+    CREATE INDEX snapshots_sampled_at ON snapshots (sampled_at);
+
+    CREATE TABLE facility_samples (
+      snapshot_id INTEGER NOT NULL REFERENCES snapshots (id),
+      facility_id INTEGER NOT NULL,
+      wait_time INTEGER NOT NULL,
+      simulated_wait_time INTEGER NOT NULL,  -- what the time-of-day model predicted
+      wait_time_source TEXT NOT NULL,
+      status TEXT NOT NULL,
+      capacity TEXT NOT NULL,
+      PRIMARY KEY (snapshot_id, facility_id)
+    );
+    CREATE INDEX facility_samples_facility ON facility_samples (facility_id, snapshot_id);
+  `);
+};
+
+module.exports = { up };
@@ -0,0 +1,64 @@
+/**
+ * Migration 004 - Facility capabilities
+ * Adds the capabilities list the decision engine matches against each
+ * condition's needs (see models/capabilities.js)
+ *
+ * The eight seeded facilities get their capabilities listed by hand.
+ * Facilities added since then get what their free-text specialties say,
+ * and every ER counts as a full emergency department.
+ */
+
+// Seeded facilities - matched by id and name, like migration 002
+const SEEDED_CAPABILITIES = {
+  'Grady Memorial Hospital': [
+    'emergency', 'trauma-level-1', 'stroke-center', 'cardiac', 'labor-delivery',
+    'nebulizer', 'pediatric', 'x-ray', 'lab'
+  ],
+  'Emory University Hospital Midtown': [
+    'emergency', 'stroke-center', 'cardiac', 'ob-gyn', 'labor-delivery',
+    'nebulizer', 'geriatric-quiet-room', 'x-ray', 'lab'
+  ],
+  'Piedmont Atlanta Hospital': [
+    'emergency', 'trauma-level-2', 'stroke-center', 'cardiac', 'ob-gyn', 'labor-delivery',
+    'nebulizer', 'geriatric-quiet-room', 'x-ray', 'lab'
+  ],
+  'Peachtree Immediate Care - Midtown': ['nebulizer', 'pediatric', 'x-ray'],
+  'Northside Family Medicine & Urgent Care - Midtown': ['nebulizer', 'pediatric', 'lab'],
+  'Urgent Care 24/7 Atlanta': ['nebulizer'],
+  'Piedmont Urgent Care': ['nebulizer', 'lab'],
+  'Atlanta Urgent Care at Peachtree': ['x-ray']
+};
+
+// Free-text specialty → capability, for everything else
+const SPECIALTY_CAPABILITIES = {
+  Emergency: 'emergency',
+  Cardiac: 'cardiac',
+  Stroke: 'stroke-center',
+  'X-Ray': 'x-ray',
+  'Lab Services': 'lab'
+};
+
+/**
+ * Work out a row's capabilities
+ * @returns {Array} - Capability ids
+ */
+const toCapabilities = (row) => {
+  if (row.id <= 8 && SEEDED_CAPABILITIES[row.name]) {
+    return SEEDED_CAPABILITIES[row.name];
+  }
+  const fromSpecialties = JSON.parse(row.specialties)
+    .map(specialty => SPECIALTY_CAPABILITIES[specialty])
+    .filter(Boolean);
+  return [...new Set([...(row.type === 'ER' ? ['emergency'] : []), ...fromSpecialties])];
+};
+
+const up = (db) => {
+  db.exec("ALTER TABLE facilities ADD COLUMN capabilities TEXT NOT NULL DEFAULT '[]'");
+
+  const update = db.prepare('UPDATE facilities SET capabilities = ? WHERE id = ?');
+  db.prepare('SELECT * FROM facilities').all().forEach(row => {
+    update.run(JSON.stringify(toCapabilities(row)), row.id);
+  });
+};
+
+module.exports = { up };
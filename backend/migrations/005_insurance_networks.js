@@ -0,0 +1,55 @@
+/**
+ * Migration 005 - Insurance networks
+ * Facility insurance becomes the list of plan ids the facility accepts
+ * (models/insurancePlans.js) instead of display text like "Most major"
+ *
+ * The eight seeded facilities get their networks listed by hand. Facilities
+ * added since then are converted from their text: "All" accepts every plan,
+ * "Most major" the commercial plans and Medicare, and plan names are matched
+ * to their ids.
+ */
+
+const PLAN_NAMES = {
+  employer: ['employer', 'employer plan', 'commercial'],
+  marketplace: ['marketplace', 'marketplace (aca) plan', 'aca', 'obamacare'],
+  medicare: ['medicare'],
+  medicaid: ['medicaid'],
+  peachcare: ['peachcare', 'peachcare for kids']
+};
+const ALL_PLANS = Object.keys(PLAN_NAMES);
+const MOST_MAJOR = ['employer', 'marketplace', 'medicare'];
+
+// Seeded facilities - matched by id and name, like migrations 002 and 004
+const SEEDED_NETWORKS = {
+  'Grady Memorial Hospital': ALL_PLANS,
+  'Emory University Hospital Midtown': ['employer', 'marketplace', 'medicare', 'medicaid'],
+  'Piedmont Atlanta Hospital': ALL_PLANS,
+  'Peachtree Immediate Care - Midtown': ['employer', 'marketplace', 'medicare', 'medicaid'],
+  'Northside Family Medicine & Urgent Care - Midtown': ALL_PLANS,
+  'Urgent Care 24/7 Atlanta': ['employer', 'marketplace'],
+  'Piedmont Urgent Care': ['employer', 'marketplace', 'medicare'],
+  'Atlanta Urgent Care at Peachtree': ['employer', 'medicare']
+};
+
+/**
+ * Work out the plan ids a row accepts
+ * @returns {Array}
+ */
+const toPlanIds = (row) => {
+  if (row.id <= 8 && SEEDED_NETWORKS[row.name]) {
+    return SEEDED_NETWORKS[row.name];
+  }
+  const names = JSON.parse(row.insurance).map(name => name.trim().toLowerCase());
+  if (names.includes('all')) return ALL_PLANS;
+  return ALL_PLANS.filter(id => (names.includes('most major') && MOST_MAJOR.includes(id))
+    || PLAN_NAMES[id].some(name => names.includes(name)));
+};
+
+const up = (db) => {
+  const update = db.prepare('UPDATE facilities SET insurance = ? WHERE id = ?');
+  db.prepare('SELECT id, name, insurance FROM facilities').all().forEach(row => {
+    update.run(JSON.stringify(toPlanIds(row)), row.id);
+  });
+};
+
+module.exports = { up };
@@ -0,0 +1,134 @@
+/**
+ * Migration 006 - Regions
+ * Facilities and history snapshots belong to a region (models/regions.js)
+ *
+ * Everything so far is in Midtown Atlanta, so existing rows get that region.
+ * The sample Downtown Denver region gets a small set of facilities so it
+ * has something to show - illustrative data, like the region itself.
+ */
+
+const { DAY_KEYS } = require('../services/hoursService');
+
+/**
+ * Same hours every day of the week
+ */
+const daily = (open, close) => Object.fromEntries(DAY_KEYS.map(day => [day, [{ open, close }]]));
+
+// Clinic holidays - closed on Christmas and Thanksgiving (like migration 002)
+const CLINIC_HOLIDAYS = [
+  { date: '12-25', name: 'Christmas Day' },
+  { date: '2025-11-27', name: 'Thanksgiving' },
+  { date: '2026-11-26', name: 'Thanksgiving' }
+];
+
+const DENVER_FACILITIES = [
+  // ===== HOSPITALS (ERs) - Open 24/7 =====
+  {
+    name: 'Denver Health Medical Center',
+    type: 'ER',
+    position: { lat: 39.7277, lng: -104.9912 },
+    baseWaitTime: 35,
+    insurance: ['employer', 'marketplace', 'medicare', 'medicaid'],
+    specialties: ['Emergency', 'Trauma', 'Cardiac'],
+    capabilities: [
+      'emergency', 'trauma-level-1', 'stroke-center', 'cardiac', 'labor-delivery',
+      'nebulizer', 'pediatric', 'x-ray', 'lab'
+    ],
+    description: 'Level I Trauma Center - Open 24 Hours (sample data)',
+    hours: 'Open 24 Hours',
+    schedule: null
+  },
+  {
+    name: 'Presbyterian/St. Luke\'s Medical Center',
+    type: 'ER',
+    position: { lat: 39.7461, lng: -104.9686 },
+    baseWaitTime: 28,
+    insurance: ['employer', 'marketplace', 'medicare'],
+    specialties: ['Emergency', 'Cardiac', 'Pediatric'],
+    capabilities: [
+      'emergency', 'cardiac', 'ob-gyn', 'labor-delivery',
+      'nebulizer', 'pediatric', 'x-ray', 'lab'
+    ],
+    description: 'ER with a children\'s hospital - Open 24 Hours (sample data)',
+    hours: 'Open 24 Hours',
+    schedule: null
+  },
+  {
+    name: 'Saint Joseph Hospital',
+    type: 'ER',
+    position: { lat: 39.7464, lng: -104.9721 },
+    baseWaitTime: 30,
+    insurance: ['employer', 'marketplace', 'medicare', 'medicaid'],
+    specialties: ['Emergency', 'Stroke', 'Cardiac'],
+    capabilities: [
+      'emergency', 'stroke-center', 'cardiac', 'ob-gyn', 'labor-delivery',
+      'nebulizer', 'geriatric-quiet-room', 'x-ray', 'lab'
+    ],
+    description: 'ER with stroke center - Open 24 Hours (sample data)',
+    hours: 'Open 24 Hours',
+    schedule: null
+  },
+
+  // ===== URGENT CARE FACILITIES - Various Hours =====
+  {
+    name: 'Capitol Hill Urgent Care',
+    type: 'Urgent Care',
+    position: { lat: 39.7335, lng: -104.9790 },
+    baseWaitTime: 15,
+    insurance: ['employer', 'marketplace', 'medicare', 'medicaid'],
+    specialties: ['Urgent Care', 'X-Ray'],
+    capabilities: ['nebulizer', 'pediatric', 'x-ray'],
+    description: 'Walk-in care near the Capitol (sample data)',
+    hours: '8am-8pm daily',
+    schedule: { weekly: daily('08:00', '20:00'), holidays: CLINIC_HOLIDAYS }
+  },
+  {
+    name: 'Union Station Walk-In Clinic',
+    type: 'Urgent Care',
+    position: { lat: 39.7527, lng: -104.9997 },
+    baseWaitTime: 12,
+    insurance: ['employer', 'marketplace'],
+    specialties: ['Urgent Care'],
+    capabilities: ['nebulizer'],
+    description: 'Downtown walk-in clinic (sample data)',
+    hours: '7am-9pm daily',
+    schedule: { weekly: daily('07:00', '21:00'), holidays: CLINIC_HOLIDAYS }
+  },
+  {
+    name: 'Golden Triangle Urgent Care',
+    type: 'Urgent Care',
+    position: { lat: 39.7330, lng: -104.9890 },
+    baseWaitTime: 18,
+    insurance: ['employer', 'marketplace', 'medicare'],
+    specialties: ['Urgent Care', 'Lab Services'],
+    capabilities: ['nebulizer', 'lab', 'x-ray'],
+    description: 'Urgent care with on-site lab (sample data)',
+    hours: '9am-7pm daily',
+    schedule: { weekly: daily('09:00', '19:00'), holidays: CLINIC_HOLIDAYS }
+  }
+];
+
+const up = (db) => {
+  db.exec(`
+    ALTER TABLE facilities ADD COLUMN region TEXT NOT NULL DEFAULT 'midtown-atlanta';
+    CREATE INDEX facilities_region ON facilities (region);
+    ALTER TABLE snapshots ADD COLUMN region TEXT NOT NULL DEFAULT 'midtown-atlanta';
+    CREATE INDEX snapshots_region_sampled_at ON snapshots (region, sampled_at);
+  `);
+
+  const insert = db.prepare(`
+    INSERT INTO facilities (name, type, lat, lng, base_wait_time, insurance, specialties, capabilities, description, hours, schedule, region)
+    VALUES (@name, @type, @lat, @lng, @baseWaitTime, @insurance, @specialties, @capabilities, @description, @hours, @schedule, 'downtown-denver')
+  `);
+  DENVER_FACILITIES.forEach(facility => insert.run({
+    ...facility,
+    lat: facility.position.lat,
+    lng: facility.position.lng,
+    insurance: JSON.stringify(facility.insurance),
+    specialties: JSON.stringify(facility.specialties),
+    capabilities: JSON.stringify(facility.capabilities),
+    schedule: facility.schedule ? JSON.stringify(facility.schedule) : null
+  }));
+};
+
+module.exports = { up };
@@ -0,0 +1,39 @@
+/**
+ * Migration 007 - Hazards
+ * Tables for evacuation mode (services/hazardService.js)
+ *
+ * hazards: areas to keep out of (floods, fires, spills) and closed roads,
+ * posted by operators as GeoJSON with the time they apply from and until.
+ * facility_operational_status: a facility on diversion, evacuating or in
+ * surge - one row per facility, removed when it is back to normal.
+ */
+
+const up = (db) => {
+  db.exec(`
+    CREATE TABLE hazards (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      kind TEXT NOT NULL,                -- 'area' or 'closure'
+      category TEXT NOT NULL,            -- flood, fire, ...
+      name TEXT NOT NULL,
+      description TEXT,
+      geometry TEXT NOT NULL,            -- JSON: GeoJSON geometry
+      region TEXT NOT NULL,
+      starts_at TEXT NOT NULL,           -- UTC ISO timestamp
+      ends_at TEXT,                      -- UTC ISO timestamp, null = until removed
+      created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX hazards_region ON hazards (region, starts_at);
+
+    CREATE TABLE facility_operational_status (
+      facility_id INTEGER PRIMARY KEY,
+      status TEXT NOT NULL,              -- 'diverting', 'evacuating' or 'surge'
+      note TEXT,
+      starts_at TEXT NOT NULL,           -- UTC ISO timestamp
+      ends_at TEXT,                      -- UTC ISO timestamp, null = until cleared
+      updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+};
+
+module.exports = { up };
@@ -0,0 +1,183 @@
+/**
+ * Migration 008 - Shelters
+ * Tables for the shelter layer (services/shelterService.js)
+ *
+ * shelters: emergency shelters, cooling centers and warming centers - a
+ * second class of facility, for people who need somewhere safe to stay
+ * rather than medical care. Each opens while a weather event it serves is
+ * in force (weather_events), within its own hours.
+ * weather_events: heat waves, cold snaps, storms... posted by operators per
+ * region, with the time they apply from and until.
+ *
+ * Both regions get a few sample shelters - illustrative data, not real sites.
+ */
+
+const { DAY_KEYS } = require('../services/hoursService');
+
+/**
+ * Same hours every day of the week
+ */
+const daily = (open, close) => ({ weekly: Object.fromEntries(DAY_KEYS.map(day => [day, [{ open, close }]])) });
+
+const SEED_SHELTERS = [
+  // ===== MIDTOWN ATLANTA =====
+  {
+    name: 'Campus Recreation Center Shelter',
+    kind: 'emergency-shelter',
+    position: { lat: 33.7756, lng: -84.4035 },
+    address: '750 Ferst Dr NW',
+    capacity: 400,
+    accessibility: ['wheelchair', 'accessible-restroom', 'cots', 'medical-support', 'power-for-devices'],
+    petPolicy: 'service-animals-only',
+    activation: { events: ['hurricane', 'flood', 'severe-storm', 'winter-storm'], leadHours: 12, lagHours: 24 },
+    schedule: null,
+    description: 'Overnight shelter in the gym - cots, meals, nurse on site (sample data)',
+    region: 'midtown-atlanta'
+  },
+  {
+    name: 'Central Library Cooling Center',
+    kind: 'cooling-center',
+    position: { lat: 33.7575, lng: -84.3868 },
+    address: '1 Margaret Mitchell Sq',
+    capacity: 120,
+    accessibility: ['wheelchair', 'accessible-restroom', 'quiet-area'],
+    petPolicy: 'service-animals-only',
+    activation: { events: ['heat-wave', 'wildfire-smoke'], leadHours: 0, lagHours: 0 },
+    schedule: daily('10:00', '20:00'),
+    description: 'Air-conditioned reading rooms, water (sample data)',
+    region: 'midtown-atlanta'
+  },
+  {
+    name: 'Midtown Senior Center',
+    kind: 'cooling-center',
+    position: { lat: 33.7812, lng: -84.3905 },
+    address: '12th St NE & Juniper St',
+    capacity: 50,
+    accessibility: ['wheelchair', 'accessible-restroom', 'memory-care', 'medical-support', 'quiet-area', 'power-for-devices'],
+    petPolicy: 'service-animals-only',
+    activation: { events: ['heat-wave', 'cold-snap'], leadHours: 0, lagHours: 0 },
+    schedule: daily('08:00', '20:00'),
+    description: 'Cooling and warming center with staff trained in dementia care (sample data)',
+    region: 'midtown-atlanta'
+  },
+  {
+    name: 'Piedmont Park Cooling Station',
+    kind: 'cooling-center',
+    position: { lat: 33.7861, lng: -84.3740 },
+    address: 'Piedmont Park, 10th St entrance',
+    capacity: 60,
+    accessibility: ['wheelchair'],
+    petPolicy: 'pets-allowed',
+    activation: { events: ['heat-wave'], leadHours: 0, lagHours: 0 },
+    schedule: daily('11:00', '19:00'),
+    description: 'Shaded tent with misting fans and water - pets welcome (sample data)',
+    region: 'midtown-atlanta'
+  },
+  {
+    name: 'Midtown Community Warming Center',
+    kind: 'warming-center',
+    position: { lat: 33.7818, lng: -84.3838 },
+    address: 'Peachtree St NE & 13th St',
+    capacity: 80,
+    accessibility: ['wheelchair', 'accessible-restroom', 'cots'],
+    petPolicy: 'pets-crated',
+    activation: { events: ['cold-snap', 'winter-storm'], leadHours: 6, lagHours: 12 },
+    schedule: null,
+    description: 'Open overnight while temperatures are below freezing - bring a crate for pets (sample data)',
+    region: 'midtown-atlanta'
+  },
+
+  // ===== DOWNTOWN DENVER =====
+  {
+    name: 'Downtown Denver Emergency Shelter',
+    kind: 'emergency-shelter',
+    position: { lat: 39.7434, lng: -104.9943 },
+    address: '14th St & Champa St',
+    capacity: 300,
+    accessibility: ['wheelchair', 'accessible-restroom', 'cots', 'medical-support', 'power-for-devices'],
+    petPolicy: 'pets-crated',
+    activation: { events: ['winter-storm', 'flood', 'severe-storm', 'wildfire-smoke'], leadHours: 12, lagHours: 24 },
+    schedule: null,
+    description: 'Overnight shelter in the convention hall (sample data)',
+    region: 'downtown-denver'
+  },
+  {
+    name: 'Central Library Cooling Center - Denver',
+    kind: 'cooling-center',
+    position: { lat: 39.7372, lng: -104.9879 },
+    address: '10 W 14th Ave Pkwy',
+    capacity: 100,
+    accessibility: ['wheelchair', 'accessible-restroom', 'quiet-area'],
+    petPolicy: 'service-animals-only',
+    activation: { events: ['heat-wave', 'wildfire-smoke'], leadHours: 0, lagHours: 0 },
+    schedule: daily('10:00', '20:00'),
+    description: 'Air-conditioned reading rooms, water (sample data)',
+    region: 'downtown-denver'
+  },
+  {
+    name: 'Capitol Hill Warming Center',
+    kind: 'warming-center',
+    position: { lat: 39.7323, lng: -104.9780 },
+    address: 'E Colfax Ave & N Pennsylvania St',
+    capacity: 60,
+    accessibility: ['wheelchair', 'cots'],
+    petPolicy: 'service-animals-only',
+    activation: { events: ['cold-snap', 'winter-storm'], leadHours: 6, lagHours: 12 },
+    schedule: null,
+    description: 'Open overnight while temperatures are below freezing (sample data)',
+    region: 'downtown-denver'
+  }
+];
+
+const up = (db) => {
+  db.exec(`
+    CREATE TABLE shelters (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      kind TEXT NOT NULL,                -- 'emergency-shelter', 'cooling-center' or 'warming-center'
+      lat REAL NOT NULL,
+      lng REAL NOT NULL,
+      address TEXT,
+      capacity INTEGER NOT NULL,         -- people
+      occupancy INTEGER NOT NULL DEFAULT 0,
+      occupancy_as_of TEXT,              -- UTC ISO timestamp of the last occupancy report
+      accessibility TEXT NOT NULL DEFAULT '[]',  -- JSON: feature ids
+      pet_policy TEXT NOT NULL,
+      activation TEXT NOT NULL,          -- JSON: { events, leadHours, lagHours }
+      schedule TEXT,                     -- JSON: hours while activated, null = around the clock
+      description TEXT,
+      region TEXT NOT NULL,
+      created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX shelters_region ON shelters (region);
+
+    CREATE TABLE weather_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      type TEXT NOT NULL,                -- 'heat-wave', 'cold-snap', ...
+      name TEXT NOT NULL,
+      description TEXT,
+      region TEXT NOT NULL,
+      starts_at TEXT NOT NULL,           -- UTC ISO timestamp
+      ends_at TEXT,                      -- UTC ISO timestamp, null = until removed
+      created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX weather_events_region ON weather_events (region, starts_at);
+  `);
+
+  const insert = db.prepare(`
+    INSERT INTO shelters (name, kind, lat, lng, address, capacity, accessibility, pet_policy, activation, schedule, description, region)
+    VALUES (@name, @kind, @lat, @lng, @address, @capacity, @accessibility, @petPolicy, @activation, @schedule, @description, @region)
+  `);
+  SEED_SHELTERS.forEach(shelter => insert.run({
+    ...shelter,
+    lat: shelter.position.lat,
+    lng: shelter.position.lng,
+    accessibility: JSON.stringify(shelter.accessibility),
+    activation: JSON.stringify(shelter.activation),
+    schedule: shelter.schedule ? JSON.stringify(shelter.schedule) : null
+  }));
+};
+
+module.exports = { up };
@@ -0,0 +1,139 @@
+/**
+ * Capabilities
+ * What a facility can treat, and what each patient condition needs
+ *
+ * Every facility lists capability ids (facility.capabilities). Each condition
+ * names, per severity, the capabilities a facility must have to be considered
+ * (required) and the ones that make it a better choice (preferred). The
+ * decision engine rules out facilities missing a required capability and,
+ * among the rest, recommends the best scoring facility with the most
+ * preferred ones - and says so in the reasoning.
+ *
+ * Conditions come from the persona document (`conditions`) or, for a custom
+ * profile, from its conditions, pregnancy and age (services/profileRules.js).
+ */
+
+// Capability id → label
+const CAPABILITIES = {
+  emergency: 'Full emergency department',
+  'trauma-level-1': 'Level I trauma center',
+  'trauma-level-2': 'Level II trauma center',
+  'stroke-center': 'Stroke center',
+  cardiac: 'Cardiac care',
+  'ob-gyn': 'OB/GYN specialists',
+  'labor-delivery': 'Labor & delivery',
+  nebulizer: 'Nebulizer treatment',
+  pediatric: 'Pediatric care',
+  'geriatric-quiet-room': 'Geriatric care / quiet room',
+  'x-ray': 'X-ray',
+  lab: 'Lab tests'
+};
+
+/**
+ * Condition id → { label, Mild | Moderate | Severe: { required, preferred } }
+ * A severity that isn't listed needs nothing in particular
+ */
+const CONDITION_NEEDS = {
+  pregnancy: {
+    label: 'pregnancy',
+    Moderate: { preferred: ['ob-gyn'] },
+    Severe: { required: ['labor-delivery'], preferred: ['ob-gyn'] }
+  },
+  asthma: {
+    label: 'asthma',
+    Mild: { preferred: ['nebulizer'] },
+    Moderate: { required: ['nebulizer'] },
+    Severe: { required: ['nebulizer'] }
+  },
+  copd: {
+    label: 'COPD',
+    Mild: { preferred: ['nebulizer'] },
+    Moderate: { required: ['nebulizer'] },
+    Severe: { required: ['nebulizer'] }
+  },
+  'heart-disease': {
+    label: 'heart disease',
+    Moderate: { preferred: ['cardiac'] },
+    Severe: { required: ['cardiac'] }
+  },
+  hypertension: { label: 'high blood pressure' },
+  diabetes: {
+    label: 'diabetes',
+    Moderate: { preferred: ['lab'] }
+  },
+  'kidney-disease': {
+    label: 'kidney disease',
+    Moderate: { preferred: ['lab'] },
+    Severe: { preferred: ['lab'] }
+  },
+  epilepsy: {
+    label: 'epilepsy',
+    Severe: { preferred: ['stroke-center'] }
+  },
+  dementia: {
+    label: 'dementia',
+    Mild: { preferred: ['geriatric-quiet-room'] },
+    Moderate: { preferred: ['geriatric-quiet-room'] },
+    Severe: { preferred: ['geriatric-quiet-room'] }
+  },
+  immunocompromised: { label: 'a weakened immune system' },
+  child: {
+    label: 'a child',
+    Mild: { preferred: ['pediatric'] },
+    Moderate: { preferred: ['pediatric'] },
+    Severe: { preferred: ['pediatric'] }
+  },
+  'older-adult': {
+    label: 'an older adult',
+    Moderate: { preferred: ['geriatric-quiet-room'] },
+    Severe: { preferred: ['geriatric-quiet-room'] }
+  }
+};
+
+const CONDITION_IDS = Object.keys(CONDITION_NEEDS);
+
+/**
+ * Label for a capability id, e.g. 'ob-gyn' → 'OB/GYN specialists'
+ */
+const getCapabilityLabel = (id) => CAPABILITIES[id] || id;
+
+/**
+ * Combine what the patient's conditions need at a severity
+ * @param {Array} conditions - Condition ids, e.g. ['pregnancy']
+ * @param {string} severity - 'Mild', 'Moderate' or 'Severe'
+ * @returns {Object} - { required, preferred } - each [{ capability, label, conditions: [labels] }]
+ */
+const getConditionNeeds = (conditions, severity) => {
+  const collect = (kind) => {
+    const needs = new Map();
+    conditions.forEach(condition => {
+      const tier = (CONDITION_NEEDS[condition] || {})[severity] || {};
+      (tier[kind] || []).forEach(capability => {
+        const need = needs.get(capability)
+          || { capability, label: getCapabilityLabel(capability), conditions: [] };
+        need.conditions.push(CONDITION_NEEDS[condition].label);
+        needs.set(capability, need);
+      });
+    });
+    return [...needs.values()];
+  };
+  const required = collect('required');
+  // Something required is already guaranteed - no need to prefer it as well
+  const preferred = collect('preferred')
+    .filter(need => !required.some(other => other.capability === need.capability));
+  return { required, preferred };
+};
+
+/**
+ * Check a facility has a capability
+ */
+const hasCapability = (facility, capability) => (facility.capabilities || []).includes(capability);
+
+module.exports = {
+  CAPABILITIES,
+  CONDITION_NEEDS,
+  CONDITION_IDS,
+  getCapabilityLabel,
+  getConditionNeeds,
+  hasCapability
+};
@@ -0,0 +1,80 @@
+/**
+ * Database
+ * Embedded SQLite database (better-sqlite3) for the facility registry
+ *
+ * The database file defaults to data/evac.db (git-ignored) and can be moved
+ * with DATABASE_PATH - use ':memory:' for a throwaway database.
+ *
+ * Migrations live in migrations/ as numbered modules exporting up(db).
+ * Each one runs once, in filename order, inside a transaction; applied
+ * migrations are recorded in the schema_migrations table.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const DEFAULT_DATABASE_PATH = path.join(__dirname, '..', 'data', 'evac.db');
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+let db = null;
+
+/**
+ * Apply any migrations that haven't run yet
+ * @param {Object} database - better-sqlite3 connection
+ * @returns {Array} - Names of the migrations applied now
+ */
+const runMigrations = (database) => {
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      name TEXT PRIMARY KEY,
+      applied_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  const applied = new Set(database.prepare('SELECT name FROM schema_migrations').all().map(row => row.name));
+  const pending = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => file.endsWith('.js'))
+    .sort()
+    .filter(file => !applied.has(file));
+
+  pending.forEach(file => {
+    const migration = require(path.join(MIGRATIONS_DIR, file));
+    database.transaction(() => {
+      migration.up(database);
+      database.prepare('INSERT INTO schema_migrations (name) VALUES (?)').run(file);
+    })();
+  });
+  return pending;
+};
+
+/**
+ * Get the shared database connection, opening and migrating it on first use
+ * @returns {Object} - better-sqlite3 connection
+ */
+const getDb = () => {
+  if (!db) {
+    db = new Database(process.env.DATABASE_PATH || DEFAULT_DATABASE_PATH);
+    const applied = runMigrations(db);
+    if (applied.length > 0) {
+      console.log(`Applied database migrations: ${applied.join(', ')}`);
+    }
+  }
+  return db;
+};
+
+/**
+ * Close the shared connection (the next getDb() call reopens it)
+ */
+const closeDb = () => {
+  if (db) {
+    db.close();
+    db = null;
+  }
+};
+
+module.exports = {
+  getDb,
+  closeDb,
+  runMigrations
+};
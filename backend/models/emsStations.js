@@ -0,0 +1,176 @@
+/**
+ * EMS Stations
+ * Loads the ambulance stations and units the EMS simulator dispatches from
+ *
+ * The list lives in data/ems-stations.json (or the file named by
+ * EMS_STATIONS_PATH):
+ * {
+ *   callProcessingMinutes: 2,    // answering the 911 call and dispatching
+ *   turnoutMinutes: 1,           // crew getting rolling
+ *   onSceneMinutes: 12,          // assessing and loading the patient
+ *   specialtyBypassMinutes: 10,  // extra transport worth it for a specialty center
+ *   mutualAid: { <region id>: { name, responseMinutes } },  // when every local unit is busy
+ *   busyRates: [24 numbers 0-1], // share of units out on calls, by local hour
+ *   stations: [{
+ *     id, region, name, position: { lat, lng },  // region: id from models/regions.js
+ *     units: [{ id, name, level: 'ALS' | 'BLS' }]  // advanced / basic life support
+ *   }]
+ * }
+ *
+ * Like the triage tree, the list is validated when first loaded and an
+ * invalid one stops the backend with every problem found.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { listRegions } = require('./regions');
+
+const DEFAULT_STATIONS_PATH = path.join(__dirname, '..', 'data', 'ems-stations.json');
+
+const UNIT_LEVELS = ['ALS', 'BLS'];
+const MINUTE_FIELDS = ['callProcessingMinutes', 'turnoutMinutes', 'onSceneMinutes', 'specialtyBypassMinutes'];
+
+const ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isMinutes = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+let config = null;
+
+/**
+ * Check one station and its units
+ * @param {Object} station
+ * @param {string} where - e.g. 'stations[2]'
+ * @param {Set} unitIds - Unit ids seen so far (must be unique across stations)
+ * @returns {Array} - Error messages
+ */
+const validateStation = (station, where, unitIds) => {
+  if (!isPlainObject(station)) return [`${where} must be an object`];
+  const errors = [];
+  if (!isNonEmptyString(station.id) || !ID_PATTERN.test(station.id)) {
+    errors.push(`${where}.id must be a lowercase id like "station-11"`);
+  }
+  const regionIds = listRegions().map(region => region.id);
+  if (!regionIds.includes(station.region)) {
+    errors.push(`${where}.region must be one of: ${regionIds.join(', ')}`);
+  }
+  if (!isNonEmptyString(station.name)) {
+    errors.push(`${where}.name is required`);
+  }
+  const { position } = station;
+  if (!isPlainObject(position) || typeof position.lat !== 'number' || typeof position.lng !== 'number') {
+    errors.push(`${where}.position must be { lat, lng }`);
+  }
+  if (!Array.isArray(station.units) || station.units.length === 0) {
+    return [...errors, `${where}.units must list at least one unit`];
+  }
+
+  station.units.forEach((unit, index) => {
+    const unitWhere = `${where}.units[${index}]`;
+    if (!isPlainObject(unit)) {
+      errors.push(`${unitWhere} must be an object`);
+      return;
+    }
+    if (!isNonEmptyString(unit.id) || !ID_PATTERN.test(unit.id)) {
+      errors.push(`${unitWhere}.id must be a lowercase id like "medic-11"`);
+    } else if (unitIds.has(unit.id)) {
+      errors.push(`${unitWhere}.id "${unit.id}" is used by another unit`);
+    } else {
+      unitIds.add(unit.id);
+    }
+    if (!isNonEmptyString(unit.name)) {
+      errors.push(`${unitWhere}.name is required`);
+    }
+    if (!UNIT_LEVELS.includes(unit.level)) {
+      errors.push(`${unitWhere}.level must be one of: ${UNIT_LEVELS.join(', ')}`);
+    }
+  });
+  return errors;
+};
+
+/**
+ * Check an EMS station list
+ * @param {Object} candidate
+ * @returns {Array} - Error messages (empty if valid)
+ */
+const validateEmsConfig = (candidate) => {
+  if (!isPlainObject(candidate)) return ['The station list must be a JSON object'];
+  const errors = [];
+
+  MINUTE_FIELDS.forEach(field => {
+    if (!isMinutes(candidate[field])) {
+      errors.push(`${field} must be a number of minutes (0 or more)`);
+    }
+  });
+
+  // Every region needs someone to call when its own units are all busy
+  const { mutualAid } = candidate;
+  if (!isPlainObject(mutualAid)) {
+    errors.push('mutualAid must map each region id to { name, responseMinutes }');
+  } else {
+    listRegions().forEach(({ id }) => {
+      const agency = mutualAid[id];
+      if (!isPlainObject(agency) || !isNonEmptyString(agency.name) || !isMinutes(agency.responseMinutes)) {
+        errors.push(`mutualAid["${id}"] must be { name, responseMinutes }`);
+      }
+    });
+  }
+
+  const { busyRates } = candidate;
+  if (!Array.isArray(busyRates) || busyRates.length !== 24
+    || !busyRates.every(rate => typeof rate === 'number' && rate >= 0 && rate <= 1)) {
+    errors.push('busyRates must list 24 hourly rates between 0 and 1');
+  }
+
+  if (!Array.isArray(candidate.stations) || candidate.stations.length === 0) {
+    return [...errors, 'stations must list at least one station'];
+  }
+  const stationIds = new Set();
+  const unitIds = new Set();
+  candidate.stations.forEach((station, index) => {
+    errors.push(...validateStation(station, `stations[${index}]`, unitIds));
+    if (station && stationIds.has(station.id)) {
+      errors.push(`stations[${index}].id "${station.id}" is used by another station`);
+    }
+    stationIds.add(station && station.id);
+  });
+  return errors;
+};
+
+/**
+ * Read and validate an EMS station list
+ * @param {string} filePath
+ * @returns {Object} - The config
+ */
+const loadEmsConfig = (filePath = process.env.EMS_STATIONS_PATH || DEFAULT_STATIONS_PATH) => {
+  let loaded;
+  try {
+    loaded = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`EMS station list ${path.basename(filePath)} could not be read: ${err.message}`);
+  }
+  const errors = validateEmsConfig(loaded);
+  if (errors.length > 0) {
+    throw new Error(`EMS station list ${path.basename(filePath)} is invalid:\n- ${errors.join('\n- ')}`);
+  }
+  return loaded;
+};
+
+/**
+ * Get the EMS station list, loading it on first use
+ * @returns {Object}
+ */
+const getEmsConfig = () => {
+  if (!config) {
+    config = loadEmsConfig();
+  }
+  return config;
+};
+
+module.exports = {
+  UNIT_LEVELS,
+  validateEmsConfig,
+  loadEmsConfig,
+  getEmsConfig
+};
@@ -0,0 +1,140 @@
+/**
+ * Facility Schema
+ * Validates facility data sent to the admin endpoints before it reaches the database
+ *
+ * Each field has a check that returns an error message, or null when the value is valid.
+ * validateFacility() returns every problem at once so admins can fix them in one go.
+ */
+
+const { DAY_KEYS } = require('../services/hoursService');
+const { CAPABILITIES } = require('./capabilities');
+const { PLAN_IDS } = require('./insurancePlans');
+const { listRegions } = require('./regions');
+
+const FACILITY_TYPES = ['ER', 'Urgent Care'];
+
+// 'HH:MM' on a 24-hour clock; '24:00' is allowed as a closing time
+const CLOCK_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+// 'YYYY-MM-DD' for one date, 'MM-DD' for every year
+const HOLIDAY_DATE_PATTERN = /^(\d{4}-)?(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+const isStringArray = (value) => Array.isArray(value) && value.every(isNonEmptyString);
+const isIntegerBetween = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+/**
+ * Check a list of { open, close } intervals
+ * @returns {string|null} - Error message or null
+ */
+const checkIntervals = (intervals, label) => {
+  if (!Array.isArray(intervals)) return `${label} must be an array of { open, close } intervals`;
+  for (const interval of intervals) {
+    if (!interval || !CLOCK_PATTERN.test(interval.open)) return `${label}: open must be a time "HH:MM"`;
+    if (interval.close !== '24:00' && !CLOCK_PATTERN.test(interval.close)) return `${label}: close must be a time "HH:MM" (or "24:00")`;
+    if (interval.open === interval.close) return `${label}: open and close can't be the same time`;
+  }
+  return null;
+};
+
+/**
+ * Check a weekly schedule with holiday exceptions (format: services/hoursService.js)
+ * @returns {string|null} - Error message or null
+ */
+const checkSchedule = (schedule) => {
+  if (typeof schedule !== 'object' || Array.isArray(schedule)) return 'schedule must be { weekly, holidays }';
+
+  const { weekly = {}, holidays = [] } = schedule;
+  if (typeof weekly !== 'object' || Array.isArray(weekly)) return `schedule.weekly must map days (${DAY_KEYS.join(', ')}) to intervals`;
+  for (const [day, intervals] of Object.entries(weekly)) {
+    if (!DAY_KEYS.includes(day)) return `schedule.weekly: unknown day "${day}" (use ${DAY_KEYS.join(', ')})`;
+    const error = checkIntervals(intervals, `schedule.weekly.${day}`);
+    if (error) return error;
+  }
+
+  if (!Array.isArray(holidays)) return 'schedule.holidays must be an array';
+  for (const holiday of holidays) {
+    if (!holiday || !HOLIDAY_DATE_PATTERN.test(holiday.date)) return 'schedule.holidays: date must be "YYYY-MM-DD" or "MM-DD" (every year)';
+    if (!isNonEmptyString(holiday.name)) return `schedule.holidays ${holiday.date}: name is required`;
+    if (holiday.intervals !== undefined) {
+      const error = checkIntervals(holiday.intervals, `schedule.holidays ${holiday.date}`);
+      if (error) return error;
+    }
+  }
+
+  const unknown = Object.keys(schedule).find(key => key !== 'weekly' && key !== 'holidays');
+  return unknown ? `schedule: unknown field "${unknown}"` : null;
+};
+
+/**
+ * Field checks - return an error message or null
+ */
+const FIELDS = {
+  name: (value) => (isNonEmptyString(value) ? null : 'name must be a non-empty string'),
+  type: (value) => (FACILITY_TYPES.includes(value) ? null : `type must be one of: ${FACILITY_TYPES.join(', ')}`),
+  position: (value) => {
+    if (!value || typeof value !== 'object') return 'position must be { lat, lng }';
+    if (typeof value.lat !== 'number' || value.lat < -90 || value.lat > 90) return 'position.lat must be a number between -90 and 90';
+    if (typeof value.lng !== 'number' || value.lng < -180 || value.lng > 180) return 'position.lng must be a number between -180 and 180';
+    return null;
+  },
+  baseWaitTime: (value) => (isIntegerBetween(value, 0, 600) ? null : 'baseWaitTime must be a whole number of minutes (0-600)'),
+  insurance: (value) => (Array.isArray(value) && value.every(plan => PLAN_IDS.includes(plan))
+    ? null
+    : `insurance must be an array of accepted plans: ${PLAN_IDS.join(', ')}`),
+  specialties: (value) => (isStringArray(value) ? null : 'specialties must be an array of strings'),
+  capabilities: (value) => (Array.isArray(value) && value.every(capability => Object.keys(CAPABILITIES).includes(capability))
+    ? null
+    : `capabilities must be an array of: ${Object.keys(CAPABILITIES).join(', ')}`),
+  description: (value) => (typeof value === 'string' ? null : 'description must be a string'),
+  hours: (value) => (typeof value === 'string' ? null : 'hours must be a display string, e.g. "8am-8pm daily"'),
+  schedule: checkSchedule,  // null = open 24 hours
+  region: (value) => {
+    const ids = listRegions().map(region => region.id);
+    return ids.includes(value) ? null : `region must be one of: ${ids.join(', ')}`;
+  }  // null = the region the facility is in
+};
+
+// Fields every new (or fully replaced) facility must have
+const REQUIRED_FIELDS = ['name', 'type', 'position', 'baseWaitTime'];
+
+/**
+ * Validate facility data
+ * @param {Object} data - Request body
+ * @param {Object} options
+ * @param {boolean} options.partial - PATCH: only check the fields that were sent
+ * @returns {Array} - Error messages (empty when valid)
+ */
+const validateFacility = (data, { partial = false } = {}) => {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return ['Body must be a facility object'];
+  }
+
+  const errors = [];
+  Object.keys(data).forEach(field => {
+    if (!FIELDS[field]) errors.push(`Unknown field: ${field}`);
+  });
+
+  if (!partial) {
+    REQUIRED_FIELDS
+      .filter(field => data[field] === undefined)
+      .forEach(field => errors.push(`${field} is required`));
+  }
+
+  Object.entries(data).forEach(([field, value]) => {
+    // Optional fields can be cleared with null
+    if (value === undefined || (value === null && !REQUIRED_FIELDS.includes(field))) return;
+    const error = FIELDS[field] && FIELDS[field](value);
+    if (error) errors.push(error);
+  });
+
+  if (partial && Object.keys(data).length === 0) {
+    errors.push('Nothing to update');
+  }
+  return errors;
+};
+
+module.exports = {
+  FACILITY_TYPES,
+  checkSchedule,
+  validateFacility
+};
@@ -0,0 +1,112 @@
+/**
+ * Facility Store
+ * Reads and writes the facility registry in the SQLite database
+ *
+ * Rows are converted to the same facility shape the API has always used
+ * ({ id, name, type, position: { lat, lng }, baseWaitTime, ... }) so the rest
+ * of the backend doesn't need to know about columns.
+ */
+
+const { getDb } = require('./db');
+
+/**
+ * Convert a database row into a facility object
+ */
+const fromRow = (row) => ({
+  id: row.id,
+  name: row.name,
+  type: row.type,
+  position: { lat: row.lat, lng: row.lng },
+  baseWaitTime: row.base_wait_time,
+  insurance: JSON.parse(row.insurance),
+  specialties: JSON.parse(row.specialties),
+  capabilities: JSON.parse(row.capabilities),
+  description: row.description,
+  hours: row.hours,
+  schedule: row.schedule ? JSON.parse(row.schedule) : null,  // null = open 24 hours
+  region: row.region
+});
+
+/**
+ * Convert a facility object into named SQL parameters
+ */
+const toParams = (facility) => ({
+  name: facility.name,
+  type: facility.type,
+  lat: facility.position.lat,
+  lng: facility.position.lng,
+  baseWaitTime: facility.baseWaitTime,
+  insurance: JSON.stringify(facility.insurance || []),
+  specialties: JSON.stringify(facility.specialties || []),
+  capabilities: JSON.stringify(facility.capabilities || []),
+  description: facility.description || null,
+  hours: facility.hours || null,
+  schedule: facility.schedule ? JSON.stringify(facility.schedule) : null,
+  region: facility.region
+});
+
+/**
+ * Get every facility in the registry, or in one region
+ * @param {string} regionId - Region id (optional - omit for every region)
+ * @returns {Array} - Facilities ordered by id
+ */
+const listFacilities = (regionId) => (regionId
+  ? getDb().prepare('SELECT * FROM facilities WHERE region = ? ORDER BY id').all(regionId)
+  : getDb().prepare('SELECT * FROM facilities ORDER BY id').all())
+  .map(fromRow);
+
+/**
+ * Get one facility
+ * @param {number} id - Facility id
+ * @returns {Object|null} - Facility, or null if it doesn't exist
+ */
+const getFacility = (id) => {
+  const row = getDb().prepare('SELECT * FROM facilities WHERE id = ?').get(id);
+  return row ? fromRow(row) : null;
+};
+
+/**
+ * Add a facility to the registry
+ * @param {Object} facility - Validated facility data (without id)
+ * @returns {Object} - The stored facility, with its new id
+ */
+const createFacility = (facility) => {
+  const result = getDb().prepare(`
+    INSERT INTO facilities (name, type, lat, lng, base_wait_time, insurance, specialties, capabilities, description, hours, schedule, region)
+    VALUES (@name, @type, @lat, @lng, @baseWaitTime, @insurance, @specialties, @capabilities, @description, @hours, @schedule, @region)
+  `).run(toParams(facility));
+  return getFacility(result.lastInsertRowid);
+};
+
+/**
+ * Replace a facility's data
+ * @param {number} id - Facility id
+ * @param {Object} facility - Complete, validated facility data
+ * @returns {Object|null} - The updated facility, or null if it doesn't exist
+ */
+const updateFacility = (id, facility) => {
+  const result = getDb().prepare(`
+    UPDATE facilities SET
+      name = @name, type = @type, lat = @lat, lng = @lng, base_wait_time = @baseWaitTime,
+      insurance = @insurance, specialties = @specialties, capabilities = @capabilities, description = @description,
+      hours = @hours, schedule = @schedule, region = @region,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = @id
+  `).run({ ...toParams(facility), id });
+  return result.changes > 0 ? getFacility(id) : null;
+};
+
+/**
+ * Remove a facility from the registry
+ * @param {number} id - Facility id
+ * @returns {boolean} - true if a facility was deleted
+ */
+const deleteFacility = (id) => getDb().prepare('DELETE FROM facilities WHERE id = ?').run(id).changes > 0;
+
+module.exports = {
+  listFacilities,
+  getFacility,
+  createFacility,
+  updateFacility,
+  deleteFacility
+};
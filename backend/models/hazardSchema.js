@@ -0,0 +1,162 @@
+/**
+ * Hazard Schema
+ * Validates what operators post in evacuation mode (routes/hazards.js):
+ * hazards - areas and closed roads - and facility operational statuses
+ *
+ * Like models/facilitySchema.js, each field has a check that returns an error
+ * message or null, and every problem is returned at once.
+ */
+
+const { parseTimestamp } = require('../services/clock');
+const { listRegions } = require('./regions');
+
+const HAZARD_KINDS = ['area', 'closure'];
+const HAZARD_CATEGORIES = ['flood', 'fire', 'hazmat', 'storm-damage', 'police-activity', 'construction', 'other'];
+
+// GeoJSON geometry types each kind of hazard is drawn with
+const GEOMETRY_TYPES = {
+  area: ['Polygon', 'MultiPolygon'],
+  closure: ['LineString', 'MultiLineString']
+};
+
+// Facility states besides normal operation
+const OPERATIONAL_STATUSES = ['diverting', 'evacuating', 'surge'];
+
+const MAX_NOTE_LENGTH = 200;
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isPosition = (value) => Array.isArray(value) && value.length >= 2
+  && typeof value[0] === 'number' && value[0] >= -180 && value[0] <= 180
+  && typeof value[1] === 'number' && value[1] >= -90 && value[1] <= 90;
+
+/**
+ * Check a line's coordinates - at least two positions
+ */
+const isLine = (line) => Array.isArray(line) && line.length >= 2 && line.every(isPosition);
+
+/**
+ * Check a polygon's rings - each closed, with at least four positions
+ */
+const isPolygon = (rings) => Array.isArray(rings) && rings.length > 0 && rings.every(ring => isLine(ring)
+  && ring.length >= 4 && ring[0][0] === ring[ring.length - 1][0] && ring[0][1] === ring[ring.length - 1][1]);
+
+const COORDINATE_CHECKS = {
+  Polygon: isPolygon,
+  MultiPolygon: (polygons) => Array.isArray(polygons) && polygons.length > 0 && polygons.every(isPolygon),
+  LineString: isLine,
+  MultiLineString: (lines) => Array.isArray(lines) && lines.length > 0 && lines.every(isLine)
+};
+
+/**
+ * Check a GeoJSON geometry
+ * @returns {string|null} - Error message or null
+ */
+const checkGeometry = (geometry) => {
+  if (!isPlainObject(geometry) || !COORDINATE_CHECKS[geometry.type]) {
+    return `geometry must be a GeoJSON ${Object.keys(COORDINATE_CHECKS).join(', ')}`;
+  }
+  return COORDINATE_CHECKS[geometry.type](geometry.coordinates)
+    ? null
+    : `geometry: invalid ${geometry.type} coordinates ([lng, lat] positions; polygon rings closed, with at least 4 positions)`;
+};
+
+/**
+ * Check an ISO timestamp ("2025-07-04T18:30", with or without an offset)
+ */
+const checkTimestamp = (field) => (value) => (typeof value === 'string' && parseTimestamp(value)
+  ? null
+  : `${field} must be an ISO timestamp, e.g. "2025-07-04T18:30"`);
+
+/**
+ * Hazard field checks - return an error message or null
+ */
+const HAZARD_FIELDS = {
+  kind: (value) => (HAZARD_KINDS.includes(value) ? null : `kind must be one of: ${HAZARD_KINDS.join(', ')}`),
+  category: (value) => (HAZARD_CATEGORIES.includes(value) ? null : `category must be one of: ${HAZARD_CATEGORIES.join(', ')}`),
+  name: (value) => (isNonEmptyString(value) ? null : 'name must be a non-empty string'),
+  description: (value) => (typeof value === 'string' ? null : 'description must be a string'),
+  geometry: checkGeometry,
+  region: (value) => {
+    const ids = listRegions().map(region => region.id);
+    return ids.includes(value) ? null : `region must be one of: ${ids.join(', ')}`;
+  },  // null = the region the hazard is in
+  startsAt: checkTimestamp('startsAt'),  // null = from now
+  endsAt: checkTimestamp('endsAt')  // null = until removed
+};
+
+const REQUIRED_HAZARD_FIELDS = ['kind', 'category', 'name', 'geometry'];
+
+/**
+ * Check every sent field against its check
+ * @returns {Array} - Error messages
+ */
+const checkFields = (data, fields, required, partial) => {
+  const errors = [];
+  Object.keys(data).forEach(field => {
+    if (!fields[field]) errors.push(`Unknown field: ${field}`);
+  });
+  if (!partial) {
+    required
+      .filter(field => data[field] === undefined)
+      .forEach(field => errors.push(`${field} is required`));
+  }
+  Object.entries(data).forEach(([field, value]) => {
+    // Optional fields can be cleared with null
+    if (value === undefined || (value === null && !required.includes(field))) return;
+    const error = fields[field] && fields[field](value);
+    if (error) errors.push(error);
+  });
+  if (partial && Object.keys(data).length === 0) {
+    errors.push('Nothing to update');
+  }
+  return errors;
+};
+
+/**
+ * Validate a hazard
+ * @param {Object} data - Request body
+ * @param {Object} options
+ * @param {boolean} options.partial - PATCH: only check the fields that were sent
+ * @returns {Array} - Error messages (empty when valid)
+ */
+const validateHazard = (data, { partial = false } = {}) => {
+  if (!isPlainObject(data)) return ['Body must be a hazard object'];
+  const errors = checkFields(data, HAZARD_FIELDS, REQUIRED_HAZARD_FIELDS, partial);
+
+  // An area is a polygon, a closure a line
+  const { kind, geometry } = data;
+  if (HAZARD_KINDS.includes(kind) && isPlainObject(geometry) && COORDINATE_CHECKS[geometry.type]
+    && !GEOMETRY_TYPES[kind].includes(geometry.type)) {
+    errors.push(`A ${kind} hazard needs a ${GEOMETRY_TYPES[kind].join(' or ')} geometry`);
+  }
+  return errors;
+};
+
+/**
+ * Validate a facility operational status
+ * @param {Object} data - { status, note?, startsAt?, endsAt? }
+ * @returns {Array} - Error messages (empty when valid)
+ */
+const validateOperationalStatus = (data) => {
+  if (!isPlainObject(data)) return ['Body must be { status, note?, startsAt?, endsAt? }'];
+  return checkFields(data, {
+    status: (value) => (OPERATIONAL_STATUSES.includes(value) ? null : `status must be one of: ${OPERATIONAL_STATUSES.join(', ')}`),
+    note: (value) => (typeof value === 'string' && value.length <= MAX_NOTE_LENGTH
+      ? null
+      : `note must be text of at most ${MAX_NOTE_LENGTH} characters`),
+    startsAt: checkTimestamp('startsAt'),
+    endsAt: checkTimestamp('endsAt')
+  }, ['status'], false);
+};
+
+module.exports = {
+  HAZARD_KINDS,
+  HAZARD_CATEGORIES,
+  GEOMETRY_TYPES,
+  OPERATIONAL_STATUSES,
+  checkFields,
+  checkTimestamp,
+  validateHazard,
+  validateOperationalStatus
+};
@@ -0,0 +1,184 @@
+/**
+ * Hazard Store
+ * Reads and writes hazards and facility operational statuses in the SQLite database
+ *
+ * Timestamps are stored as UTC ISO strings, so they sort and compare as text,
+ * and come back as Dates.
+ */
+
+const { getDb } = require('./db');
+
+/**
+ * Convert a database row into a hazard object
+ */
+const fromHazardRow = (row) => ({
+  id: row.id,
+  kind: row.kind,
+  category: row.category,
+  name: row.name,
+  description: row.description,
+  geometry: JSON.parse(row.geometry),
+  region: row.region,
+  startsAt: new Date(row.starts_at),
+  endsAt: row.ends_at ? new Date(row.ends_at) : null  // null = until removed
+});
+
+/**
+ * Convert a hazard object into named SQL parameters
+ */
+const toHazardParams = (hazard) => ({
+  kind: hazard.kind,
+  category: hazard.category,
+  name: hazard.name,
+  description: hazard.description || null,
+  geometry: JSON.stringify(hazard.geometry),
+  region: hazard.region,
+  startsAt: hazard.startsAt.toISOString(),
+  endsAt: hazard.endsAt ? hazard.endsAt.toISOString() : null
+});
+
+/**
+ * Get hazards, optionally only one region's and only those in force at an instant
+ * @param {Object} filters
+ * @param {string} filters.regionId - Region id (omit for every region)
+ * @param {Date} filters.activeAt - Only hazards in force at this instant (omit for all of them)
+ * @returns {Array} - Hazards ordered by start time, then id
+ */
+const listHazards = ({ regionId, activeAt } = {}) => {
+  const conditions = [];
+  const params = {};
+  if (regionId) {
+    conditions.push('region = @regionId');
+    params.regionId = regionId;
+  }
+  if (activeAt) {
+    conditions.push('starts_at <= @at AND (ends_at IS NULL OR ends_at > @at)');
+    params.at = activeAt.toISOString();
+  }
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  return getDb().prepare(`SELECT * FROM hazards ${where} ORDER BY starts_at, id`).all(params).map(fromHazardRow);
+};
+
+/**
+ * Get one hazard
+ * @param {number} id
+ * @returns {Object|null} - Hazard, or null if it doesn't exist
+ */
+const getHazard = (id) => {
+  const row = getDb().prepare('SELECT * FROM hazards WHERE id = ?').get(id);
+  return row ? fromHazardRow(row) : null;
+};
+
+/**
+ * Post a hazard
+ * @param {Object} hazard - Validated hazard, with its region and startsAt / endsAt as Dates
+ * @returns {Object} - The stored hazard, with its new id
+ */
+const createHazard = (hazard) => {
+  const result = getDb().prepare(`
+    INSERT INTO hazards (kind, category, name, description, geometry, region, starts_at, ends_at)
+    VALUES (@kind, @category, @name, @description, @geometry, @region, @startsAt, @endsAt)
+  `).run(toHazardParams(hazard));
+  return getHazard(result.lastInsertRowid);
+};
+
+/**
+ * Replace a hazard's data
+ * @param {number} id
+ * @param {Object} hazard - Complete, validated hazard
+ * @returns {Object|null} - The updated hazard, or null if it doesn't exist
+ */
+const updateHazard = (id, hazard) => {
+  const result = getDb().prepare(`
+    UPDATE hazards SET
+      kind = @kind, category = @category, name = @name, description = @description, geometry = @geometry,
+      region = @region, starts_at = @startsAt, ends_at = @endsAt,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = @id
+  `).run({ ...toHazardParams(hazard), id });
+  return result.changes > 0 ? getHazard(id) : null;
+};
+
+/**
+ * Remove a hazard
+ * @param {number} id
+ * @returns {boolean} - true if a hazard was deleted
+ */
+const deleteHazard = (id) => getDb().prepare('DELETE FROM hazards WHERE id = ?').run(id).changes > 0;
+
+/**
+ * Convert a database row into an operational status
+ */
+const fromStatusRow = (row) => ({
+  facilityId: row.facility_id,
+  status: row.status,
+  note: row.note,
+  startsAt: new Date(row.starts_at),
+  endsAt: row.ends_at ? new Date(row.ends_at) : null  // null = until cleared
+});
+
+/**
+ * Get every facility's operational status, optionally only those in force at an instant
+ * @param {Date} activeAt - Only statuses in force at this instant (omit for all of them)
+ * @returns {Array} - [{ facilityId, status, note, startsAt, endsAt }]
+ */
+const listOperationalStatuses = (activeAt) => (activeAt
+  ? getDb().prepare(`
+      SELECT * FROM facility_operational_status
+      WHERE starts_at <= @at AND (ends_at IS NULL OR ends_at > @at)
+    `).all({ at: activeAt.toISOString() })
+  : getDb().prepare('SELECT * FROM facility_operational_status').all())
+  .map(fromStatusRow);
+
+/**
+ * Get a facility's operational status
+ * @param {number} facilityId
+ * @returns {Object|null} - Status, or null if none is set
+ */
+const getOperationalStatus = (facilityId) => {
+  const row = getDb().prepare('SELECT * FROM facility_operational_status WHERE facility_id = ?').get(facilityId);
+  return row ? fromStatusRow(row) : null;
+};
+
+/**
+ * Set a facility's operational status, replacing any it had
+ * @param {number} facilityId
+ * @param {Object} params - { status, note, startsAt (Date), endsAt (Date|null) }
+ * @returns {Object} - The stored status
+ */
+const setOperationalStatus = (facilityId, { status, note, startsAt, endsAt }) => {
+  getDb().prepare(`
+    INSERT INTO facility_operational_status (facility_id, status, note, starts_at, ends_at)
+    VALUES (@facilityId, @status, @note, @startsAt, @endsAt)
+    ON CONFLICT (facility_id) DO UPDATE SET
+      status = excluded.status, note = excluded.note, starts_at = excluded.starts_at, ends_at = excluded.ends_at,
+      updated_at = CURRENT_TIMESTAMP
+  `).run({
+    facilityId,
+    status,
+    note: note || null,
+    startsAt: startsAt.toISOString(),
+    endsAt: endsAt ? endsAt.toISOString() : null
+  });
+  return getOperationalStatus(facilityId);
+};
+
+/**
+ * Back to normal operation
+ * @param {number} facilityId
+ * @returns {boolean} - false if the facility had no status set
+ */
+const clearOperationalStatus = (facilityId) =>
+  getDb().prepare('DELETE FROM facility_operational_status WHERE facility_id = ?').run(facilityId).changes > 0;
+
+module.exports = {
+  listHazards,
+  getHazard,
+  createHazard,
+  updateHazard,
+  deleteHazard,
+  listOperationalStatuses,
+  getOperationalStatus,
+  setOperationalStatus,
+  clearOperationalStatus
+};
@@ -0,0 +1,95 @@
+/**
+ * History Store
+ * Reads and writes the sampled wait time / traffic history in the SQLite database
+ *
+ * Timestamps are stored as UTC ISO strings, so they sort and compare as text.
+ */
+
+const { getDb } = require('./db');
+
+/**
+ * Store one sampler run
+ * @param {Date} sampledAt - When the snapshot was taken
+ * @param {string} regionId - The region it covers
+ * @param {string} trafficLevel - Traffic at that moment
+ * @param {Array} samples - [{ facilityId, waitTime, simulatedWaitTime, waitTimeSource, status, capacity }]
+ * @returns {number} - The new snapshot's id
+ */
+const recordSnapshot = (sampledAt, regionId, trafficLevel, samples) => {
+  const db = getDb();
+  const insertSample = db.prepare(`
+    INSERT INTO facility_samples (snapshot_id, facility_id, wait_time, simulated_wait_time, wait_time_source, status, capacity)
+    VALUES (@snapshotId, @facilityId, @waitTime, @simulatedWaitTime, @waitTimeSource, @status, @capacity)
+  `);
+
+  return db.transaction(() => {
+    const snapshotId = db.prepare('INSERT INTO snapshots (sampled_at, region, traffic_level) VALUES (?, ?, ?)')
+      .run(sampledAt.toISOString(), regionId, trafficLevel)
+      .lastInsertRowid;
+    samples.forEach(sample => insertSample.run({ ...sample, snapshotId }));
+    return snapshotId;
+  })();
+};
+
+/**
+ * Get a facility's samples in a time range
+ * @param {number} facilityId
+ * @param {Date} from - Inclusive
+ * @param {Date} to - Exclusive
+ * @returns {Array} - [{ sampledAt (Date), trafficLevel, waitTime, simulatedWaitTime, waitTimeSource, status, capacity }], oldest first
+ */
+const listFacilitySamples = (facilityId, from, to) => getDb()
+  .prepare(`
+    SELECT s.sampled_at, s.traffic_level, f.wait_time, f.simulated_wait_time, f.wait_time_source, f.status, f.capacity
+    FROM facility_samples f
+    JOIN snapshots s ON s.id = f.snapshot_id
+    WHERE f.facility_id = ? AND s.sampled_at >= ? AND s.sampled_at < ?
+    ORDER BY s.sampled_at
+  `)
+  .all(facilityId, from.toISOString(), to.toISOString())
+  .map(row => ({
+    sampledAt: new Date(row.sampled_at),
+    trafficLevel: row.traffic_level,
+    waitTime: row.wait_time,
+    simulatedWaitTime: row.simulated_wait_time,
+    waitTimeSource: row.wait_time_source,
+    status: row.status,
+    capacity: row.capacity
+  }));
+
+/**
+ * Get a region's traffic samples in a time range
+ * @param {Date} from - Inclusive
+ * @param {Date} to - Exclusive
+ * @param {string} regionId
+ * @returns {Array} - [{ sampledAt (Date), trafficLevel }], oldest first
+ */
+const listTrafficSamples = (from, to, regionId) => getDb()
+  .prepare(`
+    SELECT sampled_at, traffic_level FROM snapshots
+    WHERE region = ? AND sampled_at >= ? AND sampled_at < ?
+    ORDER BY sampled_at
+  `)
+  .all(regionId, from.toISOString(), to.toISOString())
+  .map(row => ({ sampledAt: new Date(row.sampled_at), trafficLevel: row.traffic_level }));
+
+/**
+ * Delete snapshots older than a cutoff
+ * @param {Date} before
+ * @returns {number} - Number of snapshots deleted
+ */
+const deleteSnapshotsBefore = (before) => {
+  const db = getDb();
+  const cutoff = before.toISOString();
+  return db.transaction(() => {
+    db.prepare('DELETE FROM facility_samples WHERE snapshot_id IN (SELECT id FROM snapshots WHERE sampled_at < ?)').run(cutoff);
+    return db.prepare('DELETE FROM snapshots WHERE sampled_at < ?').run(cutoff).changes;
+  })();
+};
+
+module.exports = {
+  recordSnapshot,
+  listFacilitySamples,
+  listTrafficSamples,
+  deleteSnapshotsBefore
+};
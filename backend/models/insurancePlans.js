@@ -0,0 +1,100 @@
+/**
+ * Insurance Plans
+ * The plan types patients can have, how each shares costs, and what
+ * facilities bill - the inputs for services/costEstimator.js
+ *
+ * Facilities list the plan ids they accept (facility.insurance). Personas
+ * and custom profiles name one plan id (`insurance`), 'none' for uninsured.
+ *
+ * Cost sharing per plan:
+ * - allowedRate: share of billed charges the plan's negotiated rate comes to
+ * - deductible: paid in full before coinsurance starts (per year)
+ * - copays: flat amount per service instead of deductible + coinsurance (null = none)
+ * - coinsurance: patient's share after the deductible
+ * - outOfNetworkCoinsurance: share for non-emergency care outside the network
+ *   (null = not covered - the patient pays the bill)
+ * - outOfPocketMax: most the patient pays in a year (null = no limit)
+ *
+ * Figures are typical 2025 Georgia amounts, not any specific insurer's.
+ */
+
+const PLANS = {
+  employer: {
+    label: 'Employer plan',
+    allowedRate: 0.6,
+    deductible: 1500,
+    copays: { ER: 250, 'Urgent Care': 50, ambulance: null },
+    coinsurance: 0.2,
+    outOfNetworkCoinsurance: 0.5,
+    outOfPocketMax: 5000
+  },
+  marketplace: {
+    label: 'Marketplace (ACA) plan',
+    allowedRate: 0.55,
+    deductible: 4000,
+    copays: { ER: null, 'Urgent Care': 75, ambulance: null },
+    coinsurance: 0.3,
+    outOfNetworkCoinsurance: null,
+    outOfPocketMax: 9200
+  },
+  medicare: {
+    label: 'Medicare',
+    allowedRate: 0.35,
+    deductible: 257,
+    copays: { ER: null, 'Urgent Care': null, ambulance: null },
+    coinsurance: 0.2,
+    outOfNetworkCoinsurance: null,
+    outOfPocketMax: null
+  },
+  medicaid: {
+    label: 'Medicaid',
+    allowedRate: 0.3,
+    deductible: 0,
+    copays: { ER: 3, 'Urgent Care': 1, ambulance: 0 },
+    coinsurance: 0,
+    outOfNetworkCoinsurance: null,
+    outOfPocketMax: null
+  },
+  peachcare: {
+    label: 'PeachCare for Kids',
+    allowedRate: 0.3,
+    deductible: 0,
+    copays: { ER: 0, 'Urgent Care': 0, ambulance: 0 },
+    coinsurance: 0,
+    outOfNetworkCoinsurance: null,
+    outOfPocketMax: null
+  }
+};
+
+const PLAN_IDS = Object.keys(PLANS);
+
+// Uninsured patients aren't on a plan - they're billed the full charge
+const UNINSURED = 'none';
+const UNINSURED_LABEL = 'Uninsured';
+
+/**
+ * Billed charges by facility type and visit level (1 = minor, 5 = most complex),
+ * the way ER and urgent care visits are coded
+ */
+const VISIT_CHARGES = {
+  ER: [250, 500, 900, 1500, 2600],
+  'Urgent Care': [100, 150, 200, 275, 350]
+};
+
+// Ground ambulance transport (basic life support, Atlanta average)
+const AMBULANCE_CHARGE = 1141;
+
+/**
+ * Label for a plan id, e.g. 'medicaid' → 'Medicaid'
+ */
+const getPlanLabel = (id) => (id === UNINSURED ? UNINSURED_LABEL : PLANS[id] ? PLANS[id].label : id);
+
+module.exports = {
+  PLANS,
+  PLAN_IDS,
+  UNINSURED,
+  UNINSURED_LABEL,
+  VISIT_CHARGES,
+  AMBULANCE_CHARGE,
+  getPlanLabel
+};
@@ -0,0 +1,216 @@
+/**
+ * Persona Schema
+ * Validates persona documents (data/personas/*.json) when they are loaded
+ *
+ * A persona document describes the patient and, for each severity tier, what
+ * to recommend:
+ * {
+ *   id, name, age, description, severityLabel, riskTolerance,
+ *   insurance: 'employer',          // plan id (models/insurancePlans.js) or 'none'
+ *   order: 1,                       // optional - position in the persona list
+ *   conditions: ['asthma'],         // optional - what facilities must/should offer (models/capabilities.js)
+ *   transport: 'car',               // optional - 'car' (default), 'transit' or 'none'
+ *   mobility: 'limited',            // optional - 'independent' (default), 'limited', 'wheelchair' or 'bedbound'
+ *   caretaker: true,                // optional - someone can take them places (shelter recommendations)
+ *   severities: {
+ *     Mild | Moderate | Severe: {
+ *       hint: 'Green Zone - Symptoms controlled',
+ *       options: [                  // tried in order - the first with an open facility wins
+ *         {
+ *           facilityTypes: ['Urgent Care'],
+ *           decision: 'MOVE to {facility.type}',
+ *           mode: 'STAY' | 'MOVE' | 'HYBRID',
+ *           weights: { waitTime: 50, ... },    // decisionEngine FACTORS
+ *           reasoning: ['text with {facility.name}', { text, when: { facilityType } | { closingSoon: true } }]
+ *         }
+ *       ]
+ *     }
+ *   }
+ * }
+ *
+ * Each check returns an error message, or null when the value is valid.
+ * validatePersona() returns every problem at once.
+ */
+
+const { CONDITION_IDS } = require('./capabilities');
+const { PLAN_IDS, UNINSURED } = require('./insurancePlans');
+const { PROFILE_FIELDS } = require('./profileSchema');
+
+const SEVERITY_LEVELS = ['Mild', 'Moderate', 'Severe'];
+const FACILITY_TYPES = ['ER', 'Urgent Care'];
+const MODES = ['STAY', 'MOVE', 'HYBRID'];
+// Scoring factors in services/decisionEngine.js (FACTORS)
+const FACTOR_NAMES = ['waitTime', 'travelTime', 'expertise', 'cost', 'familiarity'];
+
+// Values reasoning and decision templates can use, e.g. "{facility.name}"
+const TEMPLATE_FIELDS = [
+  'facility.name',
+  'facility.type',
+  'facility.statusDetail',
+  'travel.time',
+  'travel.distance',
+  'expectedWait',
+  'totalTime'
+];
+const PLACEHOLDER_PATTERN = /\{([^{}]+)\}/g;
+
+// Transport access uses the custom profile's values (models/transportModes.js)
+const TRANSPORT_VALUES = PROFILE_FIELDS.transport.options.map(option => option.value);
+const MOBILITY_VALUES = PROFILE_FIELDS.mobility.options.map(option => option.value);
+
+const ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Check a template string and its placeholders
+ * @returns {string|null} - Error message or null
+ */
+const checkTemplate = (value, label) => {
+  if (!isNonEmptyString(value)) return `${label} must be a non-empty string`;
+  const unknown = [...value.matchAll(PLACEHOLDER_PATTERN)]
+    .map(([, field]) => field)
+    .find(field => !TEMPLATE_FIELDS.includes(field));
+  return unknown ? `${label}: unknown placeholder {${unknown}} (use ${TEMPLATE_FIELDS.join(', ')})` : null;
+};
+
+/**
+ * Check one reasoning line - a template, or { text, when } for a conditional line
+ * @returns {string|null} - Error message or null
+ */
+const checkReasoningLine = (line, label) => {
+  if (typeof line === 'string') return checkTemplate(line, label);
+  if (!isPlainObject(line)) return `${label} must be a string or { text, when }`;
+
+  const error = checkTemplate(line.text, `${label}.text`);
+  if (error) return error;
+  if (!isPlainObject(line.when)) return `${label}.when must be { facilityType } or { closingSoon: true }`;
+  const { facilityType, closingSoon, ...rest } = line.when;
+  if (Object.keys(rest).length > 0) return `${label}.when: unknown condition "${Object.keys(rest)[0]}"`;
+  if (facilityType !== undefined && !FACILITY_TYPES.includes(facilityType)) {
+    return `${label}.when.facilityType must be one of: ${FACILITY_TYPES.join(', ')}`;
+  }
+  if (closingSoon !== undefined && typeof closingSoon !== 'boolean') return `${label}.when.closingSoon must be true or false`;
+  return null;
+};
+
+/**
+ * Check one recommendation option of a severity tier
+ * @returns {Array} - Error messages
+ */
+const checkOption = (option, label) => {
+  if (!isPlainObject(option)) return [`${label} must be an object`];
+  const errors = [];
+
+  if (!Array.isArray(option.facilityTypes) || option.facilityTypes.length === 0
+    || !option.facilityTypes.every(type => FACILITY_TYPES.includes(type))) {
+    errors.push(`${label}.facilityTypes must list one or more of: ${FACILITY_TYPES.join(', ')}`);
+  }
+  const decisionError = checkTemplate(option.decision, `${label}.decision`);
+  if (decisionError) errors.push(decisionError);
+  if (!MODES.includes(option.mode)) errors.push(`${label}.mode must be one of: ${MODES.join(', ')}`);
+  if (option.preferredFacility !== undefined) {
+    errors.push(`${label}.preferredFacility is no longer supported - list the persona's conditions instead`);
+  }
+
+  if (!isPlainObject(option.weights) || Object.keys(option.weights).length === 0) {
+    errors.push(`${label}.weights must map factors (${FACTOR_NAMES.join(', ')}) to numbers`);
+  } else {
+    Object.entries(option.weights).forEach(([factor, weight]) => {
+      if (!FACTOR_NAMES.includes(factor)) errors.push(`${label}.weights: unknown factor "${factor}" (use ${FACTOR_NAMES.join(', ')})`);
+      else if (typeof weight !== 'number' || weight < 0) errors.push(`${label}.weights.${factor} must be a number of 0 or more`);
+    });
+  }
+
+  if (!Array.isArray(option.reasoning) || option.reasoning.length === 0) {
+    errors.push(`${label}.reasoning must be a list of lines`);
+  } else {
+    option.reasoning.forEach((line, index) => {
+      const error = checkReasoningLine(line, `${label}.reasoning[${index}]`);
+      if (error) errors.push(error);
+    });
+  }
+  return errors;
+};
+
+/**
+ * Check one severity tier
+ * @returns {Array} - Error messages
+ */
+const checkSeverity = (tier, label) => {
+  if (!isPlainObject(tier)) return [`${label} is required`];
+  const errors = [];
+  if (!isNonEmptyString(tier.hint)) errors.push(`${label}.hint must be a non-empty string`);
+  if (tier.costEstimate !== undefined) errors.push(`${label}.costEstimate is no longer supported - costs are estimated from the insurance plan`);
+  if (!Array.isArray(tier.options) || tier.options.length === 0) {
+    errors.push(`${label}.options must list at least one option`);
+  } else {
+    tier.options.forEach((option, index) => errors.push(...checkOption(option, `${label}.options[${index}]`)));
+  }
+  return errors;
+};
+
+/**
+ * Field checks - return an error message or null
+ */
+const FIELDS = {
+  id: (value) => (typeof value === 'string' && ID_PATTERN.test(value) ? null : 'id must be lowercase letters, digits and dashes, e.g. "pediatric-fever"'),
+  name: (value) => (isNonEmptyString(value) ? null : 'name must be a non-empty string'),
+  age: (value) => (isNonEmptyString(value) ? null : 'age must be a non-empty string, e.g. "30-40"'),
+  description: (value) => (typeof value === 'string' ? null : 'description must be a string'),
+  severityLabel: (value) => (isNonEmptyString(value) ? null : 'severityLabel must be a non-empty string'),
+  insurance: (value) => ([UNINSURED, ...PLAN_IDS].includes(value) ? null : `insurance must be one of: ${[UNINSURED, ...PLAN_IDS].join(', ')}`),
+  riskTolerance: (value) => (typeof value === 'string' ? null : 'riskTolerance must be a string')
+};
+
+const OPTIONAL_FIELDS = {
+  order: (value) => (typeof value === 'number' ? null : 'order must be a number'),
+  conditions: (value) => (Array.isArray(value) && value.every(condition => CONDITION_IDS.includes(condition))
+    ? null
+    : `conditions must be an array of: ${CONDITION_IDS.join(', ')}`),
+  transport: (value) => (TRANSPORT_VALUES.includes(value) ? null : `transport must be one of: ${TRANSPORT_VALUES.join(', ')}`),
+  mobility: (value) => (MOBILITY_VALUES.includes(value) ? null : `mobility must be one of: ${MOBILITY_VALUES.join(', ')}`),
+  caretaker: (value) => (typeof value === 'boolean' ? null : 'caretaker must be true or false')
+};
+
+/**
+ * Validate a persona document
+ * @param {Object} persona - Parsed document
+ * @returns {Array} - Error messages (empty if the document is valid)
+ */
+const validatePersona = (persona) => {
+  if (!isPlainObject(persona)) return ['Persona must be a JSON object'];
+
+  const errors = [];
+  Object.entries(FIELDS).forEach(([field, check]) => {
+    const error = check(persona[field]);
+    if (error) errors.push(error);
+  });
+  Object.entries(OPTIONAL_FIELDS).forEach(([field, check]) => {
+    const error = persona[field] === undefined ? null : check(persona[field]);
+    if (error) errors.push(error);
+  });
+
+  if (!isPlainObject(persona.severities)) {
+    errors.push(`severities must define ${SEVERITY_LEVELS.join(', ')}`);
+  } else {
+    SEVERITY_LEVELS.forEach(level => errors.push(...checkSeverity(persona.severities[level], `severities.${level}`)));
+    Object.keys(persona.severities)
+      .filter(level => !SEVERITY_LEVELS.includes(level))
+      .forEach(level => errors.push(`severities: unknown tier "${level}" (use ${SEVERITY_LEVELS.join(', ')})`));
+  }
+
+  const known = [...Object.keys(FIELDS), ...Object.keys(OPTIONAL_FIELDS), 'severities'];
+  Object.keys(persona)
+    .filter(field => !known.includes(field))
+    .forEach(field => errors.push(`Unknown field "${field}"`));
+
+  return errors;
+};
+
+module.exports = {
+  SEVERITY_LEVELS,
+  TEMPLATE_FIELDS,
+  validatePersona
+};
@@ -0,0 +1,74 @@
+/**
+ * Patient Personas
+ * Loads the persona documents used by the decision engine and the frontend
+ *
+ * Each persona is one JSON file in data/personas/ (or the folder named by
+ * PERSONAS_DIR) - see models/personaSchema.js for the format. Adding a
+ * persona means adding a file and restarting the backend; no code changes.
+ *
+ * Documents are validated when first loaded. An invalid document stops the
+ * backend with the file name and every problem found, so mistakes can't
+ * reach patients.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validatePersona } = require('./personaSchema');
+
+const DEFAULT_PERSONAS_DIR = path.join(__dirname, '..', 'data', 'personas');
+
+let personas = null;
+
+/**
+ * Read and validate every persona document in a folder
+ * @param {string} dir
+ * @returns {Array} - Personas ordered by `order`, then id
+ */
+const loadPersonas = (dir = process.env.PERSONAS_DIR || DEFAULT_PERSONAS_DIR) => {
+  const loaded = fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => {
+      let persona;
+      try {
+        persona = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      } catch (err) {
+        throw new Error(`Persona ${file} is not valid JSON: ${err.message}`);
+      }
+      const errors = validatePersona(persona);
+      if (errors.length > 0) {
+        throw new Error(`Persona ${file} is invalid:\n- ${errors.join('\n- ')}`);
+      }
+      return persona;
+    });
+
+  const duplicate = loaded.find((persona, index) => loaded.findIndex(other => other.id === persona.id) !== index);
+  if (duplicate) {
+    throw new Error(`Two persona documents use the id "${duplicate.id}"`);
+  }
+
+  return loaded.sort((a, b) => (a.order ?? Infinity) - (b.order ?? Infinity) || a.id.localeCompare(b.id));
+};
+
+/**
+ * Get every persona, loading them on first use
+ * @returns {Array}
+ */
+const listPersonas = () => {
+  if (!personas) {
+    personas = loadPersonas();
+  }
+  return personas;
+};
+
+/**
+ * Get one persona
+ * @param {string} id - e.g. 'asthma'
+ * @returns {Object|null} - Persona, or null if there isn't one with that id
+ */
+const getPersona = (id) => listPersonas().find(persona => persona.id === id) || null;
+
+module.exports = {
+  loadPersonas,
+  listPersonas,
+  getPersona
+};
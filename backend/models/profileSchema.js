@@ -0,0 +1,158 @@
+/**
+ * Profile Schema
+ * Describes and validates the custom patient profiles built in the frontend
+ *
+ * A custom profile replaces a persona id in POST /api/decision:
+ * {
+ *   age: 34, pregnant: false, conditions: ['asthma'], mobility: 'limited',
+ *   caretaker: true, transport: 'transit', insurance: 'medicaid', language: 'es'
+ * }
+ *
+ * PROFILE_FIELDS is also served at GET /api/profiles/schema, so the form's
+ * options and labels always match what the backend accepts.
+ */
+
+const { PLANS, PLAN_IDS, UNINSURED, UNINSURED_LABEL } = require('./insurancePlans');
+
+const PROFILE_FIELDS = {
+  age: { type: 'integer', label: 'Age', min: 0, max: 120, required: true },
+  pregnant: { type: 'boolean', label: 'Pregnant', default: false },
+  conditions: {
+    type: 'list',
+    label: 'Chronic conditions',
+    default: [],
+    options: [
+      { value: 'asthma', label: 'Asthma' },
+      { value: 'copd', label: 'COPD / emphysema' },
+      { value: 'heart-disease', label: 'Heart disease' },
+      { value: 'hypertension', label: 'High blood pressure' },
+      { value: 'diabetes', label: 'Diabetes' },
+      { value: 'kidney-disease', label: 'Kidney disease' },
+      { value: 'epilepsy', label: 'Epilepsy / seizures' },
+      { value: 'dementia', label: 'Dementia' },
+      { value: 'immunocompromised', label: 'Weakened immune system' }
+    ]
+  },
+  mobility: {
+    type: 'choice',
+    label: 'Mobility',
+    default: 'independent',
+    options: [
+      { value: 'independent', label: 'Walks independently' },
+      { value: 'limited', label: 'Limited (cane, walker, short of breath)' },
+      { value: 'wheelchair', label: 'Uses a wheelchair' },
+      { value: 'bedbound', label: 'Bed-bound' }
+    ]
+  },
+  caretaker: { type: 'boolean', label: 'Caretaker available', default: false },
+  transport: {
+    type: 'choice',
+    label: 'Transport',
+    default: 'car',
+    options: [
+      { value: 'car', label: 'Car (drives or has a driver)' },
+      { value: 'transit', label: 'Public transit' },
+      { value: 'none', label: 'No transport' }
+    ]
+  },
+  insurance: {
+    type: 'choice',
+    label: 'Insurance plan',
+    default: 'none',
+    options: [
+      { value: UNINSURED, label: UNINSURED_LABEL },
+      ...PLAN_IDS.map(id => ({ value: id, label: PLANS[id].label }))
+    ]
+  },
+  language: {
+    type: 'choice',
+    label: 'Preferred language',
+    default: 'en',
+    options: [
+      { value: 'en', label: 'English' },
+      { value: 'es', label: 'Spanish' },
+      { value: 'vi', label: 'Vietnamese' },
+      { value: 'ko', label: 'Korean' },
+      { value: 'zh', label: 'Chinese' },
+      { value: 'am', label: 'Amharic' }
+    ]
+  }
+};
+
+// Pregnancy is only accepted for plausible ages
+const PREGNANCY_AGE_RANGE = [10, 60];
+
+const optionValues = (field) => field.options.map(option => option.value);
+
+/**
+ * Check one value against its field definition
+ * @returns {string|null} - Error message or null
+ */
+const checkField = (name, field, value) => {
+  switch (field.type) {
+    case 'integer':
+      return Number.isInteger(value) && value >= field.min && value <= field.max
+        ? null
+        : `${name} must be a whole number from ${field.min} to ${field.max}`;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `${name} must be true or false`;
+    case 'choice':
+      return optionValues(field).includes(value) ? null : `${name} must be one of: ${optionValues(field).join(', ')}`;
+    case 'list':
+      if (!Array.isArray(value)) return `${name} must be a list`;
+      return value.every(item => optionValues(field).includes(item))
+        ? null
+        : `${name} can only contain: ${optionValues(field).join(', ')}`;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Validate a custom profile and fill in defaults
+ * @param {Object} input - Profile as sent by the client
+ * @returns {Object} - { profile, errors } (profile is only set when there are no errors)
+ */
+const validateProfile = (input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { profile: null, errors: ['profile must be an object'] };
+  }
+
+  const errors = [];
+  const profile = {};
+  Object.entries(PROFILE_FIELDS).forEach(([name, field]) => {
+    if (input[name] === undefined) {
+      if (field.required) errors.push(`${name} is required`);
+      else profile[name] = field.default;
+      return;
+    }
+    const error = checkField(name, field, input[name]);
+    if (error) errors.push(error);
+    else profile[name] = field.type === 'list' ? [...new Set(input[name])] : input[name];
+  });
+
+  if (profile.pregnant && Number.isInteger(profile.age)
+    && (profile.age < PREGNANCY_AGE_RANGE[0] || profile.age > PREGNANCY_AGE_RANGE[1])) {
+    errors.push(`pregnant is only accepted for ages ${PREGNANCY_AGE_RANGE[0]}-${PREGNANCY_AGE_RANGE[1]}`);
+  }
+
+  Object.keys(input)
+    .filter(name => !PROFILE_FIELDS[name])
+    .forEach(name => errors.push(`Unknown field "${name}"`));
+
+  return errors.length > 0 ? { profile: null, errors } : { profile, errors };
+};
+
+/**
+ * Label for a choice or list value, e.g. ('language', 'es') → 'Spanish'
+ */
+const getOptionLabel = (name, value) => {
+  const option = (PROFILE_FIELDS[name].options || []).find(candidate => candidate.value === value);
+  return option ? option.label : value;
+};
+
+module.exports = {
+  PROFILE_FIELDS,
+  validateProfile,
+  getOptionLabel
+};
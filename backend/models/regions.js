@@ -0,0 +1,314 @@
+/**
+ * Regions
+ * Loads the areas EVAC+ covers - each with its own map bounds, timezone,
+ * traffic pattern, wait-time multipliers and climate
+ *
+ * Each region is one JSON file in data/regions/ (or the folder named by
+ * REGIONS_DIR):
+ * {
+ *   id: 'midtown-atlanta', name, order, description?,
+ *   timezone: 'America/New_York',          // IANA zone facilities keep hours in
+ *   bounds: { south, west, north, east },  // what the map shows
+ *   center: { lat, lng }, zoom?,
+ *   defaultOrigin: { lat, lng, label, detail? },  // where patients start
+ *   traffic: {
+ *     weekday: [24 levels], weekend: [24 levels],  // by local hour
+ *     quieterMonths?: { months: [6, 7], maxLevel: 'heavy' }  // e.g. schools out
+ *   },
+ *   waitTimes: {
+ *     hourly: { ER: [24], 'Urgent Care': [24] },   // by local hour
+ *     dayOfWeek: { ER: [7], 'Urgent Care': [7] },  // Sunday first
+ *     monthly: [12]                                // January first
+ *   },
+ *   climate?: {                  // for the simulated heat and air quality (services/environmentService.js)
+ *     highs: [12], lows: [12],   // average daily high and low, °F - January first
+ *     humidity: [12],            // average afternoon relative humidity, %
+ *     aqi: [12]                  // typical daily peak AQI
+ *   },
+ *   roads?: 'midtown-roads.sample.json',  // road graph in data/, Overpass JSON (services/routingService.js)
+ *   gazetteer?: 'midtown-gazetteer.json',  // addresses and places in data/ (services/geocoder.js)
+ *   locality?: 'Atlanta, GA',          // city and state, ending addresses built from street names
+ *   transit?: {
+ *     name: 'MARTA',                   // what patients call the local transit agency
+ *     gtfs?: 'marta-gtfs'              // GTFS feed folder in data/ (services/transitService.js)
+ *   }
+ * }
+ *
+ * Without roads, travel times are estimated from straight-line distance and
+ * intersections can't be searched; without a gazetteer, places can't be;
+ * without a transit feed, transit isn't offered.
+ *
+ * Facilities and EMS stations belong to a region by id. Requests pick a
+ * region with a `region` parameter, or by where the patient is.
+ *
+ * Like personas, regions are validated when first loaded and an invalid
+ * document stops the backend with every problem found.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isValidTimezone } = require('../services/clock');
+const { haversineMiles } = require('../services/geo');
+
+const DEFAULT_REGIONS_DIR = path.join(__dirname, '..', 'data', 'regions');
+
+const TRAFFIC_LEVELS = ['low', 'moderate', 'heavy', 'severe'];
+const FACILITY_TYPES = ['ER', 'Urgent Care'];
+
+const ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isLatLng = (value) => isPlainObject(value)
+  && typeof value.lat === 'number' && value.lat >= -90 && value.lat <= 90
+  && typeof value.lng === 'number' && value.lng >= -180 && value.lng <= 180;
+const isMultiplierList = (value, length) => Array.isArray(value) && value.length === length
+  && value.every(multiplier => typeof multiplier === 'number' && multiplier > 0);
+
+let regions = null;
+
+/**
+ * Check a region's traffic pattern
+ * @returns {Array} - Error messages
+ */
+const validateTraffic = (traffic) => {
+  if (!isPlainObject(traffic)) return ['traffic must be { weekday, weekend }'];
+  const errors = [];
+  ['weekday', 'weekend'].forEach(day => {
+    const levels = traffic[day];
+    if (!Array.isArray(levels) || levels.length !== 24 || !levels.every(level => TRAFFIC_LEVELS.includes(level))) {
+      errors.push(`traffic.${day} must list 24 hourly levels (${TRAFFIC_LEVELS.join(', ')})`);
+    }
+  });
+  const { quieterMonths } = traffic;
+  if (quieterMonths !== undefined && (!isPlainObject(quieterMonths)
+    || !Array.isArray(quieterMonths.months) || !quieterMonths.months.every(month => Number.isInteger(month) && month >= 1 && month <= 12)
+    || !TRAFFIC_LEVELS.includes(quieterMonths.maxLevel))) {
+    errors.push('traffic.quieterMonths must be { months: [1-12], maxLevel }');
+  }
+  return errors;
+};
+
+/**
+ * Check a region's wait-time multipliers
+ * @returns {Array} - Error messages
+ */
+const validateWaitTimes = (waitTimes) => {
+  if (!isPlainObject(waitTimes)) return ['waitTimes must be { hourly, dayOfWeek, monthly }'];
+  const errors = [];
+  FACILITY_TYPES.forEach(type => {
+    if (!isPlainObject(waitTimes.hourly) || !isMultiplierList(waitTimes.hourly[type], 24)) {
+      errors.push(`waitTimes.hourly["${type}"] must list 24 multipliers above 0`);
+    }
+    if (!isPlainObject(waitTimes.dayOfWeek) || !isMultiplierList(waitTimes.dayOfWeek[type], 7)) {
+      errors.push(`waitTimes.dayOfWeek["${type}"] must list 7 multipliers above 0 (Sunday first)`);
+    }
+  });
+  if (!isMultiplierList(waitTimes.monthly, 12)) {
+    errors.push('waitTimes.monthly must list 12 multipliers above 0 (January first)');
+  }
+  return errors;
+};
+
+/**
+ * Check a region's climate averages
+ * @returns {Array} - Error messages
+ */
+const validateClimate = (climate) => {
+  if (climate === undefined) return [];
+  if (!isPlainObject(climate)) return ['climate must be { highs, lows, humidity, aqi }'];
+  const isMonthlyList = (value, min, max) => Array.isArray(value) && value.length === 12
+    && value.every(entry => typeof entry === 'number' && entry >= min && entry <= max);
+  const errors = [];
+  ['highs', 'lows'].forEach(field => {
+    if (!isMonthlyList(climate[field], -60, 130)) {
+      errors.push(`climate.${field} must list 12 temperatures in °F (January first)`);
+    }
+  });
+  if (errors.length === 0 && climate.lows.some((low, month) => low > climate.highs[month])) {
+    errors.push('climate.lows must not be above climate.highs');
+  }
+  if (!isMonthlyList(climate.humidity, 0, 100)) {
+    errors.push('climate.humidity must list 12 percentages (January first)');
+  }
+  if (!isMonthlyList(climate.aqi, 0, 500)) {
+    errors.push('climate.aqi must list 12 AQI values from 0 to 500 (January first)');
+  }
+  return errors;
+};
+
+/**
+ * Check a region's road extract, gazetteer and transit agency
+ * @returns {Array} - Error messages
+ */
+const validateNetworks = ({ roads, gazetteer, locality, transit }) => {
+  const errors = [];
+  if (roads !== undefined && !isNonEmptyString(roads)) {
+    errors.push('roads must name a road graph file in data/, e.g. "midtown-roads.sample.json"');
+  }
+  if (gazetteer !== undefined && !isNonEmptyString(gazetteer)) {
+    errors.push('gazetteer must name a gazetteer file in data/, e.g. "midtown-gazetteer.json"');
+  }
+  if (locality !== undefined && !isNonEmptyString(locality)) {
+    errors.push('locality must be the city and state, e.g. "Atlanta, GA"');
+  }
+  if (transit !== undefined && (!isPlainObject(transit) || !isNonEmptyString(transit.name)
+    || (transit.gtfs !== undefined && !isNonEmptyString(transit.gtfs)))) {
+    errors.push('transit must be { name, gtfs? } - gtfs names a GTFS feed folder in data/');
+  }
+  return errors;
+};
+
+/**
+ * Check a region document
+ * @param {Object} candidate
+ * @returns {Array} - Error messages (empty if valid)
+ */
+const validateRegion = (candidate) => {
+  if (!isPlainObject(candidate)) return ['A region must be a JSON object'];
+  const errors = [];
+
+  if (!isNonEmptyString(candidate.id) || !ID_PATTERN.test(candidate.id)) {
+    errors.push('id must be a lowercase id like "midtown-atlanta"');
+  }
+  if (!isNonEmptyString(candidate.name)) {
+    errors.push('name is required');
+  }
+  if (candidate.order !== undefined && typeof candidate.order !== 'number') {
+    errors.push('order must be a number');
+  }
+  if (candidate.description !== undefined && typeof candidate.description !== 'string') {
+    errors.push('description must be a string');
+  }
+  if (!isNonEmptyString(candidate.timezone) || !isValidTimezone(candidate.timezone)) {
+    errors.push('timezone must be an IANA time zone, e.g. "America/New_York"');
+  }
+
+  const { bounds } = candidate;
+  if (!isPlainObject(bounds) || !['south', 'west', 'north', 'east'].every(edge => typeof bounds[edge] === 'number')) {
+    errors.push('bounds must be { south, west, north, east }');
+  } else if (bounds.south >= bounds.north || bounds.west >= bounds.east) {
+    errors.push('bounds: south must be below north and west left of east');
+  }
+  if (!isLatLng(candidate.center)) {
+    errors.push('center must be { lat, lng }');
+  }
+  if (candidate.zoom !== undefined && !(Number.isInteger(candidate.zoom) && candidate.zoom >= 1 && candidate.zoom <= 19)) {
+    errors.push('zoom must be a whole number from 1 to 19');
+  }
+  const { defaultOrigin } = candidate;
+  if (!isLatLng(defaultOrigin) || !isNonEmptyString(defaultOrigin.label)) {
+    errors.push('defaultOrigin must be { lat, lng, label, detail? }');
+  }
+
+  return [
+    ...errors,
+    ...validateTraffic(candidate.traffic),
+    ...validateWaitTimes(candidate.waitTimes),
+    ...validateClimate(candidate.climate),
+    ...validateNetworks(candidate)
+  ];
+};
+
+/**
+ * Read and validate every region document in a folder
+ * @param {string} dir
+ * @returns {Array} - Regions ordered by `order`, then id
+ */
+const loadRegions = (dir = process.env.REGIONS_DIR || DEFAULT_REGIONS_DIR) => {
+  const loaded = fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => {
+      let region;
+      try {
+        region = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      } catch (err) {
+        throw new Error(`Region ${file} is not valid JSON: ${err.message}`);
+      }
+      const errors = validateRegion(region);
+      if (errors.length > 0) {
+        throw new Error(`Region ${file} is invalid:\n- ${errors.join('\n- ')}`);
+      }
+      return region;
+    });
+
+  if (loaded.length === 0) {
+    throw new Error(`No region documents found in ${dir}`);
+  }
+  const duplicate = loaded.find((region, index) => loaded.findIndex(other => other.id === region.id) !== index);
+  if (duplicate) {
+    throw new Error(`Two region documents use the id "${duplicate.id}"`);
+  }
+
+  return loaded.sort((a, b) => (a.order ?? Infinity) - (b.order ?? Infinity) || a.id.localeCompare(b.id));
+};
+
+/**
+ * Get every region, loading them on first use
+ * @returns {Array}
+ */
+const listRegions = () => {
+  if (!regions) {
+    regions = loadRegions();
+  }
+  return regions;
+};
+
+/**
+ * Get one region
+ * @param {string} id - e.g. 'midtown-atlanta'
+ * @returns {Object|null} - Region, or null if there isn't one with that id
+ */
+const getRegion = (id) => listRegions().find(region => region.id === id) || null;
+
+/**
+ * The region used when a request doesn't say - the first one
+ * @returns {Object}
+ */
+const getDefaultRegion = () => listRegions()[0];
+
+/**
+ * Check a point is inside a region's bounds
+ * @param {Object} region
+ * @param {Object} point - { lat, lng }
+ */
+const containsPoint = ({ bounds }, { lat, lng }) =>
+  lat >= bounds.south && lat <= bounds.north && lng >= bounds.west && lng <= bounds.east;
+
+/**
+ * Find the region a point belongs to - the one containing it, or else the
+ * one whose center is nearest
+ * @param {Object} point - { lat, lng }
+ * @returns {Object}
+ */
+const findRegionForPoint = (point) => {
+  const all = listRegions();
+  const containing = all.find(region => containsPoint(region, point));
+  if (containing) return containing;
+  return all.reduce((nearest, region) =>
+    (haversineMiles(point, region.center) < haversineMiles(point, nearest.center) ? region : nearest));
+};
+
+/**
+ * The region a request is about - the one it names, else the one its
+ * location is in, else the default
+ * @param {string} id - Region id from the request (optional)
+ * @param {Object} point - { lat, lng } from the request (optional)
+ * @returns {Object|null} - Region, or null if the id isn't a region
+ */
+const resolveRegion = (id, point) => {
+  if (id !== undefined && id !== null && id !== '') return getRegion(id);
+  return point ? findRegionForPoint(point) : getDefaultRegion();
+};
+
+module.exports = {
+  TRAFFIC_LEVELS,
+  validateRegion,
+  loadRegions,
+  listRegions,
+  getRegion,
+  getDefaultRegion,
+  containsPoint,
+  findRegionForPoint,
+  resolveRegion
+};
@@ -0,0 +1,169 @@
+/**
+ * Shelter Schema
+ * The shelter layer's vocabulary - kinds of shelter, accessibility features,
+ * pet policies and weather events - and validation for what operators post
+ * (routes/shelters.js): shelters, occupancy reports and weather events
+ *
+ * Field checks work like models/facilitySchema.js - each returns an error
+ * message or null, and every problem is returned at once.
+ */
+
+const { checkFields, checkTimestamp } = require('./hazardSchema');
+const { checkSchedule } = require('./facilitySchema');
+const { listRegions } = require('./regions');
+
+const SHELTER_KINDS = {
+  'emergency-shelter': 'Emergency Shelter',
+  'cooling-center': 'Cooling Center',
+  'warming-center': 'Warming Center'
+};
+
+// What a shelter offers people with disabilities or care needs
+const ACCESSIBILITY_FEATURES = {
+  wheelchair: 'Wheelchair accessible',
+  'accessible-restroom': 'Accessible restrooms',
+  cots: 'Cots for overnight stays',
+  'medical-support': 'Nurse or medic on site',
+  'memory-care': 'Staff trained in dementia care',
+  'quiet-area': 'Quiet area',
+  'power-for-devices': 'Power for medical devices'
+};
+
+// Service animals are welcome everywhere; the policy is about other pets
+const PET_POLICIES = {
+  'service-animals-only': 'Service animals only',
+  'pets-allowed': 'Pets welcome',
+  'pets-crated': 'Pets in crates'
+};
+
+const WEATHER_EVENT_TYPES = {
+  'heat-wave': 'Heat wave',
+  'cold-snap': 'Cold snap',
+  'winter-storm': 'Winter storm',
+  'severe-storm': 'Severe storm',
+  hurricane: 'Hurricane',
+  flood: 'Flood',
+  'wildfire-smoke': 'Wildfire smoke'
+};
+
+const MAX_CAPACITY = 10000;
+const MAX_WINDOW_HOURS = 72;
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isIntegerBetween = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+/**
+ * Check every item of a list is one of a vocabulary's ids
+ */
+const checkList = (field, vocabulary) => (value) => (Array.isArray(value) && value.every(item => vocabulary[item])
+  ? null
+  : `${field} must be an array of: ${Object.keys(vocabulary).join(', ')}`);
+
+const checkRegion = (value) => {
+  const ids = listRegions().map(region => region.id);
+  return ids.includes(value) ? null : `region must be one of: ${ids.join(', ')}`;
+};
+
+/**
+ * Check when a shelter opens - the weather events it serves, and how many
+ * hours before an event starts and after it ends it is open
+ * @returns {string|null} - Error message or null
+ */
+const checkActivation = (activation) => {
+  if (!isPlainObject(activation)) return 'activation must be { events, leadHours?, lagHours? }';
+  const { events, leadHours = 0, lagHours = 0, ...unknown } = activation;
+  if (!Array.isArray(events) || events.length === 0 || !events.every(type => WEATHER_EVENT_TYPES[type])) {
+    return `activation.events must be a non-empty array of: ${Object.keys(WEATHER_EVENT_TYPES).join(', ')}`;
+  }
+  if (!isIntegerBetween(leadHours, 0, MAX_WINDOW_HOURS) || !isIntegerBetween(lagHours, 0, MAX_WINDOW_HOURS)) {
+    return `activation.leadHours and lagHours must be whole hours (0-${MAX_WINDOW_HOURS})`;
+  }
+  const extra = Object.keys(unknown)[0];
+  return extra ? `activation: unknown field "${extra}"` : null;
+};
+
+/**
+ * Shelter field checks - return an error message or null
+ */
+const SHELTER_FIELDS = {
+  name: (value) => (isNonEmptyString(value) ? null : 'name must be a non-empty string'),
+  kind: (value) => (SHELTER_KINDS[value] ? null : `kind must be one of: ${Object.keys(SHELTER_KINDS).join(', ')}`),
+  position: (value) => {
+    if (!isPlainObject(value)) return 'position must be { lat, lng }';
+    if (typeof value.lat !== 'number' || value.lat < -90 || value.lat > 90) return 'position.lat must be a number between -90 and 90';
+    if (typeof value.lng !== 'number' || value.lng < -180 || value.lng > 180) return 'position.lng must be a number between -180 and 180';
+    return null;
+  },
+  address: (value) => (typeof value === 'string' ? null : 'address must be a string'),
+  capacity: (value) => (isIntegerBetween(value, 1, MAX_CAPACITY) ? null : `capacity must be a whole number of people (1-${MAX_CAPACITY})`),
+  occupancy: (value) => (isIntegerBetween(value, 0, MAX_CAPACITY) ? null : 'occupancy must be a whole number of people'),
+  accessibility: checkList('accessibility', ACCESSIBILITY_FEATURES),
+  petPolicy: (value) => (PET_POLICIES[value] ? null : `petPolicy must be one of: ${Object.keys(PET_POLICIES).join(', ')}`),
+  activation: checkActivation,
+  schedule: checkSchedule,  // null = around the clock while activated
+  description: (value) => (typeof value === 'string' ? null : 'description must be a string'),
+  region: checkRegion  // null = the region the shelter is in
+};
+
+const REQUIRED_SHELTER_FIELDS = ['name', 'kind', 'position', 'capacity', 'petPolicy', 'activation'];
+
+/**
+ * Validate a shelter
+ * @param {Object} data - Request body
+ * @param {Object} options
+ * @param {boolean} options.partial - PATCH: only check the fields that were sent
+ * @returns {Array} - Error messages (empty when valid)
+ */
+const validateShelter = (data, { partial = false } = {}) => {
+  if (!isPlainObject(data)) return ['Body must be a shelter object'];
+  const errors = checkFields(data, SHELTER_FIELDS, REQUIRED_SHELTER_FIELDS, partial);
+  if (Number.isInteger(data.occupancy) && Number.isInteger(data.capacity) && data.occupancy > data.capacity) {
+    errors.push('occupancy can\'t be more than capacity');
+  }
+  return errors;
+};
+
+/**
+ * Validate an occupancy report
+ * @param {Object} data - { occupancy }
+ * @returns {Array} - Error messages (empty when valid)
+ */
+const validateOccupancy = (data) => {
+  if (!isPlainObject(data)) return ['Body must be { occupancy }'];
+  return checkFields(data, { occupancy: SHELTER_FIELDS.occupancy }, ['occupancy'], false);
+};
+
+/**
+ * Weather event field checks
+ */
+const WEATHER_EVENT_FIELDS = {
+  type: (value) => (WEATHER_EVENT_TYPES[value] ? null : `type must be one of: ${Object.keys(WEATHER_EVENT_TYPES).join(', ')}`),
+  name: (value) => (isNonEmptyString(value) ? null : 'name must be a non-empty string'),
+  description: (value) => (typeof value === 'string' ? null : 'description must be a string'),
+  region: checkRegion,  // null = the first region
+  startsAt: checkTimestamp('startsAt'),  // null = from now
+  endsAt: checkTimestamp('endsAt')  // null = until removed
+};
+
+/**
+ * Validate a weather event
+ * @param {Object} data - Request body
+ * @param {Object} options
+ * @param {boolean} options.partial - PATCH: only check the fields that were sent
+ * @returns {Array} - Error messages (empty when valid)
+ */
+const validateWeatherEvent = (data, { partial = false } = {}) => {
+  if (!isPlainObject(data)) return ['Body must be a weather event object'];
+  return checkFields(data, WEATHER_EVENT_FIELDS, ['type', 'name'], partial);
+};
+
+module.exports = {
+  SHELTER_KINDS,
+  ACCESSIBILITY_FEATURES,
+  PET_POLICIES,
+  WEATHER_EVENT_TYPES,
+  validateShelter,
+  validateOccupancy,
+  validateWeatherEvent
+};
@@ -0,0 +1,230 @@
+/**
+ * Shelter Store
+ * Reads and writes shelters and weather events in the SQLite database
+ *
+ * Timestamps are stored as UTC ISO strings, so they sort and compare as text,
+ * and come back as Dates.
+ */
+
+const { getDb } = require('./db');
+
+/**
+ * Convert a database row into a shelter object
+ */
+const fromShelterRow = (row) => ({
+  id: row.id,
+  name: row.name,
+  kind: row.kind,
+  position: { lat: row.lat, lng: row.lng },
+  address: row.address,
+  capacity: row.capacity,
+  occupancy: row.occupancy,
+  occupancyAsOf: row.occupancy_as_of ? new Date(row.occupancy_as_of) : null,  // null = never reported
+  accessibility: JSON.parse(row.accessibility),
+  petPolicy: row.pet_policy,
+  activation: JSON.parse(row.activation),
+  schedule: row.schedule ? JSON.parse(row.schedule) : null,  // null = around the clock while activated
+  description: row.description,
+  region: row.region
+});
+
+/**
+ * Convert a shelter object into named SQL parameters
+ */
+const toShelterParams = (shelter) => ({
+  name: shelter.name,
+  kind: shelter.kind,
+  lat: shelter.position.lat,
+  lng: shelter.position.lng,
+  address: shelter.address || null,
+  capacity: shelter.capacity,
+  occupancy: shelter.occupancy || 0,
+  occupancyAsOf: shelter.occupancyAsOf ? shelter.occupancyAsOf.toISOString() : null,
+  accessibility: JSON.stringify(shelter.accessibility || []),
+  petPolicy: shelter.petPolicy,
+  activation: JSON.stringify({ leadHours: 0, lagHours: 0, ...shelter.activation }),
+  schedule: shelter.schedule ? JSON.stringify(shelter.schedule) : null,
+  description: shelter.description || null,
+  region: shelter.region
+});
+
+/**
+ * Get every shelter, or one region's
+ * @param {string} regionId - Region id (optional - omit for every region)
+ * @returns {Array} - Shelters ordered by id
+ */
+const listShelters = (regionId) => (regionId
+  ? getDb().prepare('SELECT * FROM shelters WHERE region = ? ORDER BY id').all(regionId)
+  : getDb().prepare('SELECT * FROM shelters ORDER BY id').all()
+).map(fromShelterRow);
+
+/**
+ * Get one shelter
+ * @param {number} id
+ * @returns {Object|null} - Shelter, or null if it doesn't exist
+ */
+const getShelter = (id) => {
+  const row = getDb().prepare('SELECT * FROM shelters WHERE id = ?').get(id);
+  return row ? fromShelterRow(row) : null;
+};
+
+/**
+ * Add a shelter
+ * @param {Object} shelter - Validated shelter, with its region and occupancyAsOf (Date, or null if not counted)
+ * @returns {Object} - The stored shelter, with its new id
+ */
+const createShelter = (shelter) => {
+  const result = getDb().prepare(`
+    INSERT INTO shelters (name, kind, lat, lng, address, capacity, occupancy, occupancy_as_of, accessibility, pet_policy, activation, schedule, description, region)
+    VALUES (@name, @kind, @lat, @lng, @address, @capacity, @occupancy, @occupancyAsOf, @accessibility, @petPolicy, @activation, @schedule, @description, @region)
+  `).run(toShelterParams(shelter));
+  return getShelter(result.lastInsertRowid);
+};
+
+/**
+ * Replace a shelter's data
+ * @param {number} id
+ * @param {Object} shelter - Complete, validated shelter, with occupancyAsOf
+ * @returns {Object|null} - The updated shelter, or null if it doesn't exist
+ */
+const updateShelter = (id, shelter) => {
+  const result = getDb().prepare(`
+    UPDATE shelters SET
+      name = @name, kind = @kind, lat = @lat, lng = @lng, address = @address, capacity = @capacity,
+      occupancy = @occupancy, occupancy_as_of = @occupancyAsOf, accessibility = @accessibility,
+      pet_policy = @petPolicy, activation = @activation, schedule = @schedule, description = @description,
+      region = @region, updated_at = CURRENT_TIMESTAMP
+    WHERE id = @id
+  `).run({ ...toShelterParams(shelter), id });
+  return result.changes > 0 ? getShelter(id) : null;
+};
+
+/**
+ * Record how many people are at a shelter
+ * @param {number} id
+ * @param {number} occupancy
+ * @param {Date} asOf - When it was counted
+ * @returns {Object|null} - The updated shelter, or null if it doesn't exist
+ */
+const setOccupancy = (id, occupancy, asOf) => {
+  const result = getDb().prepare(`
+    UPDATE shelters SET occupancy = ?, occupancy_as_of = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+  `).run(occupancy, asOf.toISOString(), id);
+  return result.changes > 0 ? getShelter(id) : null;
+};
+
+/**
+ * Remove a shelter
+ * @param {number} id
+ * @returns {boolean} - true if a shelter was deleted
+ */
+const deleteShelter = (id) => getDb().prepare('DELETE FROM shelters WHERE id = ?').run(id).changes > 0;
+
+/**
+ * Convert a database row into a weather event
+ */
+const fromEventRow = (row) => ({
+  id: row.id,
+  type: row.type,
+  name: row.name,
+  description: row.description,
+  region: row.region,
+  startsAt: new Date(row.starts_at),
+  endsAt: row.ends_at ? new Date(row.ends_at) : null  // null = until removed
+});
+
+/**
+ * Convert a weather event into named SQL parameters
+ */
+const toEventParams = (event) => ({
+  type: event.type,
+  name: event.name,
+  description: event.description || null,
+  region: event.region,
+  startsAt: event.startsAt.toISOString(),
+  endsAt: event.endsAt ? event.endsAt.toISOString() : null
+});
+
+/**
+ * Get weather events, optionally only one region's and only those in force during a period
+ * @param {Object} filters
+ * @param {string} filters.regionId - Region id (omit for every region)
+ * @param {Date} filters.from - Only events still in force at or after this instant (omit for all of them)
+ * @param {Date} filters.to - ...and already started by this one (defaults to from)
+ * @returns {Array} - Weather events ordered by start time, then id
+ */
+const listWeatherEvents = ({ regionId, from, to = from } = {}) => {
+  const conditions = [];
+  const params = {};
+  if (regionId) {
+    conditions.push('region = @regionId');
+    params.regionId = regionId;
+  }
+  if (from) {
+    conditions.push('starts_at <= @to AND (ends_at IS NULL OR ends_at > @from)');
+    params.from = from.toISOString();
+    params.to = to.toISOString();
+  }
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  return getDb().prepare(`SELECT * FROM weather_events ${where} ORDER BY starts_at, id`).all(params).map(fromEventRow);
+};
+
+/**
+ * Get one weather event
+ * @param {number} id
+ * @returns {Object|null} - Weather event, or null if it doesn't exist
+ */
+const getWeatherEvent = (id) => {
+  const row = getDb().prepare('SELECT * FROM weather_events WHERE id = ?').get(id);
+  return row ? fromEventRow(row) : null;
+};
+
+/**
+ * Post a weather event
+ * @param {Object} event - Validated event, with its region and startsAt / endsAt as Dates
+ * @returns {Object} - The stored event, with its new id
+ */
+const createWeatherEvent = (event) => {
+  const result = getDb().prepare(`
+    INSERT INTO weather_events (type, name, description, region, starts_at, ends_at)
+    VALUES (@type, @name, @description, @region, @startsAt, @endsAt)
+  `).run(toEventParams(event));
+  return getWeatherEvent(result.lastInsertRowid);
+};
+
+/**
+ * Replace a weather event's data
+ * @param {number} id
+ * @param {Object} event - Complete, validated event
+ * @returns {Object|null} - The updated event, or null if it doesn't exist
+ */
+const updateWeatherEvent = (id, event) => {
+  const result = getDb().prepare(`
+    UPDATE weather_events SET
+      type = @type, name = @name, description = @description, region = @region,
+      starts_at = @startsAt, ends_at = @endsAt, updated_at = CURRENT_TIMESTAMP
+    WHERE id = @id
+  `).run({ ...toEventParams(event), id });
+  return result.changes > 0 ? getWeatherEvent(id) : null;
+};
+
+/**
+ * Remove a weather event
+ * @param {number} id
+ * @returns {boolean} - true if an event was deleted
+ */
+const deleteWeatherEvent = (id) => getDb().prepare('DELETE FROM weather_events WHERE id = ?').run(id).changes > 0;
+
+module.exports = {
+  listShelters,
+  getShelter,
+  createShelter,
+  updateShelter,
+  setOccupancy,
+  deleteShelter,
+  listWeatherEvents,
+  getWeatherEvent,
+  createWeatherEvent,
+  updateWeatherEvent,
+  deleteWeatherEvent
+};
@@ -0,0 +1,97 @@
+/**
+ * Transport Modes
+ * The ways a patient can get to a facility, and which of them a patient can use
+ *
+ * services/transportService.js estimates each mode's time and cost; the
+ * decision engine compares them and travels by the best mode the patient
+ * has access to. Access comes from the persona document or custom profile:
+ * - transport: 'car' | 'transit' | 'none' (models/profileSchema.js)
+ * - mobility: 'independent' | 'limited' | 'wheelchair' | 'bedbound'
+ *
+ * An ambulance is always available - calling 911 is never ruled out. A
+ * patient who can't drive or take a rideshare can book an accessible ride
+ * instead (paratransit, non-emergency medical transport or a caretaker) -
+ * the decision engine uses it for mild symptoms rather than calling 911.
+ */
+
+// Mode id → label
+const TRANSPORT_MODES = {
+  car: 'Drive',
+  rideshare: 'Rideshare',
+  transit: 'Transit',
+  walk: 'Walk',
+  accessible: 'Accessible ride',
+  ambulance: 'Ambulance (911)'
+};
+
+const MODE_IDS = Object.keys(TRANSPORT_MODES);
+
+// Modes the patient gets there by themselves - an ambulance comes to them
+const SELF_TRANSPORT_MODES = ['car', 'rideshare', 'transit', 'walk'];
+
+/**
+ * Walking speed (mph) and the longest walk to or from a transit stop (miles)
+ * for each mobility level
+ */
+const WALKING = {
+  independent: { speed: 3, maxMiles: 0.5 },
+  limited: { speed: 2, maxMiles: 0.25 },
+  wheelchair: { speed: 2.5, maxMiles: 0.25 },
+  bedbound: { speed: 0, maxMiles: 0 }
+};
+
+/**
+ * Label for a mode id, e.g. 'car' → 'Drive'. Transit is named after the
+ * region's agency: 'transit' → 'MARTA transit'
+ * @param {string} id - Mode id
+ * @param {Object} region - The patient's region (optional, models/regions.js)
+ */
+const getModeLabel = (id, region) => {
+  if (id === 'transit' && region && region.transit) return `${region.transit.name} transit`;
+  return TRANSPORT_MODES[id] || id;
+};
+
+/**
+ * Work out which modes a patient can use
+ * @param {Object} patient - Persona or custom profile ({ transport, mobility }, both optional)
+ * @returns {Object} - { modes: [ids], unavailable: { id: reason }, walkSpeed, maxWalkMiles }
+ */
+const getTransportAccess = ({ transport = 'car', mobility = 'independent' } = {}) => {
+  const unavailable = {};
+  if (transport !== 'car') {
+    unavailable.car = 'No car available';
+  }
+  if (mobility === 'wheelchair') {
+    unavailable.rideshare = 'Rideshares rarely have wheelchair-accessible vehicles';
+  }
+  if (transport === 'none') {
+    unavailable.transit = 'Transit isn\'t an option for this patient';
+  }
+  if (mobility !== 'independent') {
+    unavailable.walk = 'Walking there isn\'t safe with limited mobility';
+  }
+  if (mobility === 'bedbound') {
+    SELF_TRANSPORT_MODES.forEach(mode => {
+      unavailable[mode] = 'Bed-bound - needs to be carried by paramedics';
+    });
+  }
+  if (!unavailable.car || !unavailable.rideshare) {
+    unavailable.accessible = 'Only needed when you can\'t drive or take a rideshare';
+  }
+
+  const walking = WALKING[mobility] || WALKING.independent;
+  return {
+    modes: MODE_IDS.filter(mode => !unavailable[mode]),
+    unavailable,
+    walkSpeed: walking.speed,
+    maxWalkMiles: walking.maxMiles
+  };
+};
+
+module.exports = {
+  TRANSPORT_MODES,
+  MODE_IDS,
+  SELF_TRANSPORT_MODES,
+  getModeLabel,
+  getTransportAccess
+};
@@ -0,0 +1,144 @@
+/**
+ * Triage Schema
+ * Validates the triage question tree (data/triage.json) when it is loaded
+ *
+ * {
+ *   version: 1,
+ *   start: 'unresponsive',                 // first question
+ *   thresholds: { Moderate: 25, Severe: 60 },  // acuity at which each severity starts
+ *   questions: {
+ *     'question-id': {
+ *       text: 'Is the patient ...?',
+ *       redFlag: true,                     // optional - a screening question
+ *       answers: [
+ *         {
+ *           value: 'yes', label: 'Yes',
+ *           next: 'other-question-id',     // omit to end the questionnaire here
+ *           acuity: 20,                    // optional - points added to the acuity score
+ *           minSeverity: 'Severe',         // optional - severity can't end up lower
+ *           emergency: 'Signs of a stroke' // optional - stop here: call 911
+ *         }
+ *       ]
+ *     }
+ *   }
+ * }
+ *
+ * Every question must be reachable from start and the tree must not loop,
+ * so every path ends. validateTriageTree() returns every problem at once.
+ */
+
+const { SEVERITY_LEVELS } = require('./personaSchema');
+
+const ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Check one answer of a question
+ * @returns {Array} - Error messages
+ */
+const checkAnswer = (answer, label, questions) => {
+  if (!isPlainObject(answer)) return [`${label} must be an object`];
+  const errors = [];
+  const { value, label: text, next, acuity, minSeverity, emergency, ...rest } = answer;
+
+  if (!isNonEmptyString(value)) errors.push(`${label}.value must be a non-empty string`);
+  if (!isNonEmptyString(text)) errors.push(`${label}.label must be a non-empty string`);
+  if (next !== undefined && !questions[next]) errors.push(`${label}.next: unknown question "${next}"`);
+  if (acuity !== undefined && (typeof acuity !== 'number' || acuity < 0)) errors.push(`${label}.acuity must be a number of 0 or more`);
+  if (minSeverity !== undefined && !SEVERITY_LEVELS.includes(minSeverity)) {
+    errors.push(`${label}.minSeverity must be one of: ${SEVERITY_LEVELS.join(', ')}`);
+  }
+  if (emergency !== undefined) {
+    if (!isNonEmptyString(emergency)) errors.push(`${label}.emergency must be the reason to call 911`);
+    if (next !== undefined) errors.push(`${label}: an emergency answer ends the questionnaire - remove next`);
+  }
+  Object.keys(rest).forEach(field => errors.push(`${label}: unknown field "${field}"`));
+  return errors;
+};
+
+/**
+ * Check one question
+ * @returns {Array} - Error messages
+ */
+const checkQuestion = (question, label, questions) => {
+  if (!isPlainObject(question)) return [`${label} must be an object`];
+  const errors = [];
+  if (!isNonEmptyString(question.text)) errors.push(`${label}.text must be a non-empty string`);
+  if (question.redFlag !== undefined && typeof question.redFlag !== 'boolean') errors.push(`${label}.redFlag must be true or false`);
+  if (!Array.isArray(question.answers) || question.answers.length < 2) {
+    errors.push(`${label}.answers must list at least two answers`);
+    return errors;
+  }
+  question.answers.forEach((answer, index) => errors.push(...checkAnswer(answer, `${label}.answers[${index}]`, questions)));
+  const values = question.answers.map(answer => answer && answer.value);
+  const duplicate = values.find((value, index) => values.indexOf(value) !== index);
+  if (duplicate !== undefined) errors.push(`${label}: two answers use the value "${duplicate}"`);
+  return errors;
+};
+
+/**
+ * Find questions that can't be reached from start, and loops
+ * @returns {Array} - Error messages
+ */
+const checkPaths = (tree) => {
+  const errors = [];
+  const reached = new Set();
+  const walk = (id, trail) => {
+    if (trail.includes(id)) {
+      errors.push(`Questions loop: ${[...trail.slice(trail.indexOf(id)), id].join(' → ')}`);
+      return;
+    }
+    if (reached.has(id)) return;
+    reached.add(id);
+    const question = tree.questions[id];
+    if (!isPlainObject(question) || !Array.isArray(question.answers)) return;
+    question.answers
+      .filter(answer => isPlainObject(answer) && tree.questions[answer.next])
+      .forEach(answer => walk(answer.next, [...trail, id]));
+  };
+  walk(tree.start, []);
+
+  Object.keys(tree.questions)
+    .filter(id => !reached.has(id))
+    .forEach(id => errors.push(`Question "${id}" can't be reached from start`));
+  return errors;
+};
+
+/**
+ * Validate a triage tree
+ * @param {Object} tree - Parsed document
+ * @returns {Array} - Error messages (empty if the tree is valid)
+ */
+const validateTriageTree = (tree) => {
+  if (!isPlainObject(tree)) return ['Triage tree must be a JSON object'];
+  const errors = [];
+
+  if (!isPlainObject(tree.questions) || Object.keys(tree.questions).length === 0) {
+    return ['questions must map question ids to questions'];
+  }
+  if (typeof tree.version !== 'number') errors.push('version must be a number');
+  if (!tree.questions[tree.start]) errors.push('start must be one of the question ids');
+
+  const { Moderate, Severe } = isPlainObject(tree.thresholds) ? tree.thresholds : {};
+  if (typeof Moderate !== 'number' || typeof Severe !== 'number' || Moderate <= 0 || Severe <= Moderate) {
+    errors.push('thresholds must be { Moderate, Severe } acuity scores with 0 < Moderate < Severe');
+  }
+
+  Object.entries(tree.questions).forEach(([id, question]) => {
+    if (!ID_PATTERN.test(id)) errors.push(`Question id "${id}" must be lowercase letters, digits and dashes`);
+    errors.push(...checkQuestion(question, `questions.${id}`, tree.questions));
+  });
+  if (errors.length === 0) errors.push(...checkPaths(tree));
+
+  Object.keys(tree)
+    .filter(field => !['version', 'start', 'thresholds', 'questions'].includes(field))
+    .forEach(field => errors.push(`Unknown field "${field}"`));
+
+  return errors;
+};
+
+module.exports = {
+  validateTriageTree
+};
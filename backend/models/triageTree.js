@@ -0,0 +1,52 @@
+/**
+ * Triage Tree
+ * Loads the symptom questionnaire used to work out the severity tier
+ *
+ * The questions live in data/triage.json (or the file named by
+ * TRIAGE_TREE_PATH) - see models/triageSchema.js for the format. Like the
+ * persona documents, the tree is validated when first loaded and an invalid
+ * tree stops the backend with every problem found.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateTriageTree } = require('./triageSchema');
+
+const DEFAULT_TRIAGE_PATH = path.join(__dirname, '..', 'data', 'triage.json');
+
+let tree = null;
+
+/**
+ * Read and validate a triage tree
+ * @param {string} filePath
+ * @returns {Object} - The tree
+ */
+const loadTriageTree = (filePath = process.env.TRIAGE_TREE_PATH || DEFAULT_TRIAGE_PATH) => {
+  let loaded;
+  try {
+    loaded = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Triage tree ${path.basename(filePath)} could not be read: ${err.message}`);
+  }
+  const errors = validateTriageTree(loaded);
+  if (errors.length > 0) {
+    throw new Error(`Triage tree ${path.basename(filePath)} is invalid:\n- ${errors.join('\n- ')}`);
+  }
+  return loaded;
+};
+
+/**
+ * Get the triage tree, loading it on first use
+ * @returns {Object}
+ */
+const getTriageTree = () => {
+  if (!tree) {
+    tree = loadTriageTree();
+  }
+  return tree;
+};
+
+module.exports = {
+  loadTriageTree,
+  getTriageTree
+};
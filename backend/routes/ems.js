@@ -0,0 +1,67 @@
+/**
+ * EMS Unit Routes
+ * Ambulance availability for the EMS simulator (services/emsSimulator.js)
+ *
+ * GET    /api/ems/units              - a region's units and whether they're free (public)
+ * PUT    /api/ems/units/:id          - set a unit's status by hand (admin)
+ * DELETE /api/ems/units/:id/status   - back to the simulated status (admin)
+ *
+ * GET accepts region (id, defaults to the first region) and simulatedAt (ISO timestamp,
+ * no offset = the region's local time) to see another moment.
+ * PUT body: { status: 'available' | 'busy' | 'out-of-service', minutes?: 1-1440, note?: string }
+ * Without minutes the status holds until it is cleared.
+ */
+
+const express = require('express');
+const requireAdmin = require('../middleware/requireAdmin');
+const { parseTimestamp, toLocalTime, getLocalTime } = require('../services/clock');
+const { UNIT_STATUSES, getUnitStatuses, setUnitStatus, clearUnitStatus } = require('../services/emsSimulator');
+const { listRegions, resolveRegion } = require('../models/regions');
+
+const router = express.Router();
+
+const MAX_OVERRIDE_MINUTES = 24 * 60;
+const MAX_NOTE_LENGTH = 200;
+
+router.get('/units', (req, res) => {
+  const region = resolveRegion(req.query.region);
+  if (!region) {
+    return res.status(400).json({ success: false, error: `region must be one of: ${listRegions().map(r => r.id).join(', ')}` });
+  }
+  const { simulatedAt } = req.query;
+  const instant = simulatedAt === undefined ? null : parseTimestamp(String(simulatedAt), region.timezone);
+  if (simulatedAt !== undefined && !instant) {
+    return res.status(400).json({ success: false, error: 'simulatedAt must be an ISO timestamp, e.g. "2025-07-04T18:30"' });
+  }
+
+  const time = instant ? toLocalTime(instant, region.timezone) : getLocalTime(region.timezone);
+  res.json({ success: true, data: { region: region.id, asOf: time.iso, units: getUnitStatuses(region, time) } });
+});
+
+router.put('/units/:id', requireAdmin, (req, res) => {
+  const { status, minutes, note } = req.body || {};
+  if (!UNIT_STATUSES.includes(status)) {
+    return res.status(400).json({ success: false, error: `status must be one of: ${UNIT_STATUSES.join(', ')}` });
+  }
+  if (minutes !== undefined && (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_OVERRIDE_MINUTES)) {
+    return res.status(400).json({ success: false, error: `minutes must be a whole number from 1 to ${MAX_OVERRIDE_MINUTES}` });
+  }
+  if (note !== undefined && (typeof note !== 'string' || note.length > MAX_NOTE_LENGTH)) {
+    return res.status(400).json({ success: false, error: `note must be text of at most ${MAX_NOTE_LENGTH} characters` });
+  }
+
+  const unit = setUnitStatus(req.params.id, { status, minutes, note });
+  if (!unit) {
+    return res.status(404).json({ success: false, error: `Unit ${req.params.id} not found` });
+  }
+  res.json({ success: true, data: unit });
+});
+
+router.delete('/units/:id/status', requireAdmin, (req, res) => {
+  if (!clearUnitStatus(req.params.id)) {
+    return res.status(404).json({ success: false, error: `Unit ${req.params.id} has no status set by hand` });
+  }
+  res.json({ success: true, data: getUnitStatuses().find(unit => unit.id === req.params.id) });
+});
+
+module.exports = router;
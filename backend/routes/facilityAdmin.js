@@ -0,0 +1,154 @@
+/**
+ * Facility Registry Routes
+ * Read and admin CRUD endpoints for the facility registry (SQLite)
+ *
+ * GET    /api/facilities/:id   - one facility's registry data (public)
+ * POST   /api/facilities       - add a facility (admin)
+ * PUT    /api/facilities/:id   - replace a facility (admin)
+ * PATCH  /api/facilities/:id   - update some fields (admin)
+ * DELETE /api/facilities/:id   - remove a facility (admin)
+ *
+ * Admin endpoints need "Authorization: Bearer <ADMIN_API_KEY>".
+ * A facility sent without a region is put in the region its position is in;
+ * a position outside every region (or outside the region sent) is rejected.
+ * Changes show up in GET /api/facilities immediately - no redeploy - and are
+ * pushed to clients on the live stream (GET /api/facilities/stream).
+ */
+
+const express = require('express');
+const requireAdmin = require('../middleware/requireAdmin');
+const { validateFacility } = require('../models/facilitySchema');
+const {
+  getFacility,
+  createFacility,
+  updateFacility,
+  deleteFacility
+} = require('../models/facilityStore');
+const { listRegions, getRegion, containsPoint } = require('../models/regions');
+const { notifyFacilitiesChanged } = require('../services/facilityStream');
+
+const router = express.Router();
+
+/**
+ * Parse the :id route parameter, replying 400 if it isn't a positive integer
+ * @returns {number|null} - The id, or null if a response was already sent
+ */
+const parseId = (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) {
+    res.status(400).json({ success: false, error: 'Facility id must be a positive integer' });
+    return null;
+  }
+  return id;
+};
+
+/**
+ * Fill in the region from the facility's position when it wasn't given, and
+ * check the position is inside it - a mistyped coordinate shouldn't land in some region
+ * @param {Object} facility - Validated, complete facility data
+ * @returns {Object} - The facility with its region, or { error }
+ */
+const withRegion = (facility) => {
+  if (facility.region) {
+    const region = getRegion(facility.region);
+    return containsPoint(region, facility.position)
+      ? facility
+      : { error: `position is outside the ${region.name} region` };
+  }
+  const region = listRegions().find(candidate => containsPoint(candidate, facility.position));
+  return region
+    ? { ...facility, region: region.id }
+    : { error: `position is outside every region (${listRegions().map(candidate => candidate.id).join(', ')})` };
+};
+
+/**
+ * Reply 400 with validation errors
+ */
+const sendValidationErrors = (res, errors) => res.status(400).json({
+  success: false,
+  error: 'Invalid facility data',
+  details: errors
+});
+
+router.get('/:id', (req, res) => {
+  const id = parseId(req, res);
+  if (id === null) return;
+
+  const facility = getFacility(id);
+  if (!facility) {
+    return res.status(404).json({ success: false, error: `Facility ${id} not found` });
+  }
+  res.json({ success: true, data: facility });
+});
+
+router.post('/', requireAdmin, (req, res) => {
+  const errors = validateFacility(req.body);
+  if (errors.length > 0) return sendValidationErrors(res, errors);
+
+  const located = withRegion(req.body);
+  if (located.error) return sendValidationErrors(res, [located.error]);
+
+  const facility = createFacility(located);
+  notifyFacilitiesChanged();
+  res.status(201).json({ success: true, data: facility });
+});
+
+router.put('/:id', requireAdmin, (req, res) => {
+  const id = parseId(req, res);
+  if (id === null) return;
+
+  const errors = validateFacility(req.body);
+  if (errors.length > 0) return sendValidationErrors(res, errors);
+
+  const located = withRegion(req.body);
+  if (located.error) return sendValidationErrors(res, [located.error]);
+
+  const facility = updateFacility(id, located);
+  if (!facility) {
+    return res.status(404).json({ success: false, error: `Facility ${id} not found` });
+  }
+  notifyFacilitiesChanged();
+  res.json({ success: true, data: facility });
+});
+
+router.patch('/:id', requireAdmin, (req, res) => {
+  const id = parseId(req, res);
+  if (id === null) return;
+
+  const errors = validateFacility(req.body, { partial: true });
+  if (errors.length > 0) return sendValidationErrors(res, errors);
+
+  const existing = getFacility(id);
+  if (!existing) {
+    return res.status(404).json({ success: false, error: `Facility ${id} not found` });
+  }
+
+  // Re-check the merged result so the stored facility is always complete and valid
+  const { id: _id, ...current } = existing;
+  const merged = { ...current, ...req.body };
+  if (req.body.position && req.body.region === undefined) {
+    merged.region = null;  // Moved - work the region out again
+  }
+  const mergedErrors = validateFacility(merged);
+  if (mergedErrors.length > 0) return sendValidationErrors(res, mergedErrors);
+
+  const located = withRegion(merged);
+  if (located.error) return sendValidationErrors(res, [located.error]);
+
+  const facility = updateFacility(id, located);
+  notifyFacilitiesChanged();
+  res.json({ success: true, data: facility });
+});
+
+router.delete('/:id', requireAdmin, (req, res) => {
+  const id = parseId(req, res);
+  if (id === null) return;
+
+  if (!deleteFacility(id)) {
+    return res.status(404).json({ success: false, error: `Facility ${id} not found` });
+  }
+  notifyFacilitiesChanged();
+  res.json({ success: true, data: { id } });
+});
+
+module.exports = router;
@@ -0,0 +1,235 @@
+/**
+ * Hazard Routes
+ * Evacuation mode - hazard areas, road closures and facility operational
+ * status, posted by operators (services/hazardService.js)
+ *
+ * GET    /api/hazards                              - hazards in force (public)
+ * GET    /api/hazards/:id                          - one hazard (public)
+ * POST   /api/hazards                              - post a hazard (admin)
+ * PATCH  /api/hazards/:id                          - change some fields, e.g. endsAt to lift it (admin)
+ * DELETE /api/hazards/:id                          - remove a hazard (admin)
+ * PUT    /api/facilities/:id/operational-status    - diverting, evacuating or surge (admin)
+ * DELETE /api/facilities/:id/operational-status    - back to normal (admin)
+ *
+ * GET /api/hazards accepts region (id, default every region), simulatedAt
+ * (ISO timestamp, no offset = the region's local time) to see another moment,
+ * and all=true for every posted hazard, past and future.
+ *
+ * Hazard body: { kind: 'area' | 'closure', category, name, description?,
+ *   geometry (GeoJSON Polygon / MultiPolygon for an area, LineString /
+ *   MultiLineString drawn along a closed road), region?, startsAt?, endsAt? }
+ * Without a region the hazard goes in the region it is in; without startsAt
+ * it applies from now, without endsAt until it is removed.
+ * Operational status body: { status, note?, startsAt?, endsAt? }
+ *
+ * Changes reach the map, routes and recommendations straight away and are
+ * pushed to clients on the live stream (GET /api/facilities/stream).
+ */
+
+const express = require('express');
+const requireAdmin = require('../middleware/requireAdmin');
+const { now, parseTimestamp, toLocalTime } = require('../services/clock');
+const { validateHazard, validateOperationalStatus } = require('../models/hazardSchema');
+const {
+  listHazards,
+  getHazard,
+  createHazard,
+  updateHazard,
+  deleteHazard,
+  setOperationalStatus,
+  clearOperationalStatus
+} = require('../models/hazardStore');
+const { getFacility } = require('../models/facilityStore');
+const { listRegions, getRegion, getDefaultRegion, findRegionForPoint } = require('../models/regions');
+const { describeHazard } = require('../services/hazardService');
+const { notifyFacilitiesChanged } = require('../services/facilityStream');
+
+const router = express.Router();
+
+/**
+ * Parse the :id route parameter, replying 400 if it isn't a positive integer
+ * @returns {number|null} - The id, or null if a response was already sent
+ */
+const parseId = (req, res, label) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) {
+    res.status(400).json({ success: false, error: `${label} id must be a positive integer` });
+    return null;
+  }
+  return id;
+};
+
+/**
+ * Reply 400 with validation errors
+ */
+const sendValidationErrors = (res, error, errors) => res.status(400).json({ success: false, error, details: errors });
+
+/**
+ * The first [lng, lat] position of a GeoJSON geometry, as { lat, lng }
+ */
+const firstPoint = (geometry) => {
+  let coordinates = geometry.coordinates;
+  while (Array.isArray(coordinates[0])) coordinates = coordinates[0];
+  return { lat: coordinates[1], lng: coordinates[0] };
+};
+
+/**
+ * Read startsAt and endsAt on a region's clock
+ * @param {Object} times - { startsAt, endsAt } as sent (strings, or Dates already stored)
+ * @param {string} timezone
+ * @returns {Object} - { startsAt (Date), endsAt (Date|null) } or { error }
+ */
+const resolvePeriod = ({ startsAt, endsAt }, timezone) => {
+  const read = (value) => (value instanceof Date ? value : parseTimestamp(value, timezone));
+  // From the start of this minute - request times are read to the second, so they count it too
+  const start = startsAt ? read(startsAt) : new Date(Math.floor(now().getTime() / 60000) * 60000);
+  const end = endsAt ? read(endsAt) : null;
+  if (end && end <= start) {
+    return { error: 'endsAt must be after startsAt' };
+  }
+  return { startsAt: start, endsAt: end };
+};
+
+/**
+ * Complete a validated hazard for the store - its region and its times
+ * @param {Object} hazard - Validated hazard (startsAt / endsAt as strings or Dates)
+ * @returns {Object} - Hazard ready to store, or { error }
+ */
+const prepareHazard = (hazard) => {
+  const region = hazard.region ? getRegion(hazard.region) : findRegionForPoint(firstPoint(hazard.geometry));
+  const period = resolvePeriod(hazard, region.timezone);
+  if (period.error) return period;
+  return { ...hazard, region: region.id, ...period };
+};
+
+/**
+ * A stored hazard as the API shows it
+ */
+const toResponse = (hazard) => describeHazard(hazard, getRegion(hazard.region).timezone);
+
+router.get('/hazards', (req, res) => {
+  const { region: regionId, simulatedAt, all } = req.query;
+  const region = regionId === undefined ? null : getRegion(regionId);
+  if (regionId !== undefined && !region) {
+    return res.status(400).json({ success: false, error: `region must be one of: ${listRegions().map(r => r.id).join(', ')}` });
+  }
+  const timezone = (region || getDefaultRegion()).timezone;
+  const instant = simulatedAt === undefined ? now() : parseTimestamp(String(simulatedAt), timezone);
+  if (!instant) {
+    return res.status(400).json({ success: false, error: 'simulatedAt must be an ISO timestamp, e.g. "2025-07-04T18:30"' });
+  }
+
+  const hazards = listHazards({ regionId: region ? region.id : undefined, activeAt: all === 'true' ? undefined : instant });
+  res.json({
+    success: true,
+    data: hazards.map(toResponse),
+    ...(all === 'true' ? {} : { asOf: toLocalTime(instant, timezone).iso })
+  });
+});
+
+router.get('/hazards/:id', (req, res) => {
+  const id = parseId(req, res, 'Hazard');
+  if (id === null) return;
+
+  const hazard = getHazard(id);
+  if (!hazard) {
+    return res.status(404).json({ success: false, error: `Hazard ${id} not found` });
+  }
+  res.json({ success: true, data: toResponse(hazard) });
+});
+
+router.post('/hazards', requireAdmin, (req, res) => {
+  const errors = validateHazard(req.body);
+  if (errors.length > 0) return sendValidationErrors(res, 'Invalid hazard', errors);
+
+  const hazard = prepareHazard(req.body);
+  if (hazard.error) return res.status(400).json({ success: false, error: hazard.error });
+
+  const created = createHazard(hazard);
+  notifyFacilitiesChanged();
+  res.status(201).json({ success: true, data: toResponse(created) });
+});
+
+router.patch('/hazards/:id', requireAdmin, (req, res) => {
+  const id = parseId(req, res, 'Hazard');
+  if (id === null) return;
+
+  const errors = validateHazard(req.body, { partial: true });
+  if (errors.length > 0) return sendValidationErrors(res, 'Invalid hazard', errors);
+
+  const existing = getHazard(id);
+  if (!existing) {
+    return res.status(404).json({ success: false, error: `Hazard ${id} not found` });
+  }
+
+  // Re-check the merged result so the stored hazard is always complete and valid
+  const { id: _id, startsAt, endsAt, ...current } = existing;
+  const merged = { ...current, ...req.body };
+  if (req.body.geometry && req.body.region === undefined) {
+    merged.region = null;  // Redrawn - work the region out again
+  }
+  const mergedErrors = validateHazard(merged);
+  if (mergedErrors.length > 0) return sendValidationErrors(res, 'Invalid hazard', mergedErrors);
+
+  const hazard = prepareHazard({
+    ...merged,
+    startsAt: req.body.startsAt === undefined ? startsAt : req.body.startsAt,
+    endsAt: req.body.endsAt === undefined ? endsAt : req.body.endsAt
+  });
+  if (hazard.error) return res.status(400).json({ success: false, error: hazard.error });
+
+  const updated = updateHazard(id, hazard);
+  notifyFacilitiesChanged();
+  res.json({ success: true, data: toResponse(updated) });
+});
+
+router.delete('/hazards/:id', requireAdmin, (req, res) => {
+  const id = parseId(req, res, 'Hazard');
+  if (id === null) return;
+
+  if (!deleteHazard(id)) {
+    return res.status(404).json({ success: false, error: `Hazard ${id} not found` });
+  }
+  notifyFacilitiesChanged();
+  res.json({ success: true, data: { id } });
+});
+
+router.put('/facilities/:id/operational-status', requireAdmin, (req, res) => {
+  const id = parseId(req, res, 'Facility');
+  if (id === null) return;
+
+  const errors = validateOperationalStatus(req.body);
+  if (errors.length > 0) return sendValidationErrors(res, 'Invalid operational status', errors);
+
+  const facility = getFacility(id);
+  if (!facility) {
+    return res.status(404).json({ success: false, error: `Facility ${id} not found` });
+  }
+  const { timezone } = getRegion(facility.region);
+  const period = resolvePeriod(req.body, timezone);
+  if (period.error) return res.status(400).json({ success: false, error: period.error });
+
+  const stored = setOperationalStatus(id, { status: req.body.status, note: req.body.note, ...period });
+  notifyFacilitiesChanged();
+  res.json({
+    success: true,
+    data: {
+      ...stored,
+      startsAt: toLocalTime(stored.startsAt, timezone).iso,
+      endsAt: stored.endsAt ? toLocalTime(stored.endsAt, timezone).iso : null
+    }
+  });
+});
+
+router.delete('/facilities/:id/operational-status', requireAdmin, (req, res) => {
+  const id = parseId(req, res, 'Facility');
+  if (id === null) return;
+
+  if (!clearOperationalStatus(id)) {
+    return res.status(404).json({ success: false, error: `Facility ${id} has no operational status set` });
+  }
+  notifyFacilitiesChanged();
+  res.json({ success: true, data: { facilityId: id, status: 'normal' } });
+});
+
+module.exports = router;
@@ -0,0 +1,126 @@
+/**
+ * History Routes
+ * Aggregated time series from the history sampler (services/historySampler.js)
+ *
+ * GET /api/facilities/:id/history?from=&to=&bucket=       - a facility's wait, status and capacity
+ * GET /api/traffic/history?region=&from=&to=&bucket=      - a region's traffic levels
+ *
+ * region: region id (models/regions.js); defaults to the facility's region, or the first region
+ * from / to: ISO timestamps or dates (no offset = the region's local time); defaults to the last 24 hours
+ * bucket: raw, 5m, 15m, 30m, 1h (default), 3h, 6h or 1d
+ */
+
+const express = require('express');
+const { now, parseTimestamp, toLocalTime } = require('../services/clock');
+const { BUCKETS, getFacilityHistory, getTrafficHistory } = require('../services/historySampler');
+const { getFacility } = require('../models/facilityStore');
+const { listRegions, resolveRegion } = require('../models/regions');
+
+const router = express.Router();
+
+const DEFAULT_RANGE_HOURS = 24;
+const MAX_BUCKETS = 1000;
+const MAX_RAW_RANGE_DAYS = 7;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Parse a range bound - a full timestamp, or a bare date meaning local midnight
+ * @returns {Date|null}
+ */
+const parseBound = (value, timezone) => {
+  if (typeof value !== 'string') return null;
+  return parseTimestamp(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00` : value, timezone);
+};
+
+/**
+ * Read from, to and bucket from the query string
+ * @param {Object} query
+ * @param {Object} region - Region whose clock bare times and buckets follow
+ * @returns {Object} - { from (Date), to (Date), bucket, region } or { error }
+ */
+const resolveRange = ({ from, to, bucket = '1h' }, region) => {
+  if (!region) {
+    return { error: `region must be one of: ${listRegions().map(r => r.id).join(', ')}` };
+  }
+  if (!Object.keys(BUCKETS).includes(bucket)) {
+    return { error: `bucket must be one of: ${Object.keys(BUCKETS).join(', ')}` };
+  }
+
+  const end = to === undefined ? now() : parseBound(to, region.timezone);
+  if (!end) {
+    return { error: 'to must be an ISO timestamp or date, e.g. "2026-03-08T15:30"' };
+  }
+  const start = from === undefined ? new Date(end.getTime() - DEFAULT_RANGE_HOURS * HOUR_MS) : parseBound(from, region.timezone);
+  if (!start) {
+    return { error: 'from must be an ISO timestamp or date, e.g. "2026-03-08T15:30"' };
+  }
+  if (start >= end) {
+    return { error: 'from must be before to' };
+  }
+
+  // Keep responses a sensible size
+  const spanMinutes = (end - start) / 60000;
+  if (BUCKETS[bucket] === 0 && spanMinutes > MAX_RAW_RANGE_DAYS * 24 * 60) {
+    return { error: `Raw samples are limited to ${MAX_RAW_RANGE_DAYS} days - use a larger bucket` };
+  }
+  if (BUCKETS[bucket] > 0 && spanMinutes / BUCKETS[bucket] > MAX_BUCKETS) {
+    return { error: `That range has more than ${MAX_BUCKETS} ${bucket} buckets - use a larger bucket or a shorter range` };
+  }
+
+  return { from: start, to: end, bucket, region };
+};
+
+/**
+ * Describe the resolved range in the response (the region's local time)
+ */
+const describeRange = ({ from, to, bucket, region }) => ({
+  region: region.id,
+  from: toLocalTime(from, region.timezone).iso,
+  to: toLocalTime(to, region.timezone).iso,
+  bucket
+});
+
+router.get('/facilities/:id/history', (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) {
+    return res.status(400).json({ success: false, error: 'Facility id must be a positive integer' });
+  }
+  // Deleted facilities keep their history, so only 404 when there's nothing at all
+  const facility = getFacility(id);
+  const range = resolveRange(req.query, req.query.region || !facility
+    ? resolveRegion(req.query.region)
+    : resolveRegion(facility.region));
+  if (range.error) {
+    return res.status(400).json({ success: false, error: range.error });
+  }
+  const series = getFacilityHistory(id, range);
+  if (!facility && series.length === 0) {
+    return res.status(404).json({ success: false, error: `Facility ${id} not found` });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      facilityId: id,
+      name: facility ? facility.name : null,
+      ...describeRange(range),
+      series
+    }
+  });
+});
+
+router.get('/traffic/history', (req, res) => {
+  const range = resolveRange(req.query, resolveRegion(req.query.region));
+  if (range.error) {
+    return res.status(400).json({ success: false, error: range.error });
+  }
+  res.json({
+    success: true,
+    data: {
+      ...describeRange(range),
+      series: getTrafficHistory(range)
+    }
+  });
+});
+
+module.exports = router;
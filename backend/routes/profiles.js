@@ -0,0 +1,42 @@
+/**
+ * Profile Routes
+ * Custom patient profiles (the frontend's profile builder)
+ *
+ * GET  /api/profiles/schema    - fields, options and labels the form is built from
+ * POST /api/profiles/validate  - check a profile before saving it; returns it with defaults filled in
+ *
+ * Profiles themselves are stored by the client; POST /api/decision accepts
+ * one in place of a persona id.
+ */
+
+const express = require('express');
+const { PROFILE_FIELDS, validateProfile } = require('../models/profileSchema');
+
+const router = express.Router();
+
+// Severity hints for custom profiles (personas have their own)
+const SEVERITY_HINTS = {
+  Mild: 'Minor symptoms - uncomfortable, but able to talk, walk and drink normally',
+  Moderate: 'Symptoms getting worse - needs to be seen today',
+  Severe: 'Trouble breathing, chest pain, confusion, heavy bleeding or a seizure'
+};
+
+router.get('/schema', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      fields: PROFILE_FIELDS,
+      severities: Object.fromEntries(Object.entries(SEVERITY_HINTS).map(([level, hint]) => [level, { hint }]))
+    }
+  });
+});
+
+router.post('/validate', (req, res) => {
+  const { profile, errors } = validateProfile(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, error: 'Invalid profile', details: errors });
+  }
+  res.json({ success: true, data: profile });
+});
+
+module.exports = router;
@@ -0,0 +1,60 @@
+/**
+ * Recommendation Routes
+ * Where EVAC+ has been sending patients - for operators watching how a
+ * mass-casualty or evacuation event is spread across facilities
+ * (services/recommendationLoad.js)
+ *
+ * GET    /api/recommendations/distribution    - patients sent to each facility recently (admin)
+ * DELETE /api/recommendations                 - forget recorded recommendations, e.g. after an exercise (admin)
+ *
+ * Both accept region (id) - the distribution defaults to the first region,
+ * clearing to every region.
+ */
+
+const express = require('express');
+const requireAdmin = require('../middleware/requireAdmin');
+const { listRegions, getRegion, getDefaultRegion } = require('../models/regions');
+const { getLocalTime } = require('../services/clock');
+const { getFacilitiesWithCurrentStatus } = require('../services/simulationService');
+const { getLoadDistribution, clearRecommendations } = require('../services/recommendationLoad');
+
+const router = express.Router();
+
+/**
+ * Read the region query parameter, replying 400 if it is unknown
+ * @returns {Object|null|undefined} - The region, null when not given, or undefined if a response was already sent
+ */
+const parseRegion = (req, res) => {
+  if (req.query.region === undefined) return null;
+  const region = getRegion(req.query.region);
+  if (!region) {
+    res.status(400).json({ success: false, error: `region must be one of: ${listRegions().map(r => r.id).join(', ')}` });
+    return undefined;
+  }
+  return region;
+};
+
+router.get('/recommendations/distribution', requireAdmin, (req, res) => {
+  const parsed = parseRegion(req, res);
+  if (parsed === undefined) return;
+
+  const region = parsed || getDefaultRegion();
+  const time = getLocalTime(region.timezone);
+  res.json({
+    success: true,
+    data: {
+      region: region.id,
+      ...getLoadDistribution(getFacilitiesWithCurrentStatus(region, time), region.id)
+    },
+    asOf: time.iso
+  });
+});
+
+router.delete('/recommendations', requireAdmin, (req, res) => {
+  const region = parseRegion(req, res);
+  if (region === undefined) return;
+
+  res.json({ success: true, data: { region: region ? region.id : null, cleared: clearRecommendations(region ? region.id : null) } });
+});
+
+module.exports = router;
@@ -0,0 +1,349 @@
+/**
+ * Shelter Routes
+ * Emergency shelters, cooling centers and warming centers, and the weather
+ * events that open them (services/shelterService.js)
+ *
+ * GET    /api/shelters                   - a region's shelters with their status now (public)
+ * GET    /api/shelters/vocabulary        - kinds, accessibility features, pet policies and event types (public)
+ * GET    /api/shelters/:id               - one shelter's stored data (public)
+ * POST   /api/shelters                   - add a shelter (admin)
+ * PUT    /api/shelters/:id               - replace a shelter (admin)
+ * PATCH  /api/shelters/:id               - update some fields (admin)
+ * PUT    /api/shelters/:id/occupancy     - report how many people are there (admin)
+ * DELETE /api/shelters/:id               - remove a shelter (admin)
+ * GET    /api/weather-events             - weather events in force (public)
+ * POST   /api/weather-events             - post a weather event (admin)
+ * PATCH  /api/weather-events/:id         - change some fields, e.g. endsAt (admin)
+ * DELETE /api/weather-events/:id         - remove a weather event (admin)
+ *
+ * GET /api/shelters accepts region (id - defaults to the region the origin is
+ * in, else the first), origin ("lat,lng", for travel times - defaults to the
+ * region's default origin) and simulatedAt (ISO timestamp, no offset = the
+ * region's local time). GET /api/weather-events accepts region, simulatedAt
+ * and all=true for every posted event, past and future.
+ *
+ * Shelter body: { name, kind, position: { lat, lng }, capacity, petPolicy,
+ *   activation: { events, leadHours?, lagHours? }, address?, occupancy?,
+ *   accessibility?, schedule? (facility hours, null = around the clock),
+ *   description?, region? } - without a region it goes in the region it is in.
+ * Occupancy body: { occupancy }
+ * Weather event body: { type, name, description?, region?, startsAt?, endsAt? }
+ * - without a region it goes in the first region; without startsAt it applies
+ * from now, without endsAt until it is removed.
+ *
+ * Changes are pushed to clients on the live stream (GET /api/facilities/stream).
+ */
+
+const express = require('express');
+const requireAdmin = require('../middleware/requireAdmin');
+const { now, parseTimestamp, toLocalTime } = require('../services/clock');
+const { toLatLng } = require('../services/geo');
+const { calculateTravelTime } = require('../services/travelService');
+const { getTrafficLevel } = require('../services/simulationService');
+const { getActiveHazards } = require('../services/hazardService');
+const {
+  SHELTER_KINDS,
+  ACCESSIBILITY_FEATURES,
+  PET_POLICIES,
+  WEATHER_EVENT_TYPES,
+  validateShelter,
+  validateOccupancy,
+  validateWeatherEvent
+} = require('../models/shelterSchema');
+const {
+  getShelter,
+  createShelter,
+  updateShelter,
+  setOccupancy,
+  deleteShelter,
+  listWeatherEvents,
+  getWeatherEvent,
+  createWeatherEvent,
+  updateWeatherEvent,
+  deleteWeatherEvent
+} = require('../models/shelterStore');
+const { listRegions, getRegion, getDefaultRegion, findRegionForPoint, resolveRegion } = require('../models/regions');
+const { describeWeatherEvent, getSheltersWithCurrentStatus } = require('../services/shelterService');
+const { notifyFacilitiesChanged } = require('../services/facilityStream');
+
+const router = express.Router();
+
+/**
+ * Parse the :id route parameter, replying 400 if it isn't a positive integer
+ * @returns {number|null} - The id, or null if a response was already sent
+ */
+const parseId = (req, res, label) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) {
+    res.status(400).json({ success: false, error: `${label} id must be a positive integer` });
+    return null;
+  }
+  return id;
+};
+
+/**
+ * Reply 400 with validation errors
+ */
+const sendValidationErrors = (res, error, errors) => res.status(400).json({ success: false, error, details: errors });
+
+const regionError = () => `region must be one of: ${listRegions().map(r => r.id).join(', ')}`;
+
+/**
+ * Read simulatedAt on a region's clock (missing = now)
+ * @returns {Date|null} - null if it isn't a timestamp
+ */
+const readInstant = (simulatedAt, timezone) => (simulatedAt === undefined
+  ? now()
+  : parseTimestamp(String(simulatedAt), timezone));
+
+/**
+ * Complete a validated shelter for the store - its region and when occupancy was counted
+ * @param {Object} shelter - Validated, complete shelter
+ * @param {Object} body - The request body - occupancy sent in it was counted now
+ * @param {Date|null} lastCount - When the stored occupancy was counted (null = never)
+ */
+const prepareShelter = (shelter, body, lastCount = null) => ({
+  ...shelter,
+  region: shelter.region || findRegionForPoint(shelter.position).id,
+  occupancyAsOf: body.occupancy === undefined ? lastCount : now()
+});
+
+/**
+ * A stored shelter as the API shows it - the count time on the region's clock
+ */
+const toShelterResponse = (shelter) => ({
+  ...shelter,
+  occupancyAsOf: shelter.occupancyAsOf ? toLocalTime(shelter.occupancyAsOf, getRegion(shelter.region).timezone).iso : null
+});
+
+/**
+ * Complete a validated weather event for the store - its region and its times
+ * @param {Object} event - Validated event (startsAt / endsAt as strings or Dates)
+ * @returns {Object} - Event ready to store, or { error }
+ */
+const prepareWeatherEvent = (event) => {
+  const region = event.region ? getRegion(event.region) : getDefaultRegion();
+  const read = (value) => (value instanceof Date ? value : parseTimestamp(value, region.timezone));
+  // From the start of this minute - request times are read to the second, so they count it too
+  const startsAt = event.startsAt ? read(event.startsAt) : new Date(Math.floor(now().getTime() / 60000) * 60000);
+  const endsAt = event.endsAt ? read(event.endsAt) : null;
+  if (endsAt && endsAt <= startsAt) {
+    return { error: 'endsAt must be after startsAt' };
+  }
+  return { ...event, region: region.id, startsAt, endsAt };
+};
+
+const toEventResponse = (event) => describeWeatherEvent(event, getRegion(event.region).timezone);
+
+// ===== SHELTERS =====
+
+router.get('/shelters', (req, res) => {
+  const { region: regionId, origin: originParam, simulatedAt } = req.query;
+  const point = originParam === undefined ? null : toLatLng(originParam);
+  if (originParam !== undefined && !point) {
+    return res.status(400).json({ success: false, error: 'origin must be "lat,lng"' });
+  }
+  const region = resolveRegion(regionId, point);
+  if (!region) {
+    return res.status(400).json({ success: false, error: regionError() });
+  }
+  const instant = readInstant(simulatedAt, region.timezone);
+  if (!instant) {
+    return res.status(400).json({ success: false, error: 'simulatedAt must be an ISO timestamp, e.g. "2025-07-04T18:30"' });
+  }
+
+  const time = toLocalTime(instant, region.timezone);
+  const origin = point || { lat: region.defaultOrigin.lat, lng: region.defaultOrigin.lng };
+  const trafficLevel = getTrafficLevel(region, time);
+  const hazards = getActiveHazards(region, time);
+  res.json({
+    success: true,
+    data: getSheltersWithCurrentStatus(region, time, hazards).map(shelter => ({
+      ...shelter,
+      travelTime: calculateTravelTime(origin, shelter.position, trafficLevel, hazards)
+    })),
+    weatherEvents: listWeatherEvents({ regionId: region.id, from: instant }).map(toEventResponse),
+    region: region.id,
+    origin,
+    asOf: time.iso
+  });
+});
+
+router.get('/shelters/vocabulary', (req, res) => {
+  const entries = (vocabulary) => Object.entries(vocabulary).map(([id, label]) => ({ id, label }));
+  res.json({
+    success: true,
+    data: {
+      kinds: entries(SHELTER_KINDS),
+      accessibility: entries(ACCESSIBILITY_FEATURES),
+      petPolicies: entries(PET_POLICIES),
+      weatherEventTypes: entries(WEATHER_EVENT_TYPES)
+    }
+  });
+});
+
+router.get('/shelters/:id', (req, res) => {
+  const id = parseId(req, res, 'Shelter');
+  if (id === null) return;
+
+  const shelter = getShelter(id);
+  if (!shelter) {
+    return res.status(404).json({ success: false, error: `Shelter ${id} not found` });
+  }
+  res.json({ success: true, data: toShelterResponse(shelter) });
+});
+
+router.post('/shelters', requireAdmin, (req, res) => {
+  const errors = validateShelter(req.body);
+  if (errors.length > 0) return sendValidationErrors(res, 'Invalid shelter', errors);
+
+  const created = createShelter(prepareShelter(req.body, req.body));
+  notifyFacilitiesChanged();
+  res.status(201).json({ success: true, data: toShelterResponse(created) });
+});
+
+router.put('/shelters/:id', requireAdmin, (req, res) => {
+  const id = parseId(req, res, 'Shelter');
+  if (id === null) return;
+
+  const errors = validateShelter(req.body);
+  if (errors.length > 0) return sendValidationErrors(res, 'Invalid shelter', errors);
+
+  const existing = getShelter(id);
+  if (!existing) {
+    return res.status(404).json({ success: false, error: `Shelter ${id} not found` });
+  }
+  // A replacement without occupancy keeps the last count
+  const shelter = prepareShelter({ occupancy: existing.occupancy, ...req.body }, req.body, existing.occupancyAsOf);
+  if (shelter.occupancy > shelter.capacity) {
+    return sendValidationErrors(res, 'Invalid shelter', ['occupancy can\'t be more than capacity']);
+  }
+  const updated = updateShelter(id, shelter);
+  notifyFacilitiesChanged();
+  res.json({ success: true, data: toShelterResponse(updated) });
+});
+
+router.patch('/shelters/:id', requireAdmin, (req, res) => {
+  const id = parseId(req, res, 'Shelter');
+  if (id === null) return;
+
+  const errors = validateShelter(req.body, { partial: true });
+  if (errors.length > 0) return sendValidationErrors(res, 'Invalid shelter', errors);
+
+  const existing = getShelter(id);
+  if (!existing) {
+    return res.status(404).json({ success: false, error: `Shelter ${id} not found` });
+  }
+
+  // Re-check the merged result so the stored shelter is always complete and valid
+  const { id: _id, occupancyAsOf, ...current } = existing;
+  const merged = { ...current, ...req.body };
+  if (req.body.position && req.body.region === undefined) {
+    merged.region = null;  // Moved - work the region out again
+  }
+  const mergedErrors = validateShelter(merged);
+  if (mergedErrors.length > 0) return sendValidationErrors(res, 'Invalid shelter', mergedErrors);
+
+  const updated = updateShelter(id, prepareShelter(merged, req.body, occupancyAsOf));
+  notifyFacilitiesChanged();
+  res.json({ success: true, data: toShelterResponse(updated) });
+});
+
+router.put('/shelters/:id/occupancy', requireAdmin, (req, res) => {
+  const id = parseId(req, res, 'Shelter');
+  if (id === null) return;
+
+  const errors = validateOccupancy(req.body);
+  if (errors.length > 0) return sendValidationErrors(res, 'Invalid occupancy', errors);
+
+  const existing = getShelter(id);
+  if (!existing) {
+    return res.status(404).json({ success: false, error: `Shelter ${id} not found` });
+  }
+  if (req.body.occupancy > existing.capacity) {
+    return res.status(400).json({ success: false, error: `occupancy can't be more than capacity (${existing.capacity})` });
+  }
+
+  const updated = setOccupancy(id, req.body.occupancy, now());
+  notifyFacilitiesChanged();
+  res.json({ success: true, data: toShelterResponse(updated) });
+});
+
+router.delete('/shelters/:id', requireAdmin, (req, res) => {
+  const id = parseId(req, res, 'Shelter');
+  if (id === null) return;
+
+  if (!deleteShelter(id)) {
+    return res.status(404).json({ success: false, error: `Shelter ${id} not found` });
+  }
+  notifyFacilitiesChanged();
+  res.json({ success: true, data: { id } });
+});
+
+// ===== WEATHER EVENTS =====
+
+router.get('/weather-events', (req, res) => {
+  const { region: regionId, simulatedAt, all } = req.query;
+  const region = regionId === undefined ? null : getRegion(regionId);
+  if (regionId !== undefined && !region) {
+    return res.status(400).json({ success: false, error: regionError() });
+  }
+  const timezone = (region || getDefaultRegion()).timezone;
+  const instant = readInstant(simulatedAt, timezone);
+  if (!instant) {
+    return res.status(400).json({ success: false, error: 'simulatedAt must be an ISO timestamp, e.g. "2025-07-04T18:30"' });
+  }
+
+  const events = listWeatherEvents({ regionId: region ? region.id : undefined, from: all === 'true' ? undefined : instant });
+  res.json({
+    success: true,
+    data: events.map(toEventResponse),
+    ...(all === 'true' ? {} : { asOf: toLocalTime(instant, timezone).iso })
+  });
+});
+
+router.post('/weather-events', requireAdmin, (req, res) => {
+  const errors = validateWeatherEvent(req.body);
+  if (errors.length > 0) return sendValidationErrors(res, 'Invalid weather event', errors);
+
+  const event = prepareWeatherEvent(req.body);
+  if (event.error) return res.status(400).json({ success: false, error: event.error });
+
+  const created = createWeatherEvent(event);
+  notifyFacilitiesChanged();
+  res.status(201).json({ success: true, data: toEventResponse(created) });
+});
+
+router.patch('/weather-events/:id', requireAdmin, (req, res) => {
+  const id = parseId(req, res, 'Weather event');
+  if (id === null) return;
+
+  const errors = validateWeatherEvent(req.body, { partial: true });
+  if (errors.length > 0) return sendValidationErrors(res, 'Invalid weather event', errors);
+
+  const existing = getWeatherEvent(id);
+  if (!existing) {
+    return res.status(404).json({ success: false, error: `Weather event ${id} not found` });
+  }
+
+  const { id: _id, ...current } = existing;
+  const event = prepareWeatherEvent({ ...current, ...req.body });
+  if (event.error) return res.status(400).json({ success: false, error: event.error });
+
+  const updated = updateWeatherEvent(id, event);
+  notifyFacilitiesChanged();
+  res.json({ success: true, data: toEventResponse(updated) });
+});
+
+router.delete('/weather-events/:id', requireAdmin, (req, res) => {
+  const id = parseId(req, res, 'Weather event');
+  if (id === null) return;
+
+  if (!deleteWeatherEvent(id)) {
+    return res.status(404).json({ success: false, error: `Weather event ${id} not found` });
+  }
+  notifyFacilitiesChanged();
+  res.json({ success: true, data: { id } });
+});
+
+module.exports = router;
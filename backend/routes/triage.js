@@ -0,0 +1,31 @@
+/**
+ * Triage Routes
+ * The symptom questionnaire that works out the severity tier
+ *
+ * GET  /api/triage  - the whole question tree (for reviewing or printing it)
+ * POST /api/triage  - body { answers: { questionId: answer } } - returns the next
+ *                     question, or the severity, acuity and path once finished
+ *
+ * The finished answers can be sent to POST /api/decision as { triage: { answers } }
+ * in place of a severity. The tree itself is data/triage.json.
+ */
+
+const express = require('express');
+const { getTriageTree } = require('../models/triageTree');
+const { evaluateTriage } = require('../services/triageService');
+
+const router = express.Router();
+
+router.get('/', (req, res) => {
+  res.json({ success: true, data: getTriageTree() });
+});
+
+router.post('/', (req, res) => {
+  const result = evaluateTriage(req.body.answers === undefined ? {} : req.body.answers);
+  if (result.error) {
+    return res.status(400).json({ success: false, error: result.error });
+  }
+  res.json({ success: true, data: result });
+});
+
+module.exports = router;
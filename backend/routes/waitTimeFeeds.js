@@ -0,0 +1,44 @@
+/**
+ * Wait Time Feed Routes
+ * Push endpoint for partner systems and a status view for operators
+ *
+ * POST /api/feeds/wait-times   - push readings (needs WAIT_TIME_WEBHOOK_KEY)
+ * GET  /api/feeds/status       - provider health and latest readings (admin)
+ *
+ * Push body:
+ * {
+ *   source: 'grady-ops',   // optional, shown as waitTimeSource 'webhook:grady-ops'
+ *   readings: [{ facilityId: 1, waitMinutes: 42, asOf: '2025-07-04T18:30:00-04:00' }]
+ * }
+ * asOf is optional (defaults to when the push arrives); without an offset it is local time in the facility's region.
+ *
+ * Responds { accepted, rejected, errors: [{ index, facilityId, error }] } - the
+ * usable readings are kept, and each rejected one (e.g. a facility id that isn't
+ * in the registry) is listed with why.
+ */
+
+const express = require('express');
+const requireAdmin = require('../middleware/requireAdmin');
+const requireApiKey = require('../middleware/requireApiKey');
+const { receiveWebhookReadings, getFeedStatus } = require('../services/waitTimeFeeds');
+
+const router = express.Router();
+const requireWebhookKey = requireApiKey('WAIT_TIME_WEBHOOK_KEY', 'wait time webhook key');
+
+router.post('/wait-times', requireWebhookKey, (req, res) => {
+  const { source, readings } = req.body || {};
+  if (!Array.isArray(readings)) {
+    return res.status(400).json({ success: false, error: 'readings must be an array of { facilityId, waitMinutes, asOf }' });
+  }
+  if (source !== undefined && (typeof source !== 'string' || !/^[\w.-]{1,40}$/.test(source))) {
+    return res.status(400).json({ success: false, error: 'source must be a short name (letters, numbers, . _ -)' });
+  }
+
+  res.json({ success: true, data: receiveWebhookReadings(readings, source) });
+});
+
+router.get('/status', requireAdmin, (req, res) => {
+  res.json({ success: true, data: getFeedStatus() });
+});
+
+module.exports = router;
@@ -0,0 +1,56 @@
+/**
+ * Mock Wait Time Feed
+ * A local stand-in for a hospital JSON feed, for trying out feed ingestion
+ *
+ * Usage:
+ *   npm run mock-feed                  # serves http://localhost:4010/wait-times.json
+ *   npm run mock-feed -- --stale       # readings are 2 hours old (falls back to simulation)
+ *   npm run mock-feed -- --fail        # every request fails with 503
+ *
+ * Then set "enabled": true on "mock-json-feed" in data/wait-time-feeds.json
+ * and start the backend. Set MOCK_FEED_PORT to use another port.
+ */
+
+const http = require('http');
+
+const PORT = process.env.MOCK_FEED_PORT || 4010;
+const FACILITY_IDS = [1, 2, 3, 4, 5, 6, 7, 8];
+const STALE = process.argv.includes('--stale');
+const FAIL = process.argv.includes('--fail');
+
+/**
+ * A fresh set of readings - random waits, stamped now (or 2 hours ago with --stale)
+ */
+const buildFeed = () => {
+  const asOf = new Date(Date.now() - (STALE ? 2 * 60 * 60 * 1000 : 0)).toISOString();
+  return {
+    generatedAt: new Date().toISOString(),
+    facilities: FACILITY_IDS.map(facilityId => ({
+      facilityId,
+      waitMinutes: 5 + Math.floor(Math.random() * 85),
+      asOf
+    }))
+  };
+};
+
+const server = http.createServer((req, res) => {
+  console.log(`${new Date().toISOString()} ${req.method} ${req.url}`);
+
+  if (FAIL) {
+    res.writeHead(503, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Feed temporarily unavailable' }));
+    return;
+  }
+  if (req.method !== 'GET' || req.url !== '/wait-times.json') {
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Not found - try /wait-times.json' }));
+    return;
+  }
+
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(buildFeed(), null, 2));
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock wait time feed on http://localhost:${PORT}/wait-times.json${STALE ? ' (stale readings)' : ''}${FAIL ? ' (failing)' : ''}`);
+});
@@ -3,9 +3,10 @@
  * Emergency Evacuation & Care Access Platform
  * 
  * This server provides REST API endpoints for:
- * 1. Facility data (hospitals and urgent care centers in Midtown Atlanta)
- * 2. Decision engine (Stay/Move/Hybrid recommendations)
- * 3. Routing information (travel times and directions)
+ * 1. Facility data (hospitals and urgent care centers in each region - see GET /api/regions)
+ *    and shelters / cooling and warming centers for weather events
+ * 2. Decision engine (Stay/Move/Hybrid recommendations, or a shelter to relocate to)
+ * 3. Routing information (travel times and directions over a bundled road graph)
  * 
  * Built with Express.js - runs on port 3001 by default
  */
@@ -14,6 +15,42 @@ require('dotenv').config();  // Load environment variables from .env file
 const express = require('express');
 const cors = require('cors');  // Allow cross-origin requests from frontend
 const bodyParser = require('body-parser');  // Parse JSON request bodies
+const { listPersonas, getPersona } = require('./models/personas');
+const { validateProfile } = require('./models/profileSchema');
+const { CAPABILITIES, CONDITION_NEEDS } = require('./models/capabilities');
+const { getTriageTree } = require('./models/triageTree');
+const { evaluateTriage } = require('./services/triageService');
+const { SEVERITY_LEVELS, getRecommendation, getShelterRecommendation } = require('./services/decisionEngine');
+const { estimateCost } = require('./services/costEstimator');
+const { toLatLng } = require('./services/geo');
+const { getRoadGraph, findRoute } = require('./services/routingService');
+const { getTransitFeed } = require('./services/transitService');
+const { simulateAmbulanceTrip, canReceiveAmbulance, chooseDestination } = require('./services/emsSimulator');
+const { getEmsConfig } = require('./models/emsStations');
+const { calculateTravelTime, estimateRoute } = require('./services/travelService');
+const { geocode, reverseGeocode } = require('./services/geocoder');
+const { now, getLocalTime, toLocalTime, addMinutes, parseTimestamp, formatLocalTime } = require('./services/clock');
+const { getTrafficLevel, getFacilitiesWithCurrentStatus } = require('./services/simulationService');
+const { forecastWaitTime } = require('./services/forecastService');
+const { getActiveHazards, describeHazard } = require('./services/hazardService');
+const { getActiveWeatherEvents, describeWeatherEvent, getSheltersWithCurrentStatus } = require('./services/shelterService');
+const { getEnvironment, getEnvironmentProvider } = require('./services/environmentService');
+const { recordRecommendation } = require('./services/recommendationLoad');
+const { getFacility } = require('./models/facilityStore');
+const { getShelter } = require('./models/shelterStore');
+const { listRegions, getRegion, resolveRegion } = require('./models/regions');
+const { startWaitTimeFeeds } = require('./services/waitTimeFeeds');
+const { subscribeFacilities } = require('./services/facilityStream');
+const { startHistorySampler } = require('./services/historySampler');
+const facilityRegistryRoutes = require('./routes/facilityAdmin');
+const waitTimeFeedRoutes = require('./routes/waitTimeFeeds');
+const historyRoutes = require('./routes/history');
+const profileRoutes = require('./routes/profiles');
+const triageRoutes = require('./routes/triage');
+const emsRoutes = require('./routes/ems');
+const hazardRoutes = require('./routes/hazards');
+const shelterRoutes = require('./routes/shelters');
+const recommendationRoutes = require('./routes/recommendations');
 
 const app = express();
 const PORT = process.env.PORT || 3001;  // Use port from .env or default to 3001
@@ -46,343 +83,812 @@ app.get('/api/health', (req, res) => {
   });
 });
 
-// ===== FACILITY DATA =====
+// ===== REGIONS =====
 /**
- * TIME-BASED SIMULATION FUNCTIONS
- * These create realistic patterns based on Atlanta's actual conditions
- * No APIs needed - uses time of day to adjust wait times and traffic
+ * Work out which region and patient location a request is about
+ * - region: region id (GET /api/regions)
+ * - origin: patient location - without a region, picks the region it's in
+ * - neither: the first region, starting from its default origin
+ * @param {Object} params - Query string or request body
+ * @param {string} originFormat - How origin is written, for the error message
+ * @returns {Object} { region, origin: { lat, lng } }, or { error }
  */
+const resolveLocation = ({ region: regionId, origin }, originFormat) => {
+  const point = origin ? toLatLng(origin) : null;
+  if (origin && !point) {
+    return { error: `origin must be ${originFormat}` };
+  }
+  const region = resolveRegion(regionId, point);
+  if (!region) {
+    return { error: `Unknown region. Expected one of: ${listRegions().map(r => r.id).join(', ')}` };
+  }
+  return { region, origin: point || { lat: region.defaultOrigin.lat, lng: region.defaultOrigin.lng } };
+};
+
+/**
+ * What clients need to show a region - the simulation settings stay on the server
+ */
+const describeRegion = ({ id, name, description, timezone, bounds, center, zoom, defaultOrigin }) => ({
+  id, name, description, timezone, bounds, center, zoom, defaultOrigin
+});
 
+// ===== SIMULATED TIME =====
 /**
- * Get current hour in Atlanta timezone (EST/EDT)
- * @returns {number} Current hour (0-23)
+ * Work out which moment a request is about, on the region's clock
+ * - simulatedAt: ISO timestamp ("2025-07-04T18:30" is read as the region's local time)
+ * - simulatedHour (0-23), optionally with simulatedDate ("YYYY-MM-DD"): older shorthand
+ * - neither: the current time from the clock (services/clock.js)
+ * @param {Object} params - Query string or request body
+ * @param {Object} region - From resolveLocation()
+ * @returns {Object} { time: local time in the region, simulated: boolean, region }, or { error }
  */
-const getAtlantaHour = () => {
-  // If running in simulation mode with overridden hour, use that
-  if (global.getAtlantaHour) {
-    return global.getAtlantaHour();
+const resolveRequestTime = ({ simulatedAt, simulatedHour, simulatedDate }, region) => {
+  const { timezone } = region;
+  if (simulatedAt) {
+    const instant = parseTimestamp(String(simulatedAt), timezone);
+    if (!instant) {
+      return { error: 'simulatedAt must be an ISO timestamp, e.g. "2025-07-04T18:30" (local time) or "2025-07-04T22:30:00Z"' };
+    }
+    return { time: toLocalTime(instant, timezone), simulated: true, region };
+  }
+  
+  const hasHour = simulatedHour !== undefined && simulatedHour !== null && simulatedHour !== '';
+  if (!hasHour && !simulatedDate) {
+    return { time: getLocalTime(timezone), simulated: false, region };
+  }
+  
+  const current = getLocalTime(timezone);
+  const hour = hasHour ? Number(simulatedHour) : current.hour;
+  if (!Number.isInteger(hour) || hour < 0 || hour > 23) {
+    return { error: 'simulatedHour must be an hour 0-23' };
+  }
+  const minute = hasHour ? 0 : current.minute;  // Simulated hours start on the hour
+  const clockTime = `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+  const instant = parseTimestamp(`${simulatedDate || current.date}T${clockTime}`, timezone);
+  if (!instant) {
+    return { error: 'simulatedDate must be "YYYY-MM-DD"' };
   }
-  return new Date().getHours();
+  return { time: toLocalTime(instant, timezone), simulated: true, region };
 };
 
 /**
- * Calculate wait time multiplier based on time of day
- * Based on real Atlanta ER patterns:
- * - Morning (6-10am): Moderate traffic, fewer patients
- * - Midday (10am-2pm): Lower traffic, steady patients  
- * - Afternoon Rush (2-7pm): Heavy traffic, more patients
- * - Evening (7pm-midnight): Moderate traffic, moderate patients
- * - Night (midnight-6am): Low traffic, fewer patients
- * 
- * @param {string} facilityType - 'ER' or 'Urgent Care'
- * @param {number} specifiedHour - Optional hour to use instead of current time
- * @returns {number} Multiplier for base wait time (0.5 = half wait, 2.0 = double wait)
+ * Time fields added to responses so clients can show which moment was used
+ * @param {Object} requestTime - From resolveRequestTime()
  */
-const getTimeMultiplier = (facilityType, specifiedHour = null) => {
-  const hour = specifiedHour !== null ? specifiedHour : getAtlantaHour();
-  
-  if (facilityType === 'ER') {
-    // ERs triage by severity, so these are average wait times for moderate urgency cases
-    // Peak times have more non-urgent cases competing for attention
-    if (hour >= 17 && hour < 21) return 1.6;  // 5pm-9pm: Peak time (post-work, dinner accidents)
-    if (hour >= 21 && hour < 24) return 1.0;  // 9pm-midnight: Normal
-    if (hour >= 14 && hour < 17) return 1.3;  // 2pm-5pm: Afternoon moderate
-    if (hour >= 10 && hour < 14) return 1.0;  // 10am-2pm: Normal
-    if (hour >= 6 && hour < 10) return 1.2;   // 6am-10am: Morning moderate
-    if (hour >= 0 && hour < 6) return 0.7;    // Midnight-6am: Quieter
-    return 0.9;  // Other times
-  } else { // Urgent Care
-    // Urgent Care busiest during business hours, closed at night
-    if (hour >= 9 && hour < 12) return 1.6;   // 9am-noon: Morning rush
-    if (hour >= 12 && hour < 14) return 1.3;  // Noon-2pm: Lunch time
-    if (hour >= 14 && hour < 18) return 1.8;  // 2pm-6pm: After-work rush
-    if (hour >= 18 && hour < 20) return 1.4;  // 6pm-8pm: Early evening
-    if (hour >= 20 || hour < 8) return 0;     // Closed overnight
-    return 1.0;  // Other times: Normal
+const describeRequestTime = ({ time, simulated, region }) => ({
+  simulatedAt: simulated ? time.iso : null,
+  simulatedHour: simulated ? time.hour : null,
+  localTime: time.iso,  // The region's local time with its UTC offset (e.g. EDT, MST)
+  timezone: region.timezone,
+  simulationNote: simulated ? `Simulating ${formatLocalTime(time)}` : 'Using current time'
+});
+
+// Forecasts and departures reach at most 12 hours ahead
+const MAX_MINUTES_AHEAD = 12 * 60;
+
+/**
+ * Read a number of minutes ahead (horizon, departIn) from a request
+ * @param {*} value - Query or body value (missing = 0)
+ * @param {string} name - Parameter name for the error message
+ * @returns {Object} { minutes } or { error }
+ */
+const parseMinutesAhead = (value, name) => {
+  if (value === undefined || value === null || value === '') return { minutes: 0 };
+  const minutes = Number(value);
+  if (!Number.isInteger(minutes) || minutes < 0 || minutes > MAX_MINUTES_AHEAD) {
+    return { error: `${name} must be a whole number of minutes from 0 to ${MAX_MINUTES_AHEAD}` };
   }
+  return { minutes };
 };
 
 /**
- * Get traffic congestion level for current time
- * Based on real Atlanta traffic patterns (notorious for rush hour!)
- * @returns {string} 'low', 'moderate', 'heavy', or 'severe'
+ * Read who the patient is from a request body
+ * - profile: { persona: id } or a custom profile (validated against models/profileSchema.js)
+ * @param {Object} profile - The body's profile
+ * @returns {Object} { personaId, profile }, or { error } plus details (profile errors)
  */
-const getTrafficLevel = (specifiedHour = null) => {
-  const hour = specifiedHour !== null ? specifiedHour : getAtlantaHour();
-  
-  // Atlanta rush hours are brutal
-  if ((hour >= 7 && hour < 10) || (hour >= 16 && hour < 19)) {
-    return 'severe';  // Morning and evening rush hour
+const resolveProfile = (profile = {}) => {
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    return { error: 'profile must be { persona } or a custom profile object' };
   }
-  if ((hour >= 6 && hour < 7) || (hour >= 10 && hour < 12) || (hour >= 14 && hour < 16)) {
-    return 'heavy';  // Pre-rush and midday business traffic
+  // A persona id, or a custom profile the engine derives its weights from
+  const custom = profile.persona === undefined ? validateProfile(profile) : null;
+  if (custom && custom.errors.length > 0) {
+    return { error: 'Invalid profile', details: custom.errors };
   }
-  if (hour >= 12 && hour < 14) {
-    return 'moderate';  // Lunch hour
+  if (!custom && !getPersona(profile.persona)) {
+    return { error: `Unknown persona. Expected one of: ${listPersonas().map(persona => persona.id).join(', ')}` };
   }
-  return 'low';  // Night and very early morning
+  return { personaId: custom ? undefined : profile.persona, profile: custom ? custom.profile : undefined };
 };
 
 /**
- * Real facilities in Midtown Atlanta with BASE wait times
- * Actual wait times are calculated dynamically using getTimeMultiplier()
- * This creates realistic patterns without needing real-time APIs
+ * Read who the patient is and how sick they are from a request body
+ * - profile: as for resolveProfile()
+ * - severity, or triage: { answers } to work it out from the questionnaire
+ * @param {Object} body - Request body
+ * @returns {Object} { personaId, profile, severity, triage }, or { error } plus
+ *   details (profile errors) or next (the unanswered triage question)
  */
-const baseFacilities = [
-  // ===== HOSPITALS (ERs) - Open 24/7 =====
-  {
-    id: 1,
-    name: 'Grady Memorial Hospital',
-    type: 'ER',
-    position: { lat: 33.75195416278939, lng: -84.3819428302756 },
-    baseWaitTime: 35,  // Busy but efficient trauma center
-    insurance: ['All'],
-    specialties: ['Emergency', 'Trauma', 'Cardiac'],
-    description: 'Level I Trauma Center - Open 24 Hours',
-    hours: 'Open 24 Hours'
-  },
-  {
-    id: 2,
-    name: 'Emory University Hospital Midtown',
-    type: 'ER',
-    position: { lat: 33.76869084805124, lng: -84.38621170037598 },
-    baseWaitTime: 25,  // Well-staffed, efficient
-    insurance: ['Most major'],
-    specialties: ['Emergency', 'Cardiac', 'Orthopedic'],
-    description: 'Well-equipped ER - Open 24 Hours',
-    hours: 'Open 24 Hours'
-  },
-  {
-    id: 3,
-    name: 'Piedmont Atlanta Hospital',
-    type: 'ER',
-    position: { lat: 33.81103085024464, lng: -84.3943913906418 },
-    baseWaitTime: 28,  // Efficient operation
-    insurance: ['All'],
-    specialties: ['Emergency', 'Trauma', 'Stroke'],
-    description: 'Comprehensive ER with stroke center - Open 24 Hours',
-    hours: 'Open 24 Hours'
-  },
-  
-  // ===== URGENT CARE FACILITIES - Various Hours =====
-  {
-    id: 4,
-    name: 'Peachtree Immediate Care - Midtown',
-    type: 'Urgent Care',
-    position: { lat: 33.786171179889614, lng: -84.40213978794662 },
-    baseWaitTime: 15,
-    insurance: ['Most major'],
-    specialties: ['Urgent Care', 'X-Ray'],
-    description: 'Quick walk-in care for minor injuries',
-    hours: '8am-8pm daily',
-    openHour: 8,
-    closeHour: 20
-  },
-  {
-    id: 5,
-    name: 'Northside Family Medicine & Urgent Care - Midtown',
-    type: 'Urgent Care',
-    position: { lat: 33.78559512820032, lng: -84.3881366051433 },
-    baseWaitTime: 18,
-    insurance: ['Most major'],
-    specialties: ['Urgent Care', 'Family Medicine'],
-    description: 'Family medicine and urgent care services',
-    hours: '8am-8pm daily',
-    openHour: 8,
-    closeHour: 20
-  },
-  {
-    id: 6,
-    name: 'Urgent Care 24/7 Atlanta',
-    type: 'Urgent Care',
-    position: { lat: 33.7639936949412, lng: -84.39236397399422 },
-    baseWaitTime: 20,
-    insurance: ['Most major'],
-    specialties: ['Urgent Care', '24/7 Service'],
-    description: 'Only 24-hour urgent care in the area',
-    hours: 'Open 24 Hours',
-    openHour: 0,
-    closeHour: 24
-  },
-  {
-    id: 7,
-    name: 'Piedmont Urgent Care',
-    type: 'Urgent Care',
-    position: { lat: 33.774404209332836, lng: -84.35837497260282 },
-    baseWaitTime: 17,
-    insurance: ['Most major'],
-    specialties: ['Urgent Care', 'Lab Services'],
-    description: 'Full-service urgent care with lab',
-    hours: '7am-7pm daily',
-    openHour: 7,
-    closeHour: 19
-  },
-  {
-    id: 8,
-    name: 'Atlanta Urgent Care at Peachtree',
-    type: 'Urgent Care',
-    position: { lat: 33.820357661936804, lng: -84.39200269737198 },
-    baseWaitTime: 16,
-    insurance: ['Most major'],
-    specialties: ['Urgent Care', 'X-Ray'],
-    description: 'Convenient Peachtree location',
-    hours: 'Mon-Thu 8am-8pm, Fri 8am-7pm, Sat-Sun 9am-6pm',
-    openHour: 8,
-    closeHour: 20  // Most restrictive hours for simple logic
-  }
-];
-
-/**
- * Get facilities with dynamically calculated wait times
- * This function applies time-based multipliers to create realistic patterns
- * @returns {Array} Facilities with current wait times and status
- */
-const getFacilitiesWithCurrentStatus = (specifiedHour = null) => {
-  const hour = specifiedHour !== null ? specifiedHour : getAtlantaHour();
-  
-  return baseFacilities.map(facility => {
-    const multiplier = getTimeMultiplier(facility.type, hour);
-    
-    // Calculate current wait time
-    const currentWaitTime = Math.round(facility.baseWaitTime * multiplier);
-    
-    // Determine if facility is open based on its specific hours
-    let status = 'Open';
-    
-    if (facility.type === 'ER') {
-      // ERs are always open 24/7
-      status = 'Open';
-    } else if (facility.type === 'Urgent Care') {
-      // Check if facility has specific hours
-      if (facility.openHour !== undefined && facility.closeHour !== undefined) {
-        if (facility.openHour === 0 && facility.closeHour === 24) {
-          // 24-hour urgent care
-          status = 'Open';
-        } else if (hour < facility.openHour || hour >= facility.closeHour) {
-          status = 'Closed';
-        }
-      } else {
-        // Default urgent care hours (8am-8pm) if not specified
-        if (hour < 8 || hour >= 20) {
-          status = 'Closed';
-        }
-      }
-    }
-    
-    return {
-      ...facility,
-      currentWaitTime,
-      waitTimeDisplay: status === 'Open' && currentWaitTime > 0 ? `${currentWaitTime} min` : 'Closed',
-      status,
-      capacity: currentWaitTime < 20 ? 'High' : currentWaitTime < 40 ? 'Medium' : 'Low'
-    };
+const resolvePatient = ({ profile, severity, triage: triageRequest }) => {
+  const person = resolveProfile(profile);
+  if (person.error) {
+    return person;
+  }
+
+  // Triage answers decide the severity when they're sent
+  const triage = triageRequest === undefined ? null : evaluateTriage(triageRequest && triageRequest.answers);
+  if (triage && triage.error) {
+    return { error: triage.error };
+  }
+  if (triage && !triage.complete) {
+    return { error: 'Triage is not finished', next: triage.next };
+  }
+  const resolvedSeverity = triage ? triage.severity : severity;
+  if (!SEVERITY_LEVELS.includes(resolvedSeverity)) {
+    return { error: `Unknown severity. Expected one of: ${SEVERITY_LEVELS.join(', ')}` };
+  }
+
+  return {
+    ...person,
+    severity: resolvedSeverity,
+    triage: triage || undefined
+  };
+};
+
+/**
+ * A region's facilities at a moment with travel times from an origin
+ * Shared by GET /api/facilities and its live stream
+ * @param {Object} origin - { lat, lng }
+ * @param {Object} requestTime - From resolveRequestTime() (its region is the one shown)
+ * @returns {Object} - {
+ *   data, shelters, weatherEvents, environment, origin, region, trafficLevel, hazards, lastUpdated, ...describeRequestTime()
+ * }
+ */
+const buildFacilitiesView = (origin, requestTime) => {
+  // Get facilities at the simulated or current time
+  const { region, time } = requestTime;
+  const trafficLevel = getTrafficLevel(region, time);
+  const hazards = getActiveHazards(region, time);
+  const withTravelTime = (place) => ({
+    ...place,
+    travelTime: calculateTravelTime(origin, place.position, trafficLevel, hazards)
   });
+
+  return {
+    data: getFacilitiesWithCurrentStatus(region, time).map(withTravelTime),
+    shelters: getSheltersWithCurrentStatus(region, time, hazards).map(withTravelTime),  // Shelter layer
+    weatherEvents: getActiveWeatherEvents(region, time).map(event => describeWeatherEvent(event, region.timezone)),
+    environment: getEnvironment(region, time),  // Temperature, heat index and air quality
+    origin,
+    region: describeRegion(region),  // Name, timezone and map bounds
+    trafficLevel,  // Current or simulated traffic conditions
+    hazards: hazards.map(hazard => describeHazard(hazard, region.timezone)),  // Evacuation mode overlays
+    lastUpdated: now().toISOString(),
+    ...describeRequestTime(requestTime)  // simulatedAt, simulatedHour, localTime, simulationNote
+  };
 };
 
 // ===== API ENDPOINTS =====
 
 /**
  * GET /api/facilities
- * Returns list of all emergency care facilities with CURRENT wait times
- * Wait times are calculated dynamically based on time of day
+ * Returns a region's emergency care facilities with CURRENT wait times
+ * Wait times are calculated dynamically based on time of day, day of week and season
  * This creates realistic patterns without needing real-time APIs
  * 
  * Query parameters:
- * - simulatedHour (optional): Hour 0-23 to simulate specific time
+ * - region (optional): region id (defaults to the region the origin is in, else the first)
+ * - simulatedAt (optional): ISO timestamp to simulate, e.g. "2025-07-04T18:30" (the region's local time)
+ * - simulatedHour / simulatedDate (optional): Older shorthand - hour 0-23 on a "YYYY-MM-DD" date
+ * - origin (optional): User location as "lat,lng" (defaults to the region's default origin)
  * 
  * Response includes:
- * - Current wait times (adjusted for time of day)
- * - Open/closed status
- * - Traffic level
- * - Time of last update
+ * - Current wait times (live feed when fresh, otherwise adjusted for time of day)
+ *   with waitTimeSource ('simulation' or the feed's name) and waitTimeAsOf
+ * - Open/closed status, with closesInMinutes / opensAt and a statusDetail message
+ * - Evacuation mode: operationalStatus ('normal', 'diverting', 'evacuating' or
+ *   'surge') with operationalNote / operationalUntil, and the hazard area the
+ *   facility is in (or null)
+ * - Travel time from the origin (road network, current traffic, around hazards),
+ *   with detour: { extraMinutes, hazards } when hazards lengthen the trip
+ * - Traffic level, and the hazards in force (see routes/hazards.js)
+ * - shelters: the region's shelters, cooling and warming centers with their status
+ *   ('Open', 'Full', 'Closed' or 'Standby'), free places and travel time, and the
+ *   weatherEvents in force that open them (see routes/shelters.js)
+ * - environment: temperature (°F), humidity, heatIndex with its heat level, aqi
+ *   with its air category and pollutant, and the provider it came from
+ *   (see services/environmentService.js) - null when nothing reports on the region
+ * - The region (name, timezone, map bounds)
+ * - Time of last update, and the local time used (localTime, simulationNote)
  */
 app.get('/api/facilities', (req, res) => {
-  // Check if simulated hour is provided
-  const simulatedHour = req.query.simulatedHour ? parseInt(req.query.simulatedHour) : null;
+  const location = resolveLocation(req.query, '"lat,lng"');
+  if (location.error) {
+    return res.status(400).json({ success: false, error: location.error });
+  }
+
+  // Check if a simulated time is provided
+  const requestTime = resolveRequestTime(req.query, location.region);
+  if (requestTime.error) {
+    return res.status(400).json({ success: false, error: requestTime.error });
+  }
+  
+  res.json({ success: true, ...buildFacilitiesView(location.origin, requestTime) });
+});
+
+/**
+ * GET /api/facilities/stream
+ * Live facility updates over Server-Sent Events (services/facilityStream.js)
+ * Takes the same query parameters as GET /api/facilities
+ *
+ * Events:
+ * - facilities: { data, trafficLevel, ..., changes } - the same body as GET /api/facilities,
+ *   sent on connecting and then whenever a status, wait time or the traffic changes.
+ *   changes lists what changed since the last event: [{ type, facilityId, name, from, to }]
+ *   (type 'status', 'waitTime', 'added', 'removed', 'traffic', 'operationalStatus', 'hazards',
+ *   'shelterStatus', 'weatherEvents' or 'environment' - the heat level or air category)
+ *
+ * Without a simulated time the view follows the clock, so hours, waits and
+ * traffic move on as they would on the map; with one it only changes when
+ * the registry or a live feed does.
+ */
+app.get('/api/facilities/stream', (req, res) => {
+  const location = resolveLocation(req.query, '"lat,lng"');
+  if (location.error) {
+    return res.status(400).json({ success: false, error: location.error });
+  }
+  const { region, origin } = location;
+  const requestTime = resolveRequestTime(req.query, region);
+  if (requestTime.error) {
+    return res.status(400).json({ success: false, error: requestTime.error });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.write('retry: 5000\n\n');  // Browsers reconnect after this many ms if the connection drops
+
+  const unsubscribe = subscribeFacilities({
+    build: () => buildFacilitiesView(origin, requestTime.simulated ? requestTime : resolveRequestTime({}, region)),
+    send: (view) => res.write(`event: facilities\ndata: ${JSON.stringify({ success: true, ...view })}\n\n`),
+    heartbeat: () => res.write(': heartbeat\n\n')
+  });
+  req.on('close', unsubscribe);
+});
+
+/**
+ * GET /api/facilities/:id/forecast
+ * Predicts a facility's wait some minutes ahead - e.g. when you'd arrive
+ * Starts from the time-of-day model, corrected by recorded history and
+ * any live reading (see services/forecastService.js)
+ * 
+ * Query parameters:
+ * - horizon (optional): minutes ahead, 0-720 (default 0)
+ * - simulatedAt (optional): ISO timestamp to forecast from instead of now
+ *   (no offset = local time in the facility's region)
+ * 
+ * Returns the current wait and the forecast { at, waitTime, status, statusDetail, basis }
+ */
+app.get('/api/facilities/:id/forecast', (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) {
+    return res.status(400).json({ success: false, error: 'Facility id must be a positive integer' });
+  }
+  const horizon = parseMinutesAhead(req.query.horizon, 'horizon');
+  if (horizon.error) {
+    return res.status(400).json({ success: false, error: horizon.error });
+  }
+  const registered = getFacility(id);
+  const region = registered && getRegion(registered.region);
+  if (!region) {
+    return res.status(404).json({ success: false, error: `Facility ${id} not found` });
+  }
+  const requestTime = resolveRequestTime(req.query, region);
+  if (requestTime.error) {
+    return res.status(400).json({ success: false, error: requestTime.error });
+  }
   
-  // Get facilities with simulated or current hour
-  const facilities = getFacilitiesWithCurrentStatus(simulatedHour);
-  const trafficLevel = getTrafficLevel(simulatedHour);
+  const facility = getFacilitiesWithCurrentStatus(region, requestTime.time).find(f => f.id === id);
   
   res.json({
     success: true,
-    data: facilities,
-    trafficLevel,  // Current or simulated traffic conditions
-    lastUpdated: new Date().toISOString(),
-    simulatedHour: simulatedHour,
-    simulationNote: simulatedHour !== null 
-      ? `Simulating ${simulatedHour}:00 (${simulatedHour % 12 || 12}${simulatedHour >= 12 ? 'PM' : 'AM'})`
-      : 'Using current time'
+    data: {
+      facilityId: facility.id,
+      name: facility.name,
+      currentWaitTime: facility.currentWaitTime,
+      waitTimeSource: facility.waitTimeSource,
+      horizon: horizon.minutes,
+      forecast: forecastWaitTime(facility, addMinutes(requestTime.time, horizon.minutes))
+    },
+    ...describeRequestTime(requestTime)
   });
 });
 
+/**
+ * Facility registry - GET/POST/PUT/PATCH/DELETE /api/facilities/:id
+ * Write endpoints require the admin API key (see routes/facilityAdmin.js)
+ */
+app.use('/api/facilities', facilityRegistryRoutes);
+
+/**
+ * Live wait time feeds - POST /api/feeds/wait-times (webhook), GET /api/feeds/status
+ * Pull providers (JSON feeds, CSV drops) are polled in the background - see services/waitTimeFeeds.js
+ */
+app.use('/api/feeds', waitTimeFeedRoutes);
+
+/**
+ * Recorded history - GET /api/facilities/:id/history, GET /api/traffic/history
+ * Samples are taken in the background every HISTORY_SAMPLE_MINUTES - see services/historySampler.js
+ */
+app.use('/api', historyRoutes);
+
+/**
+ * Evacuation mode - GET/POST/PATCH/DELETE /api/hazards/:id,
+ * PUT/DELETE /api/facilities/:id/operational-status
+ * Hazard areas and road closures that routes avoid, and facilities on
+ * diversion, evacuating or in surge. Writes require the admin API key -
+ * see routes/hazards.js
+ */
+app.use('/api', hazardRoutes);
+
+/**
+ * Shelters - GET/POST/PUT/PATCH/DELETE /api/shelters/:id, PUT /api/shelters/:id/occupancy,
+ * GET/POST/PATCH/DELETE /api/weather-events/:id
+ * Emergency shelters and cooling / warming centers, opened by weather events.
+ * Writes require the admin API key - see routes/shelters.js
+ */
+app.use('/api', shelterRoutes);
+
+/**
+ * Recommendation load - GET /api/recommendations/distribution, DELETE /api/recommendations
+ * How recent recommendations are spread across facilities, for operators.
+ * Require the admin API key - see routes/recommendations.js
+ */
+app.use('/api', recommendationRoutes);
+
+/**
+ * GET /api/regions
+ * The areas EVAC+ covers, loaded from the documents in data/regions/
+ * Each has its name, timezone, map bounds and center, and the default
+ * patient location; pass its id as `region` to the other endpoints
+ */
+app.get('/api/regions', (req, res) => {
+  res.json({ success: true, data: listRegions().map(describeRegion) });
+});
+
+/**
+ * GET /api/personas
+ * Patient personas, loaded from the documents in data/personas/
+ * Each has its profile details and, per severity, a hint, cost estimate and
+ * the options the decision engine chooses between
+ */
+app.get('/api/personas', (req, res) => {
+  res.json({ success: true, data: listPersonas() });
+});
+
+/**
+ * GET /api/capabilities
+ * The capability taxonomy facilities are described with, and what each
+ * patient condition requires or prefers per severity (models/capabilities.js)
+ */
+app.get('/api/capabilities', (req, res) => {
+  res.json({ success: true, data: { capabilities: CAPABILITIES, conditions: CONDITION_NEEDS } });
+});
+
+/**
+ * Custom patient profiles - GET /api/profiles/schema, POST /api/profiles/validate
+ * See models/profileSchema.js for the fields
+ */
+app.use('/api/profiles', profileRoutes);
+
+/**
+ * Symptom triage questionnaire - GET /api/triage, POST /api/triage
+ * See services/triageService.js for how answers become a severity
+ */
+app.use('/api/triage', triageRoutes);
+
 /**
  * POST /api/decision
  * Decision engine endpoint - analyzes patient info and recommends action
+ * Scoring lives in services/decisionEngine.js so every client gets the same answer
  * 
  * Request body should include:
- * - age: patient age
- * - healthStatus: 'mild', 'moderate', or 'critical'
- * - mobility: 'full', 'limited', etc.
- * - location: current coordinates
+ * - profile: { persona: persona id from GET /api/personas, e.g. 'asthma' },
+ *   or a custom profile { age, pregnant, conditions, mobility, ... } (GET /api/profiles/schema)
+ * - severity: 'Mild', 'Moderate', or 'Severe'
+ * - triage (instead of severity): { answers: { questionId: answer } } from the
+ *   questionnaire (GET /api/triage) - the severity is worked out from them
+ * - origin (optional): { lat, lng } patient location (defaults to the region's default origin)
+ * - region (optional): region id (defaults to the region the origin is in, else the first)
+ * - simulatedAt (optional): ISO timestamp to simulate (no offset = the region's local time)
+ * - simulatedHour / simulatedDate (optional): Older shorthand - hour 0-23 on a "YYYY-MM-DD" date
+ * - departIn (optional): minutes until the patient leaves, 0-720 (default 0 = now)
+ * - need (optional): 'medical' (default) or 'shelter' - a safe place to stay during a
+ *   weather event rather than care; severity and triage aren't needed for a shelter
+ * - pets (optional, shelter only): true when bringing pets
+ * - clientId (optional): an id the client keeps for the session (up to 64 letters, digits,
+ *   '-' or '_') - asking again replaces its earlier recommendation in the load count
+ * - track (optional): false for a what-if that nobody will act on (default true)
+ *
+ * Live medical recommendations are recorded, and the patients recently sent to a
+ * facility lengthen its wait and spread later patients out - see services/recommendationLoad.js
  * 
  * Returns:
- * - recommendation: 'STAY', 'MOVE', or 'HYBRID'
+ * - decision: display text, e.g. 'STAY - Call 911' or 'MOVE to ER'
+ * - mode: 'STAY', 'MOVE', or 'HYBRID'
+ * - facility: which facility to use
+ * - travelTime: { time, distance } to that facility
+ * - departAt / arriveAt: local times leaving and arriving
+ * - expectedWaitTime: forecast wait on arrival (what the wait factor scores)
+ * - totalTime: travel + expected wait
+ * - transport: { mode, options } - every way to get there (drive, rideshare, transit, walk,
+ *   ambulance) with its time and cost; travelTime is for the mode used
+ * - ems: going by ambulance, the simulated response - unit, arrival at the patient and
+ *   at the hospital the crew picks - compared with the fastest way there yourself (else null)
+ * - cost: out-of-pocket estimate at that facility for the patient's plan (see POST /api/cost-estimate)
  * - reasoning: array of reasons for this recommendation
- * - suggestedFacility: which facility to use
+ * - needs / excluded: capabilities the patient's conditions require or prefer,
+ *   and open facilities ruled out for missing a required one
+ * - unavailable: open facilities left out in an emergency - on diversion, evacuating
+ *   or inside a hazard area - as [{ id, name, reason }]
+ * - originHazard: the hazard area the patient is in, or null
+ * - environment: heat and air quality when leaving, with the risks they pose to the patient
+ *   and severityRaised ({ from, to }) when they make mild symptoms moderate (null if unknown)
+ * - triage: severity, acuity and the questions and answers on the path taken (when triage was sent)
+ * - weights: the factor weights the option scored with (factors missing from it count for nothing)
+ * - alternatives: every candidate facility ranked, with per-factor scores and forecasts, and a
+ *   breakdown of every factor ({ raw, weight, points }) - score is the sum of raw × weight / 100
+ * - comparison: every open, reachable facility that can treat the patient - of any type - scored
+ *   and ranked the same way ({ rank, recommended, candidate (one of the alternatives), facility,
+ *   travelTime, expectedWaitTime, totalTime, breakdown, score }), for re-weighting in a client
+ *
+ * For need: 'shelter' the result has decision 'RELOCATE to Cooling Center' (mode 'RELOCATE')
+ * or 'STAY - Call 211', shelter instead of facility, travelTime, departAt / arriveAt,
+ * transport, reasoning, needs (accessibility features required and preferred),
+ * excluded / unavailable shelters, originHazard, weatherEvents, environment and ranked alternatives
  */
 app.post('/api/decision', (req, res) => {
-  const { age, healthStatus, mobility, location } = req.body;
+  const { need = 'medical', pets = false, clientId = null, track = true } = req.body;
+  if (!['medical', 'shelter'].includes(need)) {
+    return res.status(400).json({ success: false, error: 'need must be "medical" or "shelter"' });
+  }
+  if (typeof pets !== 'boolean') {
+    return res.status(400).json({ success: false, error: 'pets must be true or false' });
+  }
+  if (clientId !== null && (typeof clientId !== 'string' || !/^[A-Za-z0-9_-]{1,64}$/.test(clientId))) {
+    return res.status(400).json({ success: false, error: 'clientId must be up to 64 letters, digits, "-" or "_"' });
+  }
+  if (typeof track !== 'boolean') {
+    return res.status(400).json({ success: false, error: 'track must be true or false' });
+  }
+  const patient = need === 'shelter' ? resolveProfile(req.body.profile) : resolvePatient(req.body);
+  if (patient.error) {
+    return res.status(400).json({ success: false, ...patient });
+  }
+
+  const location = resolveLocation(req.body, '{ lat, lng }');
+  if (location.error) {
+    return res.status(400).json({ success: false, error: location.error });
+  }
+  const { region, origin } = location;
   
-  let recommendation = 'MOVE';
-  let reasoning = [];
+  const requestTime = resolveRequestTime(req.body, region);
+  if (requestTime.error) {
+    return res.status(400).json({ success: false, error: requestTime.error });
+  }
+  const departIn = parseMinutesAhead(req.body.departIn, 'departIn');
+  if (departIn.error) {
+    return res.status(400).json({ success: false, error: departIn.error });
+  }
   
-  // Decision logic based on patient factors
-  if (age > 65 || healthStatus === 'critical' || mobility === 'limited') {
-    recommendation = 'STAY';  // Call ambulance for high-risk patients
-    reasoning.push('Age, health status, or mobility suggests ambulance dispatch');
-  } else if (healthStatus === 'moderate') {
-    recommendation = 'HYBRID';  // Combination approach for moderate cases
-    reasoning.push('Moderate condition suggests hybrid approach');
-  } else {
-    recommendation = 'MOVE';  // Patient can safely travel independently
-    reasoning.push('User can safely travel to nearest facility');
+  // Opening hours and traffic as they'll be when the patient leaves
+  const departure = addMinutes(requestTime.time, departIn.minutes);
+  const hazards = getActiveHazards(region, departure);
+  const result = need === 'shelter' ? getShelterRecommendation({
+    ...patient,
+    pets,
+    region,
+    origin,
+    shelters: getSheltersWithCurrentStatus(region, departure, hazards),
+    weatherEvents: getActiveWeatherEvents(region, departure).map(event => describeWeatherEvent(event, region.timezone)),
+    trafficLevel: getTrafficLevel(region, departure),
+    hazards,
+    environment: getEnvironment(region, departure),
+    departure
+  }) : getRecommendation({
+    ...patient,
+    region,
+    origin,
+    facilities: getFacilitiesWithCurrentStatus(region, departure),
+    trafficLevel: getTrafficLevel(region, departure),
+    hazards,
+    environment: getEnvironment(region, departure),
+    departure
+  });
+
+  // Someone is on their way - count them against the facility (not for simulated times)
+  if (need === 'medical' && track && !requestTime.simulated && result.facility) {
+    recordRecommendation({ facility: result.facility, mode: result.mode, clientId });
   }
   
   res.json({
     success: true,
-    recommendation,
-    reasoning,
-    suggestedFacility: facilities[0]  // TODO: Implement smart facility selection
+    data: result,
+    ...describeRequestTime(requestTime)
+  });
+});
+
+/**
+ * POST /api/cost-estimate
+ * Itemized out-of-pocket estimate for a visit to one facility
+ * See services/costEstimator.js for the cost model
+ *
+ * Request body should include:
+ * - profile, severity or triage: as for POST /api/decision (the plan is the profile's insurance)
+ * - facilityId: facility to estimate
+ * - ambulance (optional): include ambulance transport (default: only for a triage red flag)
+ * - deductibleMet (optional): deductible already paid this year, in dollars (default 0)
+ *
+ * Returns plan, inNetwork, visitLevel, items (billed, allowed, copay, deductible,
+ * coinsurance, youPay, insurancePays), total and notes
+ */
+app.post('/api/cost-estimate', (req, res) => {
+  const { facilityId, ambulance, deductibleMet = 0 } = req.body;
+
+  const patient = resolvePatient(req.body);
+  if (patient.error) {
+    return res.status(400).json({ success: false, ...patient });
+  }
+  if (ambulance !== undefined && typeof ambulance !== 'boolean') {
+    return res.status(400).json({ success: false, error: 'ambulance must be true or false' });
+  }
+  if (typeof deductibleMet !== 'number' || !Number.isFinite(deductibleMet) || deductibleMet < 0) {
+    return res.status(400).json({ success: false, error: 'deductibleMet must be a dollar amount of 0 or more' });
+  }
+
+  const id = ['number', 'string'].includes(typeof facilityId) ? Number(facilityId) : NaN;
+  if (!Number.isInteger(id) || id <= 0) {
+    return res.status(400).json({ success: false, error: 'facilityId must be a positive integer' });
+  }
+  const facility = getFacility(id);
+  if (!facility) {
+    return res.status(404).json({ success: false, error: `Facility ${id} not found` });
+  }
+
+  const { triage } = patient;
+  res.json({
+    success: true,
+    data: estimateCost({
+      planId: patient.profile ? patient.profile.insurance : getPersona(patient.personaId).insurance,
+      facility,
+      severity: patient.severity,
+      acuity: triage ? triage.acuity : undefined,
+      ambulance: ambulance === undefined ? Boolean(triage && triage.emergency) : ambulance,
+      deductibleMet
+    })
+  });
+});
+
+/**
+ * EMS units - GET /api/ems/units, PUT /api/ems/units/:id, DELETE /api/ems/units/:id/status
+ * Stations and units are listed in data/ems-stations.json - see services/emsSimulator.js
+ */
+app.use('/api/ems', emsRoutes);
+
+/**
+ * POST /api/ems/dispatch
+ * Simulate a 911 call: which ambulance comes, when it reaches the patient,
+ * and when it gets them to hospital (services/emsSimulator.js)
+ *
+ * Request body (all optional):
+ * - origin: { lat, lng } patient location (defaults to the region's default origin)
+ * - region: region id - its units answer (defaults to the region the origin is in, else the first)
+ * - severity: 'Mild', 'Moderate' or 'Severe' (default) - Severe needs a paramedic (ALS) unit
+ * - facilityId: hospital to go to - an open ER taking patients (default: the closest
+ *   one - not on diversion, evacuating, inside a hazard area or cut off by one)
+ * - simulatedAt / simulatedHour / simulatedDate: as for POST /api/decision
+ *
+ * Returns dispatch (unit, station, mutualAid, notes), responseMinutes, arriveAtPatient,
+ * onSceneMinutes, transportMinutes, arriveAtHospital, time (call to hospital), detour
+ * (hazards the ambulance goes around, or null) and facility
+ */
+app.post('/api/ems/dispatch', (req, res) => {
+  const { severity = 'Severe', facilityId } = req.body;
+
+  const location = resolveLocation(req.body, '{ lat, lng }');
+  if (location.error) {
+    return res.status(400).json({ success: false, error: location.error });
+  }
+  const { region, origin } = location;
+  if (!SEVERITY_LEVELS.includes(severity)) {
+    return res.status(400).json({ success: false, error: `Unknown severity. Expected one of: ${SEVERITY_LEVELS.join(', ')}` });
+  }
+  const requestTime = resolveRequestTime(req.body, region);
+  if (requestTime.error) {
+    return res.status(400).json({ success: false, error: requestTime.error });
+  }
+
+  const { time } = requestTime;
+  const facilities = facilityId === undefined
+    ? getFacilitiesWithCurrentStatus(region, time).filter(canReceiveAmbulance)
+    : getFacilitiesWithCurrentStatus(region, time).filter(facility => facility.id === parseInt(facilityId));
+  if (facilities.length === 0) {
+    return res.status(404).json({
+      success: false,
+      error: facilityId === undefined ? 'No ER is open and taking patients at this time' : `Facility not found in ${region.name}`
+    });
+  }
+  if (!canReceiveAmbulance(facilities[0])) {
+    return res.status(400).json({
+      success: false,
+      error: `Ambulances only take patients to an open ER taking patients - ${facilities[0].name} isn't one right now`
+    });
+  }
+
+  const params = {
+    region,
+    time,
+    trafficLevel: getTrafficLevel(region, time),
+    hazards: getActiveHazards(region, time),
+    advancedLifeSupport: severity === 'Severe'
+  };
+  // Hospitals the hazards cut off are out
+  const trips = facilities
+    .map(facility => ({ facility, trip: simulateAmbulanceTrip(origin, facility.position, params) }))
+    .filter(({ trip }) => trip);
+  if (trips.length === 0) {
+    return res.status(404).json({ success: false, error: 'Hazards close every road to the hospitals that could take the patient' });
+  }
+  const { choice } = chooseDestination(trips.map(({ facility, trip }) => ({
+    facility, trip, transportMinutes: trip.transportMinutes, specialties: 0
+  })));
+
+  res.json({
+    success: true,
+    data: {
+      ...choice.trip,
+      facility: { id: choice.facility.id, name: choice.facility.name, type: choice.facility.type }
+    },
+    ...describeRequestTime(requestTime)
   });
 });
 
 /**
  * GET /api/route
  * Provides routing information between two points
- * In production, this would integrate with a real routing service
+ * Runs A* over the region's bundled road graph - works fully offline
  * 
  * Query parameters:
- * - origin: starting location
- * - destination: ending location
+ * - origin: starting location as "lat,lng" (defaults to the region's default origin)
+ * - region (optional): region id - sets the traffic pattern (defaults to the region the origin is in)
+ * - destination: ending location as "lat,lng"
+ * - facilityId: route to this facility instead of a destination point
+ * - shelterId: or to this shelter (GET /api/shelters)
+ * - simulatedAt (optional): ISO timestamp - sets the traffic level used for duration
+ *   and the hazards routed around (simulatedHour / simulatedDate also accepted)
  * 
- * Returns estimated travel time and turn-by-turn directions
+ * Returns distance, duration, a GeoJSON LineString, turn-by-turn steps,
+ * detour ({ extraMinutes, hazards } when closed roads or hazard areas were avoided, else null),
+ * hazardWarning ({ origin, destination, message } when the trip starts or ends inside a hazard
+ * area - the route can't keep out of that one - else null) and source 'road'. When the region has no road graph or a point is off it, the route is a
+ * straight-line estimate instead (source 'straight-line', with a note).
+ * 404 with details { unreachable: true, hazards } when hazards close every way there
  */
 app.get('/api/route', (req, res) => {
-  const { origin, destination } = req.query;
+  const { destination, facilityId, shelterId } = req.query;
+  const location = resolveLocation(req.query, '"lat,lng"');
+  if (location.error) {
+    return res.status(400).json({ success: false, error: location.error });
+  }
+  const { region, origin: from } = location;
+  const requestTime = resolveRequestTime(req.query, region);
+  if (requestTime.error) {
+    return res.status(400).json({ success: false, error: requestTime.error });
+  }
+  
+  let to = null;
+  let destinationName = null;
+  if (facilityId) {
+    const facility = getFacility(parseInt(facilityId));
+    if (!facility) {
+      return res.status(404).json({ success: false, error: `Facility ${facilityId} not found` });
+    }
+    to = facility.position;
+    destinationName = facility.name;
+  } else if (shelterId) {
+    const shelter = getShelter(parseInt(shelterId));
+    if (!shelter) {
+      return res.status(404).json({ success: false, error: `Shelter ${shelterId} not found` });
+    }
+    to = shelter.position;
+    destinationName = shelter.name;
+  } else {
+    to = toLatLng(destination);
+  }
+  if (!to) {
+    return res.status(400).json({ success: false, error: 'destination must be "lat,lng" (or pass facilityId or shelterId)' });
+  }
+  
+  const options = {
+    trafficLevel: getTrafficLevel(region, requestTime.time),
+    destinationName,
+    hazards: getActiveHazards(region, requestTime.time)
+  };
+  const route = findRoute(from, to, { ...options, graph: getRoadGraph(region) });
+  if (route && route.unreachable) {
+    return res.status(404).json({
+      success: false,
+      error: `No drivable route - every way there is closed by ${route.hazards.map(hazard => hazard.name).join(', ')}`,
+      details: { unreachable: true, hazards: route.hazards }
+    });
+  }
   
-  // Placeholder routing data - would use real routing API in production
   res.json({
     success: true,
-    data: {
-      distance: '2.3 miles',
-      duration: '8 minutes',
-      steps: [
-        'Head north on Peachtree St',
-        'Turn right on 10th St',
-        'Arrive at destination'
-      ]
-    }
+    data: route || estimateRoute(from, to, options)
+  });
+});
+
+/**
+ * GET /api/geocode
+ * Resolves an address, place name or intersection to coordinates
+ * Uses the region's bundled gazetteer and road network - no external geocoding service
+ * 
+ * Query parameters:
+ * - q: search text, e.g. "Fox Theatre", "266 Ferst Dr NW" or "10th St & Peachtree St"
+ * - region (optional): region id to search (default: the first region)
+ * - limit (optional): maximum results, a positive integer (default 5)
+ * 
+ * Returns matches best first: { name, address, type, position: { lat, lng }, score } -
+ * only places inside the region, so none for a region without a gazetteer or road network
+ */
+app.get('/api/geocode', (req, res) => {
+  const { q } = req.query;
+  const limit = req.query.limit === undefined ? 5 : Number(req.query.limit);
+  
+  if (typeof q !== 'string' || !q.trim()) {
+    return res.status(400).json({ success: false, error: 'q (search text) is required - give it once' });
+  }
+  if (!Number.isInteger(limit) || limit <= 0) {
+    return res.status(400).json({ success: false, error: 'limit must be a positive integer' });
+  }
+  const region = resolveRegion(req.query.region, null);
+  if (!region) {
+    return res.status(400).json({ success: false, error: `Unknown region. Expected one of: ${listRegions().map(r => r.id).join(', ')}` });
+  }
+  
+  res.json({
+    success: true,
+    data: geocode(q, region, limit)
+  });
+});
+
+/**
+ * GET /api/geocode/reverse
+ * Names the closest known place to a point (used for map clicks and geolocation)
+ * 
+ * Query parameters:
+ * - lat, lng: the point
+ * - region (optional): region id whose gazetteer to search (default: the region the point is in)
+ * 
+ * Returns the nearby place, or null when nothing known is within a few blocks
+ */
+app.get('/api/geocode/reverse', (req, res) => {
+  const point = toLatLng({ lat: req.query.lat, lng: req.query.lng });
+  if (!point) {
+    return res.status(400).json({ success: false, error: 'lat and lng are required' });
+  }
+  const region = resolveRegion(req.query.region, point);
+  if (!region) {
+    return res.status(400).json({ success: false, error: `Unknown region. Expected one of: ${listRegions().map(r => r.id).join(', ')}` });
+  }
+  
+  res.json({
+    success: true,
+    data: reverseGeocode(point, region)
   });
 });
 
@@ -408,7 +914,27 @@ app.use((err, req, res, next) => {
  * Start the Express server and listen for requests
  * Logs the server URL for easy access during development
  */
+listRegions();  // Stop here if a region document is invalid
+listPersonas();  // ...or a persona document is
+getTriageTree();  // ...or the triage questionnaire is
+listRegions().forEach(region => {
+  getRoadGraph(region);  // ...or a region's road extract can't be read
+  getTransitFeed(region);  // ...or its GTFS feed is missing files
+});
+getEmsConfig();  // ...or the EMS station list is invalid
+getEnvironmentProvider();  // ...or the environment provider or its fixture is
+
 app.listen(PORT, () => {
   console.log(`EVAC+ Backend API running on http://localhost:${PORT}`);
   console.log(`Health check: http://localhost:${PORT}/api/health`);
+  
+  const feeds = startWaitTimeFeeds();
+  if (feeds.length > 0) {
+    console.log(`Polling wait time feeds: ${feeds.join(', ')}`);
+  }
+
+  const sampleMinutes = startHistorySampler();
+  if (sampleMinutes > 0) {
+    console.log(`Recording history every ${sampleMinutes} min`);
+  }
 });
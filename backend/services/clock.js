@@ -0,0 +1,191 @@
+/**
+ * Clock
+ * The single place the backend asks "what time is it?", and how that moment
+ * reads on a region's wall clock
+ *
+ * Wait times, traffic and opening hours all work from a local time produced
+ * here, in the timezone of the region the request is about (models/regions.js).
+ * Without a timezone, times are in Atlanta (America/New_York), where EVAC+ started.
+ * The clock is injectable - setClock() swaps in a fixed or fake clock (demos,
+ * scripted scenarios) - instead of patching globals.
+ *
+ * Local times are resolved with Intl, so daylight saving changes are handled
+ * correctly whatever timezone the server itself runs in.
+ */
+
+const TIMEZONE = 'America/New_York';
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const HOUR_MS = 60 * 60 * 1000;
+
+const systemClock = () => new Date();
+let clock = systemClock;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// One formatter per timezone - building them is slow
+const formatters = new Map();
+const getFormatter = (timezone) => {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      timeZoneName: 'short'
+    }));
+  }
+  return formatters.get(timezone);
+};
+
+/**
+ * Check a timezone name is one Intl knows, e.g. 'America/Denver'
+ * @returns {boolean}
+ */
+const isValidTimezone = (timezone) => {
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+/**
+ * Current time from the active clock
+ * @returns {Date}
+ */
+const now = () => clock();
+
+/**
+ * Replace the clock
+ * @param {Function|null} newClock - Returns a Date; null restores the system clock
+ */
+const setClock = (newClock) => {
+  clock = newClock || systemClock;
+};
+
+/**
+ * Read an instant as wall-clock time in a timezone
+ * @param {Date} instant
+ * @param {string} timezone - IANA name (defaults to Atlanta)
+ * @returns {Object} - {
+ *   date: 'YYYY-MM-DD', hour, minute, minutes (since midnight),
+ *   dayOfWeek (0 = Sunday), month (1-12), offsetMinutes (e.g. -240 in EDT),
+ *   zone (e.g. 'EDT'), timezone, iso: 'YYYY-MM-DDTHH:MM:SS-04:00'
+ * }
+ */
+const toLocalTime = (instant, timezone = TIMEZONE) => {
+  const parts = {};
+  getFormatter(timezone).formatToParts(instant).forEach(({ type, value }) => {
+    parts[type] = type === 'timeZoneName' ? value : Number(value);
+  });
+
+  const wallMs = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  const offsetMinutes = Math.round((wallMs - Math.floor(instant.getTime() / 1000) * 1000) / 60000);
+  const date = `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`;
+  const offset = `${offsetMinutes < 0 ? '-' : '+'}${pad(Math.floor(Math.abs(offsetMinutes) / 60))}:${pad(Math.abs(offsetMinutes) % 60)}`;
+
+  return {
+    date,
+    hour: parts.hour,
+    minute: parts.minute,
+    minutes: parts.hour * 60 + parts.minute,
+    dayOfWeek: new Date(wallMs).getUTCDay(),
+    month: parts.month,
+    offsetMinutes,
+    zone: parts.timeZoneName,
+    timezone,
+    iso: `${date}T${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}${offset}`
+  };
+};
+
+/**
+ * Current local time in a timezone from the active clock
+ * @param {string} timezone - Defaults to Atlanta
+ */
+const getLocalTime = (timezone = TIMEZONE) => toLocalTime(now(), timezone);
+
+/**
+ * The same timezone's local time some minutes later (or earlier, if negative)
+ * @param {Object} time - From toLocalTime()
+ * @param {number} minutes
+ */
+const addMinutes = (time, minutes) => toLocalTime(new Date(Date.parse(time.iso) + minutes * 60000), time.timezone);
+
+/**
+ * Find the instant a wall-clock time in a timezone refers to
+ * Times skipped by the spring-forward change move forward an hour (2:30 AM → 3:30 AM EDT);
+ * times repeated in the fall-back change use the first (daylight time) occurrence.
+ * @param {string} date - 'YYYY-MM-DD'
+ * @param {number} hour
+ * @param {number} minute
+ * @param {string} timezone - Defaults to Atlanta
+ * @returns {Date}
+ */
+const fromLocalWallTime = (date, hour, minute = 0, timezone = TIMEZONE) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const wallMs = Date.UTC(year, month - 1, day, hour, minute);
+
+  // The offset a day either side is the one before and after any DST change
+  const offsets = [wallMs - 24 * HOUR_MS, wallMs + 24 * HOUR_MS]
+    .map(ms => toLocalTime(new Date(ms), timezone).offsetMinutes)
+    .sort((a, b) => b - a);  // Daylight time (e.g. EDT, -240) first
+
+  const candidates = offsets.map(offset => new Date(wallMs - offset * 60000));
+  const exact = candidates.find(candidate => {
+    const local = toLocalTime(candidate, timezone);
+    return local.date === date && local.hour === hour && local.minute === minute;
+  });
+  return exact || candidates[candidates.length - 1];
+};
+
+/**
+ * Parse an ISO timestamp
+ * With a zone ('Z' or '-04:00') it is an exact instant; without one
+ * ('2025-07-04T18:30') it is read as local time in the timezone.
+ * @param {string} value
+ * @param {string} timezone - Defaults to Atlanta
+ * @returns {Date|null} - null if the timestamp isn't valid
+ */
+const parseTimestamp = (value, timezone = TIMEZONE) => {
+  const match = /^(\d{4}-\d{2}-\d{2})T(\d{2}):(\d{2})(?::\d{2}(?:\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/.exec(value || '');
+  if (!match) return null;
+
+  const [, date, hour, minute, zone] = match;
+  const day = new Date(`${date}T00:00:00Z`);
+  if (Number.isNaN(day.getTime())) return null;  // e.g. month 13
+  if (day.toISOString().slice(0, 10) !== date) return null;  // e.g. Feb 30
+  if (Number(hour) > 23 || Number(minute) > 59) return null;
+
+  const instant = zone ? new Date(value) : fromLocalWallTime(date, Number(hour), Number(minute), timezone);
+  return Number.isNaN(instant.getTime()) ? null : instant;
+};
+
+/**
+ * Format a local time for display, e.g. 'Sun, Mar 8, 2026, 3:30 AM EDT'
+ * @param {Object} time - From toLocalTime()
+ */
+const formatLocalTime = (time) => {
+  const [year, , day] = time.date.split('-').map(Number);
+  const clockTime = `${time.hour % 12 || 12}:${pad(time.minute)} ${time.hour >= 12 ? 'PM' : 'AM'}`;
+  return `${DAY_NAMES[time.dayOfWeek]}, ${MONTH_NAMES[time.month - 1]} ${day}, ${year}, ${clockTime} ${time.zone}`;
+};
+
+module.exports = {
+  TIMEZONE,
+  now,
+  setClock,
+  isValidTimezone,
+  toLocalTime,
+  getLocalTime,
+  addMinutes,
+  fromLocalWallTime,
+  parseTimestamp,
+  formatLocalTime
+};
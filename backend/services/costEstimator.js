@@ -0,0 +1,128 @@
+/**
+ * Cost Estimator
+ * Itemized out-of-pocket estimate for a visit: the facility visit at its
+ * level, plus ambulance transport when the patient calls 911
+ *
+ * Each item is billed at the facility's charge (models/insurancePlans.js),
+ * reduced to the plan's negotiated rate in network, then split into
+ * copay, or deductible + coinsurance, capped by the out-of-pocket maximum.
+ *
+ * - Emergency care (ER visits and ambulance transport) costs the in-network
+ *   amount even out of network - the No Surprises Act bans surprise bills
+ * - Other care out of network uses the plan's out-of-network coinsurance on
+ *   the full charge, or isn't covered at all
+ * - Uninsured patients pay the full charge
+ *
+ * The deductible and out-of-pocket maximum start from deductibleMet - what the
+ * patient has already paid this year (0 unless they say otherwise).
+ */
+
+const {
+  PLANS,
+  UNINSURED,
+  VISIT_CHARGES,
+  AMBULANCE_CHARGE,
+  getPlanLabel
+} = require('../models/insurancePlans');
+
+// Visit level when there's no triage acuity score to go on
+const SEVERITY_VISIT_LEVELS = { Mild: 2, Moderate: 4, Severe: 5 };
+
+/**
+ * Visit level 1-5 from the triage acuity (0-100), or from the severity
+ */
+const getVisitLevel = (severity, acuity) => (
+  typeof acuity === 'number'
+    ? Math.min(5, 1 + Math.floor(acuity / 20))
+    : SEVERITY_VISIT_LEVELS[severity]
+);
+
+/**
+ * Check a facility accepts a plan
+ * @returns {boolean} - false for uninsured patients
+ */
+const isInNetwork = (facility, planId) => planId !== UNINSURED && (facility.insurance || []).includes(planId);
+
+/**
+ * Estimate what a visit costs the patient
+ * @param {Object} params
+ * @param {string} params.planId - Plan id from models/insurancePlans.js, or 'none'
+ * @param {Object} params.facility - Facility (needs id, name, type, insurance)
+ * @param {string} params.severity - 'Mild', 'Moderate' or 'Severe'
+ * @param {number} params.acuity - Triage acuity 0-100, if known (sets the visit level)
+ * @param {boolean} params.ambulance - Include ambulance transport (calling 911)
+ * @param {number} params.deductibleMet - Deductible already paid this year
+ * @returns {Object} - { plan, facility, inNetwork, visitLevel, items, total, notes }
+ */
+const estimateCost = ({ planId, facility, severity, acuity, ambulance = false, deductibleMet = 0 }) => {
+  const plan = PLANS[planId] || null;
+  const inNetwork = isInNetwork(facility, planId);
+  const visitLevel = getVisitLevel(severity, acuity);
+
+  const services = [
+    { description: `${facility.type} visit (level ${visitLevel})`, kind: facility.type, billed: VISIT_CHARGES[facility.type][visitLevel - 1] },
+    ...(ambulance ? [{ description: 'Ambulance transport', kind: 'ambulance', billed: AMBULANCE_CHARGE }] : [])
+  ];
+
+  let deductibleLeft = plan ? Math.max(0, plan.deductible - deductibleMet) : 0;
+  let outOfPocketLeft = plan && plan.outOfPocketMax !== null ? Math.max(0, plan.outOfPocketMax - deductibleMet) : Infinity;
+  const notes = [];
+
+  const items = services.map(({ description, kind, billed }) => {
+    const emergency = kind === 'ER' || kind === 'ambulance';
+    const uncovered = { description, billed, allowed: billed, copay: 0, deductible: 0, coinsurance: 0, youPay: billed, insurancePays: 0, covered: false };
+    if (!plan) return uncovered;
+
+    // Negotiated rate in network (and for emergencies); the full charge otherwise
+    const networkRate = inNetwork || emergency;
+    if (!networkRate && plan.outOfNetworkCoinsurance === null) return uncovered;
+    const allowed = networkRate ? Math.round(billed * plan.allowedRate) : billed;
+    const copayAmount = networkRate ? plan.copays[kind] : null;  // No copays out of network
+
+    let copay = 0;
+    let deductible = 0;
+    let coinsurance = 0;
+    if (copayAmount !== null) {
+      copay = Math.min(copayAmount, allowed);
+    } else {
+      deductible = Math.min(allowed, deductibleLeft);
+      deductibleLeft -= deductible;
+      coinsurance = Math.round((allowed - deductible) * (networkRate ? plan.coinsurance : plan.outOfNetworkCoinsurance));
+    }
+
+    const owed = copay + deductible + coinsurance;
+    const youPay = Math.min(owed, outOfPocketLeft);
+    outOfPocketLeft -= youPay;
+    return { description, billed, allowed, copay, deductible, coinsurance, youPay, insurancePays: allowed - youPay, covered: true };
+  });
+
+  if (!plan) {
+    notes.push('Uninsured - ask about self-pay discounts, payment plans and financial assistance');
+  } else if (!inNetwork && facility.type === 'ER') {
+    notes.push(`${facility.name} is out of network - emergency care still costs the in-network amount (No Surprises Act)`);
+  } else if (!inNetwork) {
+    notes.push(plan.outOfNetworkCoinsurance === null
+      ? `${facility.name} is out of network - ${plan.label} won't cover this visit`
+      : `${facility.name} is out of network - you pay ${Math.round(plan.outOfNetworkCoinsurance * 100)}% of the full charge after the deductible`);
+  }
+  if (plan && outOfPocketLeft === 0) {
+    notes.push('You reach your out-of-pocket maximum with this visit');
+  }
+
+  const sum = (field) => items.reduce((total, item) => total + item[field], 0);
+  return {
+    plan: { id: planId, label: getPlanLabel(planId) },
+    facility: { id: facility.id, name: facility.name, type: facility.type },
+    inNetwork,
+    visitLevel,
+    items,
+    total: { billed: sum('billed'), youPay: sum('youPay'), insurancePays: sum('insurancePays') },
+    notes
+  };
+};
+
+module.exports = {
+  getVisitLevel,
+  isInNetwork,
+  estimateCost
+};
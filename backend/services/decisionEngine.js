@@ -0,0 +1,938 @@
+/**
+ * Decision Engine
+ * Analyzes patient profile + facility data → recommends Stay/Move/Hybrid
+ *
+ * WEIGHTED RECOMMENDATION ENGINE
+ * Every open candidate facility is scored on several factors (wait time,
+ * travel time, expertise...). Each persona document (data/personas/) - or,
+ * for a custom profile, the rules in services/profileRules.js - decides, per
+ * severity, which facility types to consider and how much each factor
+ * matters. The best scoring facility is recommended, and the full ranked list
+ * is returned so clients can show alternatives - each with its breakdown:
+ * every factor's raw score, its weight and the points it earned, so a client
+ * can show why and re-rank with weights of its own (score = sum of raw × weight / 100).
+ * A wider comparison scores every open facility that can treat the patient,
+ * whatever its type, so re-weighting can weigh an ER against an urgent care.
+ *
+ * Facilities that can't treat the patient's conditions (models/capabilities.js)
+ * are ruled out, and among the rest the one with the most preferred
+ * capabilities wins - e.g. OB/GYN specialists for a pregnancy.
+ *
+ * Every facility also gets an out-of-pocket estimate for the patient's
+ * insurance plan (services/costEstimator.js), including the ambulance when
+ * the advice is to call 911.
+ *
+ * Every way of getting there - car, rideshare, transit, walking, ambulance -
+ * is estimated (services/transportService.js) and the patient travels by the
+ * fastest one they have access to (models/transportModes.js), or by
+ * ambulance when the advice is to call 911. Travel times are scored for that mode.
+ *
+ * Going by ambulance, the EMS simulator (services/emsSimulator.js) decides
+ * which unit comes, when it reaches the patient and which hospital the crew
+ * takes them to - and the response is compared with the fastest way the
+ * patient could get there themselves.
+ *
+ * The severity can come from the triage questionnaire (services/triageService.js);
+ * its answers are added to the reasoning, and a red flag always means calling 911.
+ *
+ * Waits are scored as forecast for when the patient would arrive (departure
+ * time + travel time), not as they are right now - see services/forecastService.js
+ *
+ * In an emergency (services/hazardService.js), facilities on diversion,
+ * evacuating or inside a hazard area are left out, and every trip is
+ * estimated around closed roads and hazard areas - a facility the hazards cut
+ * off (every road there closed) is left out too, ambulance destinations included.
+ *
+ * Heat and air quality (services/environmentService.js) count for patients
+ * they put at risk: time spent outside - walking, waiting at transit stops -
+ * counts extra when choosing how to travel, and conditions that set off the
+ * patient's own (bad air with asthma, dangerous heat for an older adult)
+ * make mild symptoms moderate ones.
+ *
+ * Patients EVAC+ has recently sent somewhere already lengthen its wait
+ * (services/recommendationLoad.js). On top of that, when another option
+ * scores about as well (within SIMILAR_SCORE_POINTS) and has been sent fewer
+ * patients, the patient goes there instead - so a crowd asking at once is
+ * spread out rather than all sent to the same place. The ambulance crew's
+ * choice of hospital is left as it is.
+ *
+ * For people who need a safe place to stay rather than medical care - e.g. a
+ * caretaker of someone with dementia during a heat wave - getShelterRecommendation()
+ * picks among the shelters and cooling / warming centers open for a weather
+ * event (services/shelterService.js), by the accessibility features they need.
+ *
+ * This module is pure - it does not know about Express. Any client
+ * (web, mobile, SMS, kiosk) goes through POST /api/decision.
+ */
+
+const { getPersona } = require('../models/personas');
+const { SEVERITY_LEVELS } = require('../models/personaSchema');
+const { getConditionNeeds, hasCapability } = require('../models/capabilities');
+const { deriveSeverityTier, getProfileConditions } = require('./profileRules');
+const { SELF_TRANSPORT_MODES, getTransportAccess } = require('../models/transportModes');
+const { estimateTransport } = require('./transportService');
+const { canReceiveAmbulance, chooseDestination } = require('./emsSimulator');
+const { CLOSING_SOON_MINUTES, formatClock } = require('./hoursService');
+const { forecastWaitTime } = require('./forecastService');
+const { describeTriage } = require('./triageService');
+const { estimateCost } = require('./costEstimator');
+const { getLocalTime, addMinutes } = require('./clock');
+const { getDefaultRegion } = require('../models/regions');
+const { getUnavailableReason, findHazardAt, summarizeHazard } = require('./hazardService');
+const { getShelterUnavailableReason, getShelterNeeds, findShelterShortfalls } = require('./shelterService');
+const { PET_POLICIES } = require('../models/shelterSchema');
+const { assessExposure } = require('./environmentService');
+
+/**
+ * Scoring factors - each returns a raw score (higher = better)
+ * The raw score is multiplied by (weight / 100) to get the factor's points
+ */
+const FACTORS = {
+  waitTime: ({ expectedWait }) => 100 - expectedWait,            // Shorter wait on arrival is better
+  travelTime: ({ travel }) => 50 - travel.time - (travel.exposurePenalty || 0),  // Closer is better, less time outside in bad conditions
+  expertise: ({ facility }) => facility.type === 'ER' ? 100 : 0,  // Prefer full ER capabilities
+  cost: ({ facility }) => facility.type === 'Urgent Care' ? 100 : 0,  // UC is much cheaper
+  familiarity: () => 100  // Closer is better for confusion - constant bonus, travel does the ranking
+};
+
+// Options scoring within this many points of the best are treated as equally good when spreading patients
+const SIMILAR_SCORE_POINTS = 5;
+
+// Clinics stop taking walk-ins shortly before closing - patients must arrive at least this early
+const LAST_ARRIVAL_MINUTES = 30;
+
+/**
+ * Check a facility is open now and will still take the patient when they get there
+ * @param {Object} facility
+ * @param {Object} travel - How the patient gets there (from selectTravel())
+ * @returns {boolean}
+ */
+const isOpenOnArrival = (facility, travel) => {
+  if (facility.status !== 'Open') return false;
+  if (facility.closesInMinutes === null || facility.closesInMinutes === undefined) return true;  // Not closing soon
+  return facility.closesInMinutes - travel.time >= LAST_ARRIVAL_MINUTES;
+};
+
+/**
+ * Count time spent outside against the modes that have it, when the
+ * conditions put the patient at risk
+ * @param {Array} transport - Every mode, from estimateTransport()
+ * @param {Object} exposure - From assessExposure()
+ * @returns {Array} - The same entries, with exposurePenalty (extra minutes) where it applies
+ */
+const applyExposure = (transport, exposure) => transport.map(option => (
+  option.available && option.outdoorMinutes > 0 && exposure.penaltyPerMinute > 0
+    ? { ...option, exposurePenalty: Math.round(option.outdoorMinutes * exposure.penaltyPerMinute) }
+    : option
+));
+
+/**
+ * Why nobody can get somewhere - the hazards close every road there
+ * @param {Array} transport - Every mode, from estimateTransport()
+ * @returns {string|null}
+ */
+const getCutOffReason = (transport) => {
+  const blocked = transport.find(option => option.blockedBy);
+  return blocked ? `cut off - every road there is closed by ${blocked.blockedBy.map(hazard => hazard.name).join(', ')}` : null;
+};
+
+/**
+ * Pick how the patient travels for a recommendation mode
+ * - STAY: the ambulance
+ * - HYBRID (someone takes them): by car, or a rideshare without one
+ * - MOVE: the fastest way they can get there themselves, counting any exposure
+ *   penalty - ties go to the cheaper one
+ * Anyone who can't get there themselves goes by ambulance - or, when an
+ * accessible ride is allowed (mild symptoms), by accessible ride.
+ * @param {Array} transport - Every mode, from estimateTransport()
+ * @param {string} mode - 'STAY', 'MOVE' or 'HYBRID'
+ * @param {boolean} allowAccessibleRide - Use an accessible ride before calling an ambulance
+ * @returns {Object} - The chosen mode's entry (time, distance, cost...)
+ */
+const selectTravel = (transport, mode, allowAccessibleRide = false) => {
+  const usable = transport.filter(option => option.available);
+  const byMode = (id) => usable.find(option => option.mode === id);
+  if (mode === 'STAY') return byMode('ambulance');
+  if (mode === 'HYBRID' && (byMode('car') || byMode('rideshare'))) return byMode('car') || byMode('rideshare');
+
+  const fastest = usable
+    .filter(option => SELF_TRANSPORT_MODES.includes(option.mode))
+    .sort((a, b) => a.time + (a.exposurePenalty || 0) - b.time - (b.exposurePenalty || 0) || a.cost - b.cost)[0];
+  return fastest || (allowAccessibleRide && byMode('accessible')) || byMode('ambulance');
+};
+
+/**
+ * Score one facility with the given weights
+ * @param {Object} facility - Facility from getFacilitiesWithCurrentStatus()
+ * @param {Object} weights - { factorName: weight (0-100+) }
+ * @param {Object} travel - How the patient gets there (from selectTravel())
+ * @param {Object} departure - Local time the patient leaves
+ * @returns {Object} - {
+ *   facility, travel, arrival, forecast, expectedWait, totalTime,
+ *   factors (points per weighted factor), breakdown ({ factor: { raw, weight, points } } for every factor), score
+ * }
+ */
+const scoreFacility = (facility, weights, travel, departure) => {
+  const arrival = addMinutes(departure, travel.time);
+  const forecast = forecastWaitTime(facility, arrival);
+  const expectedWait = forecast.waitTime;
+  const totalTime = travel.time + expectedWait;
+
+  // Every factor is worked out - those the option doesn't weight count for nothing
+  const factors = {};
+  const breakdown = {};
+  let score = 0;
+  Object.entries(FACTORS).forEach(([name, factor]) => {
+    const raw = factor({ facility, travel, expectedWait });
+    const weight = weights[name] || 0;
+    const points = raw * (weight / 100);
+    breakdown[name] = { raw: Math.round(raw * 10) / 10, weight, points: Math.round(points * 10) / 10 };
+    if (name in weights) factors[name] = breakdown[name].points;
+    score += points;
+  });
+
+  return {
+    facility,
+    travel,
+    arrival,
+    forecast,
+    expectedWait,
+    totalTime,
+    factors,
+    breakdown,
+    score: Math.round(score * 10) / 10
+  };
+};
+
+/**
+ * Fill a persona template, e.g. "{facility.name} is {travel.distance} mi away"
+ * @param {string} template
+ * @param {Object} context - { facility, travel, expectedWait, totalTime } for the chosen facility
+ */
+const fillTemplate = (template, context) => template.replace(/\{([^{}]+)\}/g, (match, field) => {
+  const value = field.split('.').reduce((object, key) => (object == null ? undefined : object[key]), context);
+  return value == null ? '' : String(value);
+});
+
+/**
+ * Conditions for reasoning lines that only apply sometimes
+ */
+const CONDITIONS = {
+  facilityType: (expected, { facility }) => facility.type === expected,
+  // Closing within the hours service's "Closes in N min" window (closesInMinutes is null when open all day)
+  closingSoon: (expected, { facility }) => (facility.closesInMinutes != null
+    && facility.closesInMinutes <= CLOSING_SOON_MINUTES) === expected
+};
+
+/**
+ * Build the "Why this recommendation" lines from a persona option
+ * @returns {Array} - Reasoning strings
+ */
+const buildReasoning = (lines, context) => lines
+  .filter(line => typeof line === 'string'
+    || Object.entries(line.when).every(([condition, expected]) => CONDITIONS[condition](expected, context)))
+  .map(line => fillTemplate(typeof line === 'string' ? line : line.text, context));
+
+/**
+ * Check a facility has every capability the patient's conditions require
+ * @param {Object} facility
+ * @param {Object} needs - From getConditionNeeds()
+ * @returns {boolean}
+ */
+const canTreat = (facility, needs) => needs.required.every(need => hasCapability(facility, need.capability));
+
+/**
+ * Preferred capabilities a facility has and lacks
+ * @returns {Object} - { met, missing } capability ids
+ */
+const matchPreferred = (facility, needs) => ({
+  met: needs.preferred.filter(need => hasCapability(facility, need.capability)).map(need => need.capability),
+  missing: needs.preferred.filter(need => !hasCapability(facility, need.capability)).map(need => need.capability)
+});
+
+/**
+ * "Reasoning" lines explaining the capability match
+ * @param {Object} facility - Chosen facility
+ * @param {Object} needs - From getConditionNeeds()
+ * @param {Array} excluded - Facilities ruled out for missing a required capability
+ * @returns {Array}
+ */
+const describeCapabilities = (facility, needs, excluded) => [
+  ...needs.required.map(need => `${facility.name} has ${need.label} (needed for ${need.conditions.join(' and ')})`),
+  ...needs.preferred.map(need => (hasCapability(facility, need.capability)
+    ? `${facility.name} has ${need.label} (preferred for ${need.conditions.join(' and ')})`
+    : `${need.label} (preferred for ${need.conditions.join(' and ')}) isn't available at any suitable open facility`)),
+  ...(excluded.length > 0
+    ? [`Ruled out ${excluded.map(entry => entry.name).join(', ')} - missing ${
+      [...new Set(excluded.flatMap(entry => entry.missing))]
+        .map(capability => needs.required.find(need => need.capability === capability).label)
+        .join(', ')}`]
+    : [])
+];
+
+/**
+ * Clock time for display from a local ISO timestamp, e.g. '2:45 PM'
+ * (the wall-clock time it was written in, whatever the region)
+ */
+const formatIsoClock = (iso) => formatClock(Number(iso.slice(11, 13)) * 60 + Number(iso.slice(14, 16)));
+
+/**
+ * The EMS response for a patient going by ambulance, next to the fastest way
+ * they could get to the same hospital themselves
+ * @param {Object} chosen - Ranked entry for the chosen facility (travel is the ambulance)
+ * @param {Object} destination - From chooseDestination()
+ * @param {Array} transport - Every mode to the chosen facility, from estimateTransport()
+ * @param {Object} departure - Local time of the 911 call
+ * @returns {Object} - {
+ *   unit, station, mutualAid, responseMinutes, arriveAtPatient, transportMinutes, arriveAtHospital,
+ *   notes, destination: { id, name, bypassed }, selfTransport, careSoonerMinutes
+ * }
+ */
+const summarizeEms = (chosen, destination, transport, departure) => {
+  const { facility, travel } = chosen;
+  const closest = destination.closest;
+  const self = transport
+    .filter(option => option.available && SELF_TRANSPORT_MODES.includes(option.mode))
+    .sort((a, b) => a.time - b.time)[0];
+
+  return {
+    unit: travel.dispatch.unit,
+    station: travel.dispatch.station,
+    mutualAid: travel.dispatch.mutualAid,
+    responseMinutes: travel.responseMinutes,
+    arriveAtPatient: travel.arriveAtPatient,
+    transportMinutes: travel.transportMinutes,
+    arriveAtHospital: travel.arriveAtHospital,
+    notes: travel.dispatch.notes,
+    destination: {
+      id: facility.id,
+      name: facility.name,
+      bypassed: closest.entry === chosen ? null : {
+        id: closest.entry.facility.id,
+        name: closest.entry.facility.name,
+        extraMinutes: travel.transportMinutes - closest.transportMinutes
+      }
+    },
+    // Care starts when paramedics arrive - or, going yourself, when you reach the hospital
+    selfTransport: self ? {
+      mode: self.mode,
+      label: self.label,
+      time: self.time,
+      arriveAtHospital: addMinutes(departure, self.time).iso
+    } : null,
+    careSoonerMinutes: self ? self.time - travel.responseMinutes : null
+  };
+};
+
+/**
+ * "Reasoning" lines for the EMS response
+ * @param {Object} ems - From summarizeEms()
+ * @returns {Array}
+ */
+const describeEms = (ems) => {
+  const responder = ems.unit ? `${ems.unit.name} from ${ems.station.name}` : 'A mutual aid ambulance';
+  const { destination, selfTransport } = ems;
+  let comparison = [];
+  if (selfTransport && ems.careSoonerMinutes > 0) {
+    comparison = [`That's ${ems.careSoonerMinutes} min before care would start going yourself (${selfTransport.label.toLowerCase()} to ${destination.name}: ${selfTransport.time} min)`];
+  } else if (selfTransport) {
+    const sooner = ems.careSoonerMinutes === 0 ? 'about when' : `${-ems.careSoonerMinutes} min before`;
+    comparison = [`${selfTransport.label} would get you to ${destination.name} ${sooner} paramedics reach you, but with no care on the way`];
+  }
+  return [
+    `${responder} reaches you around ${formatIsoClock(ems.arriveAtPatient)} (${ems.responseMinutes} min) and starts treatment there`,
+    ...ems.notes,
+    destination.bypassed
+      ? `Paramedics take you to ${destination.name}, ${destination.bypassed.extraMinutes} min further than ${destination.bypassed.name} for its specialists - arriving around ${formatIsoClock(ems.arriveAtHospital)}`
+      : `Paramedics take you to ${destination.name}, the closest suitable facility - arriving around ${formatIsoClock(ems.arriveAtHospital)}`,
+    ...comparison
+  ];
+};
+
+/**
+ * "Reasoning" lines comparing the ways to get to the chosen facility
+ * @param {Object} facility - Chosen facility
+ * @param {Object} travel - The mode the patient travels by
+ * @param {Array} transport - Every mode, from estimateTransport()
+ * @param {Object} ems - From summarizeEms() when the patient goes by ambulance
+ * @returns {Array}
+ */
+const describeTransport = (facility, travel, transport, ems) => {
+  const formatCost = (option) => {
+    if (option.cost === 0) return 'free';
+    return option.cost >= 100 ? `$${Math.round(option.cost).toLocaleString('en-US')}` : `$${option.cost.toFixed(2)}`;
+  };
+  const chosen = ems
+    ? describeEms(ems)
+    : [`${travel.label}: ${travel.time} min to ${facility.name}${travel.routes ? ` (${travel.routes.join(' → ')})` : ''}, ${formatCost(travel)}`];
+  const others = transport
+    .filter(option => option.available && option.mode !== travel.mode && option.mode !== 'ambulance')
+    .map(option => `${option.label} ${option.time} min (${formatCost(option)})`);
+  return [...chosen, ...(others.length > 0 ? [`Other ways there: ${others.join(', ')}`] : [])];
+};
+
+/**
+ * "Reasoning" lines for hazards - the patient being in one, the route going
+ * around them, and facilities that take no patients
+ * @param {Object|null} originHazard - Hazard area the patient is in
+ * @param {Object|null} travel - How the patient gets to the chosen facility
+ * @param {Array} unavailable - [{ name, reason }] open facilities left out
+ * @returns {Array}
+ */
+const describeHazards = (originHazard, travel, unavailable) => {
+  const detour = travel && travel.detour;
+  return [
+    ...(originHazard ? [`You are inside the ${originHazard.name} ${originHazard.category} area - leave it by the route shown`] : []),
+    ...(detour && detour.hazards.length > 0
+      ? [`The route goes around ${detour.hazards.map(hazard => hazard.name).join(', ')}${detour.extraMinutes ? ` (+${detour.extraMinutes} min)` : ''}`]
+      : []),
+    ...(unavailable.length > 0
+      ? [`Left out ${unavailable.map(entry => `${entry.name} (${entry.reason})`).join(', ')}`]
+      : [])
+  ];
+};
+
+// What to do about the time outside that is left, by what makes it risky
+const OUTDOOR_ADVICE = {
+  heat: 'carry water and keep to the shade',
+  air: 'keep it short and take it slowly'
+};
+
+/**
+ * "Reasoning" lines for heat and air quality - the risk to the patient, mild
+ * symptoms treated as moderate, and travelling to spend less time outside
+ * @param {Object} exposure - From assessExposure()
+ * @param {boolean} raised - The conditions raised the severity
+ * @param {Object|null} travel - How the patient gets there
+ * @param {Array|null} transport - Every mode there, from applyExposure()
+ * @returns {Array}
+ */
+const describeEnvironment = (exposure, raised, travel, transport) => {
+  const triggers = exposure.risks.filter(entry => entry.triggered).map(entry => (entry.kind === 'air' ? 'the air' : 'the heat'));
+  const fastest = transport && transport
+    .filter(option => option.available && SELF_TRANSPORT_MODES.includes(option.mode))
+    .sort((a, b) => a.time - b.time)[0];
+  const advice = exposure.risks.map(entry => OUTDOOR_ADVICE[entry.kind]).join(', ');
+
+  let outside = [];
+  if (travel && fastest && fastest !== travel && fastest.exposurePenalty) {
+    outside = [`${travel.label} rather than ${fastest.label.toLowerCase()}, to spend less time outside (${fastest.outdoorMinutes} min walking or waiting)`];
+  } else if (travel && travel.exposurePenalty) {
+    outside = [`${travel.outdoorMinutes} min of the trip is outside - ${advice}`];
+  }
+  return [
+    ...(raised ? [`Mild symptoms are treated as moderate - ${triggers.join(' and ')} can make them worse quickly`] : []),
+    ...exposure.risks.map(entry => `${entry.reading} (${entry.level}) - a risk for ${
+      entry.groups.length > 0 ? entry.groups.join(' and ') : 'anyone outside for long'}`),
+    ...outside
+  ];
+};
+
+/**
+ * The conditions as returned with a recommendation
+ * @returns {Object|null} - The environment with the patient's risks and severityRaised ({ from, to } or null)
+ */
+const summarizeEnvironment = (environment, exposure, severityRaised = null) => (environment
+  ? { ...environment, risks: exposure.risks, severityRaised }
+  : null);
+
+/**
+ * Patients recently sent to a scored entry's facility
+ */
+const patientsAt = (entry) => (entry.facility.recommendedLoad ? entry.facility.recommendedLoad.patients : 0);
+
+/**
+ * Among options about as good as the best one, the one fewest patients have recently been sent to
+ * @param {Array} ranked - Scored entries, best first
+ * @param {Object} best - The entry that would otherwise be chosen
+ * @returns {Object} - best, or the less loaded entry to send the patient to instead
+ */
+const spreadLoad = (ranked, best) => ranked
+  .filter(entry => entry.preferred.met.length === best.preferred.met.length && best.score - entry.score <= SIMILAR_SCORE_POINTS)
+  .reduce((least, entry) => (patientsAt(entry) < patientsAt(least) ? entry : least), best);
+
+/**
+ * Pick the persona option for this severity and its candidate facilities
+ * Options are tried in order - e.g. Urgent Care first, ER if every clinic is closed
+ * @param {Object} tier - The persona's severity tier
+ * @param {Array} facilities - Facilities open now
+ * @param {Object} needs - From getConditionNeeds() - facilities must have every required capability
+ * @param {Function} travelFor - (facility, mode) → how the patient gets there - they must arrive in time to be seen
+ * @returns {Object} - { option, candidates } (no candidates = nothing suitable is open)
+ */
+const selectOption = (tier, facilities, needs, travelFor) => {
+  for (const option of tier.options) {
+    const candidates = facilities.filter(facility => option.facilityTypes.includes(facility.type)
+      && canTreat(facility, needs) && isOpenOnArrival(facility, travelFor(facility, option.mode)));
+    if (candidates.length > 0) {
+      return { option, candidates };
+    }
+  }
+  return { option: tier.options[0], candidates: [] };
+};
+
+/**
+ * Add the triage outcome to a recommendation
+ * A red flag overrides the decision - the patient should not travel themselves
+ * @param {Object} result - Recommendation
+ * @param {Object} triage - Completed evaluateTriage() result, or undefined
+ * @returns {Object}
+ */
+const applyTriage = (result, triage) => {
+  if (!triage) return result;
+  const { summary, answers } = describeTriage(triage);
+  return {
+    ...result,
+    ...(triage.emergency ? { decision: 'STAY - Call 911', mode: 'STAY' } : {}),
+    reasoning: [summary, ...result.reasoning, ...answers],
+    triage: {
+      severity: triage.severity,
+      acuity: triage.acuity,
+      emergency: triage.emergency,
+      ...(triage.emergency ? { reason: triage.reason } : {}),
+      path: triage.path
+    }
+  };
+};
+
+/**
+ * Get a recommendation for a patient
+ *
+ * @param {Object} params
+ * @param {string} params.personaId - Persona id, e.g. 'asthma' (see GET /api/personas)
+ * @param {Object} params.profile - Or a validated custom profile (models/profileSchema.js)
+ * @param {string} params.severity - 'Mild', 'Moderate' or 'Severe'
+ * @param {Object} params.triage - Completed triage (evaluateTriage()) the severity came from, if any
+ * @param {Object} params.region - The patient's region (models/regions.js, defaults to the first)
+ * @param {Object} params.origin - { lat, lng } patient location (defaults to the region's default origin)
+ * @param {Array} params.facilities - The region's facilities from getFacilitiesWithCurrentStatus() at the departure time
+ * @param {string} params.trafficLevel - Traffic at the departure time
+ * @param {Array} params.hazards - Hazards in force at the departure time (services/hazardService.js)
+ * @param {Object} params.environment - Heat and air quality at the departure time (getEnvironment(), null if unknown)
+ * @param {Object} params.departure - Local time in the region the patient leaves (defaults to now)
+ * @returns {Object} - {
+ *   decision, mode, facility, travelTime, departAt, arriveAt, expectedWaitTime,
+ *   totalTime, transport, ems, cost, reasoning, weights, needs, excluded, unavailable,
+ *   originHazard, environment, alternatives, comparison, triage (when given)
+ * }
+ */
+const getRecommendation = ({
+  personaId,
+  profile,
+  severity,
+  triage,
+  region = getDefaultRegion(),
+  origin = { lat: region.defaultOrigin.lat, lng: region.defaultOrigin.lng },
+  facilities,
+  trafficLevel,
+  hazards = [],
+  environment = null,
+  departure = getLocalTime(region.timezone)
+}) => {
+  const persona = profile ? null : getPersona(personaId);
+  const conditions = profile ? getProfileConditions(profile) : persona.conditions || [];
+  const exposure = assessExposure(conditions, environment);
+  // Heat or air that sets off the patient's conditions makes mild symptoms moderate - never severe, that's for their symptoms to say
+  const raised = exposure.raisesSeverity && severity === 'Mild';
+  const assessed = raised ? 'Moderate' : severity;
+  const tier = profile ? deriveSeverityTier(profile, assessed) : persona.severities[assessed];
+  const needs = getConditionNeeds(conditions, assessed);
+  const access = getTransportAccess(profile || persona);
+  const environmentSummary = summarizeEnvironment(environment, exposure, raised ? { from: severity, to: assessed } : null);
+  // Severe patients need paramedics if an ambulance comes
+  const advancedLifeSupport = severity === 'Severe' || Boolean(triage && triage.emergency);
+
+  // Every way to each open facility, worked out once per facility
+  const transportByFacility = new Map();
+  const transportTo = (facility) => {
+    if (!transportByFacility.has(facility.id)) {
+      transportByFacility.set(facility.id, applyExposure(estimateTransport(origin, facility.position, {
+        region, trafficLevel, hazards, departure, access, advancedLifeSupport
+      }), exposure));
+    }
+    return transportByFacility.get(facility.id);
+  };
+  // A triage red flag means the ambulance, whatever the option says. Mild symptoms
+  // never need one - without a way there themselves, the patient books an accessible ride
+  const travelFor = (facility, mode) => selectTravel(transportTo(facility), triage && triage.emergency ? 'STAY' : mode,
+    assessed === 'Mild');
+
+  // Open facilities taking patients - not on diversion, evacuating, inside a hazard area or cut off by one
+  const whyUnavailable = (facility) => getUnavailableReason(facility)
+    || (hazards.length > 0 ? getCutOffReason(transportTo(facility)) : null);
+  const unavailable = facilities
+    .filter(facility => facility.status === 'Open' && whyUnavailable(facility))
+    .map(facility => ({ id: facility.id, name: facility.name, reason: whyUnavailable(facility) }));
+  const open = facilities.filter(facility => facility.status === 'Open' && !whyUnavailable(facility));
+  const originHazard = findHazardAt(origin, hazards);
+  const { option, candidates } = selectOption(tier, open, needs, travelFor);
+
+  // What the visit would cost - going by ambulance adds the transport
+  const estimateFor = (facility, travel) => estimateCost({
+    planId: profile ? profile.insurance : persona.insurance,
+    facility,
+    severity: assessed,
+    acuity: triage ? triage.acuity : undefined,
+    ambulance: travel.mode === 'ambulance'
+  });
+
+  // Open facilities of the right type that can't treat the patient
+  const excluded = open
+    .filter(facility => option.facilityTypes.includes(facility.type) && !canTreat(facility, needs)
+      && isOpenOnArrival(facility, travelFor(facility, option.mode)))
+    .map(facility => ({
+      id: facility.id,
+      name: facility.name,
+      missing: needs.required.filter(need => !hasCapability(facility, need.capability)).map(need => need.capability)
+    }));
+
+  // Nothing suitable open at all - safest option is to call for help
+  const callForHelp = (why) => applyTriage({
+    decision: 'STAY - Call 911',
+    mode: 'STAY',
+    facility: null,
+    travelTime: null,
+    departAt: departure.iso,
+    arriveAt: null,
+    expectedWaitTime: null,
+    totalTime: null,
+    transport: null,
+    ems: null,
+    cost: null,
+    reasoning: [
+      why,
+      ...describeHazards(originHazard, null, unavailable),
+      ...describeEnvironment(exposure, raised, null, null)
+    ],
+    weights: option.weights,
+    needs,
+    excluded,
+    unavailable,
+    originHazard: originHazard ? summarizeHazard(originHazard) : null,
+    environment: environmentSummary,
+    alternatives: [],
+    comparison: []
+  }, triage);
+  if (candidates.length === 0) {
+    return callForHelp(excluded.length > 0
+      ? `No open facility has ${needs.required.map(need => need.label).join(' and ')} - call 911 for help`
+      : 'No suitable facility is open right now - call 911 for help');
+  }
+
+  // Score facilities for a travel mode, best first
+  const rank = (facilities, mode) => facilities
+    .map(facility => {
+      const travel = travelFor(facility, mode);
+      return {
+        ...scoreFacility(facility, option.weights, travel, departure),
+        preferred: matchPreferred(facility, needs),
+        cost: estimateFor(facility, travel)
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+  const optionRanked = rank(candidates, option.mode);
+
+  // Preferred capabilities (e.g. OB/GYN specialists) override the raw score - ties go to the better score
+  const preferredChoice = optionRanked.reduce((best, entry) => (entry.preferred.met.length > best.preferred.met.length ? entry : best));
+  // Going by ambulance, the crew picks the hospital - always an ER taking patients,
+  // whatever facility types the option allows
+  const ranked = preferredChoice.travel.mode === 'ambulance'
+    ? rank(open.filter(facility => canReceiveAmbulance(facility) && canTreat(facility, needs)
+      && isOpenOnArrival(facility, travelFor(facility, 'STAY'))), 'STAY')
+    : optionRanked;
+  if (ranked.length === 0) {
+    return callForHelp('No open ER can take an ambulance patient right now - call 911 for help');
+  }
+  const destination = preferredChoice.travel.mode === 'ambulance'
+    ? chooseDestination(ranked
+      .map(entry => ({ entry, facility: entry.facility, transportMinutes: entry.travel.transportMinutes, specialties: entry.preferred.met.length })))
+    : null;
+  // Otherwise spread patients between options that are about as good
+  const spread = destination ? null : spreadLoad(ranked, preferredChoice);
+  const chosen = destination ? destination.choice.entry : spread;
+  const loadReasoning = spread && spread !== preferredChoice
+    ? [`Sending you to ${spread.facility.name} rather than ${preferredChoice.facility.name} to spread patients out - `
+      + `${patientsAt(spread)} vs ${patientsAt(preferredChoice)} sent there recently, about as good otherwise`]
+    : [];
+  const ems = destination ? summarizeEms(chosen, destination, transportTo(chosen.facility), departure) : null;
+  // Every open, reachable facility that can treat the patient, scored the same way - whatever
+  // the facility types the option allows - so re-weighting can compare ERs with urgent cares
+  const travelMode = destination ? 'STAY' : option.mode;
+  const compared = [
+    ...ranked,
+    ...rank(open.filter(facility => !ranked.some(entry => entry.facility === facility) && canTreat(facility, needs)
+      && isOpenOnArrival(facility, travelFor(facility, travelMode))), travelMode)
+  ].sort((a, b) => b.score - a.score);
+  const context = {
+    facility: chosen.facility,
+    travel: chosen.travel,
+    expectedWait: chosen.expectedWait,
+    totalTime: chosen.totalTime
+  };
+
+  // Moderate or severe, and nobody can get the patient there but paramedics - that's a 911 call whatever the option says
+  const needsAmbulance = chosen.travel.mode === 'ambulance' && option.mode !== 'STAY' && assessed !== 'Mild';
+
+  return applyTriage({
+    decision: needsAmbulance ? 'STAY - Call 911' : fillTemplate(option.decision, context),
+    mode: needsAmbulance ? 'STAY' : option.mode,
+    facility: chosen.facility,
+    travelTime: chosen.travel,
+    departAt: departure.iso,
+    arriveAt: chosen.arrival.iso,
+    expectedWaitTime: chosen.expectedWait,
+    totalTime: chosen.totalTime,
+    transport: { mode: chosen.travel.mode, options: transportTo(chosen.facility) },
+    ems,
+    cost: chosen.cost,
+    reasoning: [
+      ...(needsAmbulance
+        ? [`No safe way to get there yourself - call 911 (${[...new Set(transportTo(chosen.facility)
+          .filter(entry => !entry.available).map(entry => entry.reason))].join('; ')})`]
+        : []),
+      ...buildReasoning(option.reasoning, context),
+      ...describeTransport(chosen.facility, chosen.travel, transportTo(chosen.facility), ems),
+      ...loadReasoning,
+      ...describeEnvironment(exposure, raised, chosen.travel, transportTo(chosen.facility)),
+      ...describeHazards(originHazard, chosen.travel, unavailable),
+      ...describeCapabilities(chosen.facility, needs, excluded)
+    ],
+    weights: option.weights,
+    needs,
+    excluded,
+    unavailable,
+    originHazard: originHazard ? summarizeHazard(originHazard) : null,
+    environment: environmentSummary,
+    alternatives: ranked.map((entry, index) => ({
+      rank: index + 1,
+      recommended: entry === chosen,
+      facility: entry.facility,
+      travelTime: entry.travel,
+      arriveAt: entry.arrival.iso,
+      expectedWaitTime: entry.expectedWait,
+      forecast: entry.forecast,
+      totalTime: entry.totalTime,
+      factors: entry.factors,
+      breakdown: entry.breakdown,
+      score: entry.score,
+      preferredCapabilities: entry.preferred,
+      inNetwork: entry.cost.inNetwork,
+      estimatedCost: entry.cost.total.youPay
+    })),
+    comparison: compared.map((entry, index) => ({
+      rank: index + 1,
+      recommended: entry === chosen,
+      candidate: ranked.includes(entry),
+      facility: entry.facility,
+      travelTime: entry.travel,
+      expectedWaitTime: entry.expectedWait,
+      totalTime: entry.totalTime,
+      breakdown: entry.breakdown,
+      score: entry.score
+    }))
+  }, triage);
+};
+
+// ===== SHELTER RECOMMENDATIONS =====
+
+/**
+ * Shelter scoring factors - raw scores as for FACTORS, each weighted by SHELTER_WEIGHTS
+ */
+const SHELTER_FACTORS = {
+  travelTime: FACTORS.travelTime,                                // Closer is better, as for facilities
+  space: ({ shelter }) => Math.min(shelter.available, 100)       // Room to spare - it fills while you travel
+};
+const SHELTER_WEIGHTS = { travelTime: 100, space: 50 };
+
+/**
+ * Score one shelter
+ * @returns {Object} - { shelter, travel, arrival, factors, score }
+ */
+const scoreShelter = (shelter, travel, departure) => {
+  const factors = {};
+  let score = 0;
+  Object.entries(SHELTER_WEIGHTS).forEach(([name, weight]) => {
+    const points = SHELTER_FACTORS[name]({ shelter, travel }) * (weight / 100);
+    factors[name] = Math.round(points * 10) / 10;
+    score += points;
+  });
+  return { shelter, travel, arrival: addMinutes(departure, travel.time), factors, score: Math.round(score * 10) / 10 };
+};
+
+/**
+ * "Reasoning" lines explaining the accessibility match and pet policy
+ * @param {Object} shelter - Chosen shelter
+ * @param {Object} needs - From getShelterNeeds()
+ * @param {Array} excluded - Open shelters ruled out, with what they lack
+ * @returns {Array}
+ */
+const describeShelterNeeds = (shelter, needs, excluded) => [
+  ...needs.required.map(need => `${shelter.name}: ${need.label.toLowerCase()} (needed for ${need.for.join(' and ')})`),
+  ...needs.preferred.map(need => (shelter.accessibility.includes(need.feature)
+    ? `${shelter.name}: ${need.label.toLowerCase()} (preferred for ${need.for.join(' and ')})`
+    : `${need.label} (preferred for ${need.for.join(' and ')}) isn't offered at any open shelter you can use`)),
+  ...(needs.pets ? [`${PET_POLICIES[shelter.petPolicy]} - bring food, a leash and${shelter.petPolicy === 'pets-crated' ? ' a crate' : ' a carrier'} for your pets`] : []),
+  ...(excluded.length > 0
+    ? [`Ruled out ${excluded.map(entry => `${entry.name} (${entry.missing.join(', ').toLowerCase()})`).join(', ')}`]
+    : [])
+];
+
+/**
+ * Get a recommendation for someone who needs a safe place to stay
+ *
+ * @param {Object} params
+ * @param {string} params.personaId - Persona id (see GET /api/personas)
+ * @param {Object} params.profile - Or a validated custom profile (models/profileSchema.js)
+ * @param {boolean} params.pets - Bringing pets
+ * @param {Object} params.region - Their region (models/regions.js, defaults to the first)
+ * @param {Object} params.origin - { lat, lng } where they are (defaults to the region's default origin)
+ * @param {Array} params.shelters - The region's shelters from getSheltersWithCurrentStatus() at the departure time
+ * @param {Array} params.weatherEvents - Weather events in force, from describeWeatherEvent()
+ * @param {string} params.trafficLevel - Traffic at the departure time
+ * @param {Array} params.hazards - Hazards in force at the departure time
+ * @param {Object} params.environment - Heat and air quality at the departure time (getEnvironment(), null if unknown)
+ * @param {Object} params.departure - Local time in the region they leave (defaults to now)
+ * @returns {Object} - {
+ *   decision, mode, shelter, facility (always null), travelTime, departAt, arriveAt, transport,
+ *   reasoning, needs, excluded, unavailable, originHazard, weatherEvents, environment, alternatives
+ * }
+ */
+const getShelterRecommendation = ({
+  personaId,
+  profile,
+  pets = false,
+  region = getDefaultRegion(),
+  origin = { lat: region.defaultOrigin.lat, lng: region.defaultOrigin.lng },
+  shelters,
+  weatherEvents = [],
+  trafficLevel,
+  hazards = [],
+  environment = null,
+  departure = getLocalTime(region.timezone)
+}) => {
+  const person = profile || getPersona(personaId);
+  const conditions = profile ? getProfileConditions(profile) : person.conditions || [];
+  const needs = getShelterNeeds(conditions, person.mobility, pets);
+  const exposure = assessExposure(conditions, environment);
+  const access = getTransportAccess(person);
+  // Someone with a caretaker gets driven there; otherwise the fastest way they can go themselves
+  const mode = person.caretaker ? 'HYBRID' : 'MOVE';
+
+  const transportByShelter = new Map();
+  const transportTo = (shelter) => {
+    if (!transportByShelter.has(shelter.id)) {
+      transportByShelter.set(shelter.id, applyExposure(estimateTransport(origin, shelter.position, {
+        region, trafficLevel, hazards, departure, access, advancedLifeSupport: false
+      }), exposure));
+    }
+    return transportByShelter.get(shelter.id);
+  };
+  const travelFor = (shelter) => selectTravel(transportTo(shelter), mode);
+
+  const activated = shelters.filter(shelter => shelter.status === 'Open' || shelter.status === 'Full');
+  const whyUnavailable = (shelter) => getShelterUnavailableReason(shelter)
+    || (hazards.length > 0 ? getCutOffReason(transportTo(shelter)) : null);
+  const unavailable = activated
+    .filter(shelter => whyUnavailable(shelter))
+    .map(shelter => ({ id: shelter.id, name: shelter.name, reason: whyUnavailable(shelter) }));
+  const open = activated.filter(shelter => !whyUnavailable(shelter) && isOpenOnArrival(shelter, travelFor(shelter)));
+  const excluded = open
+    .filter(shelter => findShelterShortfalls(shelter, needs).length > 0)
+    .map(shelter => ({ id: shelter.id, name: shelter.name, missing: findShelterShortfalls(shelter, needs) }));
+  const candidates = open.filter(shelter => findShelterShortfalls(shelter, needs).length === 0);
+  const originHazard = findHazardAt(origin, hazards);
+  const eventNames = weatherEvents.map(event => event.name).join(' and ');
+
+  const base = {
+    facility: null,
+    departAt: departure.iso,
+    needs,
+    excluded,
+    unavailable,
+    originHazard: originHazard ? summarizeHazard(originHazard) : null,
+    weatherEvents,
+    environment: summarizeEnvironment(environment, exposure)
+  };
+
+  // Nowhere to go - stay put and ask for help finding somewhere
+  if (candidates.length === 0) {
+    const standby = shelters.filter(shelter => shelter.status === 'Standby' && shelter.opensAt)
+      .sort((a, b) => a.opensAt.localeCompare(b.opensAt))[0];
+    return {
+      ...base,
+      decision: 'STAY - Call 211',
+      mode: 'STAY',
+      shelter: null,
+      travelTime: null,
+      arriveAt: null,
+      transport: null,
+      reasoning: [
+        activated.length === 0
+          ? 'No shelter or cooling / warming center is open right now'
+          : 'No open shelter can take you right now',
+        'Call 211 to find somewhere to stay, or 911 if anyone is unwell',
+        ...(standby ? [`${standby.name}: ${standby.statusDetail}`] : []),
+        ...describeHazards(originHazard, null, unavailable),
+        ...describeEnvironment(exposure, false, null, null),
+        ...(excluded.length > 0
+          ? [`Ruled out ${excluded.map(entry => `${entry.name} (${entry.missing.join(', ').toLowerCase()})`).join(', ')}`]
+          : [])
+      ],
+      alternatives: []
+    };
+  }
+
+  const ranked = candidates
+    .map(shelter => ({
+      ...scoreShelter(shelter, travelFor(shelter), departure),
+      preferred: needs.preferred.filter(need => shelter.accessibility.includes(need.feature)).map(need => need.feature)
+    }))
+    .sort((a, b) => b.score - a.score);
+  // Preferred features (e.g. dementia care) override the raw score - ties go to the better score
+  const chosen = ranked.reduce((best, entry) => (entry.preferred.length > best.preferred.length ? entry : best));
+  const { shelter, travel } = chosen;
+
+  // Only paramedics could move them - not a trip to make for shelter alone
+  const needsRide = travel.mode === 'ambulance';
+
+  return {
+    ...base,
+    decision: needsRide ? 'STAY - Call 211' : `RELOCATE to ${shelter.kindLabel}`,
+    mode: needsRide ? 'STAY' : 'RELOCATE',
+    shelter,
+    travelTime: travel,
+    arriveAt: chosen.arrival.iso,
+    transport: { mode: travel.mode, options: transportTo(shelter) },
+    reasoning: [
+      ...(needsRide
+        ? [`No safe way to get to ${shelter.name} yourself - call 211 to arrange a ride (${[...new Set(transportTo(shelter)
+          .filter(entry => !entry.available).map(entry => entry.reason))].join('; ')}), or 911 if anyone is unwell`]
+        : []),
+      `${shelter.name} is open${eventNames ? ` for the ${eventNames}` : ''} - ${shelter.statusDetail.charAt(0).toLowerCase()}${shelter.statusDetail.slice(1)}`,
+      `${shelter.available} of ${shelter.capacity} places free${shelter.occupancyAsOf ? ` (counted at ${formatIsoClock(shelter.occupancyAsOf)})` : ''}`,
+      ...describeTransport(shelter, travel, transportTo(shelter), null),
+      ...describeEnvironment(exposure, false, travel, transportTo(shelter)),
+      ...describeHazards(originHazard, travel, unavailable),
+      ...describeShelterNeeds(shelter, needs, excluded),
+      ...(person.caretaker ? ['Go together with your caretaker - shelter staff are not a substitute for them'] : []),
+      'Bring medications, medical devices and chargers, ID and water'
+    ],
+    alternatives: ranked.map((entry, index) => ({
+      rank: index + 1,
+      recommended: entry === chosen,
+      shelter: entry.shelter,
+      travelTime: entry.travel,
+      arriveAt: entry.arrival.iso,
+      factors: entry.factors,
+      score: entry.score,
+      preferredFeatures: entry.preferred
+    }))
+  };
+};
+
+module.exports = {
+  SEVERITY_LEVELS,
+  FACTORS,
+  getRecommendation,
+  getShelterRecommendation
+};
@@ -0,0 +1,281 @@
+/**
+ * EMS Simulator
+ * Which ambulance answers a 911 call, when it reaches the patient, and which
+ * hospital the crew takes them to
+ *
+ * - Stations and units come from models/emsStations.js; each region's
+ *   calls are answered by its own stations
+ * - Availability: each hour, a share of units is out on other calls
+ *   (busyRates) - which ones is drawn from the unit id and the hour, so the
+ *   same moment always gives the same answer. Operators can override a
+ *   unit's status (PUT /api/ems/units/:id), optionally for a number of minutes.
+ * - Response: call processing + turnout + the road route from the unit's
+ *   station to the patient. Lights and sirens cut through traffic, so routes
+ *   use one traffic level lighter than everyone else sees, and go around
+ *   closed roads and hazard areas like everyone else.
+ * - The fastest available unit is sent - an ALS (paramedic) unit when the
+ *   patient is severe, if one is free. When every unit is busy, mutual aid
+ *   from the region's neighbouring agency answers, much more slowly.
+ * - Destination: always an open ER taking patients (never an urgent care) -
+ *   the closest by transport time, unless one with more of the patient's
+ *   preferred specialties is at most specialtyBypassMinutes further.
+ */
+
+const { getEmsConfig } = require('../models/emsStations');
+const { getRegion } = require('../models/regions');
+const { calculateTravelTime } = require('./travelService');
+const { getUnavailableReason } = require('./hazardService');
+const { now, getLocalTime, toLocalTime, addMinutes } = require('./clock');
+
+const UNIT_STATUSES = ['available', 'busy', 'out-of-service'];
+
+// Traffic an emergency vehicle runs into, by the level everyone else sees
+const EMERGENCY_TRAFFIC = { low: 'low', moderate: 'low', heavy: 'moderate', severe: 'heavy' };
+
+// unitId → { status, note, setAt (Date), until (Date|null) } set by operators
+const overrides = new Map();
+let overridesVersion = 0;
+
+// The last dispatch worked out - the engine asks for the same one once per facility
+let lastDispatch = { key: null, result: null };
+
+/**
+ * A stable number in [0, 1) for a string (FNV-1a hash)
+ */
+const hashFraction = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash / 0x100000000;
+};
+
+/**
+ * Operator override in force for a unit at an instant, if any
+ */
+const activeOverride = (unitId, instant) => {
+  const override = overrides.get(unitId);
+  if (!override || instant < override.setAt || (override.until && instant >= override.until)) return null;
+  return override;
+};
+
+/**
+ * Every unit and whether it's free to respond
+ * @param {Object} region - Only this region's units (null = every region's)
+ * @param {Object} time - Local time in the region (services/clock.js), defaults to now
+ * @returns {Array} - [{ id, name, level, station: { id, name, region, position }, status, source: 'simulation' | 'operator', note?, until? }]
+ */
+const getUnitStatuses = (region = null, time = null) => {
+  const config = getEmsConfig();
+  const stations = region ? config.stations.filter(station => station.region === region.id) : config.stations;
+
+  return stations.flatMap(station => {
+    const localTime = time || getLocalTime(getRegion(station.region).timezone);
+    const instant = new Date(Date.parse(localTime.iso));
+    const busyRate = config.busyRates[localTime.hour];
+
+    return station.units.map(unit => {
+      const base = {
+        id: unit.id,
+        name: unit.name,
+        level: unit.level,
+        station: { id: station.id, name: station.name, region: station.region, position: station.position }
+      };
+      const override = activeOverride(unit.id, instant);
+      if (override) {
+        return {
+          ...base,
+          status: override.status,
+          source: 'operator',
+          ...(override.note ? { note: override.note } : {}),
+          ...(override.until ? { until: toLocalTime(override.until, localTime.timezone).iso } : {})
+        };
+      }
+      const busy = hashFraction(`${unit.id}|${localTime.date}|${localTime.hour}`) < busyRate;
+      return { ...base, status: busy ? 'busy' : 'available', source: 'simulation' };
+    });
+  });
+};
+
+/**
+ * Set a unit's status by hand, e.g. out of service for maintenance
+ * @param {string} unitId
+ * @param {Object} params
+ * @param {string} params.status - One of UNIT_STATUSES
+ * @param {number} params.minutes - How long the override lasts (omit for until cleared)
+ * @param {string} params.note - Shown with the unit's status
+ * @returns {Object|null} - The unit's new status, or null for an unknown unit
+ */
+const setUnitStatus = (unitId, { status, minutes, note }) => {
+  if (!getUnitStatuses().some(unit => unit.id === unitId)) return null;
+  const setAt = new Date(Math.floor(now().getTime() / 1000) * 1000);  // Local times are to the second
+  overrides.set(unitId, {
+    status,
+    note: note || null,
+    setAt,
+    until: minutes ? new Date(setAt.getTime() + minutes * 60000) : null
+  });
+  overridesVersion += 1;
+  return getUnitStatuses().find(unit => unit.id === unitId);
+};
+
+/**
+ * Go back to the simulated status for a unit
+ * @returns {boolean} - false if the unit had no override
+ */
+const clearUnitStatus = (unitId) => {
+  if (!overrides.delete(unitId)) return false;
+  overridesVersion += 1;
+  return true;
+};
+
+/**
+ * Send the quickest suitable ambulance to a patient
+ * @param {Object} origin - { lat, lng } patient location
+ * @param {Object} params
+ * @param {Object} params.region - The region the call comes from - its units answer
+ * @param {Object} params.time - Local time of the 911 call
+ * @param {string} params.trafficLevel - Traffic at that time
+ * @param {Array} params.hazards - Hazards in force at that time (services/hazardService.js)
+ * @param {boolean} params.advancedLifeSupport - The patient needs paramedics (ALS)
+ * @returns {Object} - {
+ *   unit: { id, name, level } | null, station: { id, name } | null, mutualAid,
+ *   responseMinutes, driveMinutes, distance, arriveAtPatient, notes
+ * }
+ */
+const dispatchAmbulance = (origin, { region, time, trafficLevel, hazards = [], advancedLifeSupport = false }) => {
+  const hazardKey = hazards.map(hazard => `${hazard.id}:${JSON.stringify(hazard.geometry)}`).join(',');  // Edits change the roads too
+  const key = `${region.id}|${origin.lat},${origin.lng}|${time.iso}|${trafficLevel}|${hazardKey}|${advancedLifeSupport}|${overridesVersion}`;
+  if (lastDispatch.key === key) return lastDispatch.result;
+
+  const config = getEmsConfig();
+  const setupMinutes = config.callProcessingMinutes + config.turnoutMinutes;
+  const mutualAid = config.mutualAid[region.id];
+  const available = getUnitStatuses(region, time).filter(unit => unit.status === 'available');
+
+  // Every unit at a station takes the same route
+  const routes = new Map();
+  const routeFrom = (station) => {
+    if (!routes.has(station.id)) {
+      routes.set(station.id, calculateTravelTime(station.position, origin, EMERGENCY_TRAFFIC[trafficLevel] || 'low', hazards));
+    }
+    return routes.get(station.id);
+  };
+  // Units the hazards cut off from the patient can't respond
+  const reachable = available.filter(unit => !routeFrom(unit.station).unreachable);
+  const fastest = (units) => units
+    .map(unit => ({ unit, drive: routeFrom(unit.station) }))
+    .sort((a, b) => a.drive.time - b.drive.time)[0];
+
+  const notes = [];
+  let response = advancedLifeSupport ? fastest(reachable.filter(unit => unit.level === 'ALS')) : fastest(reachable);
+  if (!response && advancedLifeSupport && reachable.length > 0) {
+    response = fastest(reachable);
+    notes.push(`No paramedic (ALS) unit is free - ${response.unit.name} (basic life support) responds`);
+  }
+
+  let result;
+  if (response) {
+    const responseMinutes = setupMinutes + response.drive.time;
+    result = {
+      unit: { id: response.unit.id, name: response.unit.name, level: response.unit.level },
+      station: { id: response.unit.station.id, name: response.unit.station.name },
+      mutualAid: false,
+      responseMinutes,
+      driveMinutes: response.drive.time,
+      distance: response.drive.distance,
+      arriveAtPatient: addMinutes(time, responseMinutes).iso,
+      notes
+    };
+  } else {
+    const responseMinutes = config.callProcessingMinutes + mutualAid.responseMinutes;
+    result = {
+      unit: null,
+      station: null,
+      mutualAid: true,
+      responseMinutes,
+      driveMinutes: mutualAid.responseMinutes,
+      distance: null,
+      arriveAtPatient: addMinutes(time, responseMinutes).iso,
+      notes: [reachable.length < available.length
+        ? `Hazards close every road from the local ambulance stations - ${mutualAid.name} responds`
+        : `Every local ambulance is on another call - ${mutualAid.name} responds`]
+    };
+  }
+
+  lastDispatch = { key, result };
+  return result;
+};
+
+/**
+ * A whole ambulance trip: dispatch, time on scene, then transport to a hospital
+ * @param {Object} origin - { lat, lng } patient location
+ * @param {Object} destination - { lat, lng } hospital
+ * @param {Object} params - As for dispatchAmbulance()
+ * @returns {Object|null} - {
+ *   time (minutes from the call to the hospital), distance, source, detour (on the way to hospital), dispatch,
+ *   responseMinutes, onSceneMinutes, transportMinutes, arriveAtPatient, arriveAtHospital
+ * }, or null when hazards close every road to the hospital
+ */
+const simulateAmbulanceTrip = (origin, destination, { region, time, trafficLevel, hazards = [], advancedLifeSupport }) => {
+  const { onSceneMinutes } = getEmsConfig();
+  const dispatch = dispatchAmbulance(origin, { region, time, trafficLevel, hazards, advancedLifeSupport });
+  const transport = calculateTravelTime(origin, destination, EMERGENCY_TRAFFIC[trafficLevel] || 'low', hazards);
+  if (transport.unreachable) return null;
+  const total = dispatch.responseMinutes + onSceneMinutes + transport.time;
+
+  return {
+    time: total,
+    distance: transport.distance,
+    source: transport.source,
+    detour: transport.detour,
+    dispatch,
+    responseMinutes: dispatch.responseMinutes,
+    onSceneMinutes,
+    transportMinutes: transport.time,
+    arriveAtPatient: dispatch.arriveAtPatient,
+    arriveAtHospital: addMinutes(time, total).iso
+  };
+};
+
+/**
+ * Check an ambulance can take a patient to a facility - an open ER that is
+ * taking patients (not on diversion, evacuating or inside a hazard area)
+ * @param {Object} facility - From getFacilitiesWithCurrentStatus()
+ * @returns {boolean}
+ */
+const canReceiveAmbulance = (facility) => facility.type === 'ER' && facility.status === 'Open'
+  && !getUnavailableReason(facility);
+
+/**
+ * Pick the hospital the crew takes the patient to
+ * Only ERs that can take the patient (canReceiveAmbulance) - the closest by
+ * transport time, unless another has more of the patient's preferred
+ * specialties and is at most specialtyBypassMinutes further
+ * @param {Array} options - [{ facility, transportMinutes, specialties (preferred capabilities met), ... }]
+ * @returns {Object|null} - { choice, closest } - the chosen option and the closest one, or null if no option is an ER taking patients
+ */
+const chooseDestination = (allOptions) => {
+  const { specialtyBypassMinutes } = getEmsConfig();
+  const options = allOptions.filter(option => canReceiveAmbulance(option.facility));
+  if (options.length === 0) return null;
+  const closest = options.reduce((best, option) => (option.transportMinutes < best.transportMinutes ? option : best));
+  const choice = options
+    .filter(option => option.transportMinutes <= closest.transportMinutes + specialtyBypassMinutes)
+    .reduce((best, option) => (option.specialties > best.specialties
+      || (option.specialties === best.specialties && option.transportMinutes < best.transportMinutes) ? option : best));
+  return { choice, closest };
+};
+
+module.exports = {
+  UNIT_STATUSES,
+  EMERGENCY_TRAFFIC,
+  getUnitStatuses,
+  setUnitStatus,
+  clearUnitStatus,
+  dispatchAmbulance,
+  simulateAmbulanceTrip,
+  canReceiveAmbulance,
+  chooseDestination
+};
@@ -0,0 +1,86 @@
+/**
+ * Fixture Environment Provider
+ * Replays fixed conditions from a JSON file - for testing recommendations
+ * in a heat wave or a smoke event on any date
+ *
+ * Config: { path: 'data/environment/atlanta-heat-wave.json' } (from the backend folder)
+ *
+ * File:
+ * {
+ *   name: 'atlanta-heat-wave', description?,
+ *   regions: {
+ *     'midtown-atlanta': {
+ *       hourly: { temperature: [24] °F, humidity: [24] %, aqi: [24] },  // by local hour
+ *       pollutant: 'ozone' | 'pm25'
+ *     }
+ *   }
+ * }
+ *
+ * The same day repeats whatever the date. Regions the file doesn't list get no
+ * reading, and fall back to the simulation.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const POLLUTANTS = ['ozone', 'pm25'];
+const SERIES = ['temperature', 'humidity', 'aqi'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isHourlyList = (value) => Array.isArray(value) && value.length === 24
+  && value.every(entry => typeof entry === 'number' && Number.isFinite(entry));
+
+/**
+ * Check a fixture document
+ * @returns {Array} - Error messages (empty if valid)
+ */
+const validateFixture = (fixture) => {
+  if (!isPlainObject(fixture) || !isPlainObject(fixture.regions)) return ['A fixture must be { name, regions: { regionId: { hourly, pollutant } } }'];
+  const errors = [];
+  Object.entries(fixture.regions).forEach(([regionId, entry]) => {
+    if (!isPlainObject(entry) || !isPlainObject(entry.hourly)) {
+      errors.push(`regions["${regionId}"] must be { hourly: { temperature, humidity, aqi }, pollutant }`);
+      return;
+    }
+    SERIES.filter(series => !isHourlyList(entry.hourly[series]))
+      .forEach(series => errors.push(`regions["${regionId}"].hourly.${series} must list 24 numbers`));
+    if (!POLLUTANTS.includes(entry.pollutant)) {
+      errors.push(`regions["${regionId}"].pollutant must be one of: ${POLLUTANTS.join(', ')}`);
+    }
+  });
+  return errors;
+};
+
+/**
+ * Create a fixture provider - the file is read and checked once, here
+ * @param {Object} config - { path }
+ * @returns {Object} - { name, type, getReading(region, time) → reading or null }
+ */
+const createFixtureProvider = (config) => {
+  if (!config.path) {
+    throw new Error('The fixture environment provider needs a file (set ENVIRONMENT_FIXTURE)');
+  }
+  const filePath = path.resolve(__dirname, '..', '..', config.path);
+  const fixture = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const errors = validateFixture(fixture);
+  if (errors.length > 0) {
+    throw new Error(`Invalid environment fixture ${config.path}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return {
+    name: fixture.name || path.basename(filePath, '.json'),
+    type: 'fixture',
+    getReading: (region, time) => {
+      const entry = fixture.regions[region.id];
+      if (!entry) return null;
+      return {
+        temperature: entry.hourly.temperature[time.hour],
+        humidity: entry.hourly.humidity[time.hour],
+        aqi: entry.hourly.aqi[time.hour],
+        pollutant: entry.pollutant
+      };
+    }
+  };
+};
+
+module.exports = createFixtureProvider;
@@ -0,0 +1,76 @@
+/**
+ * Simulated Environment Provider
+ * Temperature, humidity and air quality from each region's climate
+ * (models/regions.js → climate) - no APIs needed
+ *
+ * The temperature follows a daily curve from the month's average low around
+ * 6 AM to its average high around 3 PM, humidity moves the other way, and
+ * ozone builds through sunny afternoons. Each date runs a few degrees warmer
+ * or cooler than average (the same date always gives the same readings), so
+ * some summer days reach the heat index and AQI levels that matter.
+ */
+
+const COOLEST_HOUR = 6;
+const HOTTEST_HOUR = 15;
+
+// Largest day-to-day swing from the monthly averages (°F, and share of the AQI)
+const DAILY_TEMPERATURE_SWING = 5;
+const DAILY_AQI_SWING = 0.25;
+
+// Ozone is the main pollutant in the warm months, fine particles otherwise
+const OZONE_MONTHS = [5, 6, 7, 8, 9];
+
+/**
+ * How far through the day's warming a local hour is (0 at the coolest hour, 1 at the hottest)
+ * @param {number} hour - Local hour with minutes as a fraction, e.g. 14.5
+ * @returns {number} 0-1
+ */
+const dailyCurve = (hour) => {
+  if (hour >= COOLEST_HOUR && hour <= HOTTEST_HOUR) {
+    return (1 - Math.cos(Math.PI * (hour - COOLEST_HOUR) / (HOTTEST_HOUR - COOLEST_HOUR))) / 2;
+  }
+  const sinceHottest = (hour - HOTTEST_HOUR + 24) % 24;
+  return (1 + Math.cos(Math.PI * sinceHottest / (24 - HOTTEST_HOUR + COOLEST_HOUR))) / 2;
+};
+
+/**
+ * The date's departure from average, -1 to 1 - fixed for a date so simulations repeat
+ * @param {string} date - 'YYYY-MM-DD'
+ * @returns {number}
+ */
+const dailyVariation = (date) => {
+  const day = Date.parse(`${date}T00:00:00Z`) / 86400000;
+  return (Math.sin(day * 0.9) + Math.sin(day * 0.37)) / 2;
+};
+
+/**
+ * Create the simulated provider
+ * @returns {Object} - { name, type, getReading(region, time) → reading or null }
+ */
+const createSimulatedProvider = () => ({
+  name: 'simulation',
+  type: 'simulated',
+  getReading: (region, time) => {
+    if (!region.climate) return null;
+    const { highs, lows, humidity, aqi } = region.climate;
+    const month = time.month - 1;
+    const curve = dailyCurve(time.hour + time.minute / 60);
+    const variation = dailyVariation(time.date);
+    const ozone = OZONE_MONTHS.includes(time.month);
+
+    const temperature = lows[month] + (highs[month] - lows[month]) * curve + variation * DAILY_TEMPERATURE_SWING;
+    // The afternoon humidity is the lowest of the day - nights run closer to saturation
+    const relativeHumidity = humidity[month] + (100 - humidity[month]) * 0.5 * (1 - curve);
+    // Ozone peaks in the afternoon sun; particles are steadier through the day
+    const airQuality = aqi[month] * (ozone ? 0.5 + 0.5 * curve : 0.85 + 0.15 * curve) * (1 + variation * DAILY_AQI_SWING);
+
+    return {
+      temperature: Math.round(temperature),
+      humidity: Math.round(relativeHumidity),
+      aqi: Math.round(airQuality),
+      pollutant: ozone ? 'ozone' : 'pm25'
+    };
+  }
+});
+
+module.exports = createSimulatedProvider;
@@ -0,0 +1,210 @@
+/**
+ * Environment Service
+ * Temperature, heat index and air quality where the patient is, and what
+ * they mean for a patient's profile
+ *
+ * PROVIDERS
+ * - simulated (default): from each region's climate (environmentProviders/simulated.js)
+ * - fixture: fixed conditions replayed from a JSON file, for testing
+ *   (environmentProviders/fixture.js) - regions it doesn't list use the simulation
+ *
+ * Pick one with ENVIRONMENT_PROVIDER ('simulated' or 'fixture') and, for a
+ * fixture, ENVIRONMENT_FIXTURE (e.g. data/environment/atlanta-heat-wave.json).
+ * To add a provider type, write a factory returning
+ * { name, type, getReading(region, time) → { temperature, humidity, aqi, pollutant } or null }
+ * and register it in PROVIDER_TYPES. Readings are asked for at any simulated
+ * time, so a provider for a live weather or AirNow feed would poll in the
+ * background and answer from what it last received, like services/waitTimeFeeds.js.
+ *
+ * EXPOSURE
+ * The heat index uses the National Weather Service levels and air quality
+ * the EPA AQI categories. Each level is a risk (0-3) for people in the
+ * sensitive groups and a lower one for everyone else. For a profile at
+ * risk, minutes spent outside - walking, and waiting at transit stops -
+ * count extra when comparing ways to get somewhere, and a condition the
+ * conditions trigger (asthma or COPD in bad air, anyone heat-sensitive in
+ * dangerous heat) turns mild symptoms into moderate ones.
+ */
+
+const createSimulatedProvider = require('./environmentProviders/simulated');
+const createFixtureProvider = require('./environmentProviders/fixture');
+
+const PROVIDER_TYPES = {
+  simulated: createSimulatedProvider,
+  fixture: createFixtureProvider
+};
+
+// National Weather Service heat index levels (°F) - risk for the sensitive groups and for everyone
+const HEAT_LEVELS = [
+  { id: 'none', label: 'No heat risk', from: -Infinity, risk: { sensitive: 0, everyone: 0 } },
+  { id: 'caution', label: 'Caution', from: 80, risk: { sensitive: 0, everyone: 0 } },
+  { id: 'extreme-caution', label: 'Extreme caution', from: 90, risk: { sensitive: 1, everyone: 0 } },
+  { id: 'danger', label: 'Danger', from: 103, risk: { sensitive: 2, everyone: 1 } },
+  { id: 'extreme-danger', label: 'Extreme danger', from: 125, risk: { sensitive: 3, everyone: 2 } }
+];
+
+// EPA Air Quality Index categories
+const AQI_CATEGORIES = [
+  { id: 'good', label: 'Good', from: 0, risk: { sensitive: 0, everyone: 0 } },
+  { id: 'moderate', label: 'Moderate', from: 51, risk: { sensitive: 0, everyone: 0 } },
+  { id: 'unhealthy-sensitive', label: 'Unhealthy for sensitive groups', from: 101, risk: { sensitive: 1, everyone: 0 } },
+  { id: 'unhealthy', label: 'Unhealthy', from: 151, risk: { sensitive: 2, everyone: 1 } },
+  { id: 'very-unhealthy', label: 'Very unhealthy', from: 201, risk: { sensitive: 3, everyone: 2 } },
+  { id: 'hazardous', label: 'Hazardous', from: 301, risk: { sensitive: 3, everyone: 3 } }
+];
+
+const POLLUTANT_LABELS = { ozone: 'ozone', pm25: 'fine particles (PM2.5)' };
+
+// Conditions (models/capabilities.js) that make someone more sensitive - and how to name them
+const SENSITIVE_GROUPS = {
+  heat: ['older-adult', 'child', 'pregnancy', 'heart-disease', 'copd', 'kidney-disease', 'diabetes', 'hypertension', 'dementia'],
+  air: ['asthma', 'copd', 'heart-disease', 'child', 'older-adult', 'pregnancy']
+};
+const GROUP_LABELS = {
+  'older-adult': 'older adults',
+  child: 'children',
+  pregnancy: 'pregnant people',
+  asthma: 'people with asthma',
+  copd: 'people with COPD',
+  'heart-disease': 'people with heart disease',
+  'kidney-disease': 'people with kidney disease',
+  diabetes: 'people with diabetes',
+  hypertension: 'people with high blood pressure',
+  dementia: 'people with dementia'
+};
+
+// Conditions the air itself sets off - bad air is a trigger, not just a risk
+const AIR_TRIGGERED = ['asthma', 'copd'];
+// Heat at this risk or above is a trigger for anyone heat-sensitive
+const HEAT_TRIGGER_RISK = 2;
+
+// Extra minutes counted per minute spent outside, by the highest risk
+const EXPOSURE_PENALTY = { 1: 0.5, 2: 1, 3: 2 };
+
+let provider = null;
+let fallback = null;
+
+/**
+ * The configured provider, created on first use
+ * Throws if ENVIRONMENT_PROVIDER is unknown or its fixture is invalid
+ * @returns {Object} - { name, type, getReading }
+ */
+const getEnvironmentProvider = () => {
+  if (!provider) {
+    const type = process.env.ENVIRONMENT_PROVIDER || 'simulated';
+    const createProvider = PROVIDER_TYPES[type];
+    if (!createProvider) {
+      throw new Error(`Unknown ENVIRONMENT_PROVIDER "${type}" (expected ${Object.keys(PROVIDER_TYPES).join(', ')})`);
+    }
+    provider = createProvider({ path: process.env.ENVIRONMENT_FIXTURE });
+    fallback = type === 'simulated' ? provider : createSimulatedProvider();
+  }
+  return provider;
+};
+
+/**
+ * Heat index - how hot it feels (National Weather Service formula)
+ * @param {number} temperature - °F
+ * @param {number} humidity - Relative humidity, %
+ * @returns {number} - °F, rounded
+ */
+const calculateHeatIndex = (temperature, humidity) => {
+  const T = temperature;
+  const RH = humidity;
+  const simple = 0.5 * (T + 61 + (T - 68) * 1.2 + RH * 0.094);
+  if ((simple + T) / 2 < 80) return Math.round(simple);
+
+  let index = -42.379 + 2.04901523 * T + 10.14333127 * RH - 0.22475541 * T * RH
+    - 0.00683783 * T * T - 0.05481717 * RH * RH + 0.00122874 * T * T * RH
+    + 0.00085282 * T * RH * RH - 0.00000199 * T * T * RH * RH;
+  if (RH < 13 && T >= 80 && T <= 112) {
+    index -= ((13 - RH) / 4) * Math.sqrt((17 - Math.abs(T - 95)) / 17);
+  } else if (RH > 85 && T >= 80 && T <= 87) {
+    index += ((RH - 85) / 10) * ((87 - T) / 5);
+  }
+  return Math.round(index);
+};
+
+/**
+ * The level a value falls in
+ * @param {Array} levels - HEAT_LEVELS or AQI_CATEGORIES
+ */
+const findLevel = (levels, value) => levels.filter(level => value >= level.from).pop() || levels[0];
+
+/**
+ * Conditions in a region at a moment
+ * @param {Object} region - Region (models/regions.js)
+ * @param {Object} time - Local time in the region
+ * @returns {Object|null} - {
+ *   temperature, humidity, heatIndex, heat: { level, label }, aqi, pollutant, pollutantLabel,
+ *   air: { level, label }, source, asOf
+ * } or null when nothing reports on the region
+ */
+const getEnvironment = (region, time) => {
+  const primary = getEnvironmentProvider();
+  const fromPrimary = primary.getReading(region, time);
+  const reading = fromPrimary || fallback.getReading(region, time);
+  if (!reading) return null;
+
+  const heatIndex = calculateHeatIndex(reading.temperature, reading.humidity);
+  const heat = findLevel(HEAT_LEVELS, heatIndex);
+  const air = findLevel(AQI_CATEGORIES, reading.aqi);
+  return {
+    temperature: reading.temperature,
+    humidity: reading.humidity,
+    heatIndex,
+    heat: { level: heat.id, label: heat.label },
+    aqi: reading.aqi,
+    pollutant: reading.pollutant,
+    pollutantLabel: POLLUTANT_LABELS[reading.pollutant] || reading.pollutant,
+    air: { level: air.id, label: air.label },
+    source: fromPrimary ? primary.name : fallback.name,
+    asOf: time.iso
+  };
+};
+
+/**
+ * What the conditions mean for a patient
+ * @param {Array} conditions - Condition ids (persona conditions, or getProfileConditions())
+ * @param {Object|null} environment - From getEnvironment()
+ * @returns {Object} - {
+ *   risks: [{ kind: 'heat' | 'air', risk: 1-3, level, reading, groups: [labels], triggered }],
+ *   penaltyPerMinute (extra minutes per minute outside, 0 = none), raisesSeverity
+ * }
+ */
+const assessExposure = (conditions, environment) => {
+  if (!environment) return { risks: [], penaltyPerMinute: 0, raisesSeverity: false };
+
+  const assess = (kind, levels, levelId, reading) => {
+    const level = levels.find(entry => entry.id === levelId);
+    const groups = conditions.filter(condition => SENSITIVE_GROUPS[kind].includes(condition));
+    const risk = groups.length > 0 ? level.risk.sensitive : level.risk.everyone;
+    if (risk === 0) return null;
+    const triggered = kind === 'air'
+      ? conditions.some(condition => AIR_TRIGGERED.includes(condition))
+      : groups.length > 0 && risk >= HEAT_TRIGGER_RISK;
+    return { kind, risk, level: level.label, reading, groups: groups.map(group => GROUP_LABELS[group]), triggered };
+  };
+
+  const risks = [
+    assess('heat', HEAT_LEVELS, environment.heat.level, `Heat index ${environment.heatIndex}°F`),
+    assess('air', AQI_CATEGORIES, environment.air.level, `AQI ${environment.aqi}, ${environment.pollutantLabel}`)
+  ].filter(Boolean);
+  const highest = Math.max(0, ...risks.map(entry => entry.risk));
+
+  return {
+    risks,
+    penaltyPerMinute: EXPOSURE_PENALTY[highest] || 0,
+    raisesSeverity: risks.some(entry => entry.triggered)
+  };
+};
+
+module.exports = {
+  PROVIDER_TYPES,
+  HEAT_LEVELS,
+  AQI_CATEGORIES,
+  getEnvironmentProvider,
+  calculateHeatIndex,
+  getEnvironment,
+  assessExposure
+};
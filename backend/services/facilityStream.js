@@ -0,0 +1,173 @@
+/**
+ * Facility Stream
+ * Pushes facility status, wait time, traffic, hazard, shelter and heat / air
+ * quality level changes to connected clients over Server-Sent Events
+ * (GET /api/facilities/stream)
+ *
+ * Every subscriber has its own view - its origin and time - built by the
+ * callback it subscribes with, in the same shape as GET /api/facilities.
+ * Views are rebuilt every FACILITY_STREAM_SECONDS (default 15) and straight
+ * away when facilities change (registry writes, live wait readings, hazards, shelters - see
+ * notifyFacilitiesChanged()). A client is only sent a view that differs from
+ * the last one it got, with a list of what changed; otherwise it gets a
+ * heartbeat comment so proxies keep the connection open.
+ */
+
+const DEFAULT_INTERVAL_SECONDS = 15;
+
+// { build, send, heartbeat, last: { signature, view } }
+const subscribers = new Set();
+let timer = null;
+let refreshQueued = false;
+
+/**
+ * The parts of a view that clients care about changing
+ * waitTimeAsOf moves on every build, so it isn't part of it
+ */
+const signatureOf = (view) => JSON.stringify([
+  view.trafficLevel,
+  (view.hazards || []).map(hazard => [hazard.id, hazard.name, hazard.geometry, hazard.endsAt]),
+  (view.weatherEvents || []).map(event => [event.id, event.name, event.endsAt]),
+  (view.shelters || []).map(shelter => [shelter.id, shelter.name, shelter.status, shelter.statusDetail, shelter.occupancy]),
+  view.environment && [view.environment.heat.level, view.environment.air.level],
+  view.data.map(facility => [
+    facility.id,
+    facility.name,
+    facility.status,
+    facility.statusDetail,
+    facility.currentWaitTime,
+    facility.waitTimeSource,
+    facility.operationalStatus,
+    facility.hazard && facility.hazard.id,
+    facility.travelTime && facility.travelTime.time
+  ])
+]);
+
+/**
+ * What changed between two views
+ * @returns {Array} - [{ type: 'status' | 'waitTime' | 'operationalStatus' | 'added' | 'removed' | 'traffic' | 'hazards'
+ *   | 'weatherEvents' | 'shelterStatus' | 'environment', facilityId? (or shelterId), name?, from, to }]
+ */
+const describeChanges = (before, after) => {
+  const changes = [];
+  if (before.trafficLevel !== after.trafficLevel) {
+    changes.push({ type: 'traffic', from: before.trafficLevel, to: after.trafficLevel });
+  }
+  const hazardNames = (view) => (view.hazards || []).map(hazard => hazard.name);
+  if (JSON.stringify(before.hazards) !== JSON.stringify(after.hazards)) {
+    changes.push({ type: 'hazards', from: hazardNames(before), to: hazardNames(after) });
+  }
+  const eventNames = (view) => (view.weatherEvents || []).map(event => event.name);
+  if (JSON.stringify(eventNames(before)) !== JSON.stringify(eventNames(after))) {
+    changes.push({ type: 'weatherEvents', from: eventNames(before), to: eventNames(after) });
+  }
+  // Heat and air quality changing level - not every degree
+  const levels = (view) => (view.environment ? `${view.environment.heat.label} heat, ${view.environment.air.label.toLowerCase()} air` : null);
+  if (levels(before) !== levels(after)) {
+    changes.push({ type: 'environment', from: levels(before), to: levels(after) });
+  }
+  const shelterStatuses = new Map((before.shelters || []).map(shelter => [shelter.id, shelter.status]));
+  (after.shelters || []).forEach(shelter => {
+    const from = shelterStatuses.has(shelter.id) ? shelterStatuses.get(shelter.id) : null;
+    if (from !== shelter.status) {
+      changes.push({ shelterId: shelter.id, name: shelter.name, type: 'shelterStatus', from, to: shelter.status });
+    }
+  });
+
+  const previous = new Map(before.data.map(facility => [facility.id, facility]));
+  after.data.forEach(facility => {
+    const old = previous.get(facility.id);
+    const base = { facilityId: facility.id, name: facility.name };
+    if (!old) {
+      changes.push({ ...base, type: 'added', from: null, to: facility.status });
+      return;
+    }
+    if (old.status !== facility.status) {
+      changes.push({ ...base, type: 'status', from: old.status, to: facility.status });
+    }
+    if (old.currentWaitTime !== facility.currentWaitTime) {
+      changes.push({ ...base, type: 'waitTime', from: old.currentWaitTime, to: facility.currentWaitTime });
+    }
+    if (old.operationalStatus !== facility.operationalStatus) {
+      changes.push({ ...base, type: 'operationalStatus', from: old.operationalStatus, to: facility.operationalStatus });
+    }
+    previous.delete(facility.id);
+  });
+  previous.forEach(facility => {
+    changes.push({ facilityId: facility.id, name: facility.name, type: 'removed', from: facility.status, to: null });
+  });
+  return changes;
+};
+
+/**
+ * Rebuild one subscriber's view and send it if it changed
+ */
+const refreshSubscriber = (subscriber) => {
+  let view;
+  try {
+    view = subscriber.build();
+  } catch (err) {
+    console.error('Facility stream update failed:', err.message);
+    return;
+  }
+
+  const signature = signatureOf(view);
+  if (subscriber.last && subscriber.last.signature === signature) {
+    subscriber.heartbeat();
+    return;
+  }
+  const changes = subscriber.last ? describeChanges(subscriber.last.view, view) : [];
+  subscriber.last = { signature, view };
+  subscriber.send({ ...view, changes });
+};
+
+const refreshAll = () => {
+  subscribers.forEach(refreshSubscriber);
+};
+
+/**
+ * Rebuild every view now - call after anything that changes facilities
+ * Several changes in a row (e.g. a batch of readings) send one update
+ */
+const notifyFacilitiesChanged = () => {
+  if (refreshQueued || subscribers.size === 0) return;
+  refreshQueued = true;
+  setImmediate(() => {
+    refreshQueued = false;
+    refreshAll();
+  });
+};
+
+/**
+ * Start receiving facility views
+ * The first view is sent straight away
+ * @param {Object} params
+ * @param {Function} params.build - () → view ({ data: facilities, trafficLevel, ... })
+ * @param {Function} params.send - (view with changes) → void
+ * @param {Function} params.heartbeat - () → void, called when nothing changed
+ * @returns {Function} - Unsubscribe
+ */
+const subscribeFacilities = ({ build, send, heartbeat }) => {
+  const subscriber = { build, send, heartbeat, last: null };
+  subscribers.add(subscriber);
+  refreshSubscriber(subscriber);
+
+  if (!timer) {
+    const seconds = Number(process.env.FACILITY_STREAM_SECONDS) || DEFAULT_INTERVAL_SECONDS;
+    timer = setInterval(refreshAll, seconds * 1000);
+    timer.unref();  // Don't keep the process alive just for streaming
+  }
+
+  return () => {
+    subscribers.delete(subscriber);
+    if (subscribers.size === 0 && timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+};
+
+module.exports = {
+  subscribeFacilities,
+  notifyFacilitiesChanged
+};
@@ -0,0 +1,125 @@
+/**
+ * Forecast Service
+ * Predicts a facility's wait at a future moment - e.g. when the patient arrives
+ *
+ * The forecast starts from the time-of-day model (getSimulatedWaitTime) at the
+ * target moment, then:
+ * - history: if live readings were recorded at the same time of week in recent
+ *   weeks, the model is scaled by how far off it was then (recorded / simulated)
+ * - live: if the facility has a live reading, its gap from the expected wait
+ *   carries forward, fading with time (halving every LIVE_HALF_LIFE_MINUTES)
+ * - surge: while a facility is in surge (services/hazardService.js), the
+ *   model's wait is longer
+ * - load: patients EVAC+ has sent there who still count at the target moment
+ *   (services/recommendationLoad.js) add to the wait
+ */
+
+const { toLocalTime } = require('./clock');
+const { getOpenStatus } = require('./hoursService');
+const { getSimulatedWaitTime } = require('./simulationService');
+const { getSurgeMultiplier } = require('./hazardService');
+const { getRecommendedLoad } = require('./recommendationLoad');
+const { listFacilitySamples } = require('../models/historyStore');
+
+const HISTORY_WEEKS = 4;
+const HISTORY_WINDOW_MINUTES = 30;     // Samples within ± this of the same time of week count
+const MIN_HISTORY_SAMPLES = 3;
+const HISTORY_FACTOR_RANGE = [0.25, 4];
+const LIVE_HALF_LIFE_MINUTES = 60;
+const MINUTE_MS = 60 * 1000;
+const WEEK_MS = 7 * 24 * 60 * MINUTE_MS;
+
+const clamp = (value, [min, max]) => Math.min(max, Math.max(min, value));
+
+/**
+ * How recorded live waits compared with the model at this time of week
+ * @param {Object} facility
+ * @param {Date} instant
+ * @returns {Object} - { factor, samples } (factor 1 when there isn't enough history)
+ */
+const getHistoryFactor = (facility, instant) => {
+  const samples = [];
+  for (let week = 1; week <= HISTORY_WEEKS; week++) {
+    const center = instant.getTime() - week * WEEK_MS;
+    samples.push(...listFacilitySamples(
+      facility.id,
+      new Date(center - HISTORY_WINDOW_MINUTES * MINUTE_MS),
+      new Date(center + HISTORY_WINDOW_MINUTES * MINUTE_MS)
+    ));
+  }
+
+  const recorded = samples.filter(sample => sample.status === 'Open' && sample.waitTimeSource !== 'simulation');
+  const simulatedTotal = recorded.reduce((sum, sample) => sum + sample.simulatedWaitTime, 0);
+  if (recorded.length < MIN_HISTORY_SAMPLES || simulatedTotal === 0) {
+    return { factor: 1, samples: 0 };
+  }
+
+  const recordedTotal = recorded.reduce((sum, sample) => sum + sample.waitTime, 0);
+  return { factor: clamp(recordedTotal / simulatedTotal, HISTORY_FACTOR_RANGE), samples: recorded.length };
+};
+
+/**
+ * The model's wait for a moment, corrected by history and any surge then
+ */
+const getExpectedWait = (facility, time) => {
+  const history = getHistoryFactor(facility, new Date(time.iso));
+  const surge = getSurgeMultiplier(facility, time);
+  return { wait: getSimulatedWaitTime(facility, time) * history.factor * surge, history, surge };
+};
+
+/**
+ * Predict a facility's wait at a given moment
+ *
+ * @param {Object} facility - Facility from getFacilitiesWithCurrentStatus()
+ *   (currentWaitTime, waitTimeSource, waitTimeAsOf and recommendedLoad are used for the live adjustment)
+ * @param {Object} time - Local time in the facility's region to forecast for
+ * @returns {Object} - {
+ *   at, waitTime, status, statusDetail,
+ *   basis: ['simulation', 'history'?, 'surge'?, 'live'?, 'load'?], historySamples, recommendedPatients
+ * }
+ */
+const forecastWaitTime = (facility, time) => {
+  const expected = getExpectedWait(facility, time);
+  let wait = expected.wait;
+  const basis = ['simulation'];
+  if (expected.history.samples > 0) basis.push('history');
+  if (expected.surge > 1) basis.push('surge');
+
+  // A live reading says how busy the facility is compared with normal - that
+  // gap fades the further the forecast is from the reading
+  if (facility.waitTimeSource && facility.waitTimeSource !== 'simulation') {
+    const readingTime = toLocalTime(new Date(facility.waitTimeAsOf), time.timezone);
+    const expectedThen = getExpectedWait(facility, readingTime).wait;
+    if (expectedThen > 0) {
+      const minutesAhead = Math.max(0, (Date.parse(time.iso) - Date.parse(readingTime.iso)) / MINUTE_MS);
+      const fade = Math.pow(0.5, minutesAhead / LIVE_HALF_LIFE_MINUTES);
+      // The reading itself - the load added on top of it is forecast separately below
+      const reading = facility.currentWaitTime - (facility.recommendedLoad ? facility.recommendedLoad.addedWait : 0);
+      wait *= 1 + (reading / expectedThen - 1) * fade;
+      basis.push('live');
+    }
+  }
+
+  // Patients already sent there who will still be waiting
+  const load = getRecommendedLoad(facility, new Date(time.iso),
+    facility.waitTimeSource && facility.waitTimeSource !== 'simulation' ? new Date(facility.waitTimeAsOf) : null);
+  if (load.patients > 0) {
+    wait += load.addedWait;
+    basis.push('load');
+  }
+
+  const { isOpen, statusDetail } = getOpenStatus(facility.schedule, time);
+  return {
+    at: time.iso,
+    waitTime: Math.max(0, Math.round(wait)),
+    status: isOpen ? 'Open' : 'Closed',
+    statusDetail,
+    basis,
+    historySamples: expected.history.samples,
+    recommendedPatients: load.patients
+  };
+};
+
+module.exports = {
+  forecastWaitTime
+};
@@ -0,0 +1,199 @@
+/**
+ * Geo Helpers
+ * Small coordinate utilities shared by the travel and routing services
+ *
+ * GeoJSON coordinates are [lng, lat]; everything else here takes { lat, lng }.
+ */
+
+// Earth's radius in miles (used by the Haversine formula)
+const EARTH_RADIUS_MILES = 3959;
+
+/**
+ * Normalize a position into { lat, lng }
+ * Accepts array [lat, lng], object {lat, lng} and "lat,lng" string formats
+ * @param {Array|Object|string} position - Position in any of those formats
+ * @returns {Object|null} - { lat, lng } or null if the position is invalid
+ */
+const toLatLng = (position) => {
+  if (!position) return null;
+  let lat;
+  let lng;
+  if (typeof position === 'string') {
+    [lat, lng] = position.split(',').map(part => parseFloat(part));
+  } else if (Array.isArray(position)) {
+    [lat, lng] = position.map(part => parseFloat(part));
+  } else {
+    lat = parseFloat(position.lat);
+    lng = parseFloat(position.lng);
+  }
+  return Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
+};
+
+/**
+ * Straight-line distance between two points using the Haversine formula
+ * @param {Object} from - { lat, lng }
+ * @param {Object} to - { lat, lng }
+ * @returns {number} - Distance in miles
+ */
+const haversineMiles = (from, to) => {
+  const dLat = (to.lat - from.lat) * Math.PI / 180;
+  const dLng = (to.lng - from.lng) * Math.PI / 180;
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(from.lat * Math.PI / 180) * Math.cos(to.lat * Math.PI / 180) *
+    Math.sin(dLng / 2) * Math.sin(dLng / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return EARTH_RADIUS_MILES * c;
+};
+
+/**
+ * Compass bearing from one point to another
+ * @param {Object} from - { lat, lng }
+ * @param {Object} to - { lat, lng }
+ * @returns {number} - Bearing in degrees (0 = north, 90 = east)
+ */
+const bearing = (from, to) => {
+  const lat1 = from.lat * Math.PI / 180;
+  const lat2 = to.lat * Math.PI / 180;
+  const dLng = (to.lng - from.lng) * Math.PI / 180;
+  const y = Math.sin(dLng) * Math.cos(lat2);
+  const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLng);
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+};
+
+/**
+ * Project a point onto the segment a→b (flat-earth approximation, fine at city scale)
+ * @returns {Object} - { t: fraction along segment (0-1), point: { lat, lng } }
+ */
+const projectOntoSegment = (point, a, b) => {
+  const scale = Math.cos(point.lat * Math.PI / 180);  // Longitude degrees shrink with latitude
+  const ax = a.lng * scale;
+  const bx = b.lng * scale;
+  const px = point.lng * scale;
+  const dx = bx - ax;
+  const dy = b.lat - a.lat;
+  const lengthSq = dx * dx + dy * dy;
+  let t = lengthSq === 0 ? 0 : ((px - ax) * dx + (point.lat - a.lat) * dy) / lengthSq;
+  t = Math.max(0, Math.min(1, t));
+  return {
+    t,
+    point: { lat: a.lat + t * (b.lat - a.lat), lng: a.lng + t * (b.lng - a.lng) }
+  };
+};
+
+/**
+ * Check a point is inside a GeoJSON linear ring (ray casting - flat-earth, fine at city scale)
+ * @param {Object} point - { lat, lng }
+ * @param {Array} ring - [[lng, lat], ...]
+ * @returns {boolean}
+ */
+const pointInRing = ({ lat, lng }, ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+/**
+ * The polygons of a GeoJSON Polygon or MultiPolygon, as lists of rings (outer ring first)
+ */
+const polygonsOf = (geometry) => (geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates]);
+
+/**
+ * Check a point is inside a GeoJSON Polygon or MultiPolygon (holes excluded)
+ * @param {Object} point - { lat, lng }
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {boolean}
+ */
+const pointInPolygon = (point, geometry) => polygonsOf(geometry)
+  .some(([outer, ...holes]) => pointInRing(point, outer) && !holes.some(hole => pointInRing(point, hole)));
+
+/**
+ * Check two straight segments cross (or touch)
+ * @param {Object} a - { lat, lng } start of the first segment
+ * @param {Object} b - End of the first segment
+ * @param {Object} c - Start of the second segment
+ * @param {Object} d - End of the second segment
+ * @returns {boolean}
+ */
+const segmentsIntersect = (a, b, c, d) => {
+  const side = (p, q, r) => Math.sign((q.lng - p.lng) * (r.lat - p.lat) - (q.lat - p.lat) * (r.lng - p.lng));
+  const within = (p, q, r) => Math.min(p.lng, q.lng) <= r.lng && r.lng <= Math.max(p.lng, q.lng)
+    && Math.min(p.lat, q.lat) <= r.lat && r.lat <= Math.max(p.lat, q.lat);
+  const d1 = side(c, d, a);
+  const d2 = side(c, d, b);
+  const d3 = side(a, b, c);
+  const d4 = side(a, b, d);
+  if (d1 !== d2 && d3 !== d4) return true;
+  return (d1 === 0 && within(c, d, a)) || (d2 === 0 && within(c, d, b))
+    || (d3 === 0 && within(a, b, c)) || (d4 === 0 && within(a, b, d));
+};
+
+/**
+ * Check a straight segment enters a GeoJSON Polygon or MultiPolygon
+ * @param {Object} from - { lat, lng }
+ * @param {Object} to - { lat, lng }
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {boolean}
+ */
+const segmentCrossesPolygon = (from, to, geometry) => {
+  if (pointInPolygon(from, geometry) || pointInPolygon(to, geometry)) return true;
+  return polygonsOf(geometry).some(rings => rings.some(ring => ring.some((coord, i) => {
+    if (i === 0) return false;
+    const [lng1, lat1] = ring[i - 1];
+    return segmentsIntersect(from, to, { lat: lat1, lng: lng1 }, { lat: coord[1], lng: coord[0] });
+  })));
+};
+
+/**
+ * The straight pieces of a GeoJSON LineString or MultiLineString
+ * @returns {Array} - [[{ lat, lng }, { lat, lng }], ...]
+ */
+const linePiecesOf = (geometry) => {
+  const lines = geometry.type === 'MultiLineString' ? geometry.coordinates : [geometry.coordinates];
+  return lines.flatMap(line => line.slice(1).map((coord, i) => [
+    { lat: line[i][1], lng: line[i][0] },
+    { lat: coord[1], lng: coord[0] }
+  ]));
+};
+
+/**
+ * Distance from a point to the nearest part of a GeoJSON LineString or MultiLineString
+ * @param {Object} point - { lat, lng }
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {number} - Miles
+ */
+const distanceToLineMiles = (point, geometry) => linePiecesOf(geometry)
+  .reduce((nearest, [a, b]) => Math.min(nearest, haversineMiles(point, projectOntoSegment(point, a, b).point)), Infinity);
+
+/**
+ * Shortest distance between two straight segments - 0 when they cross
+ * @param {Object} a - { lat, lng } start of the first segment
+ * @param {Object} b - End of the first segment
+ * @param {Object} c - Start of the second segment
+ * @param {Object} d - End of the second segment
+ * @returns {number} - Miles
+ */
+const segmentDistanceMiles = (a, b, c, d) => {
+  if (segmentsIntersect(a, b, c, d)) return 0;
+  const toSegment = (point, start, end) => haversineMiles(point, projectOntoSegment(point, start, end).point);
+  return Math.min(toSegment(a, c, d), toSegment(b, c, d), toSegment(c, a, b), toSegment(d, a, b));
+};
+
+module.exports = {
+  toLatLng,
+  haversineMiles,
+  bearing,
+  projectOntoSegment,
+  pointInPolygon,
+  segmentsIntersect,
+  segmentCrossesPolygon,
+  linePiecesOf,
+  distanceToLineMiles,
+  segmentDistanceMiles
+};
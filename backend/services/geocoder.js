@@ -0,0 +1,241 @@
+/**
+ * Geocoder
+ * Turns an address, place name or street intersection into coordinates - fully offline
+ *
+ * Two sources per region, both bundled with the backend:
+ * 1. The region's gazetteer (its `gazetteer` file, e.g. data/midtown-gazetteer.json) -
+ *    addresses and points of interest
+ * 2. The region's road graph - street names, for "10th St & Peachtree St" intersections
+ *
+ * A region without either finds nothing of that kind, and nothing outside the
+ * region's bounds is ever returned - searching Denver never turns up Atlanta.
+ *
+ * Matching is token based: abbreviations are expanded (St → street, NW → northwest)
+ * and each candidate is scored by how many of the query's words it contains.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getRoadGraph } = require('./routingService');
+const { containsPoint } = require('../models/regions');
+const { haversineMiles } = require('./geo');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+const MIN_SCORE = 0.5;            // At least half of the query words must match
+const REVERSE_MAX_MILES = 0.25;   // Reverse lookups only name places within ~400m
+
+/**
+ * Common address abbreviations → the full word used for matching
+ */
+const ABBREVIATIONS = {
+  st: 'street',
+  ave: 'avenue',
+  av: 'avenue',
+  dr: 'drive',
+  rd: 'road',
+  blvd: 'boulevard',
+  pkwy: 'parkway',
+  ln: 'lane',
+  ct: 'court',
+  pl: 'place',
+  n: 'north',
+  s: 'south',
+  e: 'east',
+  w: 'west',
+  nw: 'northwest',
+  ne: 'northeast',
+  sw: 'southwest',
+  se: 'southeast'
+};
+
+// Words that don't help tell places apart - so don't the words of a region's locality (city and state)
+const STOP_WORDS = new Set(['the', 'of', 'at', 'usa']);
+
+/**
+ * Split text into normalized, comparable words
+ * @param {string} text - Free text
+ * @param {Object} region - Also drop the words of its locality, e.g. "Denver, CO" (optional)
+ * @returns {Array} - Normalized tokens
+ */
+const tokenize = (text, region = null) => {
+  const locality = new Set(region && region.locality ? tokenize(region.locality) : []);
+  return (text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(word => ABBREVIATIONS[word] || word)
+    .filter(word => !STOP_WORDS.has(word) && !locality.has(word) && !/^\d{5}$/.test(word));  // Drop ZIP codes
+};
+
+/**
+ * Fraction of the query tokens found in a candidate's tokens
+ */
+const overlapScore = (queryTokens, candidateTokens) => {
+  const query = [...new Set(queryTokens)];
+  if (query.length === 0) return 0;
+  const candidate = new Set(candidateTokens);
+  const matched = query.filter(token => candidate.has(token)).length;
+  return matched / query.length;
+};
+
+// Each region's gazetteer and street index are loaded once, on first use
+const gazetteersByRegion = new Map();
+const streetIndexesByRegion = new Map();
+
+/**
+ * Get a region's gazetteer, loading its `gazetteer` file if needed
+ * @param {Object} region - From models/regions.js
+ * @returns {Array} - [{ name, address, type, aliases, position }] - empty if the region has none
+ */
+const getGazetteer = (region) => {
+  if (!region.gazetteer) return [];
+  if (!gazetteersByRegion.has(region.id)) {
+    const entries = JSON.parse(fs.readFileSync(path.resolve(DATA_DIR, region.gazetteer), 'utf8'));
+    gazetteersByRegion.set(region.id, entries.filter(entry => containsPoint(region, entry.position)));
+  }
+  return gazetteersByRegion.get(region.id);
+};
+
+/**
+ * Search a region's gazetteer of addresses and points of interest
+ * @param {Array} queryTokens - Tokenized query
+ * @param {Object} region - From models/regions.js
+ * @returns {Array} - Matches with a score (0-1)
+ */
+const searchGazetteer = (queryTokens, region) => getGazetteer(region)
+  .map(entry => {
+    const nameScore = overlapScore(queryTokens, tokenize([entry.name, ...entry.aliases].join(' '), region));
+    const addressScore = overlapScore(queryTokens, tokenize(entry.address, region));
+    return {
+      name: entry.name,
+      address: entry.address,
+      type: entry.type,
+      position: entry.position,
+      score: Math.max(nameScore, addressScore)
+    };
+  })
+  .filter(match => match.score >= MIN_SCORE);
+
+/**
+ * Street name → Set of node ids, built once per region from its road graph
+ * @param {Object} region - From models/regions.js
+ * @returns {Map} - Empty if the region has no road graph
+ */
+const getStreetIndex = (region) => {
+  if (!streetIndexesByRegion.has(region.id)) {
+    const streetIndex = new Map();
+    const graph = getRoadGraph(region);
+    (graph ? graph.segments : []).forEach(segment => {
+      if (!segment.name) return;
+      if (!streetIndex.has(segment.name)) streetIndex.set(segment.name, new Set());
+      streetIndex.get(segment.name).add(segment.from).add(segment.to);
+    });
+    streetIndexesByRegion.set(region.id, streetIndex);
+  }
+  return streetIndexesByRegion.get(region.id);
+};
+
+/**
+ * Find road graph streets that contain every word of part of a query, e.g. "10th St"
+ * @returns {Array} - [{ name, score }] where score favors the closest name
+ *   ("Peachtree" prefers Peachtree Street Northeast over West Peachtree Street Northwest)
+ */
+const matchStreets = (text, region) => {
+  const tokens = tokenize(text, region);
+  if (tokens.length === 0) return [];
+  return [...getStreetIndex(region).keys()]
+    .map(name => {
+      const streetTokens = tokenize(name, region);
+      const allFound = tokens.every(token => streetTokens.includes(token));
+      return { name, score: allFound ? tokens.length / streetTokens.length : 0 };
+    })
+    .filter(street => street.score > 0);
+};
+
+/**
+ * Resolve "Street A & Street B" to the point where the two streets meet
+ * @param {string} query - Raw query
+ * @param {Object} region - From models/regions.js
+ * @returns {Array} - Intersection matches (empty if the query isn't an intersection)
+ */
+const searchIntersections = (query, region) => {
+  const parts = query.split(/\s*(?:&|\band\b|\bat\b|\/)\s*/i).filter(Boolean);
+  if (parts.length !== 2) return [];
+
+  const graph = getRoadGraph(region);
+  if (!graph) return [];
+  const index = getStreetIndex(region);
+  const matches = [];
+  matchStreets(parts[0], region).forEach(first => {
+    matchStreets(parts[1], region).forEach(second => {
+      if (first.name === second.name) return;
+      const shared = [...index.get(first.name)].find(id => index.get(second.name).has(id));
+      if (shared === undefined) return;
+      const node = graph.nodes.get(shared);
+      matches.push({
+        name: `${first.name} & ${second.name}`,
+        address: [`${first.name} & ${second.name}`, region.locality].filter(Boolean).join(', '),
+        type: 'intersection',
+        position: { lat: node.lat, lng: node.lng },
+        // Every query word matched a street, so start from a strong base and
+        // let the closest street names rank first
+        score: (1 + (first.score + second.score) / 2) / 2
+      });
+    });
+  });
+  return matches;
+};
+
+/**
+ * Forward geocode a free-text query within a region
+ * @param {string} query - Address, place name or intersection
+ * @param {Object} region - From models/regions.js - only places inside it are returned
+ * @param {number} limit - Maximum number of results
+ * @returns {Array} - Best matches first: { name, address, type, position: { lat, lng }, score }
+ */
+const geocode = (query, region, limit = 5) => {
+  const queryTokens = tokenize(query, region);
+  if (queryTokens.length === 0) return [];
+
+  const results = [...searchIntersections(query, region), ...searchGazetteer(queryTokens, region)];
+
+  // Same place can match more than once (e.g. both streets' name variants)
+  const seen = new Set();
+  return results
+    .filter(result => containsPoint(region, result.position))
+    .sort((a, b) => b.score - a.score)
+    .filter(result => {
+      const key = `${result.position.lat.toFixed(4)},${result.position.lng.toFixed(4)}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, limit)
+    .map(result => ({ ...result, score: Math.round(result.score * 100) / 100 }));
+};
+
+/**
+ * Reverse geocode - name the closest known place to a point
+ * @param {Object} point - { lat, lng }
+ * @param {Object} region - From models/regions.js - its gazetteer is searched
+ * @returns {Object|null} - { name, address, type, position, distance (miles) } or null if nothing is close
+ */
+const reverseGeocode = (point, region) => {
+  let best = null;
+  getGazetteer(region).forEach(entry => {
+    const distance = haversineMiles(point, entry.position);
+    if (!best || distance < best.distance) {
+      best = { name: entry.name, address: entry.address, type: entry.type, position: entry.position, distance };
+    }
+  });
+  if (!best || best.distance > REVERSE_MAX_MILES) return null;
+  return { ...best, distance: Math.round(best.distance * 100) / 100 };
+};
+
+module.exports = {
+  tokenize,
+  geocode,
+  reverseGeocode
+};
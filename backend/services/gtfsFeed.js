@@ -0,0 +1,177 @@
+/**
+ * GTFS Feed
+ * Loads a GTFS transit feed (a folder of .txt CSV files) into memory for
+ * the transit planner (services/transitService.js)
+ *
+ * Reads stops, routes, trips, stop_times, calendar, and - when present -
+ * frequencies and fare_attributes. A trip listed in frequencies.txt is a
+ * template: its stop_times are offsets from the first departure, repeated
+ * every headway_secs between start_time and end_time.
+ *
+ * The bundled feed in data/marta-gtfs/ is the Midtown part of the MARTA
+ * network (Red and Blue lines, buses 2, 12, 26 and 110). The full MARTA feed,
+ * or any other GTFS feed, can replace it - each region names its feed folder
+ * (transit.gtfs in models/regions.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FEED_DIR = path.join(__dirname, '..', 'data', 'marta-gtfs');
+
+const REQUIRED_FILES = ['stops.txt', 'routes.txt', 'trips.txt', 'stop_times.txt', 'calendar.txt'];
+const DAY_COLUMNS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Split one CSV line into fields ("quoted, fields" and "" escapes supported)
+ */
+const splitCsvLine = (line) => {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields;
+};
+
+/**
+ * Parse a GTFS file into row objects keyed by the header
+ * @returns {Array} - [] when the file doesn't exist
+ */
+const readTable = (dir, file) => {
+  const filePath = path.join(dir, file);
+  if (!fs.existsSync(filePath)) return [];
+  const [header, ...lines] = fs.readFileSync(filePath, 'utf8')
+    .replace(/^\uFEFF/, '')  // Some exporters add a byte order mark
+    .split(/\r?\n/)
+    .filter(line => line.trim().length > 0);
+  const columns = splitCsvLine(header).map(column => column.trim());
+  return lines.map(line => {
+    const values = splitCsvLine(line);
+    return Object.fromEntries(columns.map((column, index) => [column, (values[index] || '').trim()]));
+  });
+};
+
+/**
+ * GTFS time "HH:MM:SS" → seconds after midnight (hours can pass 24 for trips after midnight)
+ */
+const parseGtfsTime = (value) => {
+  const [hours, minutes, seconds] = value.split(':').map(Number);
+  return hours * 3600 + minutes * 60 + (seconds || 0);
+};
+
+/**
+ * Build the in-memory feed from parsed tables
+ * @returns {Object} - { stops, routes, services, trips, fare }
+ *   - stops: Map of stop id → { id, name, lat, lng }
+ *   - routes: Map of route id → { id, shortName, longName, type }
+ *   - services: Map of service id → { days: [Sun..Sat booleans], startDate, endDate } (YYYYMMDD)
+ *   - trips: [{ id, routeId, serviceId, headsign, stopTimes: [{ stopId, arrival, departure }], frequencies }]
+ *   - fare: price of one ride in dollars (first fare in fare_attributes.txt), or null
+ */
+const buildGtfsFeed = (tables) => {
+  const stops = new Map(tables.stops.map(row => [row.stop_id, {
+    id: row.stop_id,
+    name: row.stop_name,
+    lat: parseFloat(row.stop_lat),
+    lng: parseFloat(row.stop_lon)
+  }]));
+
+  const routes = new Map(tables.routes.map(row => [row.route_id, {
+    id: row.route_id,
+    shortName: row.route_short_name,
+    longName: row.route_long_name,
+    type: parseInt(row.route_type)
+  }]));
+
+  const services = new Map(tables.calendar.map(row => [row.service_id, {
+    days: DAY_COLUMNS.map(day => row[day] === '1'),
+    startDate: row.start_date,
+    endDate: row.end_date
+  }]));
+
+  const stopTimesByTrip = new Map();
+  tables.stopTimes.forEach(row => {
+    if (!stopTimesByTrip.has(row.trip_id)) stopTimesByTrip.set(row.trip_id, []);
+    stopTimesByTrip.get(row.trip_id).push({
+      stopId: row.stop_id,
+      sequence: parseInt(row.stop_sequence),
+      arrival: parseGtfsTime(row.arrival_time || row.departure_time),
+      departure: parseGtfsTime(row.departure_time || row.arrival_time)
+    });
+  });
+
+  const frequenciesByTrip = new Map();
+  tables.frequencies.forEach(row => {
+    if (!frequenciesByTrip.has(row.trip_id)) frequenciesByTrip.set(row.trip_id, []);
+    frequenciesByTrip.get(row.trip_id).push({
+      start: parseGtfsTime(row.start_time),
+      end: parseGtfsTime(row.end_time),
+      headway: parseInt(row.headway_secs)
+    });
+  });
+
+  const trips = tables.trips
+    .filter(row => stopTimesByTrip.has(row.trip_id))
+    .map(row => ({
+      id: row.trip_id,
+      routeId: row.route_id,
+      serviceId: row.service_id,
+      headsign: row.trip_headsign || null,
+      stopTimes: stopTimesByTrip.get(row.trip_id)
+        .sort((a, b) => a.sequence - b.sequence)
+        .map(({ stopId, arrival, departure }) => ({ stopId, arrival, departure })),
+      frequencies: frequenciesByTrip.get(row.trip_id) || []
+    }));
+
+  const fare = tables.fares.length > 0 ? parseFloat(tables.fares[0].price) : null;
+
+  return { stops, routes, services, trips, fare };
+};
+
+/**
+ * Load a GTFS feed folder from disk
+ * @param {string} dir - Feed folder (defaults to the bundled MARTA subset)
+ * @returns {Object} - Feed (see buildGtfsFeed)
+ */
+const loadGtfsFeed = (dir = DEFAULT_FEED_DIR) => {
+  const missing = REQUIRED_FILES.filter(file => !fs.existsSync(path.join(dir, file)));
+  if (missing.length > 0) {
+    throw new Error(`GTFS feed in ${dir} is missing ${missing.join(', ')}`);
+  }
+  return buildGtfsFeed({
+    stops: readTable(dir, 'stops.txt'),
+    routes: readTable(dir, 'routes.txt'),
+    trips: readTable(dir, 'trips.txt'),
+    stopTimes: readTable(dir, 'stop_times.txt'),
+    calendar: readTable(dir, 'calendar.txt'),
+    frequencies: readTable(dir, 'frequencies.txt'),
+    fares: readTable(dir, 'fare_attributes.txt')
+  });
+};
+
+module.exports = {
+  DEFAULT_FEED_DIR,
+  parseGtfsTime,
+  buildGtfsFeed,
+  loadGtfsFeed
+};
@@ -0,0 +1,196 @@
+/**
+ * Hazard Service
+ * Evacuation mode - what operators have posted (routes/hazards.js) and what
+ * it means for patients
+ *
+ * - Hazard areas (floods, fires, spills...) are GeoJSON polygons. Routes keep
+ *   out of them, except one the patient starts in or is headed into, and a
+ *   facility inside one takes no patients.
+ * - Road closures are GeoJSON lines drawn along the closed stretch of road.
+ *   A road segment is closed when it runs alongside any part of the line -
+ *   within CLOSURE_TOLERANCE_MILES and CLOSURE_MAX_ANGLE_DEGREES of it. Cross
+ *   streets, and roads that just end where the closure starts, stay open.
+ * - Facility operational status: 'diverting' (turning patients away) and
+ *   'evacuating' facilities take no patients; in 'surge' they do, but the
+ *   simulated wait is SURGE_WAIT_MULTIPLIER times longer.
+ *
+ * Both hazards and statuses apply from startsAt until endsAt, so any moment
+ * can be simulated - a hazard posted for tomorrow leaves today alone.
+ */
+
+const { toLocalTime } = require('./clock');
+const {
+  haversineMiles, bearing, projectOntoSegment, pointInPolygon, segmentCrossesPolygon, linePiecesOf, segmentDistanceMiles
+} = require('./geo');
+const { listHazards, listOperationalStatuses } = require('../models/hazardStore');
+
+const SURGE_WAIT_MULTIPLIER = 1.5;
+const CLOSURE_TOLERANCE_MILES = 0.02;  // ~100 ft - drawing doesn't have to trace the road exactly
+const CLOSURE_MAX_ANGLE_DEGREES = 30;   // A road this far off the closure's heading crosses it rather than runs along it
+const HAZARD_DETOUR_FACTOR = 1.4;       // Straight-line estimates through a hazard area go this much further
+
+// Statuses that turn every patient away
+const NOT_ACCEPTING = {
+  diverting: 'on diversion',
+  evacuating: 'evacuating'
+};
+
+/**
+ * Hazards in force in a region at a moment
+ * @param {Object} region - Region (models/regions.js)
+ * @param {Object} time - Local time in the region
+ * @returns {Array} - Hazards from models/hazardStore.js
+ */
+const getActiveHazards = (region, time) => listHazards({ regionId: region.id, activeAt: new Date(time.iso) });
+
+/**
+ * A hazard as the API shows it, with times on the region's clock
+ * @param {Object} hazard
+ * @param {string} timezone - The region's timezone
+ * @returns {Object} - { id, kind, category, name, description, geometry, region, startsAt, endsAt }
+ */
+const describeHazard = (hazard, timezone) => ({
+  ...hazard,
+  startsAt: toLocalTime(hazard.startsAt, timezone).iso,
+  endsAt: hazard.endsAt ? toLocalTime(hazard.endsAt, timezone).iso : null
+});
+
+/**
+ * The short form of a hazard used in routes, reasoning and facility data
+ * @returns {Object} - { id, name, kind, category }
+ */
+const summarizeHazard = ({ id, name, kind, category }) => ({ id, name, kind, category });
+
+/**
+ * The hazard area a point is in, if any
+ * @param {Object} point - { lat, lng }
+ * @param {Array} hazards - Active hazards
+ * @returns {Object|null} - The hazard
+ */
+const findHazardAt = (point, hazards) => hazards
+  .find(hazard => hazard.kind === 'area' && pointInPolygon(point, hazard.geometry)) || null;
+
+/**
+ * Warn about a trip that starts or ends inside a hazard area - routes don't
+ * keep out of those areas (see areasToAvoid()), so the patient has to know
+ * @param {Object} from - { lat, lng }
+ * @param {Object} to - { lat, lng }
+ * @param {Array} hazards - Active hazards
+ * @returns {Object|null} - { origin, destination (each { id, name, kind, category } or null), message },
+ *   or null when neither end is inside an area
+ */
+const warnAboutEndpoints = (from, to, hazards) => {
+  const atOrigin = findHazardAt(from, hazards);
+  const atDestination = findHazardAt(to, hazards);
+  if (!atOrigin && !atDestination) return null;
+  return {
+    origin: atOrigin ? summarizeHazard(atOrigin) : null,
+    destination: atDestination ? summarizeHazard(atDestination) : null,
+    message: [
+      ...(atOrigin ? [`You are starting inside the ${atOrigin.name} ${atOrigin.category} area - leave it by the route shown`] : []),
+      ...(atDestination ? [`The destination is inside the ${atDestination.name} ${atDestination.category} area - take care on the way in`] : [])
+    ].join('. ')
+  };
+};
+
+/**
+ * Facility operational statuses in force at an instant
+ * @param {Date} instant
+ * @returns {Map} - facilityId → { status, note, startsAt, endsAt }
+ */
+const getOperationalStatuses = (instant) =>
+  new Map(listOperationalStatuses(instant).map(entry => [entry.facilityId, entry]));
+
+/**
+ * Why a facility takes no patients right now, or null if it does
+ * @param {Object} facility - From getFacilitiesWithCurrentStatus()
+ * @returns {string|null} - e.g. 'on diversion', 'inside the Peachtree Creek flood area'
+ */
+const getUnavailableReason = (facility) => {
+  if (NOT_ACCEPTING[facility.operationalStatus]) return NOT_ACCEPTING[facility.operationalStatus];
+  if (facility.hazard) return `inside the ${facility.hazard.name} ${facility.hazard.category} area`;
+  return null;
+};
+
+/**
+ * How much longer the wait is while a facility is in surge
+ * @param {Object} facility - From getFacilitiesWithCurrentStatus()
+ * @param {Object} time - Local time to check
+ * @returns {number} - SURGE_WAIT_MULTIPLIER during a surge, else 1
+ */
+const getSurgeMultiplier = (facility, time) => {
+  if (facility.operationalStatus !== 'surge') return 1;
+  const ended = facility.operationalUntil && Date.parse(time.iso) >= Date.parse(facility.operationalUntil);
+  return ended ? 1 : SURGE_WAIT_MULTIPLIER;
+};
+
+/**
+ * Hazard areas a trip has to keep out of - not one it starts or ends in
+ * @param {Array} hazards - Active hazards
+ * @param {Object} from - { lat, lng }
+ * @param {Object} to - { lat, lng }
+ * @returns {Array}
+ */
+const areasToAvoid = (hazards, from, to) => hazards.filter(hazard => hazard.kind === 'area'
+  && !pointInPolygon(from, hazard.geometry) && !pointInPolygon(to, hazard.geometry));
+
+/**
+ * Check a road segment runs along a closure line - a piece of the line heading
+ * the same way, within CLOSURE_TOLERANCE_MILES of it and alongside it for more
+ * than a touch (a road that just ends where the closure starts stays open)
+ * @param {Object} a - { lat, lng } one end
+ * @param {Object} b - { lat, lng } the other end
+ * @param {Object} geometry - GeoJSON LineString or MultiLineString
+ * @returns {boolean}
+ */
+const runsAlongClosure = (a, b, geometry) => {
+  const heading = bearing(a, b);
+  const length = haversineMiles(a, b);
+  return linePiecesOf(geometry).some(([c, d]) => {
+    const turn = Math.abs(heading - bearing(c, d)) % 180;
+    if (Math.min(turn, 180 - turn) > CLOSURE_MAX_ANGLE_DEGREES
+      || segmentDistanceMiles(a, b, c, d) > CLOSURE_TOLERANCE_MILES) return false;
+    const alongside = haversineMiles(projectOntoSegment(c, a, b).point, projectOntoSegment(d, a, b).point);
+    return alongside > Math.min(CLOSURE_TOLERANCE_MILES, length, haversineMiles(c, d)) / 2;
+  });
+};
+
+/**
+ * The hazard that closes a road segment, if any - a closure along it, or an area it runs through
+ * @param {Object} a - { lat, lng } one end
+ * @param {Object} b - { lat, lng } the other end
+ * @param {Array} areas - From areasToAvoid()
+ * @param {Array} closures - Active closure hazards
+ * @returns {Object|null} - The hazard
+ */
+const findRoadBlock = (a, b, areas, closures) => closures.find(hazard => runsAlongClosure(a, b, hazard.geometry))
+  || areas.find(hazard => segmentCrossesPolygon(a, b, hazard.geometry))
+  || null;
+
+/**
+ * Hazard areas a straight line between two points passes through
+ * Used for straight-line travel estimates, where there is no road to close
+ * @param {Object} from - { lat, lng }
+ * @param {Object} to - { lat, lng }
+ * @param {Array} hazards - Active hazards
+ * @returns {Array} - The hazards crossed
+ */
+const findHazardsCrossed = (from, to, hazards) => areasToAvoid(hazards, from, to)
+  .filter(hazard => segmentCrossesPolygon(from, to, hazard.geometry));
+
+module.exports = {
+  SURGE_WAIT_MULTIPLIER,
+  CLOSURE_TOLERANCE_MILES,
+  HAZARD_DETOUR_FACTOR,
+  getActiveHazards,
+  describeHazard,
+  summarizeHazard,
+  findHazardAt,
+  warnAboutEndpoints,
+  getOperationalStatuses,
+  getUnavailableReason,
+  getSurgeMultiplier,
+  areasToAvoid,
+  findRoadBlock,
+  findHazardsCrossed
+};
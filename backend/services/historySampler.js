@@ -0,0 +1,215 @@
+/**
+ * History Sampler
+ * Records each facility's wait, status and capacity, plus the traffic level,
+ * on an interval - one snapshot per region - and rolls the recordings up
+ * into time series
+ *
+ * Every sample also stores what the time-of-day model predicted for that
+ * moment (simulatedWaitTime), so recorded live waits can be compared with
+ * the simulation's multipliers.
+ *
+ * Config (environment):
+ * - HISTORY_SAMPLE_MINUTES: minutes between samples (default 5, 0 turns sampling off)
+ * - HISTORY_RETENTION_DAYS: samples older than this are deleted (default 90, 0 keeps everything)
+ */
+
+const { now, getLocalTime, toLocalTime, fromLocalWallTime } = require('./clock');
+const {
+  getSimulatedWaitTime,
+  getTrafficLevel,
+  getFacilitiesWithCurrentStatus
+} = require('./simulationService');
+const {
+  recordSnapshot,
+  listFacilitySamples,
+  listTrafficSamples,
+  deleteSnapshotsBefore
+} = require('../models/historyStore');
+const { listRegions } = require('../models/regions');
+
+const DEFAULT_SAMPLE_MINUTES = 5;
+const DEFAULT_RETENTION_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Bucket sizes in minutes; buckets line up with the region's wall clock
+// ('1h' buckets start on the hour, '1d' buckets at local midnight)
+const BUCKETS = {
+  raw: 0,
+  '5m': 5,
+  '15m': 15,
+  '30m': 30,
+  '1h': 60,
+  '3h': 180,
+  '6h': 360,
+  '1d': 1440
+};
+
+let sampleTimer = null;
+
+/**
+ * Read a numeric setting from the environment
+ */
+const readSetting = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return process.env[name] === undefined || Number.isNaN(value) || value < 0 ? fallback : value;
+};
+
+// ===== SAMPLING =====
+
+/**
+ * Record one snapshot of a region's facilities and traffic level
+ * @param {Object} region - Region (models/regions.js)
+ * @param {Object} time - Local time in the region (defaults to now)
+ * @returns {number} - The snapshot id
+ */
+const takeSample = (region, time = getLocalTime(region.timezone)) => {
+  const samples = getFacilitiesWithCurrentStatus(region, time).map(facility => ({
+    facilityId: facility.id,
+    waitTime: facility.currentWaitTime,
+    simulatedWaitTime: getSimulatedWaitTime(facility, time),
+    waitTimeSource: facility.waitTimeSource,
+    status: facility.status,
+    capacity: facility.capacity
+  }));
+  return recordSnapshot(new Date(time.iso), region.id, getTrafficLevel(region, time), samples);
+};
+
+/**
+ * Sample, then drop anything past the retention window
+ * A failed run is logged and the next one tries again
+ */
+const runSampler = (retentionDays) => {
+  try {
+    listRegions().forEach(region => takeSample(region));
+    if (retentionDays > 0) {
+      deleteSnapshotsBefore(new Date(now().getTime() - retentionDays * DAY_MS));
+    }
+  } catch (err) {
+    console.warn(`History sample failed: ${err.message}`);
+  }
+};
+
+/**
+ * Take a sample now and then every HISTORY_SAMPLE_MINUTES
+ * @returns {number} - Minutes between samples (0 = sampling is off)
+ */
+const startHistorySampler = () => {
+  stopHistorySampler();
+  const sampleMinutes = readSetting('HISTORY_SAMPLE_MINUTES', DEFAULT_SAMPLE_MINUTES);
+  const retentionDays = readSetting('HISTORY_RETENTION_DAYS', DEFAULT_RETENTION_DAYS);
+  if (sampleMinutes === 0) return 0;
+
+  runSampler(retentionDays);
+  sampleTimer = setInterval(() => runSampler(retentionDays), sampleMinutes * 60 * 1000);
+  sampleTimer.unref();  // Don't keep the process alive just for sampling
+  return sampleMinutes;
+};
+
+/**
+ * Stop sampling (recorded history is kept)
+ */
+const stopHistorySampler = () => {
+  if (sampleTimer) {
+    clearInterval(sampleTimer);
+    sampleTimer = null;
+  }
+};
+
+// ===== AGGREGATION =====
+
+/**
+ * Start of the bucket an instant falls in
+ * (the repeated hour when clocks fall back shares one bucket)
+ * @returns {Date}
+ */
+const getBucketStart = (instant, bucketMinutes, timezone) => {
+  const time = toLocalTime(instant, timezone);
+  const minutes = Math.floor(time.minutes / bucketMinutes) * bucketMinutes;
+  return fromLocalWallTime(time.date, Math.floor(minutes / 60), minutes % 60, timezone);
+};
+
+/**
+ * Group samples into buckets (in time order)
+ * @returns {Array} - [{ start (Date), samples: [] }]
+ */
+const groupByBucket = (samples, bucketMinutes, timezone) => {
+  const groups = new Map();
+  samples.forEach(sample => {
+    const start = bucketMinutes === 0 ? sample.sampledAt : getBucketStart(sample.sampledAt, bucketMinutes, timezone);
+    const key = start.getTime();
+    if (!groups.has(key)) groups.set(key, { start, samples: [] });
+    groups.get(key).samples.push(sample);
+  });
+  return [...groups.values()];
+};
+
+/**
+ * How often each value appears, e.g. { low: 10, heavy: 2 }
+ */
+const countValues = (values) => values.reduce((counts, value) => ({ ...counts, [value]: (counts[value] || 0) + 1 }), {});
+
+/**
+ * The value that appears most often
+ */
+const mostCommon = (counts) => Object.entries(counts).sort((a, b) => b[1] - a[1])[0][0];
+
+const average = (values) => Math.round(values.reduce((sum, value) => sum + value, 0) / values.length * 10) / 10;
+
+const share = (count, total) => Math.round(count / total * 100) / 100;
+
+/**
+ * Aggregate a facility's samples in a time range
+ * Wait time statistics only use the samples taken while the facility was open
+ *
+ * @param {number} facilityId
+ * @param {Object} range - { from (Date), to (Date), bucket (key of BUCKETS), region (buckets follow its clock) }
+ * @returns {Array} - [{
+ *   start, samples, openShare, liveShare, capacity, trafficLevel,
+ *   waitTime: { avg, min, max } | null, simulatedWaitTime: { avg } | null
+ * }]
+ */
+const getFacilityHistory = (facilityId, { from, to, bucket, region }) =>
+  groupByBucket(listFacilitySamples(facilityId, from, to), BUCKETS[bucket], region.timezone).map(({ start, samples }) => {
+    const open = samples.filter(sample => sample.status === 'Open');
+    const waits = open.map(sample => sample.waitTime);
+
+    return {
+      start: toLocalTime(start, region.timezone).iso,
+      samples: samples.length,
+      openShare: share(open.length, samples.length),
+      liveShare: share(samples.filter(sample => sample.waitTimeSource !== 'simulation').length, samples.length),
+      capacity: mostCommon(countValues(samples.map(sample => sample.capacity))),
+      trafficLevel: mostCommon(countValues(samples.map(sample => sample.trafficLevel))),
+      waitTime: open.length > 0
+        ? { avg: average(waits), min: Math.min(...waits), max: Math.max(...waits) }
+        : null,
+      simulatedWaitTime: open.length > 0
+        ? { avg: average(open.map(sample => sample.simulatedWaitTime)) }
+        : null
+    };
+  });
+
+/**
+ * Aggregate a region's traffic samples in a time range
+ * @param {Object} range - { from (Date), to (Date), bucket (key of BUCKETS), region }
+ * @returns {Array} - [{ start, samples, trafficLevel, levels: { low, moderate, ... } }]
+ */
+const getTrafficHistory = ({ from, to, bucket, region }) =>
+  groupByBucket(listTrafficSamples(from, to, region.id), BUCKETS[bucket], region.timezone).map(({ start, samples }) => {
+    const levels = countValues(samples.map(sample => sample.trafficLevel));
+    return {
+      start: toLocalTime(start, region.timezone).iso,
+      samples: samples.length,
+      trafficLevel: mostCommon(levels),
+      levels
+    };
+  });
+
+module.exports = {
+  BUCKETS,
+  takeSample,
+  startHistorySampler,
+  stopHistorySampler,
+  getFacilityHistory,
+  getTrafficHistory
+};
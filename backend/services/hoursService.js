@@ -0,0 +1,209 @@
+/**
+ * Opening Hours Service
+ * Works out whether a facility is open at a given local date and time
+ *
+ * SCHEDULE FORMAT (stored per facility, null = open 24 hours)
+ * {
+ *   weekly: {
+ *     mon: [{ open: '08:00', close: '20:00' }],
+ *     fri: [{ open: '08:00', close: '12:00' }, { open: '13:00', close: '19:00' }],
+ *     sat: [{ open: '20:00', close: '02:00' }],   // close <= open: closes the next day
+ *     ...                                          // missing day: closed all day
+ *   },
+ *   holidays: [
+ *     { date: '12-25', name: 'Christmas Day' },              // every year, closed
+ *     { date: '2025-11-27', name: 'Thanksgiving' },          // one date only
+ *     { date: '01-01', name: "New Year's Day", intervals: [{ open: '10:00', close: '16:00' }] }
+ *   ]
+ * }
+ *
+ * A holiday replaces that date's weekly hours. An interval that runs past
+ * midnight still keeps the facility open into the next day, holiday or not.
+ *
+ * Times are local wall-clock times in the facility's region. Dates are 'YYYY-MM-DD' strings;
+ * all date math is done in UTC so daylight saving never shifts a day.
+ */
+
+const DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MINUTES_PER_DAY = 24 * 60;
+
+// How far ahead to look for the next opening or closing time
+const LOOKAHEAD_DAYS = 7;
+
+// "Closes in N min" is shown once closing time is this close
+const CLOSING_SOON_MINUTES = 120;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Convert 'HH:MM' into minutes since midnight ('24:00' = 1440)
+ */
+const parseClock = (clock) => {
+  const [hours, minutes] = clock.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Format minutes since midnight for display, e.g. 1230 → '8:30 PM'
+ */
+const formatClock = (minutes) => {
+  const hour = Math.floor(minutes / 60) % 24;
+  return `${hour % 12 || 12}:${pad(minutes % 60)} ${hour >= 12 ? 'PM' : 'AM'}`;
+};
+
+/**
+ * Move a 'YYYY-MM-DD' date by a number of days
+ */
+const addDays = (date, days) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+/**
+ * Day of week for a 'YYYY-MM-DD' date (0 = Sunday)
+ */
+const dayOfWeek = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+/**
+ * Find the holiday exception for a date, if any
+ * A specific date ('2025-11-27') wins over a yearly one ('11-27')
+ */
+const findHoliday = (schedule, date) => {
+  const holidays = schedule.holidays || [];
+  return holidays.find(holiday => holiday.date === date)
+    || holidays.find(holiday => holiday.date === date.slice(5))
+    || null;
+};
+
+/**
+ * Opening intervals that start on a date
+ * @returns {Object} - { intervals: [[start, end]] in minutes from that midnight, holiday }
+ */
+const getDayIntervals = (schedule, date) => {
+  const holiday = findHoliday(schedule, date);
+  const entries = holiday
+    ? holiday.intervals || []
+    : (schedule.weekly || {})[DAY_KEYS[dayOfWeek(date)]] || [];
+
+  const intervals = entries.map(({ open, close }) => {
+    const start = parseClock(open);
+    const end = parseClock(close);
+    // Closing at or before opening means the interval runs past midnight
+    return [start, end <= start ? end + MINUTES_PER_DAY : end];
+  });
+  return { intervals, holiday };
+};
+
+/**
+ * Every opening interval from the day before `date` to LOOKAHEAD_DAYS after it,
+ * in minutes from `date`'s midnight, with overlapping or touching intervals merged
+ */
+const getTimeline = (schedule, date) => {
+  const timeline = [];
+  for (let offset = -1; offset <= LOOKAHEAD_DAYS; offset++) {
+    const base = offset * MINUTES_PER_DAY;
+    getDayIntervals(schedule, addDays(date, offset)).intervals
+      .forEach(([start, end]) => timeline.push([base + start, base + end]));
+  }
+
+  timeline.sort((a, b) => a[0] - b[0]);
+  return timeline.reduce((merged, interval) => {
+    const last = merged[merged.length - 1];
+    if (last && interval[0] <= last[1]) {
+      last[1] = Math.max(last[1], interval[1]);
+    } else {
+      merged.push([...interval]);
+    }
+    return merged;
+  }, []);
+};
+
+/**
+ * Convert minutes from a date's midnight into a local 'YYYY-MM-DDTHH:MM' string
+ */
+const toLocalTimestamp = (date, minutes) => {
+  const days = Math.floor(minutes / MINUTES_PER_DAY);
+  const time = minutes - days * MINUTES_PER_DAY;
+  return `${addDays(date, days)}T${pad(Math.floor(time / 60))}:${pad(time % 60)}`;
+};
+
+/**
+ * Human-readable status, e.g. 'Closes in 45 min', 'Open until 8:00 PM', 'Opens Sat 9:00 AM'
+ */
+const describeStatus = ({ isOpen, closesInMinutes, closesAt, opensAt }, date) => {
+  if (isOpen) {
+    if (closesAt === null) return 'Open 24 hours';
+    if (closesInMinutes <= CLOSING_SOON_MINUTES) return `Closes in ${closesInMinutes} min`;
+    const time = formatClock(parseClock(closesAt.slice(11)));
+    return closesInMinutes < MINUTES_PER_DAY
+      ? `Open until ${time}`
+      : `Open until ${DAY_NAMES[dayOfWeek(closesAt.slice(0, 10))]} ${time}`;
+  }
+  if (opensAt === null) return 'Closed';
+
+  const opensDate = opensAt.slice(0, 10);
+  const time = formatClock(parseClock(opensAt.slice(11)));
+  if (opensDate === date) return `Opens at ${time}`;
+  if (opensDate === addDays(date, 1)) return `Opens tomorrow at ${time}`;
+  return `Opens ${DAY_NAMES[dayOfWeek(opensDate)]} at ${time}`;
+};
+
+/**
+ * Open/closed status of a schedule at a local date and time
+ *
+ * @param {Object|null} schedule - Facility schedule (null = open 24 hours)
+ * @param {Object} at - { date: 'YYYY-MM-DD', minutes: minutes since midnight }
+ * @returns {Object} - {
+ *   isOpen,
+ *   closesAt, closesInMinutes,  // null when closed, or open for the whole lookahead
+ *   opensAt, opensInMinutes,    // null when open, or no opening in the lookahead
+ *   holiday,                    // name of today's holiday exception, if any
+ *   statusDetail                // display text
+ * }
+ */
+const getOpenStatus = (schedule, { date, minutes }) => {
+  const status = {
+    isOpen: true,
+    closesAt: null,
+    closesInMinutes: null,
+    opensAt: null,
+    opensInMinutes: null,
+    holiday: null
+  };
+
+  if (schedule) {
+    const { holiday } = getDayIntervals(schedule, date);
+    status.holiday = holiday ? holiday.name : null;
+
+    const timeline = getTimeline(schedule, date);
+    const windowEnd = (LOOKAHEAD_DAYS + 1) * MINUTES_PER_DAY;
+    const current = timeline.find(([start, end]) => start <= minutes && minutes < end);
+
+    if (current) {
+      // Still open at the end of the lookahead - treat as not closing
+      if (current[1] < windowEnd) {
+        status.closesAt = toLocalTimestamp(date, current[1]);
+        status.closesInMinutes = current[1] - minutes;
+      }
+    } else {
+      status.isOpen = false;
+      const next = timeline.find(([start]) => start > minutes);
+      if (next) {
+        status.opensAt = toLocalTimestamp(date, next[0]);
+        status.opensInMinutes = next[0] - minutes;
+      }
+    }
+  }
+
+  return { ...status, statusDetail: describeStatus(status, date) };
+};
+
+module.exports = {
+  CLOSING_SOON_MINUTES,
+  DAY_KEYS,
+  parseClock,
+  formatClock,
+  addDays,
+  getOpenStatus
+};
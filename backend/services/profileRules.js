@@ -0,0 +1,218 @@
+/**
+ * Profile Rules
+ * Turns a custom patient profile (models/profileSchema.js) into the severity
+ * tier the decision engine works from - the same shape a persona document
+ * has (see models/personaSchema.js): facility types, decision, mode, weights
+ * and reasoning templates.
+ *
+ * Each attribute nudges the base weights for the severity and adds a line to
+ * the reasoning, so the patient can see why it mattered:
+ * - higher risk (pregnancy, under 2, 75+, heart disease, COPD, weak immune
+ *   system) → mild symptoms go to an ER, emergency capabilities count more
+ * - limited mobility, transit or no transport → shorter trips count more
+ * - dementia → closer, calmer facilities count more
+ * - uninsured → lower cost counts more
+ * - caretaker with a car → severe cases can be driven in (HYBRID) when it's safe
+ *
+ * Which facilities can treat the patient comes from getProfileConditions()
+ * and models/capabilities.js, as it does for personas.
+ */
+
+const { getOptionLabel } = require('../models/profileSchema');
+const { UNINSURED } = require('../models/insurancePlans');
+const { getTransportAccess } = require('../models/transportModes');
+
+// Starting weights per severity (same balance the personas use)
+const BASE_WEIGHTS = {
+  Mild: { waitTime: 100, travelTime: 100 },
+  Moderate: { waitTime: 50, travelTime: 40, expertise: 10 },
+  Severe: { waitTime: 50, travelTime: 50 }
+};
+
+const HIGH_RISK_CONDITIONS = ['heart-disease', 'copd', 'immunocompromised'];
+
+// Conditions where a severe episode needs paramedics, not a car ride
+const NEEDS_AMBULANCE_CONDITIONS = ['asthma', 'copd', 'heart-disease', 'epilepsy'];
+
+// Ages that add the 'child' and 'older-adult' conditions
+const CHILD_UNDER_AGE = 18;
+const OLDER_ADULT_AGE = 65;
+
+/**
+ * Conditions for capability matching (models/capabilities.js)
+ * @returns {Array} - e.g. ['asthma', 'pregnancy', 'child']
+ */
+const getProfileConditions = (profile) => [
+  ...profile.conditions,
+  ...(profile.pregnant ? ['pregnancy'] : []),
+  ...(profile.age < CHILD_UNDER_AGE ? ['child'] : []),
+  ...(profile.age >= OLDER_ADULT_AGE ? ['older-adult'] : [])
+];
+
+/**
+ * Why a profile counts as higher risk
+ * @returns {Array} - Reasons, e.g. ['pregnancy', 'age 78'] (empty = not higher risk)
+ */
+const getRiskReasons = (profile) => [
+  ...(profile.pregnant ? ['pregnancy'] : []),
+  ...(profile.age < 2 || profile.age >= 75 ? [`age ${profile.age}`] : []),
+  ...profile.conditions
+    .filter(condition => HIGH_RISK_CONDITIONS.includes(condition))
+    .map(condition => getOptionLabel('conditions', condition).toLowerCase())
+];
+
+/**
+ * Adjust the base weights for the profile
+ * @returns {Object} - { weights, notes } where notes explain each adjustment
+ */
+const deriveWeights = (profile, severity, riskReasons) => {
+  const weights = { ...BASE_WEIGHTS[severity] };
+  const notes = [];
+  const add = (factor, amount) => {
+    weights[factor] = (weights[factor] || 0) + amount;
+  };
+
+  if (profile.mobility !== 'independent') {
+    add('travelTime', 25);
+    notes.push(`${getOptionLabel('mobility', profile.mobility)} - closer facilities weighted higher`);
+  }
+  if (profile.transport === 'transit') {
+    add('travelTime', 15);
+    notes.push('Travelling by transit - shorter trips weighted higher');
+  } else if (profile.transport === 'none') {
+    add('travelTime', 25);
+    notes.push(getTransportAccess(profile).modes.includes('rideshare')
+      ? 'No transport - ask someone to drive you or use a rideshare; shorter trips weighted higher'
+      : 'No transport - ask someone to drive you or book an accessible ride; shorter trips weighted higher');
+  }
+  if (profile.conditions.includes('dementia')) {
+    add('familiarity', 20);
+    add('travelTime', 10);
+    notes.push('Dementia - a closer facility reduces stress and disorientation');
+  }
+  if (profile.insurance === UNINSURED && severity !== 'Severe') {
+    add('cost', 20);
+    notes.push('Uninsured - lower-cost care weighted higher; ask about payment plans');
+  }
+  if (riskReasons.length > 0 && severity !== 'Mild') {
+    add('expertise', 20);
+    notes.push(`Higher risk (${riskReasons.join(', ')}) - full emergency capabilities weighted higher`);
+  }
+  return { weights, notes };
+};
+
+/**
+ * Lines added to every recommendation for the profile
+ */
+const getGeneralNotes = (profile, mode) => [
+  ...(profile.caretaker && mode !== 'STAY' ? ['Bring your caretaker - they can help with your history and medications'] : []),
+  ...(profile.language !== 'en'
+    ? [`Ask for a ${getOptionLabel('language', profile.language)} interpreter when you arrive - it's free`]
+    : [])
+];
+
+/**
+ * Build the severity tier for a custom profile
+ * @param {Object} profile - Validated profile (from validateProfile())
+ * @param {string} severity - 'Mild', 'Moderate' or 'Severe'
+ * @returns {Object} - { options: [...] } in the persona document format
+ */
+const deriveSeverityTier = (profile, severity) => {
+  const riskReasons = getRiskReasons(profile);
+  const { weights, notes } = deriveWeights(profile, severity, riskReasons);
+
+  if (severity === 'Severe') {
+    // Driving in is only reasonable with a caretaker, a car and nothing that needs paramedics
+    const canDrive = profile.caretaker && profile.transport === 'car' && riskReasons.length === 0
+      && !profile.conditions.some(condition => NEEDS_AMBULANCE_CONDITIONS.includes(condition));
+    const mode = canDrive ? 'HYBRID' : 'STAY';
+
+    return {
+      options: [{
+        facilityTypes: ['ER'],
+        decision: canDrive ? 'MOVE to ER with Caretaker' : 'STAY - Call 911',
+        mode,
+        weights,
+        reasoning: [
+          canDrive
+            ? 'Severe symptoms - your caretaker should drive you straight to the ER'
+            : 'Severe symptoms - call 911, paramedics can start treatment on the way',
+          ...(riskReasons.length > 0 ? [`Higher risk (${riskReasons.join(', ')}) - don't drive yourself`] : []),
+          ...notes,
+          '{facility.name}: {travel.time} min away, {expectedWait} min expected wait',
+          ...getGeneralNotes(profile, mode)
+        ]
+      }]
+    };
+  }
+
+  if (severity === 'Moderate') {
+    // Someone who can't get out of bed, or can't get anywhere, needs an ambulance
+    const cannotTravel = profile.mobility === 'bedbound'
+      || (profile.transport === 'none' && profile.mobility !== 'independent' && !profile.caretaker);
+    const mode = cannotTravel ? 'STAY' : 'MOVE';
+
+    return {
+      options: [{
+        facilityTypes: ['ER'],
+        decision: cannotTravel ? 'STAY - Call 911' : 'MOVE to {facility.type}',
+        mode,
+        weights,
+        reasoning: [
+          cannotTravel
+            ? 'These symptoms need an ER, and getting there safely needs an ambulance'
+            : 'These symptoms need professional evaluation today',
+          ...notes,
+          'Expected wait on arrival: {expectedWait} min, Travel: {travel.time} min',
+          'Total time to see doctor: ~{totalTime} min',
+          ...getGeneralNotes(profile, mode)
+        ]
+      }]
+    };
+  }
+
+  // Mild - Urgent Care unless the patient is higher risk
+  const erOption = {
+    facilityTypes: ['ER'],
+    decision: riskReasons.length > 0 ? 'MOVE to ER' : 'MOVE to ER (Urgent Care closed)',
+    mode: 'MOVE',
+    weights,
+    reasoning: [
+      riskReasons.length > 0
+        ? `Higher risk (${riskReasons.join(', ')}) - even mild symptoms should be checked at an ER`
+        : 'Urgent Care centers are closed or closing before you could be seen',
+      ...notes,
+      '{facility.name} has shortest expected wait when you arrive ({expectedWait} min)',
+      'Travel: {travel.distance} mi, {travel.time} min',
+      ...getGeneralNotes(profile, 'MOVE')
+    ]
+  };
+  if (riskReasons.length > 0) {
+    return { options: [erOption] };
+  }
+
+  return {
+    options: [
+      {
+        facilityTypes: ['Urgent Care'],
+        decision: 'MOVE to Urgent Care',
+        mode: 'MOVE',
+        weights,
+        reasoning: [
+          'Mild symptoms - Urgent Care can see you sooner and for less',
+          ...notes,
+          '{facility.name} has shortest total time ({totalTime} min)',
+          'Travel: {travel.distance} mi in {travel.time} min',
+          { text: "{facility.statusDetail} - you'll arrive in time to be seen", when: { closingSoon: true } },
+          ...getGeneralNotes(profile, 'MOVE')
+        ]
+      },
+      erOption
+    ]
+  };
+};
+
+module.exports = {
+  getProfileConditions,
+  deriveSeverityTier
+};
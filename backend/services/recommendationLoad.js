@@ -0,0 +1,141 @@
+/**
+ * Recommendation Load
+ * How many patients EVAC+ has recently sent to each facility, and the wait
+ * they add - so that in a mass-casualty or evacuation event recommendations
+ * don't all land on the one "best" facility
+ *
+ * Every live recommendation (POST /api/decision without a simulated time) is
+ * recorded against its facility. A recommendation counts for LOAD_WINDOW_MINUTES
+ * (default 60) after it was issued; each patient still counted adds the
+ * minutes it takes the facility to see one patient (PATIENTS_PER_HOUR) to its
+ * wait - on top of a live reading only if they were sent after it was taken.
+ * The decision engine then spreads patients between options that score about
+ * the same (services/decisionEngine.js).
+ *
+ * A client that sends a clientId with its requests counts once - its new
+ * recommendation replaces the one it had. Records are kept in memory and
+ * start empty when the backend restarts.
+ */
+
+const { now } = require('./clock');
+const { notifyFacilitiesChanged } = require('./facilityStream');
+
+const DEFAULT_WINDOW_MINUTES = 60;
+const MINUTE_MS = 60 * 1000;
+
+// Patients a facility can see in an hour - each one sent there adds 60 / this minutes to the wait
+const PATIENTS_PER_HOUR = { ER: 10, 'Urgent Care': 6 };
+
+// { facilityId, region, mode, clientId, issuedAt (Date) }, oldest first
+let issued = [];
+
+/**
+ * How long a recommendation counts, in minutes
+ */
+const getWindowMinutes = () => {
+  const minutes = Number(process.env.LOAD_WINDOW_MINUTES);
+  return Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_WINDOW_MINUTES;
+};
+
+/**
+ * Forget recommendations that no longer count at the current time
+ */
+const prune = () => {
+  const cutoff = now().getTime() - getWindowMinutes() * MINUTE_MS;
+  issued = issued.filter(entry => entry.issuedAt.getTime() > cutoff);
+};
+
+/**
+ * Record a recommendation that was given to a patient
+ * @param {Object} recommendation
+ * @param {Object} recommendation.facility - The facility recommended ({ id, region })
+ * @param {string} recommendation.mode - 'STAY', 'MOVE' or 'HYBRID'
+ * @param {string} recommendation.clientId - Optional - the client's previous recommendation is replaced
+ */
+const recordRecommendation = ({ facility, mode, clientId = null }) => {
+  prune();
+  if (clientId) {
+    issued = issued.filter(entry => entry.clientId !== clientId);
+  }
+  // To the second - request times are read to the second, so a request in the same second counts it
+  const issuedAt = new Date(Math.floor(now().getTime() / 1000) * 1000);
+  issued.push({ facilityId: facility.id, region: facility.region, mode, clientId, issuedAt });
+  notifyFacilitiesChanged();  // Waits on the map include the new patient
+};
+
+/**
+ * Patients sent to a facility who still count at a moment, and the wait they add
+ * @param {Object} facility - Registry facility ({ id, type })
+ * @param {Date} at - Moment being evaluated (times more than a window from now see no load)
+ * @param {Date|null} since - Only count patients sent after this, e.g. a live reading's asOf
+ * @returns {Object} - { patients, addedWait (minutes) }
+ */
+const getRecommendedLoad = (facility, at = now(), since = null) => {
+  const from = Math.max(at.getTime() - getWindowMinutes() * MINUTE_MS, since ? since.getTime() : -Infinity);
+  const patients = issued.filter(entry => entry.facilityId === facility.id
+    && entry.issuedAt.getTime() > from && entry.issuedAt.getTime() <= at.getTime()).length;
+  const perPatient = 60 / (PATIENTS_PER_HOUR[facility.type] || PATIENTS_PER_HOUR['Urgent Care']);
+  return { patients, addedWait: Math.round(patients * perPatient) };
+};
+
+/**
+ * How recent recommendations are spread across a region's facilities
+ * @param {Array} facilities - The region's facilities from getFacilitiesWithCurrentStatus()
+ * @param {string} regionId
+ * @returns {Object} - {
+ *   windowMinutes, total, byMode: { mode: count },
+ *   facilities: [{ id, name, type, status, patients, share (%), addedWait, currentWaitTime, lastSentAt }]
+ * }
+ */
+const getLoadDistribution = (facilities, regionId) => {
+  prune();
+  const inRegion = issued.filter(entry => entry.region === regionId);
+  const byMode = {};
+  inRegion.forEach(entry => {
+    byMode[entry.mode] = (byMode[entry.mode] || 0) + 1;
+  });
+
+  return {
+    windowMinutes: getWindowMinutes(),
+    total: inRegion.length,
+    byMode,
+    facilities: facilities
+      .map(facility => {
+        const sent = inRegion.filter(entry => entry.facilityId === facility.id);
+        return {
+          id: facility.id,
+          name: facility.name,
+          type: facility.type,
+          status: facility.status,
+          patients: sent.length,
+          share: inRegion.length > 0 ? Math.round((sent.length / inRegion.length) * 100) : 0,
+          addedWait: facility.recommendedLoad ? facility.recommendedLoad.addedWait : 0,
+          currentWaitTime: facility.currentWaitTime,
+          lastSentAt: sent.length > 0 ? sent[sent.length - 1].issuedAt.toISOString() : null
+        };
+      })
+      .sort((a, b) => b.patients - a.patients || a.id - b.id)
+  };
+};
+
+/**
+ * Forget every recorded recommendation (e.g. after an exercise)
+ * @param {string|null} regionId - Only this region's, or every region's
+ * @returns {number} - How many were cleared
+ */
+const clearRecommendations = (regionId = null) => {
+  const before = issued.length;
+  issued = regionId ? issued.filter(entry => entry.region !== regionId) : [];
+  if (issued.length !== before) {
+    notifyFacilitiesChanged();
+  }
+  return before - issued.length;
+};
+
+module.exports = {
+  PATIENTS_PER_HOUR,
+  recordRecommendation,
+  getRecommendedLoad,
+  getLoadDistribution,
+  clearRecommendations
+};
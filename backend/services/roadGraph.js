@@ -0,0 +1,138 @@
+/**
+ * Road Graph
+ * Loads a road network in Overpass JSON format (what an OpenStreetMap
+ * Overpass query exports) and turns it into an in-memory routable graph
+ *
+ * Only drivable highways are kept. Each way becomes a chain of directed
+ * edges between consecutive nodes; two-way streets get an edge in each
+ * direction, one-way streets only in their direction of travel.
+ *
+ * The bundled file, data/midtown-roads.sample.json, is a hand-built sample
+ * of Midtown's main streets - not an OpenStreetMap extract, and only
+ * approximately where the real streets are. A real Overpass export with the
+ * same shape ("elements" of nodes and ways) can replace it (see the README).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { haversineMiles } = require('./geo');
+
+const DEFAULT_EXTRACT = path.join(__dirname, '..', 'data', 'midtown-roads.sample.json');
+
+/**
+ * Free-flow speed (mph) by OSM highway class, used when a way has no maxspeed tag
+ * Anything not listed here is not drivable and is skipped
+ */
+const HIGHWAY_SPEEDS = {
+  motorway: 55,
+  motorway_link: 35,
+  trunk: 45,
+  trunk_link: 30,
+  primary: 35,
+  primary_link: 25,
+  secondary: 30,
+  secondary_link: 25,
+  tertiary: 25,
+  tertiary_link: 20,
+  unclassified: 20,
+  residential: 20,
+  living_street: 10,
+  service: 10
+};
+
+/**
+ * Parse an OSM maxspeed tag into mph
+ * OSM values are km/h unless they say "mph" (e.g. "35 mph" or "50")
+ * @param {string} value - Raw maxspeed tag
+ * @returns {number|null} - Speed in mph, or null if it can't be parsed
+ */
+const parseMaxSpeed = (value) => {
+  if (!value) return null;
+  const number = parseFloat(value);
+  if (!Number.isFinite(number) || number <= 0) return null;
+  return /mph/i.test(value) ? number : number * 0.621371;
+};
+
+/**
+ * Work out which directions a way can be driven in
+ * @param {Object} tags - OSM way tags
+ * @returns {Object} - { forward: boolean, backward: boolean }
+ */
+const getDirections = (tags) => {
+  const oneway = tags.oneway;
+  if (oneway === '-1') return { forward: false, backward: true };
+  if (oneway === 'yes' || oneway === 'true' || oneway === '1' || tags.highway === 'motorway') {
+    return { forward: true, backward: false };
+  }
+  return { forward: true, backward: true };
+};
+
+/**
+ * Build a routable graph from parsed Overpass JSON
+ * @param {Object} osm - Parsed Overpass JSON ({ elements: [...] })
+ * @returns {Object} - { nodes, edges, segments, maxSpeed }
+ *   - nodes: Map of node id → { id, lat, lng }
+ *   - edges: Map of node id → [{ to, distance (miles), speed (mph), name, wayId }]
+ *   - segments: every drivable node pair once, for snapping points onto roads
+ *   - maxSpeed: fastest edge speed, used by the A* heuristic
+ */
+const buildRoadGraph = (osm) => {
+  const allNodes = new Map();
+  (osm.elements || [])
+    .filter(element => element.type === 'node')
+    .forEach(element => allNodes.set(element.id, { id: element.id, lat: element.lat, lng: element.lon }));
+
+  const nodes = new Map();
+  const edges = new Map();
+  const segments = [];
+  let maxSpeed = 0;
+
+  const addEdge = (from, to, edge) => {
+    if (!edges.has(from)) edges.set(from, []);
+    edges.get(from).push({ to, ...edge });
+  };
+
+  (osm.elements || [])
+    .filter(element => element.type === 'way' && element.tags && HIGHWAY_SPEEDS[element.tags.highway])
+    .forEach(way => {
+      const speed = parseMaxSpeed(way.tags.maxspeed) || HIGHWAY_SPEEDS[way.tags.highway];
+      const name = way.tags.name || way.tags.ref || null;
+      const { forward, backward } = getDirections(way.tags);
+      maxSpeed = Math.max(maxSpeed, speed);
+
+      for (let i = 1; i < way.nodes.length; i++) {
+        const from = allNodes.get(way.nodes[i - 1]);
+        const to = allNodes.get(way.nodes[i]);
+        if (!from || !to) continue;  // Extract clipped this node - skip the segment
+
+        nodes.set(from.id, from);
+        nodes.set(to.id, to);
+
+        const distance = haversineMiles(from, to);
+        const edge = { distance, speed, name, wayId: way.id };
+        if (forward) addEdge(from.id, to.id, edge);
+        if (backward) addEdge(to.id, from.id, edge);
+        segments.push({ from: from.id, to: to.id, ...edge, forward, backward });
+      }
+    });
+
+  return { nodes, edges, segments, maxSpeed };
+};
+
+/**
+ * Load and parse an OSM extract from disk
+ * @param {string} filePath - Path to an Overpass JSON file (defaults to the bundled Midtown extract)
+ * @returns {Object} - Routable graph (see buildRoadGraph)
+ */
+const loadRoadGraph = (filePath = DEFAULT_EXTRACT) => {
+  const osm = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return buildRoadGraph(osm);
+};
+
+module.exports = {
+  DEFAULT_EXTRACT,
+  HIGHWAY_SPEEDS,
+  parseMaxSpeed,
+  buildRoadGraph,
+  loadRoadGraph
+};
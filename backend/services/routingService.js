@@ -0,0 +1,410 @@
+/**
+ * Routing Service
+ * Shortest-path routing over each region's bundled road graph - fully offline
+ *
+ * 1. Snap origin and destination onto the nearest road segment
+ * 2. Run A* over the road graph, minimizing travel time
+ * 3. Turn the path into distance, duration, a GeoJSON line and
+ *    turn-by-turn steps that use street names
+ *
+ * Travel time uses each road's speed limit scaled down by the traffic level.
+ * Roads that are closed or run through a hazard area (services/hazardService.js)
+ * are left out; the route then says which hazards it goes around and how
+ * much longer that takes.
+ */
+
+const path = require('path');
+const { loadRoadGraph } = require('./roadGraph');
+const { findRegionForPoint } = require('../models/regions');
+const { haversineMiles, bearing, projectOntoSegment } = require('./geo');
+const { summarizeHazard, warnAboutEndpoints, areasToAvoid, findRoadBlock } = require('./hazardService');
+
+/**
+ * Fraction of the speed limit actually driven at each traffic level
+ * Atlanta rush hour really does cut Midtown speeds by more than half
+ */
+const TRAFFIC_FACTORS = {
+  low: 1.0,
+  moderate: 0.75,
+  heavy: 0.55,
+  severe: 0.4
+};
+
+const ACCESS_SPEED = 10;     // mph - getting from the exact point (parking lot, driveway) to the road
+const MAX_SNAP_MILES = 1;    // Points farther than this from any road are outside the extract
+const MIN_STEP_MILES = 0.005;  // ~25 ft - shorter stretches (snapping right next to a junction) get no step
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+const ORIGIN = 'origin';
+const DESTINATION = 'destination';
+
+// Each region's graph is parsed once, on first use, and reused for every request
+const graphsByRegion = new Map();
+
+/**
+ * Get a region's road graph, loading its extract (the region's `roads` file) if needed
+ * @param {Object} region - From models/regions.js
+ * @returns {Object|null} - Routable graph from roadGraph.loadRoadGraph(), or null if the region has no extract
+ */
+const getRoadGraph = (region) => {
+  if (!region || !region.roads) return null;
+  if (!graphsByRegion.has(region.id)) {
+    graphsByRegion.set(region.id, loadRoadGraph(path.resolve(DATA_DIR, region.roads)));
+  }
+  return graphsByRegion.get(region.id);
+};
+
+/**
+ * Minimal binary heap keyed on priority (lowest first) for A*
+ */
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(value, priority) {
+    this.items.push({ value, priority });
+    let i = this.items.length - 1;
+    while (i > 0) {
+      const parent = Math.floor((i - 1) / 2);
+      if (this.items[parent].priority <= this.items[i].priority) break;
+      [this.items[parent], this.items[i]] = [this.items[i], this.items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const top = this.items[0];
+    const last = this.items.pop();
+    if (this.items.length > 0) {
+      this.items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < this.items.length && this.items[left].priority < this.items[smallest].priority) smallest = left;
+        if (right < this.items.length && this.items[right].priority < this.items[smallest].priority) smallest = right;
+        if (smallest === i) break;
+        [this.items[smallest], this.items[i]] = [this.items[i], this.items[smallest]];
+        i = smallest;
+      }
+    }
+    return top.value;
+  }
+}
+
+/**
+ * Find the closest point on the road network to a location
+ * @param {Object} graph - Routable graph
+ * @param {Object} point - { lat, lng }
+ * @returns {Object|null} - { segment, t, point, distance } or null if no road is close enough
+ */
+const snapToRoad = (graph, point) => {
+  let best = null;
+  graph.segments.forEach(segment => {
+    const a = graph.nodes.get(segment.from);
+    const b = graph.nodes.get(segment.to);
+    const projection = projectOntoSegment(point, a, b);
+    const distance = haversineMiles(point, projection.point);
+    if (!best || distance < best.distance) {
+      best = { segment, t: projection.t, point: projection.point, distance };
+    }
+  });
+  return best && best.distance <= MAX_SNAP_MILES ? best : null;
+};
+
+/**
+ * Temporary edges that connect the snapped origin/destination into the graph
+ * (the graph itself is shared and never modified)
+ */
+const buildVirtualEdges = (originSnap, destinationSnap) => {
+  const virtual = new Map();
+  const add = (from, to, snap, fraction) => {
+    if (!virtual.has(from)) virtual.set(from, []);
+    const { segment } = snap;
+    virtual.get(from).push({ to, distance: segment.distance * fraction, speed: segment.speed, name: segment.name });
+  };
+
+  // Origin → ends of its segment, in whichever directions the road allows
+  if (originSnap.segment.forward) add(ORIGIN, originSnap.segment.to, originSnap, 1 - originSnap.t);
+  if (originSnap.segment.backward) add(ORIGIN, originSnap.segment.from, originSnap, originSnap.t);
+
+  // Ends of the destination segment → destination
+  if (destinationSnap.segment.forward) add(destinationSnap.segment.from, DESTINATION, destinationSnap, destinationSnap.t);
+  if (destinationSnap.segment.backward) add(destinationSnap.segment.to, DESTINATION, destinationSnap, 1 - destinationSnap.t);
+
+  // Both points on the same stretch of road - drive straight along it
+  if (originSnap.segment === destinationSnap.segment) {
+    const delta = destinationSnap.t - originSnap.t;
+    if ((delta >= 0 && originSnap.segment.forward) || (delta <= 0 && originSnap.segment.backward)) {
+      add(ORIGIN, DESTINATION, originSnap, Math.abs(delta));
+    }
+  }
+  return virtual;
+};
+
+/**
+ * Road segments hazards take out of use for a trip, in both directions
+ * @param {Object} graph - Routable graph
+ * @param {Array} hazards - Active hazards
+ * @param {Object} origin - { lat, lng }
+ * @param {Object} destination - { lat, lng }
+ * @returns {Map} - "fromId|toId" → the hazard blocking it
+ */
+const findBlockedRoads = (graph, hazards, origin, destination) => {
+  const blocked = new Map();
+  const areas = areasToAvoid(hazards, origin, destination);
+  const closures = hazards.filter(hazard => hazard.kind === 'closure');
+  if (areas.length === 0 && closures.length === 0) return blocked;
+
+  graph.segments.forEach(segment => {
+    const hazard = findRoadBlock(graph.nodes.get(segment.from), graph.nodes.get(segment.to), areas, closures);
+    if (hazard) {
+      blocked.set(`${segment.from}|${segment.to}`, hazard);
+      blocked.set(`${segment.to}|${segment.from}`, hazard);
+    }
+  });
+  return blocked;
+};
+
+/**
+ * A* search from the snapped origin to the snapped destination, minimizing time
+ * @param {Map} blocked - Road segments not to use (from findBlockedRoads())
+ * @returns {Array|null} - Ordered list of traversed edges ({ from, to, distance, speed, name }) or null
+ */
+const aStar = (graph, virtual, points, trafficFactor, blocked = new Map()) => {
+  const positionOf = (id) => points[id] || graph.nodes.get(id);
+  const destination = points[DESTINATION];
+  const fastest = Math.max(graph.maxSpeed, ACCESS_SPEED) * trafficFactor;
+  const heuristic = (id) => haversineMiles(positionOf(id), destination) / fastest;
+
+  const bestCost = new Map([[ORIGIN, 0]]);
+  const previous = new Map();
+  const open = new MinHeap();
+  open.push(ORIGIN, heuristic(ORIGIN));
+
+  while (open.size > 0) {
+    const current = open.pop();
+    if (current === DESTINATION) {
+      const path = [];
+      let step = DESTINATION;
+      while (previous.has(step)) {
+        const { from, edge } = previous.get(step);
+        path.unshift({ from, ...edge });
+        step = from;
+      }
+      return path;
+    }
+
+    const neighbors = [...(graph.edges.get(current) || []), ...(virtual.get(current) || [])];
+    neighbors.forEach(edge => {
+      if (blocked.has(`${current}|${edge.to}`)) return;
+      const cost = bestCost.get(current) + edge.distance / (edge.speed * trafficFactor);
+      if (!bestCost.has(edge.to) || cost < bestCost.get(edge.to)) {
+        bestCost.set(edge.to, cost);
+        previous.set(edge.to, { from: current, edge });
+        open.push(edge.to, cost + heuristic(edge.to));
+      }
+    });
+  }
+  return null;
+};
+
+/**
+ * Compass direction for a bearing, e.g. 95° → 'east'
+ */
+const compassDirection = (degrees) => {
+  const directions = ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest'];
+  return directions[Math.round(degrees / 45) % 8];
+};
+
+/**
+ * Describe the turn between two bearings
+ * @returns {Object} - { type: 'continue' | 'turn', modifier: 'straight' | 'slight left' | 'right' | ... }
+ */
+const describeTurn = (fromBearing, toBearing) => {
+  const angle = ((toBearing - fromBearing + 540) % 360) - 180;  // -180..180, negative = left
+  const side = angle < 0 ? 'left' : 'right';
+  const size = Math.abs(angle);
+  if (size < 20) return { type: 'continue', modifier: 'straight' };
+  if (size < 45) return { type: 'turn', modifier: `slight ${side}` };
+  if (size < 135) return { type: 'turn', modifier: side };
+  return { type: 'turn', modifier: `sharp ${side}` };
+};
+
+/**
+ * Group the traversed edges by street name and build turn-by-turn steps
+ * @param {Array} legs - Traversed edges with from/to positions, distance (mi) and duration (min)
+ * @param {Object} destination - { lat, lng }
+ * @param {string} destinationName - Shown in the final "Arrive at ..." step
+ * @returns {Array} - Steps: { instruction, name, distance, duration, maneuver }
+ */
+const buildSteps = (legs, destination, destinationName) => {
+  const groups = [];
+  legs.forEach(leg => {
+    const last = groups[groups.length - 1];
+    if (last && last.name === leg.name) {
+      last.distance += leg.distance;
+      last.duration += leg.duration;
+      last.endBearing = leg.bearing;
+    } else {
+      groups.push({
+        name: leg.name,
+        distance: leg.distance,
+        duration: leg.duration,
+        location: leg.fromPoint,
+        startBearing: leg.bearing,
+        endBearing: leg.bearing
+      });
+    }
+  });
+
+  const steps = groups.map((group, index) => {
+    const street = group.name || 'the road';
+    let maneuver;
+    let instruction;
+    if (index === 0) {
+      maneuver = { type: 'depart', modifier: compassDirection(group.startBearing) };
+      instruction = `Head ${maneuver.modifier} on ${street}`;
+    } else {
+      maneuver = describeTurn(groups[index - 1].endBearing, group.startBearing);
+      instruction = maneuver.type === 'continue'
+        ? `Continue onto ${street}`
+        : `Turn ${maneuver.modifier} onto ${street}`;
+    }
+    return {
+      instruction,
+      name: group.name,
+      distance: Math.round(group.distance * 100) / 100,
+      duration: Math.round(group.duration * 10) / 10,
+      maneuver: { ...maneuver, location: [group.location.lat, group.location.lng] }
+    };
+  });
+
+  steps.push({
+    instruction: `Arrive at ${destinationName || 'your destination'}`,
+    name: null,
+    distance: 0,
+    duration: 0,
+    maneuver: { type: 'arrive', modifier: null, location: [destination.lat, destination.lng] }
+  });
+  return steps;
+};
+
+/**
+ * Which hazards a route goes around - the ones on the route that would be
+ * taken without them - and what that costs
+ * @returns {Object|null} - { extraMinutes, hazards: [{ id, name, kind, category }] }, or null if none were in the way
+ */
+const describeDetour = (graph, virtual, points, trafficFactor, blocked, path) => {
+  const direct = aStar(graph, virtual, points, trafficFactor);
+  const inTheWay = new Map();
+  direct.forEach(edge => {
+    const hazard = blocked.get(`${edge.from}|${edge.to}`);
+    if (hazard) inTheWay.set(hazard.id, summarizeHazard(hazard));
+  });
+  if (inTheWay.size === 0) return null;
+
+  const minutes = (edges) => edges.reduce((sum, edge) => sum + (edge.distance / (edge.speed * trafficFactor)) * 60, 0);
+  return {
+    extraMinutes: Math.max(0, Math.round(minutes(path) - minutes(direct))),
+    hazards: [...inTheWay.values()]
+  };
+};
+
+/**
+ * Find the fastest driving route between two points
+ *
+ * @param {Object} origin - { lat, lng }
+ * @param {Object} destination - { lat, lng }
+ * @param {Object} options
+ * @param {string} options.trafficLevel - 'low', 'moderate', 'heavy', or 'severe' (default 'low')
+ * @param {string} options.destinationName - Name used in the arrival step
+ * @param {Object} options.graph - Road graph to use (defaults to the graph of the origin's region)
+ * @param {Array} options.hazards - Active hazards to route around (services/hazardService.js)
+ * @returns {Object|null} - Route, or null if the region has no road graph, either point is off
+ *   the network or they aren't connected:
+ *   { distanceMiles, durationMinutes, distance, duration, trafficLevel, geometry, steps, detour, hazardWarning, source: 'road' }
+ *   detour is null, or { extraMinutes, hazards: [{ id, name, kind, category }] } when hazards
+ *   block the route that would have been taken. hazardWarning is null, or says which hazard
+ *   area the trip starts or ends in (hazardService.warnAboutEndpoints()) - the route can't avoid those.
+ *   When hazards close every way there: { unreachable: true, hazards: [{ id, name, kind, category }] }
+ */
+const findRoute = (origin, destination, {
+  trafficLevel = 'low',
+  destinationName = null,
+  graph = getRoadGraph(findRegionForPoint(origin)),
+  hazards = []
+} = {}) => {
+  if (!graph) return null;
+  const originSnap = snapToRoad(graph, origin);
+  const destinationSnap = snapToRoad(graph, destination);
+  if (!originSnap || !destinationSnap) return null;
+
+  const trafficFactor = TRAFFIC_FACTORS[trafficLevel] || TRAFFIC_FACTORS.low;
+  const points = { [ORIGIN]: originSnap.point, [DESTINATION]: destinationSnap.point };
+  const virtual = buildVirtualEdges(originSnap, destinationSnap);
+  const blocked = findBlockedRoads(graph, hazards, origin, destination);
+  const path = aStar(graph, virtual, points, trafficFactor, blocked);
+  if (!path) {
+    // Cut off by the hazards - or not connected at all, which no estimate fixes either
+    const direct = blocked.size > 0 ? aStar(graph, virtual, points, trafficFactor) : null;
+    if (!direct) return null;
+    const inTheWay = new Map();
+    direct.forEach(edge => {
+      const hazard = blocked.get(`${edge.from}|${edge.to}`);
+      if (hazard) inTheWay.set(hazard.id, summarizeHazard(hazard));
+    });
+    return { unreachable: true, hazards: [...inTheWay.values()] };
+  }
+
+  const positionOf = (id) => points[id] || graph.nodes.get(id);
+  const legs = path
+    .map(edge => ({
+      name: edge.name,
+      fromPoint: positionOf(edge.from),
+      toPoint: positionOf(edge.to),
+      distance: edge.distance,
+      duration: (edge.distance / (edge.speed * trafficFactor)) * 60
+    }))
+    .map(leg => ({ ...leg, bearing: bearing(leg.fromPoint, leg.toPoint) }));
+
+  // Short off-road legs between the exact points and the road
+  const accessDistance = originSnap.distance + destinationSnap.distance;
+  const accessMinutes = (accessDistance / ACCESS_SPEED) * 60;
+
+  const distanceMiles = legs.reduce((sum, leg) => sum + leg.distance, 0) + accessDistance;
+  const durationMinutes = Math.max(1, Math.round(legs.reduce((sum, leg) => sum + leg.duration, 0) + accessMinutes));
+
+  // GeoJSON uses [lng, lat] order
+  const coordinates = [origin, originSnap.point, ...legs.map(leg => leg.toPoint), destination]
+    .map(point => [point.lng, point.lat])
+    .filter((coord, i, all) => i === 0 || coord[0] !== all[i - 1][0] || coord[1] !== all[i - 1][1]);
+
+  return {
+    distanceMiles: Math.round(distanceMiles * 100) / 100,
+    durationMinutes,
+    distance: `${distanceMiles.toFixed(1)} miles`,
+    duration: `${durationMinutes} minute${durationMinutes === 1 ? '' : 's'}`,
+    trafficLevel,
+    geometry: { type: 'LineString', coordinates },
+    steps: buildSteps(legs.filter(leg => leg.distance >= MIN_STEP_MILES), destination, destinationName),
+    detour: blocked.size > 0 ? describeDetour(graph, virtual, points, trafficFactor, blocked, path) : null,
+    hazardWarning: warnAboutEndpoints(origin, destination, hazards),
+    source: 'road'
+  };
+};
+
+module.exports = {
+  TRAFFIC_FACTORS,
+  getRoadGraph,
+  compassDirection,
+  snapToRoad,
+  findRoute
+};
@@ -0,0 +1,232 @@
+/**
+ * Shelter Service
+ * Emergency shelters, cooling centers and warming centers - where people go
+ * for a safe place to stay during a weather event, rather than for medical care
+ *
+ * A shelter is on standby until a weather event it serves (activation.events)
+ * is in force in its region. It then opens leadHours before the event starts
+ * and stays open lagHours after it ends, within its own hours (schedule, in
+ * the facility format of services/hoursService.js; null = around the clock).
+ * An open shelter is full once occupancy reaches capacity.
+ *
+ * Operators post weather events and occupancy counts (routes/shelters.js).
+ * A shelter inside a hazard area (services/hazardService.js) takes nobody.
+ */
+
+const { toLocalTime } = require('./clock');
+const { getOpenStatus, formatClock } = require('./hoursService');
+const { findHazardAt, summarizeHazard } = require('./hazardService');
+const { listShelters, listWeatherEvents } = require('../models/shelterStore');
+const { SHELTER_KINDS, ACCESSIBILITY_FEATURES, PET_POLICIES, WEATHER_EVENT_TYPES } = require('../models/shelterSchema');
+const { CONDITION_NEEDS } = require('../models/capabilities');
+
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_WINDOW_HOURS = 72;  // Longest leadHours / lagHours (models/shelterSchema.js)
+
+/**
+ * Accessibility features people need at a shelter, by condition and by mobility
+ * required: shelters without them are ruled out; preferred: they win when they have them
+ */
+const CONDITION_FEATURES = {
+  dementia: ['memory-care', 'quiet-area'],
+  copd: ['power-for-devices'],
+  'older-adult': ['medical-support'],
+  pregnancy: ['medical-support'],
+  'kidney-disease': ['medical-support'],
+  diabetes: ['medical-support']
+};
+const MOBILITY_FEATURES = {
+  limited: { required: [], preferred: ['accessible-restroom'] },
+  wheelchair: { required: ['wheelchair', 'accessible-restroom'], preferred: [] },
+  bedbound: { required: ['wheelchair', 'cots'], preferred: ['medical-support'] }
+};
+const MOBILITY_LABELS = {
+  limited: 'limited mobility',
+  wheelchair: 'a wheelchair',
+  bedbound: 'being bed-bound'
+};
+
+/**
+ * A weather event as the API shows it, with times on the region's clock
+ * @param {Object} event
+ * @param {string} timezone - The region's timezone
+ * @returns {Object} - { id, type, typeLabel, name, description, region, startsAt, endsAt }
+ */
+const describeWeatherEvent = (event, timezone) => ({
+  ...event,
+  typeLabel: WEATHER_EVENT_TYPES[event.type],
+  startsAt: toLocalTime(event.startsAt, timezone).iso,
+  endsAt: event.endsAt ? toLocalTime(event.endsAt, timezone).iso : null
+});
+
+/**
+ * The short form of a weather event used in shelters and reasoning
+ * @returns {Object} - { id, type, name }
+ */
+const summarizeWeatherEvent = ({ id, type, name }) => ({ id, type, name });
+
+/**
+ * Weather events in force in a region at a moment
+ * @param {Object} region - Region (models/regions.js)
+ * @param {Object} time - Local time in the region
+ * @returns {Array} - Weather events from models/shelterStore.js
+ */
+const getActiveWeatherEvents = (region, time) => listWeatherEvents({ regionId: region.id, from: new Date(time.iso) });
+
+/**
+ * When a weather event has a shelter open
+ * @returns {Object} - { from, until } as Dates (until null = until the event is removed)
+ */
+const activationWindow = (shelter, event) => ({
+  from: new Date(event.startsAt.getTime() - shelter.activation.leadHours * HOUR_MS),
+  until: event.endsAt ? new Date(event.endsAt.getTime() + shelter.activation.lagHours * HOUR_MS) : null
+});
+
+// How standby text names the weather events a shelter serves
+const EVENT_PLURALS = {
+  'heat-wave': 'heat waves',
+  'cold-snap': 'cold snaps',
+  'winter-storm': 'winter storms',
+  'severe-storm': 'severe storms',
+  hurricane: 'hurricanes',
+  flood: 'floods',
+  'wildfire-smoke': 'wildfire smoke'
+};
+
+/**
+ * Display text for a shelter on standby
+ * e.g. 'Activates 07/14 at 10:00 AM for the July heat wave', 'On standby - opens during heat waves and wildfire smoke'
+ */
+const describeStandby = (shelter, upcoming, timezone) => {
+  if (upcoming) {
+    const { date, minutes } = toLocalTime(upcoming.from, timezone);
+    return `Activates ${date.slice(5).replace('-', '/')} at ${formatClock(minutes)} for the ${upcoming.event.name}`;
+  }
+  const events = shelter.activation.events.map(type => EVENT_PLURALS[type]);
+  const list = events.length > 1 ? `${events.slice(0, -1).join(', ')} and ${events[events.length - 1]}` : events[0];
+  return `On standby - opens during ${list}`;
+};
+
+/**
+ * Get a region's shelters with their status at a moment
+ *
+ * @param {Object} region - Region (models/regions.js)
+ * @param {Object} time - Local time in the region
+ * @param {Array} hazards - Hazards in force (services/hazardService.js)
+ * @returns {Array} - Shelters, each with:
+ *   status ('Open', 'Full', 'Closed' - activated but outside its hours - or 'Standby'),
+ *   statusDetail, activeFor (the weather events it is open for), activeUntil,
+ *   closesAt / opensAt / ... (as for facilities, while activated), available (free places),
+ *   occupancyAsOf (local time), hazard (the hazard area it is in, or null)
+ */
+const getSheltersWithCurrentStatus = (region, time, hazards = []) => {
+  const instant = new Date(time.iso);
+  // Events close enough to open or keep open a shelter now
+  const events = listWeatherEvents({
+    regionId: region.id,
+    from: new Date(instant.getTime() - MAX_WINDOW_HOURS * HOUR_MS),
+    to: new Date(instant.getTime() + MAX_WINDOW_HOURS * HOUR_MS)
+  });
+
+  return listShelters(region.id).map(shelter => {
+    const windows = events
+      .filter(event => shelter.activation.events.includes(event.type))
+      .map(event => ({ event, ...activationWindow(shelter, event) }));
+    const active = windows.filter(window => window.from <= instant && (!window.until || window.until > instant));
+    const upcoming = windows
+      .filter(window => window.from > instant)
+      .sort((a, b) => a.from - b.from)[0];
+    const hazard = findHazardAt(shelter.position, hazards);
+    const available = Math.max(0, shelter.capacity - shelter.occupancy);
+
+    const base = {
+      ...shelter,
+      kindLabel: SHELTER_KINDS[shelter.kind],
+      occupancyAsOf: shelter.occupancyAsOf ? toLocalTime(shelter.occupancyAsOf, region.timezone).iso : null,
+      available,
+      hazard: hazard ? summarizeHazard(hazard) : null
+    };
+
+    if (active.length === 0) {
+      return {
+        ...base,
+        status: 'Standby',
+        statusDetail: describeStandby(shelter, upcoming, region.timezone),
+        activeFor: [],
+        activeUntil: null,
+        opensAt: upcoming ? toLocalTime(upcoming.from, region.timezone).iso.slice(0, 16) : null
+      };
+    }
+
+    // Open until the last of its events (plus lagHours) ends - null while any runs until removed
+    const until = active.some(window => !window.until) ? null : new Date(Math.max(...active.map(window => window.until)));
+    const { isOpen, ...openingTimes } = getOpenStatus(shelter.schedule, time);
+    const status = !isOpen ? 'Closed' : available === 0 ? 'Full' : 'Open';
+    return {
+      ...base,
+      ...openingTimes,  // closesAt, closesInMinutes, opensAt, opensInMinutes, holiday, statusDetail
+      status,
+      ...(status === 'Full' ? { statusDetail: `Full (${shelter.capacity} people)` } : {}),
+      activeFor: active.map(window => summarizeWeatherEvent(window.event)),
+      activeUntil: until ? toLocalTime(until, region.timezone).iso : null
+    };
+  });
+};
+
+/**
+ * Why a shelter can't take someone now, or null if it can
+ * @param {Object} shelter - From getSheltersWithCurrentStatus()
+ * @returns {string|null} - e.g. 'full', 'inside the Peachtree Creek flood area'
+ */
+const getShelterUnavailableReason = (shelter) => {
+  if (shelter.hazard) return `inside the ${shelter.hazard.name} ${shelter.hazard.category} area`;
+  if (shelter.status === 'Full') return 'full';
+  return null;
+};
+
+/**
+ * What someone needs from a shelter
+ * @param {Array} conditions - Condition ids (a persona's, or from getProfileConditions())
+ * @param {string} mobility - 'independent', 'limited', 'wheelchair' or 'bedbound'
+ * @param {boolean} pets - Bringing pets (service animals are welcome everywhere)
+ * @returns {Object} - { required, preferred } - each [{ feature, label, for: [reasons] }] - and pets
+ */
+const getShelterNeeds = (conditions, mobility = 'independent', pets = false) => {
+  const collect = (entries) => {
+    const needs = new Map();
+    entries.forEach(([feature, reason]) => {
+      const need = needs.get(feature) || { feature, label: ACCESSIBILITY_FEATURES[feature], for: [] };
+      if (!need.for.includes(reason)) need.for.push(reason);
+      needs.set(feature, need);
+    });
+    return [...needs.values()];
+  };
+
+  const byMobility = MOBILITY_FEATURES[mobility] || { required: [], preferred: [] };
+  const required = collect(byMobility.required.map(feature => [feature, MOBILITY_LABELS[mobility]]));
+  const preferred = collect([
+    ...byMobility.preferred.map(feature => [feature, MOBILITY_LABELS[mobility]]),
+    ...conditions.flatMap(condition => (CONDITION_FEATURES[condition] || [])
+      .map(feature => [feature, CONDITION_NEEDS[condition] ? CONDITION_NEEDS[condition].label : condition]))
+  ]).filter(need => !required.some(other => other.feature === need.feature));
+  return { required, preferred, pets };
+};
+
+/**
+ * Check a shelter has everything someone needs - required features, and room for their pets
+ * @returns {Array} - What it lacks (labels; empty = suitable)
+ */
+const findShelterShortfalls = (shelter, needs) => [
+  ...needs.required.filter(need => !shelter.accessibility.includes(need.feature)).map(need => need.label),
+  ...(needs.pets && shelter.petPolicy === 'service-animals-only' ? [PET_POLICIES['service-animals-only']] : [])
+];
+
+module.exports = {
+  describeWeatherEvent,
+  summarizeWeatherEvent,
+  getActiveWeatherEvents,
+  getSheltersWithCurrentStatus,
+  getShelterUnavailableReason,
+  getShelterNeeds,
+  findShelterShortfalls
+};
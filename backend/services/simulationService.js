@@ -0,0 +1,135 @@
+/**
+ * Simulation Service
+ * TIME-BASED SIMULATION FUNCTIONS
+ * These create realistic patterns from each region's conditions (models/regions.js)
+ * No APIs needed - uses the date and time of day to adjust wait times and traffic
+ *
+ * Every function takes a region and a local time from services/clock.js
+ * (defaults to the current time in the region), so any moment can be simulated.
+ * When a live feed has a fresh wait time for a facility (services/waitTimeFeeds.js),
+ * that is used instead of the simulated one.
+ *
+ * Facilities also carry their operational status and any hazard area they
+ * are in (services/hazardService.js) - a surge lengthens the simulated wait.
+ * Patients EVAC+ has just sent to a facility lengthen its wait too
+ * (services/recommendationLoad.js).
+ */
+
+const { getLocalTime, toLocalTime } = require('./clock');
+const { getOpenStatus } = require('./hoursService');
+const { getLiveWaitTime } = require('./waitTimeFeeds');
+const { getRecommendedLoad } = require('./recommendationLoad');
+const { getActiveHazards, getOperationalStatuses, summarizeHazard, findHazardAt, getSurgeMultiplier } = require('./hazardService');
+const { listFacilities } = require('../models/facilityStore');
+const { TRAFFIC_LEVELS, getRegion, getDefaultRegion } = require('../models/regions');
+
+/**
+ * Calculate wait time multiplier for a moment in time
+ * Combines the region's hour-of-day, day-of-week and month multipliers
+ *
+ * @param {string} facilityType - 'ER' or 'Urgent Care'
+ * @param {Object} region - Region (models/regions.js)
+ * @param {Object} time - Local time in the region (defaults to now)
+ * @returns {number} Multiplier for base wait time (0.5 = half wait, 2.0 = double wait)
+ */
+const getTimeMultiplier = (facilityType, region, time = getLocalTime(region.timezone)) => {
+  const type = facilityType === 'ER' ? 'ER' : 'Urgent Care';
+  const { hourly, dayOfWeek, monthly } = region.waitTimes;
+  return hourly[type][time.hour] * dayOfWeek[type][time.dayOfWeek] * monthly[time.month - 1];
+};
+
+/**
+ * What the time-of-day model predicts for a facility's wait
+ * @param {Object} facility - Registry facility (type, baseWaitTime, region)
+ * @param {Object} time - Local time in the facility's region (defaults to now)
+ * @returns {number} Wait time in minutes
+ */
+const getSimulatedWaitTime = (facility, time) => {
+  const region = getRegion(facility.region) || getDefaultRegion();
+  return Math.round(facility.baseWaitTime * getTimeMultiplier(facility.type, region, time));
+};
+
+/**
+ * Get traffic congestion level for a moment in time
+ * From the region's weekday / weekend pattern, capped in its quieter months
+ * (e.g. Atlanta's rush hours ease off while schools are out in June and July)
+ * @param {Object} region - Region (models/regions.js)
+ * @param {Object} time - Local time in the region (defaults to now)
+ * @returns {string} 'low', 'moderate', 'heavy', or 'severe'
+ */
+const getTrafficLevel = (region, time = getLocalTime(region.timezone)) => {
+  const { hour, dayOfWeek, month } = time;
+  const { weekday, weekend, quieterMonths } = region.traffic;
+  const level = (dayOfWeek === 0 || dayOfWeek === 6 ? weekend : weekday)[hour];
+
+  if (quieterMonths && quieterMonths.months.includes(month)
+    && TRAFFIC_LEVELS.indexOf(level) > TRAFFIC_LEVELS.indexOf(quieterMonths.maxLevel)) {
+    return quieterMonths.maxLevel;
+  }
+  return level;
+};
+
+/**
+ * Get a region's facilities with dynamically calculated wait times
+ * This function applies time-based multipliers to create realistic patterns,
+ * unless a live feed reported the facility's wait within the last maxAgeMinutes
+ * Base data comes from the facility registry (see models/facilityStore.js)
+ * Open/closed status comes from each facility's weekly schedule and holidays
+ * @param {Object} region - Region (models/regions.js)
+ * @param {Object} time - Local time in the region (defaults to now)
+ * @returns {Array} Facilities with current wait times (and where they came from), status and closing/opening times,
+ *   operationalStatus ('normal', 'diverting', 'evacuating' or 'surge'), hazard ({ id, name, kind, category } or null)
+ *   and recommendedLoad ({ patients, addedWait } - patients recently sent there, included in the wait)
+ */
+const getFacilitiesWithCurrentStatus = (region, time = getLocalTime(region.timezone)) => {
+  const instant = new Date(time.iso);
+  const hazards = getActiveHazards(region, time);
+  const operationalStatuses = getOperationalStatuses(instant);
+
+  return listFacilities(region.id).map(facility => {
+    // Freshest feed reading for this moment, if there is one
+    const live = getLiveWaitTime(facility.id, instant);
+
+    // Posted by operators - diversion, evacuation or surge (normal when there's none)
+    const operational = operationalStatuses.get(facility.id);
+    const hazard = findHazardAt(facility.position, hazards);
+    const conditions = {
+      operationalStatus: operational ? operational.status : 'normal',
+      operationalNote: operational ? operational.note : null,
+      operationalUntil: operational && operational.endsAt ? toLocalTime(operational.endsAt, region.timezone).iso : null,
+      hazard: hazard ? summarizeHazard(hazard) : null
+    };
+
+    // Calculate current wait time - a live reading already shows any surge, and
+    // the patients who were sent before it was taken
+    const recommendedLoad = getRecommendedLoad(facility, instant, live ? live.asOf : null);
+    const currentWaitTime = (live
+      ? live.waitTime
+      : Math.round(getSimulatedWaitTime(facility, time) * getSurgeMultiplier(conditions, time))) + recommendedLoad.addedWait;
+
+    // Determine if facility is open from its schedule (no schedule = open 24/7, like ERs)
+    // Also tells us when it closes or next opens, so nobody is sent to a clinic about to close
+    const { isOpen, ...openingTimes } = getOpenStatus(facility.schedule, time);
+    const status = isOpen ? 'Open' : 'Closed';
+
+    return {
+      ...facility,
+      currentWaitTime,
+      waitTimeSource: live ? live.source : 'simulation',
+      waitTimeAsOf: live ? toLocalTime(live.asOf, region.timezone).iso : time.iso,
+      waitTimeDisplay: status === 'Open' ? `${currentWaitTime} min` : 'Closed',
+      status,
+      ...openingTimes,  // closesAt, closesInMinutes, opensAt, opensInMinutes, holiday, statusDetail
+      ...conditions,
+      recommendedLoad,
+      capacity: currentWaitTime < 20 ? 'High' : currentWaitTime < 40 ? 'Medium' : 'Low'
+    };
+  });
+};
+
+module.exports = {
+  getTimeMultiplier,
+  getSimulatedWaitTime,
+  getTrafficLevel,
+  getFacilitiesWithCurrentStatus
+};
@@ -0,0 +1,266 @@
+/**
+ * Transit Service
+ * Plans transit trips over each region's bundled GTFS feed (services/gtfsFeed.js) - fully offline
+ *
+ * Uses the Connection Scan Algorithm: every vehicle hop between two stops on
+ * the service day is a "connection", and scanning them in departure order
+ * finds the earliest arrival at every stop - including changing routes and
+ * short walks between nearby stops. The patient walks to any stop within
+ * their walking limit, and from any stop within it to the destination.
+ *
+ * Trips running past midnight (GTFS times after 24:00) are picked up from
+ * the previous day's service.
+ */
+
+const path = require('path');
+const { loadGtfsFeed } = require('./gtfsFeed');
+const { haversineMiles } = require('./geo');
+const { addMinutes } = require('./clock');
+
+const WALK_DETOUR = 1.3;               // Streets are longer than the straight line
+const DEFAULT_WALK_SPEED = 3;          // mph
+const DEFAULT_MAX_WALK_MILES = 0.5;    // Each way, to and from the stops
+const TRANSFER_WALK_MILES = 0.25;      // Walks between nearby stops when changing routes
+const MIN_TRANSFER_SECONDS = 120;      // Time to change vehicles at the same stop
+const MAX_TRIP_SECONDS = 3 * 3600;     // Trips longer than this aren't worth planning
+const DAY_SECONDS = 24 * 3600;
+const CACHED_DAYS = 3;
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+// Each region's feed is parsed once, on first use, and reused for every request
+const feedsByRegion = new Map();
+const connectionsByFeed = new WeakMap();
+
+/**
+ * Get a region's transit feed (its transit.gtfs folder), loading it if needed
+ * @param {Object} region - From models/regions.js
+ * @returns {Object|null} - Feed, or null if the region has no transit feed
+ */
+const getTransitFeed = (region) => {
+  if (!region || !region.transit || !region.transit.gtfs) return null;
+  if (!feedsByRegion.has(region.id)) {
+    feedsByRegion.set(region.id, loadGtfsFeed(path.resolve(DATA_DIR, region.transit.gtfs)));
+  }
+  return feedsByRegion.get(region.id);
+};
+
+/**
+ * A "YYYY-MM-DD" date some days before or after another
+ */
+const shiftDate = (date, days) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+/**
+ * Check a GTFS service runs on a date
+ */
+const runsOn = (service, date) => {
+  if (!service) return false;
+  const compact = date.replace(/-/g, '');
+  const dayOfWeek = new Date(`${date}T00:00:00Z`).getUTCDay();
+  return service.days[dayOfWeek] && compact >= service.startDate && compact <= service.endDate;
+};
+
+/**
+ * Every vehicle hop on a date, sorted by departure
+ * Times are seconds after that date's midnight
+ * @returns {Array} - [{ tripKey, trip, from, to, departure, arrival }]
+ */
+const buildConnections = (feed, date) => {
+  const connections = [];
+  [[date, 0], [shiftDate(date, -1), -DAY_SECONDS]].forEach(([serviceDate, offset]) => {
+    feed.trips
+      .filter(trip => runsOn(feed.services.get(trip.serviceId), serviceDate))
+      .forEach(trip => {
+        // A frequency-based trip runs once per headway; a scheduled trip runs once as listed
+        const firstDeparture = trip.stopTimes[0].departure;
+        const starts = trip.frequencies.length === 0
+          ? [firstDeparture]
+          : trip.frequencies.flatMap(({ start, end, headway }) => {
+            const runs = [];
+            for (let time = start; time < end; time += headway) runs.push(time);
+            return runs;
+          });
+
+        starts.forEach(start => {
+          const shift = start - firstDeparture + offset;
+          const tripKey = `${trip.id}@${serviceDate}@${start}`;
+          for (let i = 1; i < trip.stopTimes.length; i++) {
+            const departure = trip.stopTimes[i - 1].departure + shift;
+            if (departure < 0) continue;  // Yesterday's trip, before midnight
+            connections.push({
+              tripKey,
+              trip,
+              from: trip.stopTimes[i - 1].stopId,
+              to: trip.stopTimes[i].stopId,
+              departure,
+              arrival: trip.stopTimes[i].arrival + shift
+            });
+          }
+        });
+      });
+  });
+  return connections.sort((a, b) => a.departure - b.departure || a.arrival - b.arrival);
+};
+
+/**
+ * Connections for a date, cached for the last few dates asked about
+ */
+const getConnections = (feed, date) => {
+  if (!connectionsByFeed.has(feed)) {
+    connectionsByFeed.set(feed, new Map());
+  }
+  const connectionsByDate = connectionsByFeed.get(feed);
+  if (!connectionsByDate.has(date)) {
+    if (connectionsByDate.size >= CACHED_DAYS) {
+      connectionsByDate.delete(connectionsByDate.keys().next().value);
+    }
+    connectionsByDate.set(date, buildConnections(feed, date));
+  }
+  return connectionsByDate.get(date);
+};
+
+/**
+ * Stops within walking distance of a point
+ * @returns {Array} - [{ stop, miles }] (walking miles)
+ */
+const stopsNear = (feed, point, maxWalkMiles) => [...feed.stops.values()]
+  .map(stop => ({ stop, miles: haversineMiles(point, stop) * WALK_DETOUR }))
+  .filter(({ miles }) => miles <= maxWalkMiles);
+
+/**
+ * Display name for a route, e.g. 'Red Line' or 'Bus 110 Peachtree St / Buckhead'
+ */
+const getRouteName = (route) => (route.type === 3
+  ? `Bus ${route.shortName} ${route.longName}`.trim()
+  : route.longName || route.shortName);
+
+/**
+ * Plan the earliest-arriving transit trip between two points
+ * @param {Object} origin - { lat, lng }
+ * @param {Object} destination - { lat, lng }
+ * @param {Object} departure - Local time the patient leaves (services/clock.js)
+ * @param {Object} options
+ * @param {number} options.maxWalkMiles - Longest walk to or from a stop (default 0.5)
+ * @param {number} options.walkSpeed - Walking speed in mph (default 3)
+ * @param {Object} options.feed - Feed to use, from getTransitFeed()
+ * @returns {Object|null} - {
+ *   time (minutes from departure to arrival), distance (miles, 1 decimal), walkMiles,
+ *   boardAt, arriveAt, routes, fare, legs: [{ type: 'walk' | 'ride', ... }]
+ * }, or null when no trip gets there within walking distance of the stops
+ */
+const planTransitTrip = (origin, destination, departure, {
+  maxWalkMiles = DEFAULT_MAX_WALK_MILES,
+  walkSpeed = DEFAULT_WALK_SPEED,
+  feed
+} = {}) => {
+  const entries = stopsNear(feed, origin, maxWalkMiles);
+  const exits = stopsNear(feed, destination, maxWalkMiles);
+  if (entries.length === 0 || exits.length === 0) return null;
+
+  const start = departure.hour * 3600 + departure.minute * 60;
+  const walkSeconds = (miles) => Math.round((miles / walkSpeed) * 3600);
+  const exitWalks = new Map(exits.map(({ stop, miles }) => [stop.id, miles]));
+
+  // Earliest arrival at each stop, and how it was reached
+  const arrival = new Map();
+  const via = new Map();
+  const reach = (stopId, time, how) => {
+    if (arrival.has(stopId) && arrival.get(stopId) <= time) return false;
+    arrival.set(stopId, time);
+    via.set(stopId, how);
+    return true;
+  };
+  entries.forEach(({ stop, miles }) => reach(stop.id, start + walkSeconds(miles), { type: 'walk', from: null, miles }));
+
+  const boarded = new Map();  // tripKey → connection where the patient got on
+  let best = Infinity;
+  for (const connection of getConnections(feed, departure.date)) {
+    if (connection.departure < start) continue;
+    if (connection.departure >= best || connection.departure > start + MAX_TRIP_SECONDS) break;
+
+    if (!boarded.has(connection.tripKey)) {
+      if (!arrival.has(connection.from)) continue;
+      const changing = via.get(connection.from).type === 'ride';
+      if (arrival.get(connection.from) + (changing ? MIN_TRANSFER_SECONDS : 0) > connection.departure) continue;
+      boarded.set(connection.tripKey, connection);
+    }
+
+    const ride = { type: 'ride', board: boarded.get(connection.tripKey), alight: connection };
+    if (!reach(connection.to, connection.arrival, ride)) continue;
+    if (exitWalks.has(connection.to)) {
+      best = Math.min(best, connection.arrival + walkSeconds(exitWalks.get(connection.to)));
+    }
+
+    // Walk to nearby stops to change routes there
+    stopsNear(feed, feed.stops.get(connection.to), TRANSFER_WALK_MILES)
+      .filter(({ stop }) => stop.id !== connection.to)
+      .forEach(({ stop, miles }) => {
+        const time = connection.arrival + walkSeconds(miles);
+        if (reach(stop.id, time, { type: 'walk', from: connection.to, miles }) && exitWalks.has(stop.id)) {
+          best = Math.min(best, time + walkSeconds(exitWalks.get(stop.id)));
+        }
+      });
+  }
+
+  // Best stop to walk from - reached by riding, not just by walking from the origin
+  const finish = exits
+    .filter(({ stop }) => via.has(stop.id) && (via.get(stop.id).type === 'ride' || via.get(stop.id).from))
+    .map(({ stop, miles }) => ({ stop, miles, time: arrival.get(stop.id) + walkSeconds(miles) }))
+    .sort((a, b) => a.time - b.time)[0];
+  if (!finish) return null;
+
+  const toIso = (seconds) => addMinutes(departure, (seconds - start) / 60).iso;
+  const walkLeg = (from, to, miles) => ({ type: 'walk', from, to, miles: Math.round(miles * 10) / 10, minutes: Math.ceil(walkSeconds(miles) / 60) });
+
+  // Follow the trip back from the last stop
+  const legs = [walkLeg(finish.stop.name, 'destination', finish.miles)];
+  let stopId = finish.stop.id;
+  for (;;) {
+    const how = via.get(stopId);
+    if (how.type === 'ride') {
+      const route = feed.routes.get(how.board.trip.routeId) || { shortName: how.board.trip.routeId, longName: '', type: 3 };
+      const from = feed.stops.get(how.board.from);
+      const to = feed.stops.get(how.alight.to);
+      legs.unshift({
+        type: 'ride',
+        route: route.shortName,
+        routeName: getRouteName(route),
+        vehicle: route.type === 3 ? 'bus' : 'train',
+        headsign: how.board.trip.headsign,
+        from: from.name,
+        to: to.name,
+        boardAt: toIso(how.board.departure),
+        arriveAt: toIso(how.alight.arrival),
+        minutes: Math.round((how.alight.arrival - how.board.departure) / 60),
+        miles: Math.round(haversineMiles(from, to) * 10) / 10
+      });
+      stopId = how.board.from;
+    } else if (how.from) {
+      legs.unshift(walkLeg(feed.stops.get(how.from).name, feed.stops.get(stopId).name, how.miles));
+      stopId = how.from;
+    } else {
+      legs.unshift(walkLeg('origin', feed.stops.get(stopId).name, how.miles));
+      break;
+    }
+  }
+
+  const rides = legs.filter(leg => leg.type === 'ride');
+  const walkMiles = legs.filter(leg => leg.type === 'walk').reduce((sum, leg) => sum + leg.miles, 0);
+  return {
+    time: Math.ceil((finish.time - start) / 60),
+    distance: legs.reduce((sum, leg) => sum + leg.miles, 0).toFixed(1),
+    walkMiles: Math.round(walkMiles * 10) / 10,
+    boardAt: rides[0].boardAt,
+    arriveAt: toIso(finish.time),
+    routes: rides.map(leg => leg.routeName),
+    fare: feed.fare,
+    legs
+  };
+};
+
+module.exports = {
+  getTransitFeed,
+  planTransitTrip
+};
@@ -0,0 +1,177 @@
+/**
+ * Transport Service
+ * How long each way of getting to a facility takes, and what it costs
+ * (modes in models/transportModes.js)
+ *
+ * - car: the road route at the current traffic level, around any hazards
+ *   (services/travelService.js), costed at the IRS mileage rate
+ * - rideshare: waiting for a pickup, then the same road route; the fare has a
+ *   base, per-mile and per-minute rate and surges in heavy traffic
+ * - transit: the trip from the region's GTFS feed (services/transitService.js),
+ *   including the walks and waits; costs one fare
+ * - walk: the road route's distance at the patient's walking speed, for short trips
+ * - accessible: for patients who can't drive or take a rideshare - waiting for
+ *   a paratransit or medical transport pickup (or a caretaker), then the road
+ *   route; costs a paratransit fare
+ * - ambulance: the EMS simulator (services/emsSimulator.js) - the unit that
+ *   would be dispatched, its response to the patient, time on scene, then
+ *   transport with lights and sirens. The cost is the billed charge - the
+ *   patient's share depends on their insurance (services/costEstimator.js)
+ *
+ * When hazards close every road to the facility, no mode can get there - each
+ * says so, with the hazards in blockedBy.
+ */
+
+const { getModeLabel, MODE_IDS } = require('../models/transportModes');
+const { AMBULANCE_CHARGE } = require('../models/insurancePlans');
+const { calculateTravelTime } = require('./travelService');
+const { getTransitFeed, planTransitTrip } = require('./transitService');
+const { simulateAmbulanceTrip } = require('./emsSimulator');
+
+const CAR_COST_PER_MILE = 0.7;
+
+const RIDESHARE_FARE = { base: 2.5, bookingFee: 2.75, perMile: 1.25, perMinute: 0.3, minimum: 9 };
+// Minutes until a driver arrives, and fare multiplier, by traffic level
+const RIDESHARE_PICKUP_MINUTES = { low: 5, moderate: 7, heavy: 10, severe: 14 };
+const RIDESHARE_SURGE = { low: 1, moderate: 1.1, heavy: 1.4, severe: 1.8 };
+
+const MAX_WALK_TRIP_MILES = 1.5;
+
+const ACCESSIBLE_RIDE = { pickupMinutes: 30, fare: 4 };
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Estimators per mode - each returns the mode's time, distance and cost,
+ * or { reason } when it can't be used for this trip
+ */
+const ESTIMATORS = {
+  car: ({ drive }) => ({
+    ...drive,
+    cost: roundCents(parseFloat(drive.distance) * CAR_COST_PER_MILE)
+  }),
+
+  rideshare: ({ drive, trafficLevel }) => {
+    const pickupMinutes = RIDESHARE_PICKUP_MINUTES[trafficLevel] || RIDESHARE_PICKUP_MINUTES.low;
+    const surge = RIDESHARE_SURGE[trafficLevel] || 1;
+    const fare = (RIDESHARE_FARE.base + RIDESHARE_FARE.perMile * parseFloat(drive.distance)
+      + RIDESHARE_FARE.perMinute * drive.time) * surge + RIDESHARE_FARE.bookingFee;
+    return {
+      ...drive,
+      time: pickupMinutes + drive.time,
+      pickupMinutes,
+      surge,
+      cost: roundCents(Math.max(RIDESHARE_FARE.minimum, fare))
+    };
+  },
+
+  transit: ({ origin, destination, region, departure, access }) => {
+    const feed = getTransitFeed(region);
+    if (!feed) {
+      return {
+        reason: region.transit
+          ? `No ${region.transit.name} schedule loaded for ${region.name}`
+          : `No transit schedule loaded for ${region.name}`
+      };
+    }
+    const trip = planTransitTrip(origin, destination, departure, {
+      maxWalkMiles: access.maxWalkMiles,
+      walkSpeed: access.walkSpeed,
+      feed
+    });
+    if (!trip) {
+      return { reason: `No ${region.transit.name} trip within walking distance of the stops at this time` };
+    }
+    return {
+      time: trip.time,
+      distance: trip.distance,
+      source: 'gtfs',
+      cost: trip.fare || 0,
+      boardAt: trip.boardAt,
+      routes: trip.routes,
+      walkMiles: trip.walkMiles,
+      // Walking to, between and from stops, and waiting at them
+      outdoorMinutes: trip.time - trip.legs.filter(leg => leg.type === 'ride').reduce((sum, leg) => sum + leg.minutes, 0),
+      legs: trip.legs
+    };
+  },
+
+  walk: ({ drive, access }) => {
+    const miles = parseFloat(drive.distance);
+    if (miles > MAX_WALK_TRIP_MILES) {
+      return { reason: `Too far to walk (${drive.distance} mi)` };
+    }
+    const time = Math.max(1, Math.ceil((miles / access.walkSpeed) * 60));
+    return {
+      time,
+      distance: drive.distance,
+      source: drive.source,
+      cost: 0,
+      outdoorMinutes: time
+    };
+  },
+
+  accessible: ({ drive }) => ({
+    ...drive,
+    time: ACCESSIBLE_RIDE.pickupMinutes + drive.time,
+    pickupMinutes: ACCESSIBLE_RIDE.pickupMinutes,
+    cost: ACCESSIBLE_RIDE.fare,
+    costNote: 'Paratransit fare - free if a caretaker drives you'
+  }),
+
+  ambulance: ({ origin, destination, region, trafficLevel, hazards, departure, advancedLifeSupport }) => ({
+    ...simulateAmbulanceTrip(origin, destination, { region, time: departure, trafficLevel, hazards, advancedLifeSupport }),
+    cost: AMBULANCE_CHARGE,
+    costNote: 'Billed to insurance'
+  })
+};
+
+/**
+ * Estimate every transport mode from a patient to a facility
+ * @param {Object} origin - { lat, lng }
+ * @param {Object} destination - { lat, lng }
+ * @param {Object} params
+ * @param {Object} params.region - The patient's region (models/regions.js)
+ * @param {string} params.trafficLevel - Traffic when leaving
+ * @param {Array} params.hazards - Hazards in force when leaving (services/hazardService.js)
+ * @param {Object} params.departure - Local time the patient leaves
+ * @param {Object} params.access - From getTransportAccess() (models/transportModes.js)
+ * @param {boolean} params.advancedLifeSupport - An ambulance should be a paramedic (ALS) unit
+ * @returns {Array} - One entry per mode, in MODE_IDS order:
+ *   { mode, label, available: true, time, distance, source, cost, ...mode details }
+ *   (walking and transit add outdoorMinutes - time spent outside, see services/environmentService.js)
+ *   or { mode, label, available: false, reason } (plus blockedBy: [hazards] when hazards close every road there)
+ */
+const estimateTransport = (origin, destination, {
+  region,
+  trafficLevel,
+  hazards = [],
+  departure,
+  access,
+  advancedLifeSupport = false
+}) => {
+  const drive = calculateTravelTime(origin, destination, trafficLevel, hazards);
+  if (drive.unreachable) {
+    const reason = `Every road there is closed (${drive.detour.hazards.map(hazard => hazard.name).join(', ')})`;
+    return MODE_IDS.map(mode => ({
+      mode, label: getModeLabel(mode, region), available: false, reason, blockedBy: drive.detour.hazards
+    }));
+  }
+  const context = { origin, destination, region, trafficLevel, hazards, departure, access, advancedLifeSupport, drive };
+
+  return MODE_IDS.map(mode => {
+    const label = getModeLabel(mode, region);
+    if (!access.modes.includes(mode)) {
+      return { mode, label, available: false, reason: access.unavailable[mode] };
+    }
+    const estimate = ESTIMATORS[mode](context);
+    return estimate.reason
+      ? { mode, label, available: false, reason: estimate.reason }
+      : { mode, label, available: true, ...estimate };
+  });
+};
+
+module.exports = {
+  MAX_WALK_TRIP_MILES,
+  estimateTransport
+};
@@ -0,0 +1,143 @@
+/**
+ * Travel Service
+ * Estimates travel time and distance between two points
+ *
+ * Uses the road network (routingService) whenever both points are on it,
+ * and falls back to straight-line (Haversine) distance with a city driving
+ * speed when they are not - e.g. outside the Midtown Atlanta road graph, or
+ * in a region without one. Shared by the transport estimates
+ * (services/transportService.js) and any endpoint that needs a quick
+ * travel estimate.
+ *
+ * Active hazards (services/hazardService.js) are routed around; a straight
+ * line through a hazard area is lengthened by HAZARD_DETOUR_FACTOR instead.
+ * When the hazards close every road there, the trip is unreachable - there is
+ * no estimate to fall back on.
+ */
+
+const { toLatLng, haversineMiles, bearing } = require('./geo');
+const { findRoute, compassDirection } = require('./routingService');
+const { HAZARD_DETOUR_FACTOR, summarizeHazard, warnAboutEndpoints, findHazardsCrossed } = require('./hazardService');
+
+/**
+ * Average city driving speed (mph) for each traffic level
+ * Only used for the straight-line fallback - road routes use speed limits
+ */
+const TRAFFIC_SPEEDS = {
+  low: 30,       // Faster during low traffic
+  moderate: 20,  // Slower in moderate traffic
+  heavy: 15,     // Much slower in heavy traffic
+  severe: 10     // Crawling in severe traffic (Atlanta rush hour!)
+};
+
+const DEFAULT_SPEED = 25;  // mph base speed in city
+
+/**
+ * Straight-line travel estimate - the distance, longer when it crosses a hazard area
+ * @returns {Object} - { time (minutes), distanceMiles, crossed: [hazards] }
+ */
+const estimateStraightLine = (from, to, trafficLevel, hazards) => {
+  const crossed = findHazardsCrossed(from, to, hazards);
+  const distanceMiles = haversineMiles(from, to) * (crossed.length > 0 ? HAZARD_DETOUR_FACTOR : 1);
+  const speed = TRAFFIC_SPEEDS[trafficLevel] || DEFAULT_SPEED;
+  return {
+    time: Math.max(1, Math.round((distanceMiles / speed) * 60)),  // Minimum 1 minute
+    distanceMiles,
+    crossed
+  };
+};
+
+/**
+ * Calculate travel time between two points based on the road network and traffic
+ * @param {Array|Object} origin - Starting position
+ * @param {Array|Object} destination - Facility position
+ * @param {string} trafficLevel - 'low', 'moderate', 'heavy', or 'severe'
+ * @param {Array} hazards - Active hazards to go around (default none)
+ * @returns {Object} - {
+ *   time: number (minutes), distance: string (miles, 1 decimal), source: 'road' | 'straight-line',
+ *   detour: null, or { extraMinutes (road routes only), hazards: [{ id, name, kind, category }] } when hazards are in the way
+ * }, or { time: null, distance: null, source: 'road', unreachable: true, detour: { hazards } } when hazards close every road
+ */
+const calculateTravelTime = (origin, destination, trafficLevel, hazards = []) => {
+  const from = toLatLng(origin);
+  const to = toLatLng(destination);
+
+  // Safety check
+  if (!from || !to) {
+    return { time: 0, distance: '0.0', source: 'straight-line', detour: null };
+  }
+
+  const route = findRoute(from, to, { trafficLevel, hazards });
+  if (route && route.unreachable) {
+    return { time: null, distance: null, source: 'road', unreachable: true, detour: { hazards: route.hazards } };
+  }
+  if (route) {
+    return {
+      time: route.durationMinutes,
+      distance: route.distanceMiles.toFixed(1),
+      source: 'road',
+      detour: route.detour
+    };
+  }
+
+  // Off the road network - estimate from straight-line distance
+  const { time, distanceMiles, crossed } = estimateStraightLine(from, to, trafficLevel, hazards);
+  return {
+    time,
+    distance: distanceMiles.toFixed(1),
+    source: 'straight-line',
+    detour: crossed.length > 0 ? { hazards: crossed.map(summarizeHazard) } : null
+  };
+};
+
+/**
+ * A route-shaped straight-line estimate for when there is no road route -
+ * the region has no road extract, or a point is off it. Same fields as
+ * routingService.findRoute(), with a straight line for the geometry and a
+ * single step towards the destination.
+ * @param {Object} origin - { lat, lng }
+ * @param {Object} destination - { lat, lng }
+ * @param {Object} options - { trafficLevel, destinationName, hazards }
+ * @returns {Object} - Route with source: 'straight-line' and a note saying it is an estimate
+ */
+const estimateRoute = (origin, destination, { trafficLevel = 'low', destinationName = null, hazards = [] } = {}) => {
+  const { time, distanceMiles, crossed } = estimateStraightLine(origin, destination, trafficLevel, hazards);
+  const heading = compassDirection(bearing(origin, destination));
+  return {
+    distanceMiles: Math.round(distanceMiles * 100) / 100,
+    durationMinutes: time,
+    distance: `${distanceMiles.toFixed(1)} miles`,
+    duration: `${time} minute${time === 1 ? '' : 's'}`,
+    trafficLevel,
+    geometry: {
+      type: 'LineString',
+      coordinates: [[origin.lng, origin.lat], [destination.lng, destination.lat]]
+    },
+    steps: [
+      {
+        instruction: `Head ${heading} towards ${destinationName || 'your destination'}`,
+        name: null,
+        distance: Math.round(distanceMiles * 100) / 100,
+        duration: time,
+        maneuver: { type: 'depart', modifier: heading, location: [origin.lat, origin.lng] }
+      },
+      {
+        instruction: `Arrive at ${destinationName || 'your destination'}`,
+        name: null,
+        distance: 0,
+        duration: 0,
+        maneuver: { type: 'arrive', modifier: null, location: [destination.lat, destination.lng] }
+      }
+    ],
+    detour: crossed.length > 0 ? { extraMinutes: 0, hazards: crossed.map(summarizeHazard) } : null,
+    hazardWarning: warnAboutEndpoints(origin, destination, hazards),
+    source: 'straight-line',
+    note: 'Estimated from straight-line distance - no road map covers this trip, so follow local signs'
+  };
+};
+
+module.exports = {
+  TRAFFIC_SPEEDS,
+  calculateTravelTime,
+  estimateRoute
+};
@@ -0,0 +1,114 @@
+/**
+ * Triage Service
+ * Walks the symptom questionnaire (models/triageTree.js) with the patient's
+ * answers and works out the severity tier and an acuity score
+ *
+ * - Red-flag questions come first; a red-flag answer stops the questionnaire:
+ *   call 911, severity Severe, acuity MAX_ACUITY
+ * - Otherwise each answer adds its acuity points; the total (capped at
+ *   MAX_ACUITY) is compared to the tree's thresholds, and an answer's
+ *   minSeverity can raise the result (e.g. any fever under 3 months is Severe)
+ *
+ * Answers are { questionId: value }. Only answers on the path taken count, so
+ * a client can keep answers from a branch the patient backed out of.
+ * The path is returned with the question and answer text so every
+ * recommendation can be audited.
+ */
+
+const { getTriageTree } = require('../models/triageTree');
+const { SEVERITY_LEVELS } = require('../models/personaSchema');
+
+const MAX_ACUITY = 100;
+
+/**
+ * A question as clients see it
+ */
+const toPublicQuestion = (id, question) => ({
+  id,
+  text: question.text,
+  redFlag: Boolean(question.redFlag),
+  answers: question.answers.map(({ value, label }) => ({ value, label }))
+});
+
+/**
+ * Severity for an acuity score
+ * @returns {string} - 'Mild', 'Moderate' or 'Severe'
+ */
+const getSeverityForAcuity = (acuity, thresholds) => {
+  if (acuity >= thresholds.Severe) return 'Severe';
+  if (acuity >= thresholds.Moderate) return 'Moderate';
+  return 'Mild';
+};
+
+/**
+ * Walk the questionnaire with the given answers
+ * @param {Object} answers - { questionId: answer value }
+ * @param {Object} tree - Triage tree (defaults to data/triage.json)
+ * @returns {Object} - One of:
+ *   { error }                                                  - an answer isn't one of its question's values
+ *   { complete: false, acuity, path, next }                   - next is the question to ask
+ *   { complete: true, emergency: true, reason, severity, acuity, path }
+ *   { complete: true, emergency: false, severity, acuity, path }
+ */
+const evaluateTriage = (answers, tree = getTriageTree()) => {
+  if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+    return { error: 'answers must be { questionId: answer }' };
+  }
+
+  const path = [];
+  let acuity = 0;
+  let minSeverity = SEVERITY_LEVELS[0];
+  let id = tree.start;
+
+  while (id) {
+    const question = tree.questions[id];
+    if (answers[id] === undefined) {
+      return { complete: false, emergency: false, acuity: Math.min(acuity, MAX_ACUITY), path, next: toPublicQuestion(id, question) };
+    }
+    const answer = question.answers.find(candidate => candidate.value === answers[id]);
+    if (!answer) {
+      return { error: `Answer to "${id}" must be one of: ${question.answers.map(candidate => candidate.value).join(', ')}` };
+    }
+
+    path.push({ question: id, text: question.text, redFlag: Boolean(question.redFlag), answer: answer.value, label: answer.label });
+    if (answer.emergency) {
+      return { complete: true, emergency: true, reason: answer.emergency, severity: 'Severe', acuity: MAX_ACUITY, path };
+    }
+    acuity += answer.acuity || 0;
+    if (answer.minSeverity && SEVERITY_LEVELS.indexOf(answer.minSeverity) > SEVERITY_LEVELS.indexOf(minSeverity)) {
+      minSeverity = answer.minSeverity;
+    }
+    id = answer.next;
+  }
+
+  acuity = Math.min(acuity, MAX_ACUITY);
+  const scored = getSeverityForAcuity(acuity, tree.thresholds);
+  const severity = SEVERITY_LEVELS.indexOf(minSeverity) > SEVERITY_LEVELS.indexOf(scored) ? minSeverity : scored;
+  return { complete: true, emergency: false, severity, acuity, path };
+};
+
+/**
+ * Reasoning lines for a completed triage
+ * @param {Object} triage - Result of evaluateTriage()
+ * @returns {Object} - { summary, answers } - summary leads the reasoning, answers
+ *   (the path taken, with clear red-flag screening collapsed to one line) end it
+ */
+const describeTriage = (triage) => {
+  const screened = triage.path.filter(step => step.redFlag && !triage.emergency);
+  const answers = [
+    ...(screened.length > 0 ? [`Triage: no red flags (${screened.length} warning signs checked)`] : []),
+    ...triage.path
+      .filter(step => !screened.includes(step))
+      .map(step => `Triage: "${step.text}" → ${step.label}`)
+  ];
+  const summary = triage.emergency
+    ? `Red flag: ${triage.reason} - call 911 now`
+    : `Triage: ${triage.severity} (acuity ${triage.acuity}/${MAX_ACUITY})`;
+  return { summary, answers };
+};
+
+module.exports = {
+  MAX_ACUITY,
+  evaluateTriage,
+  describeTriage
+};
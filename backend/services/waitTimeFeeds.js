@@ -0,0 +1,291 @@
+/**
+ * Wait Time Feeds
+ * Live wait times from external sources, with the time-of-day simulation as fallback
+ *
+ * PROVIDERS
+ * - json: hospital JSON endpoints or files (waitTimeProviders/jsonFeed.js)
+ * - csv: CSV files dropped into a folder (waitTimeProviders/csvDrop.js)
+ * - webhook: partners push readings to POST /api/feeds/wait-times
+ *
+ * Pull providers are listed in data/wait-time-feeds.json (or the file named by
+ * WAIT_TIME_FEEDS) and polled on an interval. Every reading is normalized to
+ * { facilityId, waitTime, asOf, source } and each facility keeps only its
+ * freshest one. Readings that can't be used - including ones for facilities
+ * that aren't in the registry - are rejected, each with the reason. Readings older than maxAgeMinutes are stale, and the facility
+ * falls back to the simulation (services/simulationService.js).
+ *
+ * To add a provider type, write a factory returning { name, type, fetchReadings() }
+ * and register it in PROVIDER_TYPES.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { now, parseTimestamp } = require('./clock');
+const createJsonFeedProvider = require('./waitTimeProviders/jsonFeed');
+const createCsvDropProvider = require('./waitTimeProviders/csvDrop');
+const { notifyFacilitiesChanged } = require('./facilityStream');
+const { getFacility } = require('../models/facilityStore');
+const { getRegion, getDefaultRegion } = require('../models/regions');
+
+const PROVIDER_TYPES = {
+  json: createJsonFeedProvider,
+  csv: createCsvDropProvider
+};
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'data', 'wait-time-feeds.json');
+const DEFAULT_CONFIG = { maxAgeMinutes: 30, pollIntervalSeconds: 60, providers: [] };
+
+// Field names in raw readings - providers can map their own names onto these
+const DEFAULT_FIELDS = { facilityId: 'facilityId', waitMinutes: 'waitMinutes', asOf: 'asOf' };
+
+const MAX_WAIT_MINUTES = 600;
+
+// Readings stamped a little in the future (clock drift at the source) are still accepted
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+let config = DEFAULT_CONFIG;
+let providers = [];
+let pollTimer = null;
+
+// facilityId → freshest reading { facilityId, waitTime, asOf (Date), source }
+const latestReadings = new Map();
+
+// provider name → { name, type, lastPolledAt, lastSuccessAt, lastError, accepted, rejected }
+const providerStatus = new Map();
+
+/**
+ * Parse a reading's timestamp
+ * ISO strings without an offset are local time in the facility's region;
+ * numbers are epoch milliseconds
+ * @returns {Date|null}
+ */
+const parseAsOf = (value, facilityId) => {
+  if (typeof value === 'number') return new Date(value);
+  const facility = getFacility(facilityId);
+  const region = (facility && getRegion(facility.region)) || getDefaultRegion();
+  return parseTimestamp(String(value), region.timezone) || (Number.isNaN(Date.parse(value)) ? null : new Date(value));
+};
+
+/**
+ * Turn a raw reading into { facilityId, waitTime, asOf, source }
+ * @returns {Object} - { reading }, or { error } saying why it is unusable
+ */
+const normalizeReading = (raw, fields, source, receivedAt) => {
+  if (!raw || typeof raw !== 'object') return { error: 'reading must be an object' };
+
+  const rawId = raw[fields.facilityId];
+  const rawWait = raw[fields.waitMinutes];
+  if (rawId === undefined || rawId === null || rawId === '' || rawWait === undefined || rawWait === null || rawWait === '') {
+    return { error: `${fields.facilityId} and ${fields.waitMinutes} are required` };
+  }
+
+  const facilityId = Number(rawId);
+  const waitTime = Number(rawWait);
+  if (!Number.isInteger(facilityId) || facilityId <= 0) {
+    return { error: `${fields.facilityId} must be a positive whole number` };
+  }
+  if (!Number.isFinite(waitTime) || waitTime < 0 || waitTime > MAX_WAIT_MINUTES) {
+    return { error: `${fields.waitMinutes} must be from 0 to ${MAX_WAIT_MINUTES}` };
+  }
+  if (!getFacility(facilityId)) {
+    return { error: `Facility ${facilityId} not found` };
+  }
+
+  const rawAsOf = raw[fields.asOf];
+  const asOf = rawAsOf === undefined || rawAsOf === null || rawAsOf === '' ? receivedAt : parseAsOf(rawAsOf, facilityId);
+  if (!asOf || Number.isNaN(asOf.getTime())) {
+    return { error: `${fields.asOf} must be an ISO timestamp or epoch milliseconds` };
+  }
+  if (asOf.getTime() - receivedAt.getTime() > CLOCK_SKEW_MS) {
+    return { error: `${fields.asOf} is in the future` };
+  }
+
+  return { reading: { facilityId, waitTime: Math.round(waitTime), asOf, source } };
+};
+
+/**
+ * Record a batch of readings, keeping each facility's freshest value
+ * @param {Array} rawReadings - Readings as the source sent them
+ * @param {Object} options
+ * @param {string} options.source - Where they came from (shown as waitTimeSource)
+ * @param {Object} options.fields - Field name mapping (defaults to DEFAULT_FIELDS)
+ * @returns {Object} - { accepted, rejected, errors: [{ index, facilityId, error }] } - one error per rejected reading
+ */
+const recordReadings = (rawReadings, { source, fields = {} }) => {
+  const fieldMap = { ...DEFAULT_FIELDS, ...fields };
+  const receivedAt = now();
+  const errors = [];
+  let accepted = 0;
+
+  rawReadings.forEach((raw, index) => {
+    const { reading, error } = normalizeReading(raw, fieldMap, source, receivedAt);
+    if (error) {
+      const facilityId = raw && typeof raw === 'object' ? raw[fieldMap.facilityId] : undefined;
+      errors.push({ index, facilityId: facilityId ?? null, error });
+      return;
+    }
+    accepted++;
+
+    const current = latestReadings.get(reading.facilityId);
+    if (!current || reading.asOf >= current.asOf) {
+      latestReadings.set(reading.facilityId, reading);
+    }
+  });
+
+  if (accepted > 0) {
+    notifyFacilitiesChanged();  // Push the new waits to live clients
+  }
+  return { accepted, rejected: errors.length, errors };
+};
+
+/**
+ * Update a provider's status entry
+ */
+const updateStatus = (name, type, changes) => {
+  const status = providerStatus.get(name) || {
+    name,
+    type,
+    lastPolledAt: null,
+    lastSuccessAt: null,
+    lastError: null,
+    accepted: 0,
+    rejected: 0
+  };
+  providerStatus.set(name, { ...status, ...changes });
+};
+
+/**
+ * Record readings pushed to the webhook
+ * @param {Array} rawReadings - [{ facilityId, waitMinutes, asOf }]
+ * @param {string} sender - Optional name of the pushing system
+ * @returns {Object} - { accepted, rejected, errors } (see recordReadings)
+ */
+const receiveWebhookReadings = (rawReadings, sender) => {
+  const source = sender ? `webhook:${sender}` : 'webhook';
+  const result = recordReadings(rawReadings, { source });
+  const time = now().toISOString();
+  updateStatus(source, 'webhook', {
+    lastPolledAt: time, lastSuccessAt: time, lastError: null, accepted: result.accepted, rejected: result.rejected
+  });
+  return result;
+};
+
+/**
+ * Poll one pull provider and record what it returns
+ * A failing provider is logged in its status - the others carry on
+ */
+const pollProvider = async ({ provider, fields }) => {
+  updateStatus(provider.name, provider.type, { lastPolledAt: now().toISOString() });
+  try {
+    const { accepted, rejected, errors } = recordReadings(await provider.fetchReadings(), { source: provider.name, fields });
+    updateStatus(provider.name, provider.type, { lastSuccessAt: now().toISOString(), lastError: null, accepted, rejected });
+    if (rejected > 0) {
+      console.warn(`Wait time feed "${provider.name}" rejected ${rejected} reading(s): ${errors.slice(0, 3).map(entry => entry.error).join('; ')}`);
+    }
+  } catch (err) {
+    updateStatus(provider.name, provider.type, { lastError: err.message });
+    console.warn(`Wait time feed "${provider.name}" failed: ${err.message}`);
+  }
+};
+
+/**
+ * Poll every configured pull provider once
+ * @returns {Promise}
+ */
+const pollAllProviders = () => Promise.all(providers.map(pollProvider));
+
+/**
+ * Read the feed config file (missing file = no pull providers)
+ * @param {string} filePath
+ * @returns {Object} - { maxAgeMinutes, pollIntervalSeconds, providers }
+ */
+const loadFeedConfig = (filePath = process.env.WAIT_TIME_FEEDS || DEFAULT_CONFIG_PATH) => {
+  if (!fs.existsSync(filePath)) return DEFAULT_CONFIG;
+  return { ...DEFAULT_CONFIG, ...JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+};
+
+/**
+ * Load the config, create the enabled providers and start polling
+ * @returns {Array} - Names of the providers being polled
+ */
+const startWaitTimeFeeds = () => {
+  stopWaitTimeFeeds();
+  config = loadFeedConfig();
+
+  providers = config.providers
+    .filter(providerConfig => providerConfig.enabled !== false)
+    .map(providerConfig => {
+      const createProvider = PROVIDER_TYPES[providerConfig.type];
+      try {
+        if (!createProvider) {
+          throw new Error(`Unknown provider type "${providerConfig.type}" (expected ${Object.keys(PROVIDER_TYPES).join(', ')})`);
+        }
+        return { provider: createProvider(providerConfig), fields: providerConfig.fields };
+      } catch (err) {
+        updateStatus(providerConfig.name, providerConfig.type, { lastError: err.message });
+        console.warn(`Wait time feed "${providerConfig.name}" disabled: ${err.message}`);
+        return null;
+      }
+    })
+    .filter(Boolean);
+
+  if (providers.length > 0) {
+    pollAllProviders();
+    pollTimer = setInterval(pollAllProviders, config.pollIntervalSeconds * 1000);
+    pollTimer.unref();  // Don't keep the process alive just for polling
+  }
+  return providers.map(({ provider }) => provider.name);
+};
+
+/**
+ * Stop polling (readings already received are kept)
+ */
+const stopWaitTimeFeeds = () => {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+};
+
+/**
+ * Get a facility's live wait time, if a fresh one exists for the given moment
+ * @param {number} facilityId
+ * @param {Date} at - Moment being evaluated (simulated times in the past or future won't match)
+ * @returns {Object|null} - { waitTime, asOf, source }, or null to use the simulation
+ */
+const getLiveWaitTime = (facilityId, at = now()) => {
+  const reading = latestReadings.get(facilityId);
+  if (!reading) return null;
+
+  const ageMs = at.getTime() - reading.asOf.getTime();
+  const fresh = ageMs >= -CLOCK_SKEW_MS && ageMs <= config.maxAgeMinutes * 60 * 1000;
+  return fresh ? reading : null;
+};
+
+/**
+ * Feed health for operators
+ * @returns {Object} - { maxAgeMinutes, pollIntervalSeconds, providers, readings }
+ */
+const getFeedStatus = () => ({
+  maxAgeMinutes: config.maxAgeMinutes,
+  pollIntervalSeconds: config.pollIntervalSeconds,
+  providers: [...providerStatus.values()],
+  readings: [...latestReadings.values()]
+    .sort((a, b) => a.facilityId - b.facilityId)
+    .map(reading => ({
+      ...reading,
+      asOf: reading.asOf.toISOString(),
+      stale: !getLiveWaitTime(reading.facilityId)
+    }))
+});
+
+module.exports = {
+  PROVIDER_TYPES,
+  recordReadings,
+  receiveWebhookReadings,
+  pollAllProviders,
+  startWaitTimeFeeds,
+  stopWaitTimeFeeds,
+  getLiveWaitTime,
+  getFeedStatus
+};
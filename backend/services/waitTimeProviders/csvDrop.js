@@ -0,0 +1,109 @@
+/**
+ * CSV Drop Provider
+ * Reads wait times from CSV files that a partner drops into a folder (or onto one fixed path)
+ *
+ * Config:
+ * {
+ *   name: 'clinic-csv-drop',
+ *   type: 'csv',
+ *   path: 'data/feeds'   // a directory (newest .csv wins) or a single .csv file
+ * }
+ *
+ * The first row is the header; each following row becomes one raw reading
+ * keyed by column name, e.g.
+ *   facilityId,waitMinutes,asOf
+ *   4,22,2025-07-04T18:30:00-04:00
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Split CSV text into rows of fields
+ * Handles quoted fields with commas, doubled quotes ("") and line breaks
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+/**
+ * Find the file to read - the newest .csv when the path is a directory
+ * @returns {Promise<string>}
+ */
+const findLatestFile = async (dropPath) => {
+  const stats = await fs.promises.stat(dropPath);
+  if (!stats.isDirectory()) return dropPath;
+
+  const files = (await fs.promises.readdir(dropPath)).filter(file => file.toLowerCase().endsWith('.csv'));
+  if (files.length === 0) {
+    throw new Error(`No .csv files in ${dropPath}`);
+  }
+  const withTimes = await Promise.all(files.map(async file => {
+    const filePath = path.join(dropPath, file);
+    return { filePath, modified: (await fs.promises.stat(filePath)).mtimeMs };
+  }));
+  return withTimes.sort((a, b) => b.modified - a.modified)[0].filePath;
+};
+
+/**
+ * Create a CSV drop provider
+ * @param {Object} config - Provider config (see above)
+ * @returns {Object} - { name, type, fetchReadings() → Promise<Array> }
+ */
+const createCsvDropProvider = (config) => {
+  if (!config.path) {
+    throw new Error(`CSV drop "${config.name}" needs a path`);
+  }
+  const dropPath = path.resolve(__dirname, '..', '..', config.path);
+
+  return {
+    name: config.name,
+    type: 'csv',
+    fetchReadings: async () => {
+      const [header, ...rows] = parseCsv(await fs.promises.readFile(await findLatestFile(dropPath), 'utf8'));
+      if (!header) return [];
+
+      const columns = header.map(column => column.trim());
+      return rows.map(fields => Object.fromEntries(
+        columns.map((column, index) => [column, (fields[index] || '').trim()])
+      ));
+    }
+  };
+};
+
+module.exports = createCsvDropProvider;
@@ -0,0 +1,74 @@
+/**
+ * JSON Feed Provider
+ * Pulls wait times from a hospital's JSON endpoint (or a local JSON file)
+ *
+ * Config:
+ * {
+ *   name: 'grady-er',
+ *   type: 'json',
+ *   url: 'https://example.org/er-waits.json',  // or path: 'data/feeds/waits.json'
+ *   itemsPath: 'data.locations',              // optional - where the list lives in the document
+ *   timeoutSeconds: 10                         // optional
+ * }
+ *
+ * Each item becomes one raw reading; field names are mapped by the feed manager.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TIMEOUT_SECONDS = 10;
+
+/**
+ * Follow a dot path like 'data.locations' into a parsed document
+ */
+const getAtPath = (document, dotPath) => {
+  if (!dotPath) return document;
+  return dotPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), document);
+};
+
+/**
+ * Fetch and parse the JSON document
+ * @returns {Promise<Object>}
+ */
+const loadDocument = async (config) => {
+  if (config.path) {
+    const filePath = path.resolve(__dirname, '..', '..', config.path);
+    return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+  }
+
+  const timeoutMs = (config.timeoutSeconds || DEFAULT_TIMEOUT_SECONDS) * 1000;
+  const response = await fetch(config.url, {
+    headers: { Accept: 'application/json', ...config.headers },
+    signal: AbortSignal.timeout(timeoutMs)
+  });
+  if (!response.ok) {
+    throw new Error(`${config.url} responded ${response.status}`);
+  }
+  return response.json();
+};
+
+/**
+ * Create a JSON feed provider
+ * @param {Object} config - Provider config (see above)
+ * @returns {Object} - { name, type, fetchReadings() → Promise<Array> }
+ */
+const createJsonFeedProvider = (config) => {
+  if (!config.url && !config.path) {
+    throw new Error(`JSON feed "${config.name}" needs a url or path`);
+  }
+
+  return {
+    name: config.name,
+    type: 'json',
+    fetchReadings: async () => {
+      const items = getAtPath(await loadDocument(config), config.itemsPath);
+      if (!Array.isArray(items)) {
+        throw new Error(`JSON feed "${config.name}" has no list at ${config.itemsPath || 'the top level'}`);
+      }
+      return items;
+    }
+  };
+};
+
+module.exports = createJsonFeedProvider;
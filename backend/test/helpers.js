@@ -0,0 +1,108 @@
+/**
+ * Test Helpers
+ * Shared setup for the backend tests (node:test, run with `npm test`)
+ *
+ * - startMockFeed: runs scripts/mockWaitTimeFeed.js on a free port
+ * - writeFeedConfig: a wait-time-feeds.json in a temporary folder
+ * - waitFor: polls a check until it passes or times out
+ */
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const MOCK_FEED_SCRIPT = path.join(__dirname, '..', 'scripts', 'mockWaitTimeFeed.js');
+const START_TIMEOUT_MS = 5000;
+
+/**
+ * Find a port nothing is listening on
+ * @returns {Promise<number>}
+ */
+const getFreePort = () => new Promise((resolve, reject) => {
+  const server = net.createServer();
+  server.unref();
+  server.on('error', reject);
+  server.listen(0, () => {
+    const { port } = server.address();
+    server.close(() => resolve(port));
+  });
+});
+
+/**
+ * Start the mock wait time feed in its own process
+ * @param {Array} args - Extra flags, e.g. ['--stale'] or ['--fail']
+ * @returns {Promise<Object>} - { url, requests (count so far), stop() → Promise }
+ */
+const startMockFeed = async (args = []) => {
+  const port = await getFreePort();
+  const child = spawn(process.execPath, [MOCK_FEED_SCRIPT, ...args], {
+    env: { ...process.env, MOCK_FEED_PORT: String(port) },
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+
+  const feed = {
+    url: `http://localhost:${port}/wait-times.json`,
+    requests: 0,
+    stop: () => new Promise(resolve => {
+      if (child.exitCode !== null) return resolve();
+      child.once('exit', () => resolve());
+      child.kill();
+    })
+  };
+
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('Mock feed did not start')), START_TIMEOUT_MS);
+    child.once('exit', code => reject(new Error(`Mock feed exited with code ${code}`)));
+    child.stdout.setEncoding('utf8');
+    child.stdout.on('data', chunk => {
+      // One log line per request, after the "Mock wait time feed on ..." banner
+      chunk.split('\n').filter(Boolean).forEach(line => {
+        if (line.startsWith('Mock wait time feed on')) {
+          clearTimeout(timer);
+          resolve();
+        } else if (line.includes('GET /wait-times.json')) {
+          feed.requests++;
+        }
+      });
+    });
+  });
+  return feed;
+};
+
+/**
+ * Write a feed config file and point WAIT_TIME_FEEDS at it
+ * @param {Object} config - { maxAgeMinutes, pollIntervalSeconds, providers }
+ * @returns {Function} - Deletes the file again
+ */
+const writeFeedConfig = (config) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'evac-feeds-'));
+  const filePath = path.join(dir, 'wait-time-feeds.json');
+  fs.writeFileSync(filePath, JSON.stringify(config));
+  process.env.WAIT_TIME_FEEDS = filePath;
+  return () => fs.rmSync(dir, { recursive: true, force: true });
+};
+
+/**
+ * Wait until a check returns something truthy
+ * @param {Function} check - Called every 50 ms
+ * @param {number} timeoutMs - Give up after this long
+ * @returns {Promise} - Resolves with what the check returned
+ */
+const waitFor = (check, timeoutMs = 5000) => new Promise((resolve, reject) => {
+  const deadline = Date.now() + timeoutMs;
+  const attempt = () => {
+    const result = check();
+    if (result) return resolve(result);
+    if (Date.now() > deadline) return reject(new Error(`Timed out after ${timeoutMs} ms`));
+    setTimeout(attempt, 50);
+  };
+  attempt();
+});
+
+module.exports = {
+  startMockFeed,
+  writeFeedConfig,
+  waitFor
+};
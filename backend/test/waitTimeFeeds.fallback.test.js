@@ -0,0 +1,81 @@
+/**
+ * Wait time feed fallback - stale readings and a failing feed leave the
+ * facilities on the time-of-day simulation
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockFeed, writeFeedConfig, waitFor } = require('./helpers');
+
+process.env.DATABASE_PATH = ':memory:';
+
+const { startWaitTimeFeeds, stopWaitTimeFeeds, getFeedStatus, getLiveWaitTime } = require('../services/waitTimeFeeds');
+const { getFacilitiesWithCurrentStatus } = require('../services/simulationService');
+const { getRegion } = require('../models/regions');
+const { closeDb } = require('../models/db');
+
+const providerStatus = (name) => getFeedStatus().providers.find(provider => provider.name === name);
+
+describe('wait time feed fallback', () => {
+  let staleFeed;
+  let failingFeed;
+  let removeConfig;
+
+  before(async () => {
+    staleFeed = await startMockFeed(['--stale']);
+    failingFeed = await startMockFeed(['--fail']);
+    removeConfig = writeFeedConfig({
+      maxAgeMinutes: 30,
+      pollIntervalSeconds: 60,
+      providers: [
+        { name: 'stale-feed', type: 'json', url: staleFeed.url, itemsPath: 'facilities' },
+        { name: 'failing-feed', type: 'json', url: failingFeed.url, itemsPath: 'facilities' },
+        { name: 'disabled-feed', type: 'json', url: failingFeed.url, enabled: false }
+      ]
+    });
+    assert.deepEqual(startWaitTimeFeeds(), ['stale-feed', 'failing-feed']);
+    await waitFor(() => providerStatus('stale-feed')?.lastSuccessAt && providerStatus('failing-feed')?.lastError);
+  });
+
+  after(async () => {
+    stopWaitTimeFeeds();
+    removeConfig();
+    await Promise.all([staleFeed.stop(), failingFeed.stop()]);
+    closeDb();
+  });
+
+  it('keeps stale readings but marks them stale', () => {
+    assert.equal(providerStatus('stale-feed').accepted, 8);
+    const { readings } = getFeedStatus();
+    assert.equal(readings.length, 8);
+    readings.forEach(reading => {
+      assert.equal(reading.source, 'stale-feed');
+      assert.equal(reading.stale, true);
+      assert.equal(getLiveWaitTime(reading.facilityId), null);
+    });
+  });
+
+  it('falls back to the simulation for stale readings', () => {
+    getFacilitiesWithCurrentStatus(getRegion('midtown-atlanta')).forEach(facility => {
+      assert.equal(facility.waitTimeSource, 'simulation');
+    });
+  });
+
+  it('uses stale readings for the moment they were taken', () => {
+    const reading = getFeedStatus().readings[0];
+    assert.deepEqual(getLiveWaitTime(reading.facilityId, new Date(reading.asOf)), {
+      facilityId: reading.facilityId,
+      waitTime: reading.waitTime,
+      asOf: new Date(reading.asOf),
+      source: 'stale-feed'
+    });
+  });
+
+  it('reports a failing feed without stopping the others', () => {
+    const failing = providerStatus('failing-feed');
+    assert.match(failing.lastError, /responded 503/);
+    assert.equal(failing.lastSuccessAt, null);
+    assert.equal(providerStatus('stale-feed').lastError, null);
+    assert.equal(providerStatus('disabled-feed'), undefined);
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Wait time feed polling - the mock JSON feed (scripts/mockWaitTimeFeed.js)
+ * is polled on its interval and its readings replace the simulated waits
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockFeed, writeFeedConfig, waitFor } = require('./helpers');
+
+process.env.DATABASE_PATH = ':memory:';
+
+const { startWaitTimeFeeds, stopWaitTimeFeeds, getFeedStatus, getLiveWaitTime } = require('../services/waitTimeFeeds');
+const { getFacilitiesWithCurrentStatus } = require('../services/simulationService');
+const { getRegion } = require('../models/regions');
+const { closeDb } = require('../models/db');
+
+const providerStatus = (name) => getFeedStatus().providers.find(provider => provider.name === name);
+
+describe('wait time feed polling', () => {
+  let feed;
+  let removeConfig;
+
+  before(async () => {
+    feed = await startMockFeed();
+    removeConfig = writeFeedConfig({
+      maxAgeMinutes: 30,
+      pollIntervalSeconds: 1,
+      providers: [{ name: 'mock-json-feed', type: 'json', url: feed.url, itemsPath: 'facilities' }]
+    });
+    startWaitTimeFeeds();
+  });
+
+  after(async () => {
+    stopWaitTimeFeeds();
+    removeConfig();
+    await feed.stop();
+    closeDb();
+  });
+
+  it('records every reading from the feed', async () => {
+    const status = await waitFor(() => {
+      const current = providerStatus('mock-json-feed');
+      return current && current.lastSuccessAt ? current : null;
+    });
+    assert.equal(status.type, 'json');
+    assert.equal(status.lastError, null);
+    assert.equal(status.accepted, 8);
+    assert.equal(status.rejected, 0);
+
+    const { readings } = getFeedStatus();
+    assert.deepEqual(readings.map(reading => reading.facilityId), [1, 2, 3, 4, 5, 6, 7, 8]);
+    readings.forEach(reading => {
+      assert.equal(reading.source, 'mock-json-feed');
+      assert.equal(reading.stale, false);
+    });
+  });
+
+  it('labels facilities with the feed name and uses its waits', () => {
+    const facilities = getFacilitiesWithCurrentStatus(getRegion('midtown-atlanta'));
+    assert.equal(facilities.length, 8);
+    facilities.forEach(facility => {
+      const live = getLiveWaitTime(facility.id);
+      assert.equal(facility.waitTimeSource, 'mock-json-feed');
+      assert.equal(facility.currentWaitTime, live.waitTime + facility.recommendedLoad.addedWait);
+    });
+  });
+
+  it('leaves facilities the feed does not cover on the simulation', () => {
+    getFacilitiesWithCurrentStatus(getRegion('downtown-denver')).forEach(facility => {
+      assert.equal(facility.waitTimeSource, 'simulation');
+    });
+  });
+
+  it('polls again every pollIntervalSeconds', async () => {
+    const polled = feed.requests;
+    await waitFor(() => feed.requests >= polled + 2, 4000);
+    assert.equal(providerStatus('mock-json-feed').lastError, null);
+  });
+});
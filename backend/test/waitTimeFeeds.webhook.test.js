@@ -0,0 +1,109 @@
+/**
+ * Wait time webhook - POST /api/feeds/wait-times (routes/waitTimeFeeds.js)
+ * Pushed readings are labelled with their sender, and unusable ones -
+ * including unknown facility ids - are rejected one by one
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+process.env.DATABASE_PATH = ':memory:';
+process.env.WAIT_TIME_WEBHOOK_KEY = 'test-webhook-key';
+process.env.ADMIN_API_KEY = 'test-admin-key';
+
+const waitTimeFeedRoutes = require('../routes/waitTimeFeeds');
+const { getFacilitiesWithCurrentStatus } = require('../services/simulationService');
+const { getRegion } = require('../models/regions');
+const { closeDb } = require('../models/db');
+
+describe('wait time webhook', () => {
+  let server;
+  let baseUrl;
+
+  const push = (body, key = 'test-webhook-key') => fetch(`${baseUrl}/api/feeds/wait-times`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${key}` },
+    body: JSON.stringify(body)
+  }).then(async res => ({ status: res.status, body: await res.json() }));
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/feeds', waitTimeFeedRoutes);
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, () => resolve(listening));
+    });
+    baseUrl = `http://localhost:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    closeDb();
+  });
+
+  it('needs the webhook key', async () => {
+    const { status, body } = await push({ readings: [] }, 'wrong-key');
+    assert.equal(status, 401);
+    assert.equal(body.success, false);
+  });
+
+  it('rejects a body without a readings list', async () => {
+    const { status } = await push({ readings: { facilityId: 1 } });
+    assert.equal(status, 400);
+  });
+
+  it('labels pushed waits with the sender', async () => {
+    const { status, body } = await push({
+      source: 'grady-ops',
+      readings: [{ facilityId: 1, waitMinutes: 42 }, { facilityId: 2, waitMinutes: 17 }]
+    });
+    assert.equal(status, 200);
+    assert.deepEqual(body.data, { accepted: 2, rejected: 0, errors: [] });
+
+    const byId = new Map(getFacilitiesWithCurrentStatus(getRegion('midtown-atlanta')).map(facility => [facility.id, facility]));
+    assert.equal(byId.get(1).waitTimeSource, 'webhook:grady-ops');
+    assert.equal(byId.get(1).currentWaitTime, 42);
+    assert.equal(byId.get(2).waitTimeSource, 'webhook:grady-ops');
+    assert.equal(byId.get(3).waitTimeSource, 'simulation');
+  });
+
+  it('labels pushes without a source as webhook', async () => {
+    await push({ readings: [{ facilityId: 3, waitMinutes: 8 }] });
+    const facility = getFacilitiesWithCurrentStatus(getRegion('midtown-atlanta')).find(candidate => candidate.id === 3);
+    assert.equal(facility.waitTimeSource, 'webhook');
+  });
+
+  it('rejects readings for facilities that do not exist, and says which', async () => {
+    const { status, body } = await push({
+      source: 'grady-ops',
+      readings: [
+        { facilityId: 4, waitMinutes: 30 },
+        { facilityId: 999, waitMinutes: 30 },
+        { facilityId: 'abc', waitMinutes: 30 },
+        { facilityId: 5, waitMinutes: 9999 },
+        { facilityId: 6, waitMinutes: 30, asOf: '2025-13-45T10:00' }
+      ]
+    });
+    assert.equal(status, 200);
+    assert.equal(body.data.accepted, 1);
+    assert.equal(body.data.rejected, 4);
+    assert.deepEqual(body.data.errors.map(({ index, facilityId }) => [index, facilityId]), [[1, 999], [2, 'abc'], [3, 5], [4, 6]]);
+    assert.equal(body.data.errors[0].error, 'Facility 999 not found');
+
+    const feedStatus = await fetch(`${baseUrl}/api/feeds/status`, { headers: { Authorization: 'Bearer test-admin-key' } })
+      .then(res => res.json());
+    assert.equal(feedStatus.data.readings.some(reading => reading.facilityId === 999), false);
+    const sender = feedStatus.data.providers.find(provider => provider.name === 'webhook:grady-ops');
+    assert.equal(sender.accepted, 1);
+    assert.equal(sender.rejected, 4);
+  });
+
+  it('keeps the freshest reading for a facility', async () => {
+    const older = new Date(Date.now() - 10 * 60 * 1000).toISOString();
+    await push({ source: 'late-system', readings: [{ facilityId: 1, waitMinutes: 90, asOf: older }] });
+    const facility = getFacilitiesWithCurrentStatus(getRegion('midtown-atlanta')).find(candidate => candidate.id === 1);
+    assert.equal(facility.waitTimeSource, 'webhook:grady-ops');
+    assert.equal(facility.currentWaitTime, 42);
+  });
+});
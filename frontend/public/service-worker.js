@@ -0,0 +1,169 @@
+/**
+ * EVAC+ Service Worker
+ * Keeps the app usable when the network is down
+ *
+ * - App shell: index.html and every built file in asset-manifest.json
+ *   (scripts, styles, the bundled marker icons) are cached on install and
+ *   served from the cache; pages fall back to the cached index.html offline
+ * - Map tiles: OpenStreetMap tiles over every region's bounds (GET /api/regions)
+ *   at zoom 13-17 are cached only as they are viewed (cache first) - nothing
+ *   is fetched ahead, as the OSM tile usage policy asks, so only areas
+ *   already seen on the map work offline. The last region list is kept for
+ *   when the backend can't be reached.
+ * - Everything else, including the API, goes straight to the network - the
+ *   app keeps its last facility data in IndexedDB (src/services/offlineStore.js)
+ *
+ * Only registered in production builds (src/serviceWorkerRegistration.js),
+ * which passes the backend URL as ?api=.
+ * Bump VERSION to drop the old app shell when caching rules change.
+ */
+
+const VERSION = 'v2';
+const SHELL_CACHE = `evac-shell-${VERSION}`;
+const TILE_CACHE = 'evac-tiles';
+const REGION_CACHE = 'evac-regions';
+
+const TILE_URL = /^https:\/\/tile\.openstreetmap\.org\/(\d+)\/(\d+)\/(\d+)\.png$/;
+const TILE_ZOOMS = { min: 13, max: 17 };
+const MAX_TILES = 1500;
+
+const BASE = new URL(self.registration.scope).pathname;
+const REGIONS_URL = `${new URL(self.location.href).searchParams.get('api') || 'http://localhost:3001'}/api/regions`;
+
+let regionBounds = null;
+
+/**
+ * Every region's map bounds - from the backend, or the last copy when it
+ * can't be reached. Looked up once per worker start.
+ * @returns {Promise<Array>} - [{ north, south, west, east }]
+ */
+const getRegionBounds = () => {
+  if (!regionBounds) {
+    regionBounds = caches.open(REGION_CACHE)
+      .then(cache => fetch(REGIONS_URL)
+        .then(response => {
+          if (!response.ok) throw new Error(`GET /api/regions failed: ${response.status}`);
+          return cache.put(REGIONS_URL, response.clone()).then(() => response);
+        })
+        .catch(() => cache.match(REGIONS_URL)))
+      .then(response => (response ? response.json() : { data: [] }))
+      .then(body => (body.data || []).map(region => region.bounds))
+      .catch(() => []);
+  }
+  return regionBounds;
+};
+
+/**
+ * Tile column and row containing a point at a zoom level (Web Mercator)
+ */
+const toTile = (lat, lng, zoom) => {
+  const scale = 2 ** zoom;
+  const latRad = (lat * Math.PI) / 180;
+  return {
+    x: Math.floor(((lng + 180) / 360) * scale),
+    y: Math.floor(((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2) * scale)
+  };
+};
+
+/**
+ * Tile column and row ranges covering a region's bounds at a zoom level
+ */
+const tileRange = (bounds, zoom) => {
+  const topLeft = toTile(bounds.north, bounds.west, zoom);
+  const bottomRight = toTile(bounds.south, bounds.east, zoom);
+  return { minX: topLeft.x, maxX: bottomRight.x, minY: topLeft.y, maxY: bottomRight.y };
+};
+
+/**
+ * Check a tile URL is one of the region tiles we keep
+ */
+const isRegionTile = (url, allBounds) => {
+  const match = TILE_URL.exec(url);
+  if (!match) return false;
+  const [zoom, x, y] = match.slice(1).map(Number);
+  if (zoom < TILE_ZOOMS.min || zoom > TILE_ZOOMS.max) return false;
+  return allBounds.some(bounds => {
+    const range = tileRange(bounds, zoom);
+    return x >= range.minX && x <= range.maxX && y >= range.minY && y <= range.maxY;
+  });
+};
+
+/**
+ * App shell URLs - the page itself and every built file (source maps aside)
+ */
+const getShellUrls = () => fetch(`${BASE}asset-manifest.json`)
+  .then(res => res.json())
+  .then(manifest => [...new Set([  // cache.addAll() rejects duplicates
+    BASE,
+    `${BASE}index.html`,
+    `${BASE}manifest.json`,
+    `${BASE}icon.svg`,
+    ...Object.values(manifest.files).filter(url => !url.endsWith('.map'))
+  ])]);
+
+/**
+ * Drop the oldest tiles once the cache is over MAX_TILES
+ */
+const trimTiles = async (cache) => {
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - MAX_TILES)).map(key => cache.delete(key)));
+};
+
+/**
+ * Cache first, then the network - new responses are kept
+ */
+const cacheFirst = async (request, cacheName, afterPut) => {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    await cache.put(request, response.clone());
+    if (afterPut) await afterPut(cache);
+  }
+  return response;
+};
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    getShellUrls()
+      .then(urls => caches.open(SHELL_CACHE).then(cache => cache.addAll(urls)))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names
+        .filter(name => name.startsWith('evac-shell-') && name !== SHELL_CACHE)
+        .map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  // Pages: the network, or the cached app shell offline
+  if (request.mode === 'navigate') {
+    event.respondWith(fetch(request).catch(() => caches.match(`${BASE}index.html`)));
+    return;
+  }
+
+  // Map tiles: kept when they are over a region, otherwise just fetched
+  if (TILE_URL.test(request.url)) {
+    event.respondWith(getRegionBounds().then(allBounds => (isRegionTile(request.url, allBounds)
+      ? cacheFirst(request, TILE_CACHE, trimTiles)
+      : fetch(request))));
+    return;
+  }
+
+  // Built files and icons from our own origin
+  const url = new URL(request.url);
+  if (url.origin === self.location.origin && url.pathname.startsWith(BASE)) {
+    event.respondWith(caches.match(request).then(cached => cached || fetch(request)));
+  }
+});
@@ -1,20 +1,63 @@
 /**
  * EVAC+ Frontend Application
- * Emergency Evacuation & Care Access Platform for Midtown Atlanta
+ * Emergency Evacuation & Care Access Platform - Midtown Atlanta and any other
+ * region the backend covers (GET /api/regions)
  * 
  * This app helps users make informed decisions about emergency care by:
  * 1. Displaying available facilities (ERs and Urgent Care) on an interactive map
  * 2. Showing real-time capacity indicators (circle size = availability)
  * 3. Providing personalized recommendations based on patient profile and severity
+ * 4. Showing shelters and cooling / warming centers during weather events, and
+ *    recommending one to relocate to when what's needed is a safe place to stay
  * 
  * Built with React and Leaflet.js (OpenStreetMap) - no API keys required
  */
 
-import React, { useState, useEffect } from 'react';
-import { MapContainer, TileLayer, Marker, Popup, Circle } from 'react-leaflet';
+import React, { useState, useEffect, useRef } from 'react';
+import { MapContainer, TileLayer, Marker, Popup, Circle, Polyline, LayersControl, LayerGroup } from 'react-leaflet';
 import 'leaflet/dist/leaflet.css';
 import L from 'leaflet';
+import markerShadow from 'leaflet/dist/images/marker-shadow.png';
 import './App.css';
+import markerRed from './assets/markers/marker-red.svg';
+import markerBlue from './assets/markers/marker-blue.svg';
+import markerGold from './assets/markers/marker-gold.svg';
+import markerGreen from './assets/markers/marker-green.svg';
+import DirectionsPanel from './components/DirectionsPanel';
+import LocationPicker from './components/LocationPicker';
+import MapClickHandler from './components/MapClickHandler';
+import FitRegionBounds from './components/FitRegionBounds';
+import RegionSelector from './components/RegionSelector';
+import TimeSimulator from './components/TimeSimulator';
+import DepartureComparison, { LATER_MINUTES } from './components/DepartureComparison';
+import ProfileBuilder from './components/ProfileBuilder';
+import TriageQuestionnaire from './components/TriageQuestionnaire';
+import CostEstimate from './components/CostEstimate';
+import TransportOptions from './components/TransportOptions';
+import ScoreComparison from './components/ScoreComparison';
+import EmsResponse from './components/EmsResponse';
+import OutdatedNotice from './components/OutdatedNotice';
+import OfflineBanner from './components/OfflineBanner';
+import HazardOverlays, { HAZARD_COLORS, HAZARD_CLOSURE_COLOR } from './components/HazardOverlays';
+import ShelterLayer, { SHELTER_COLORS } from './components/ShelterLayer';
+import ShelterRecommendation from './components/ShelterRecommendation';
+import EnvironmentBadge from './components/EnvironmentBadge';
+import {
+  API_URL,
+  subscribeFacilities,
+  reverseGeocode,
+  fetchPersonas,
+  fetchProfileSchema,
+  fetchCapabilities,
+  fetchRegions,
+  fetchShelterVocabulary,
+  validateProfile,
+  requestRecommendation,
+  fetchRoute
+} from './services/api';
+import { saveSnapshot, loadSnapshot } from './services/offlineStore';
+import { getOfflineRecommendation, getOfflineShelterRecommendation } from './services/offlineRecommendation';
+import { getRegionNow, addHours, formatClockTime } from './services/time';
 
 // Fix for default marker icons in Leaflet with React
 // This is a known issue when using Leaflet with React - we need to manually set icon paths
@@ -30,11 +73,13 @@ L.Icon.Default.mergeOptions({
  * RED markers = Emergency Rooms (hospitals with 24/7 emergency care)
  * BLUE markers = Urgent Care Centers (walk-in clinics for non-life-threatening conditions)
  * 
- * Using color-coded markers from GitHub repository for consistency
+ * GOLD marker = the recommended facility, GREEN = the patient's location
+ *
+ * The marker images are bundled with the app so the map still works offline
  */
 const hospitalIcon = new L.Icon({
-  iconUrl: 'https://raw.githubusercontent.com/pointhi/leaflet-color-markers/master/img/marker-icon-2x-red.png',
-  shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/0.7.7/images/marker-shadow.png',
+  iconUrl: markerRed,
+  shadowUrl: markerShadow,
   iconSize: [25, 41],        // Size of the icon in pixels [width, height]
   iconAnchor: [12, 41],      // Point of the icon which will correspond to marker's location
   popupAnchor: [1, -34],     // Point from which the popup should open relative to the iconAnchor
@@ -42,8 +87,8 @@ const hospitalIcon = new L.Icon({
 });
 
 const urgentCareIcon = new L.Icon({
-  iconUrl: 'https://raw.githubusercontent.com/pointhi/leaflet-color-markers/master/img/marker-icon-2x-blue.png',
-  shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/0.7.7/images/marker-shadow.png',
+  iconUrl: markerBlue,
+  shadowUrl: markerShadow,
   iconSize: [25, 41],
   iconAnchor: [12, 41],
   popupAnchor: [1, -34],
@@ -52,114 +97,176 @@ const urgentCareIcon = new L.Icon({
 
 // Highlighted marker (gold/yellow for recommended facility)
 const highlightedIcon = new L.Icon({
-  iconUrl: 'https://raw.githubusercontent.com/pointhi/leaflet-color-markers/master/img/marker-icon-2x-gold.png',
-  shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/0.7.7/images/marker-shadow.png',
+  iconUrl: markerGold,
+  shadowUrl: markerShadow,
   iconSize: [25, 41],
   iconAnchor: [12, 41],
   popupAnchor: [1, -34],
   shadowSize: [41, 41]
 });
 
+/**
+ * Route line colors by traffic level (matches the traffic badge colors)
+ */
+const ROUTE_COLORS = {
+  low: '#51cf66',
+  moderate: '#ffa94d',
+  heavy: '#ff8787',
+  severe: '#e03131'
+};
+
+/**
+ * Starting location until the user picks another (Midtown Atlanta's default origin):
+ * Klaus Advanced Computing Building, Georgia Tech
+ * 266 Ferst Dr NW, Atlanta, GA 30332
+ * Latitude: 33° 46' 39.09" N = 33.777525°
+ * Longitude: -84° 23' 46.06" W = -84.396128°
+ */
+const DEFAULT_ORIGIN = {
+  position: [33.777525, -84.396128],
+  label: 'Klaus Building, Georgia Tech',
+  detail: '266 Ferst Dr NW'
+};
+
+/**
+ * Evacuation mode - facility operational statuses besides normal, and those
+ * that turn every patient away (matches backend/services/hazardService.js)
+ */
+const OPERATIONAL_STATUS_LABELS = {
+  diverting: 'On diversion',
+  evacuating: 'Evacuating',
+  surge: 'In surge - longer waits'
+};
+const isTakingPatients = (facility) => !['diverting', 'evacuating'].includes(facility.operationalStatus) && !facility.hazard;
+
+// Severity tiers every persona defines (matches the backend)
+const SEVERITY_LEVELS = ['Mild', 'Moderate', 'Severe'];
+
+// Profile dropdown value for a custom profile built with ProfileBuilder
+const CUSTOM_PROFILE = '__custom';
+
+// Play mode: how long each simulated hour is shown, and how many hours a run covers
+const PLAY_STEP_MS = 2000;
+const PLAY_HOURS = 24;
+
 function App() {
   // ===== STATE MANAGEMENT =====
   // Track backend API connection status
   const [backendStatus, setBackendStatus] = useState('Checking...');
   
+  // What the patient needs - 'medical' care, or a 'shelter' to stay safe in during a weather event
+  const [need, setNeed] = useState('medical');
+  const [bringingPets, setBringingPets] = useState(false);
+
   // Track user-selected severity level (Mild, Moderate, or Severe)
   const [severity, setSeverity] = useState('Moderate');
+
+  // Severity from the triage questionnaire (default) or picked by hand
+  const [useTriage, setUseTriage] = useState(true);
+
+  // Finished triage - { answers, result } (null until every question is answered)
+  const [triage, setTriage] = useState(null);
   
-  // Store the recommendation result after user clicks "Get Recommendation"
+  // Store the recommendation result after user clicks "Get Recommendation",
+  // and the simulated time it was worked out for (null = live)
   const [recommendation, setRecommendation] = useState(null);
+  const [recommendationFor, setRecommendationFor] = useState(null);
+
+  // The same recommendation if the patient leaves in LATER_MINUTES instead of now
+  const [laterRecommendation, setLaterRecommendation] = useState(null);
   
-  // Store facilities data fetched from backend (with dynamic wait times)
+  // Store facilities data pushed by the backend (with dynamic wait times), and the
+  // simulated time they are for (null = live)
   const [facilities, setFacilities] = useState([]);
+  const [facilitiesFor, setFacilitiesFor] = useState(null);
+
+  // The last facility update kept on this device for offline use -
+  // { value: { facilities, hazards, shelters, weatherEvents, environment, origin, region, trafficLevel, simulatedAt }, savedAt }
+  // (null until there is one)
+  const [snapshot, setSnapshot] = useState(null);
   
   // Current traffic level (low, moderate, heavy, severe)
   const [trafficLevel, setTrafficLevel] = useState('moderate');
+
+  // Evacuation mode - hazard areas and road closures in force, drawn on the map
+  const [hazards, setHazards] = useState([]);
+
+  // Shelters and cooling / warming centers, the weather events in force that open them,
+  // and the shelter layer's labels (GET /api/shelters/vocabulary)
+  const [shelters, setShelters] = useState([]);
+  const [weatherEvents, setWeatherEvents] = useState([]);
+  const [shelterVocabulary, setShelterVocabulary] = useState(null);
+
+  // Temperature, heat index and air quality where the patient is (null until reported)
+  const [environment, setEnvironment] = useState(null);
   
-  // Simulated time of day (defaults to current hour)
-  const [simulatedHour, setSimulatedHour] = useState(new Date().getHours());
+  // Simulated date and time, 'YYYY-MM-DDTHH:MM' in the region's local time (null = live current time)
+  const [simulatedAt, setSimulatedAt] = useState(null);
+
+  // Play mode steps the simulated time forward an hour at a time until playEndsAt
+  const [playing, setPlaying] = useState(false);
+  const [playEndsAt, setPlayEndsAt] = useState(null);
+
+  // What the shown recommendation was asked for ({ profile, severity, triageAnswers } or
+  // { profile, need: 'shelter', pets }) - it is
+  // re-requested whenever the time or location changes so it stays current
+  const [recommendationRequest, setRecommendationRequest] = useState(null);
+
+  // Scroll to the recommendation once it arrives (only after the button is clicked)
+  const scrollToResult = useRef(false);
   
-  // Selected persona (default to Pregnancy)
-  const [selectedPersona, setSelectedPersona] = useState('pregnancy');
+  // Patient personas from the backend, and the selected one's id (first persona until changed)
+  const [personas, setPersonas] = useState([]);
+  const [selectedPersona, setSelectedPersona] = useState(null);
+
+  // Custom profile form (GET /api/profiles/schema) and the profile being built
+  const [profileSchema, setProfileSchema] = useState(null);
+  const [customProfile, setCustomProfile] = useState({});
+
+  // Capability taxonomy (GET /api/capabilities) - labels for the facility popups,
+  // and what each condition needs for offline recommendations
+  const [capabilities, setCapabilities] = useState(null);
+  const capabilityLabels = capabilities?.capabilities || {};
   
   // Highlighted facility ID (for showing recommended facility on map)
   const [highlightedFacilityId, setHighlightedFacilityId] = useState(null);
 
+  // Road route to the recommended facility (from /api/route)
+  const [route, setRoute] = useState(null);
+
+  // Leaflet map instance (used to pan to a direction step)
+  const [map, setMap] = useState(null);
+
+  // Where the user is starting from (geolocation, address search, map click or region switch)
+  const [origin, setOrigin] = useState(DEFAULT_ORIGIN);
+
+  // Regions the backend covers, and the one shown - the backend picks it from the origin
+  // and sends it with each facility update (null until the first one)
+  const [regions, setRegions] = useState([]);
+  const [region, setRegion] = useState(null);
+  const timezone = region?.timezone;
+
+  // Status text while browser geolocation is running
+  const [locating, setLocating] = useState('');
+
   // ===== PERSONA DEFINITIONS =====
-  const personas = {
-    pregnancy: {
-      id: 'pregnancy',
-      name: 'Pregnant Woman with Abdominal Pain',
-      age: '25-35',
-      description: 'Late stage pregnancy | Experiencing abdominal discomfort',
-      severityLabel: 'Trimester / Severity',
-      hasInsurance: true,
-      insuranceType: 'Employer Plan',
-      costEstimates: {
-        'Mild': '$1,787',
-        'Moderate': '$1,787',
-        'Severe': '$1,787 + $1,141 (ambulance cost)'
-      },
-      trimesters: {
-        'Mild': '1st Trimester - Body stretching, bloating/heartburn → Monitor, call doctor if persists',
-        'Moderate': '2nd Trimester - Fever or bleeding → Head to ER for evaluation',
-        'Severe': '3rd Trimester - Possible sign of labor → Immediate hospital transport'
-      },
-      riskTolerance: 'very-low'
-    },
-    asthma: {
-      id: 'asthma',
-      name: 'Asthmatic Adult with Impending Attack',
-      age: '30-40',
-      description: 'Limited mobility due to shortness of breath | Takes care of elderly parents',
-      severityLabel: 'Peak Flow Zone',
-      hasInsurance: false,
-      insuranceType: 'None',
-      costEstimates: {
-        'Mild': '$100–$400',
-        'Moderate': '$1,500',
-        'Severe': '$1,500 + $1,141 (ambulance cost)'
-      },
-      zones: {
-        'Mild': 'Green Zone (80-100% PFM) - Symptoms controlled',
-        'Moderate': 'Yellow Zone (50-80% PFM) - Symptoms worsening',
-        'Severe': 'Red Zone (<50% PFM) - Severe shortness of breath'
-      },
-      riskTolerance: 'medium'
-    },
-    dementia: {
-      id: 'dementia',
-      name: 'Elder with Dementia (Difficulty Swallowing)',
-      age: '75-80',
-      description: 'Frail mobility | Has caretaker | Low tech comfort',
-      severityLabel: 'Agitation Level',
-      hasInsurance: true,
-      insuranceType: 'Medicare',
-      costEstimates: {
-        'Mild': '$75',
-        'Moderate': '$1,676',
-        'Severe': '$1,676'
-      },
-      levels: {
-        'Mild': 'Mild Distress - Slight confusion, mild anxiety',
-        'Moderate': 'Moderate Agitation - Increased confusion, restlessness',
-        'Severe': 'Severe Crisis - Screaming, hitting, severe paranoia'
-      },
-      riskTolerance: 'low-medium'
-    }
-  };
+  // Personas come from the backend (GET /api/personas) - each one has its
+  // profile details and a hint per severity
+  const persona = personas.find(p => p.id === selectedPersona);
+  const isCustomProfile = selectedPersona === CUSTOM_PROFILE;
+
+  // Severity label and hints for whichever profile is selected
+  const severityLabel = isCustomProfile ? 'Severity' : persona?.severityLabel;
+  const severityHints = isCustomProfile ? profileSchema?.severities : persona?.severities;
+
+  // Insurance plan id → label, for the plans each facility accepts
+  const planLabels = Object.fromEntries(
+    (profileSchema?.fields.insurance.options || []).map(option => [option.value, option.label])
+  );
 
   // ===== MAP CONFIGURATION =====
-  // User location: Klaus Advanced Computing Building, Georgia Tech
-  // 266 Ferst Dr NW, Atlanta, GA 30332
-  // Latitude: 33° 46' 39.09" N = 33.777525°
-  // Longitude: -84° 23' 46.06" W = -84.396128°
-  const userLocation = [33.777525, -84.396128];
-  
-  // Center coordinates for Midtown Atlanta (Latitude, Longitude)
-  // This ensures the map initially displays the Midtown area
-  const midtownCenter = [33.7756, -84.3963];
+  // User location [lat, lng] - every travel time, score and route starts here
+  const userLocation = origin.position;
 
   // ===== HELPER FUNCTIONS =====
   
@@ -194,181 +301,162 @@ function App() {
     return Math.max(100, 400 - (minutes * 5));
   };
 
+  // ===== BACKEND CONNECTION AND DATA FETCHING =====
   /**
-   * Get traffic level for a specific hour (for simulation)
-   * @param {number} hour - Hour of day (0-23)
-   * @returns {string} - Traffic level
+   * Load the patient personas once and select the first
+   * Also loads the custom profile form and the capability labels
    */
-  const getTrafficForHour = (hour) => {
-    if ((hour >= 7 && hour < 10) || (hour >= 16 && hour < 19)) {
-      return 'severe';  // Rush hour
-    }
-    if ((hour >= 6 && hour < 7) || (hour >= 10 && hour < 12) || (hour >= 14 && hour < 16)) {
-      return 'heavy';
-    }
-    if (hour >= 12 && hour < 14) {
-      return 'moderate';
-    }
-    return 'low';
-  };
+  useEffect(() => {
+    fetchPersonas()
+      .then(list => {
+        setPersonas(list);
+        setSelectedPersona(current => current || list[0]?.id || null);
+      })
+      .catch(err => console.error('Failed to fetch personas:', err));
 
-  /**
-   * Calculate travel time to a facility based on distance and current traffic
-   * Uses Haversine formula to calculate distance, then adjusts for traffic
-   * 
-   * @param {Array} facilityPosition - [lat, lng] of the facility
-   * @returns {Object} - { time: number (minutes), distance: number (miles) }
-   */
-  const calculateTravelTime = (facilityPosition) => {
-    // Safety check
-    if (!facilityPosition) {
-      return { time: 0, distance: '0.0' };
-    }
-    
-    // Handle both array [lat, lng] and object {lat, lng} formats
-    let facLat, facLng;
-    if (Array.isArray(facilityPosition)) {
-      facLat = facilityPosition[0];
-      facLng = facilityPosition[1];
-    } else if (facilityPosition.lat && facilityPosition.lng) {
-      facLat = facilityPosition.lat;
-      facLng = facilityPosition.lng;
-    } else {
-      return { time: 0, distance: '0.0' };
-    }
-    
-    // User's location: Klaus Advanced Computing Building, Georgia Tech
-    const userLat = userLocation[0];
-    const userLng = userLocation[1];
-    
-    // Haversine formula to calculate distance
-    const R = 3959; // Earth's radius in miles
-    const dLat = (facLat - userLat) * Math.PI / 180;
-    const dLng = (facLng - userLng) * Math.PI / 180;
-    const a = 
-      Math.sin(dLat/2) * Math.sin(dLat/2) +
-      Math.cos(userLat * Math.PI / 180) * Math.cos(facLat * Math.PI / 180) *
-      Math.sin(dLng/2) * Math.sin(dLng/2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-    const distance = R * c; // Distance in miles
-    
-    // Base speed (assuming car travel in city)
-    let speed = 25; // mph base speed in city
-    
-    // Use simulated traffic based on selected hour
-    const currentTraffic = getTrafficForHour(simulatedHour);
-    
-    // Adjust speed based on traffic level
-    switch(currentTraffic) {
-      case 'low':
-        speed = 30; // Faster during low traffic
-        break;
-      case 'moderate':
-        speed = 20; // Slower in moderate traffic
-        break;
-      case 'heavy':
-        speed = 15; // Much slower in heavy traffic
-        break;
-      case 'severe':
-        speed = 10; // Crawling in severe traffic (Atlanta rush hour!)
-        break;
-      default:
-        speed = 25;
-    }
-    
-    // Calculate time in minutes
-    const time = Math.round((distance / speed) * 60);
-    
-    return {
-      time: Math.max(1, time), // Minimum 1 minute
-      distance: distance.toFixed(1)
-    };
-  };
+    fetchProfileSchema()
+      .then(setProfileSchema)
+      .catch(err => console.error('Failed to fetch profile schema:', err));
 
+    fetchCapabilities()
+      .then(setCapabilities)
+      .catch(err => console.error('Failed to fetch capabilities:', err));
 
+    fetchRegions()
+      .then(setRegions)
+      .catch(err => console.error('Failed to fetch regions:', err));
+
+    fetchShelterVocabulary()
+      .then(setShelterVocabulary)
+      .catch(err => console.error('Failed to fetch shelter labels:', err));
+
+    loadSnapshot('facilities')
+      .then(saved => setSnapshot(current => current || saved))
+      .catch(err => console.error('Failed to load saved facilities:', err));
+  }, []);
 
-  // ===== BACKEND CONNECTION AND DATA FETCHING =====
   /**
-   * Fetch facilities data when component loads
-   * This gets current wait times based on time of day simulation
-   * Also checks backend connection status
+   * Check the backend connection once on load
    */
   useEffect(() => {
-    const apiUrl = process.env.REACT_APP_API_URL || 'http://localhost:3001';
-    
-    // Check health
-    fetch(`${apiUrl}/api/health`)
+    fetch(`${API_URL}/api/health`)
       .then(res => res.json())
       .then(data => setBackendStatus('Connected'))
       .catch(err => setBackendStatus('Backend not running'));
-    
-    // Fetch facilities with dynamic wait times
-    const fetchUrl = `${apiUrl}/api/facilities?simulatedHour=${simulatedHour}`;
-    
-    fetch(fetchUrl)
-      .then(res => res.json())
-      .then(data => {
-        if (data.success) {
-          // Convert position from {lat, lng} to [lat, lng] for Leaflet
-          const facilitiesWithArrayPos = data.data.map(f => ({
-            ...f,
-            position: f.position.lat ? [f.position.lat, f.position.lng] : f.position
-          }));
-          setFacilities(facilitiesWithArrayPos);
-          
-          // Update traffic level from backend
-          const newTrafficLevel = data.trafficLevel || 'moderate';
-          setTrafficLevel(newTrafficLevel);
-          console.log('Updated traffic level:', newTrafficLevel, 'for hour:', data.simulatedHour || 'current');
-        }
-      })
-      .catch(err => console.error('Failed to fetch facilities:', err));
-    
-    // Refresh facilities every 60 seconds to show time-based changes
-    const interval = setInterval(() => {
-      const refreshUrl = `${apiUrl}/api/facilities?simulatedHour=${simulatedHour}`;
-      
-      fetch(refreshUrl)
-        .then(res => res.json())
-        .then(data => {
-          if (data.success) {
-            // Convert position from {lat, lng} to [lat, lng] for Leaflet
-            const facilitiesWithArrayPos = data.data.map(f => ({
-              ...f,
-              position: f.position.lat ? [f.position.lat, f.position.lng] : f.position
-            }));
-            setFacilities(facilitiesWithArrayPos);
-            
-            // Update traffic level
-            const newTrafficLevel = data.trafficLevel || 'moderate';
-            setTrafficLevel(newTrafficLevel);
-          }
-        })
-        .catch(err => console.error('Failed to refresh facilities:', err));
-    }, 60000); // Refresh every minute
-    
-    return () => clearInterval(interval); // Cleanup on unmount
-  }, [simulatedHour]); // Re-fetch when simulated hour changes
+  }, []);
 
-  // ===== RECOMMENDATION ENGINE =====
   /**
-   * Core decision logic for burn injury recommendations
-   * This function analyzes severity and recommends:
-   * - WHERE to go (which facility)
-   * - HOW to get there (Stay/Move decision)
-   * - WHY this is the best choice (reasoning)
-   * 
-   * Decision factors:
-   * 1. Severity of condition
-   * 2. Facility capabilities (ER vs Urgent Care)
-   * 3. Wait times
-   * 4. Cost considerations
-   * 5. Patient profile (single mother = cost-conscious, time-sensitive)
+   * Follow live facility updates for the location and simulated time
+   * The backend pushes wait times, open/closed status and traffic as they change
+   * (GET /api/facilities/stream), so markers update without polling
+   */
+  useEffect(() => {
+    const unsubscribe = subscribeFacilities(origin.position, simulatedAt, {
+      onUpdate: (data) => {
+        if (!data.success) return;
+        // Convert position from {lat, lng} to [lat, lng] for Leaflet
+        const updated = data.data.map(f => ({
+          ...f,
+          position: f.position.lat ? [f.position.lat, f.position.lng] : f.position
+        }));
+        setFacilities(updated);
+        setFacilitiesFor(simulatedAt);
+        setTrafficLevel(data.trafficLevel || 'moderate');
+        setHazards(data.hazards || []);
+        setShelters(data.shelters || []);
+        setWeatherEvents(data.weatherEvents || []);
+        setEnvironment(data.environment || null);
+        setRegion(data.region);
+
+        // Keep it for when the connection drops
+        const value = {
+          facilities: updated,
+          hazards: data.hazards || [],
+          shelters: data.shelters || [],
+          weatherEvents: data.weatherEvents || [],
+          environment: data.environment || null,
+          origin: origin.position,
+          region: data.region,
+          trafficLevel: data.trafficLevel,
+          simulatedAt
+        };
+        saveSnapshot('facilities', value)
+          .then(savedAt => setSnapshot({ value, savedAt }))
+          .catch(err => console.error('Failed to save facilities for offline use:', err));
+      },
+      onConnectionChange: (connected) => setBackendStatus(connected ? 'Connected' : 'Backend not running')
+    });
+    return unsubscribe;  // Stop following when the time or location changes, or on unmount
+  }, [simulatedAt, origin]);
+
+  /**
+   * Offline with nothing on the map yet - show the last saved facilities
+   */
+  useEffect(() => {
+    if (backendStatus !== 'Backend not running' || !snapshot || facilities.length > 0) return;
+    setFacilities(snapshot.value.facilities);
+    setFacilitiesFor(snapshot.value.simulatedAt);
+    setTrafficLevel(snapshot.value.trafficLevel || 'moderate');
+    setHazards(snapshot.value.hazards || []);
+    setShelters(snapshot.value.shelters || []);
+    setWeatherEvents(snapshot.value.weatherEvents || []);
+    setEnvironment(snapshot.value.environment || null);
+    setRegion(current => current || snapshot.value.region || null);
+  }, [backendStatus, snapshot, facilities.length]);
+
+  // ===== TIME SIMULATION =====
+  /**
+   * Play mode - advance the simulated time one hour every PLAY_STEP_MS
+   * Each step moves the facility stream to the new time (and re-fetches the recommendation, if one is shown)
    */
+  useEffect(() => {
+    if (!playing) return undefined;
+
+    const timer = setTimeout(() => {
+      const next = addHours(simulatedAt, 1);
+      setSimulatedAt(next);
+      if (next >= playEndsAt) {
+        setPlaying(false);
+      }
+    }, PLAY_STEP_MS);
+    return () => clearTimeout(timer);
+  }, [playing, simulatedAt, playEndsAt]);
+
+  /**
+   * Start or stop play mode
+   * Starts from the selected time (or now) and runs for PLAY_HOURS
+   */
+  const handleTogglePlay = () => {
+    if (playing) {
+      setPlaying(false);
+      return;
+    }
+    const start = simulatedAt || getRegionNow(timezone);
+    setSimulatedAt(start);
+    setPlayEndsAt(addHours(start, PLAY_HOURS));
+    setPlaying(true);
+  };
+
+  /**
+   * Pick a new simulated time (null = live current time) - stops play mode
+   * @param {string|null} newTime - 'YYYY-MM-DDTHH:MM' local time in the region
+   */
+  const handleTimeChange = (newTime) => {
+    setPlaying(false);
+    setSimulatedAt(newTime);
+  };
+
+  // ===== RECOMMENDATION ENGINE =====
   /**
    * WEIGHTED RECOMMENDATION ENGINE
-   * Scores facilities based on multiple factors for each persona
-   * Returns best facility with reasoning
+   * Scoring now runs on the backend (POST /api/decision) so every client
+   * gets the same answer. We send the persona (or custom profile), severity (or triage answers), location and
+   * simulated time, and get back:
+   * - WHERE to go (which facility)
+   * - HOW to get there (Stay/Move/Hybrid decision)
+   * - WHY this is the best choice (reasoning)
+   * - Ranked alternatives with per-factor scores
+   * Asking for a shelter instead sends no severity - just the profile and whether pets come along
    */
   const handleGetRecommendation = () => {
     // Check if facilities are loaded
@@ -376,180 +464,262 @@ function App() {
       alert('Loading facility data, please wait a moment and try again.');
       return;
     }
+    if (need === 'medical' && useTriage && !triage) {
+      alert('Please answer the symptom questions first, or pick the severity yourself.');
+      return;
+    }
+    // Triage answers go with the request so the backend can record them in the reasoning
+    let requestDetails = { need, pets: bringingPets };
+    if (need === 'medical') {
+      requestDetails = useTriage
+        ? { severity: triage.result.severity, triageAnswers: triage.answers, triageResult: triage.result }
+        : { severity, triageAnswers: null, triageResult: null };
+    }
+
+    if (isCustomProfile) {
+      // Check the form first so the patient sees what to fix
+      validateProfile(customProfile)
+        .then(({ profile, errors }) => {
+          if (!profile) {
+            alert(`Please fix the profile:\n- ${errors.join('\n- ')}`);
+            return;
+          }
+          scrollToResult.current = true;
+          setRecommendationRequest({ profile, ...requestDetails });
+        })
+        .catch(err => {
+          console.error('Failed to check profile:', err);
+          if (snapshot) {
+            // Offline - the offline estimate makes do with the profile as entered
+            scrollToResult.current = true;
+            setRecommendationRequest({ profile: customProfile, ...requestDetails });
+            return;
+          }
+          alert('Could not check the profile. Please check the backend connection and try again.');
+        });
+      return;
+    }
+    if (!persona) {
+      alert('Loading patient profiles, please wait a moment and try again.');
+      return;
+    }
     
-    const ers = facilities.filter(f => f.type === 'ER' && f.status === 'Open');
-    const urgentCares = facilities.filter(f => f.type === 'Urgent Care' && f.status === 'Open');
-    
-    let result = {
-      decision: '',
-      facility: null,
-      reasoning: [],
-      travelTime: null
+    scrollToResult.current = true;
+    setRecommendationRequest({ profile: { persona: selectedPersona }, ...requestDetails });
+  };
+
+  /**
+   * Switch between asking for medical care and for a shelter
+   * The shown recommendation answered the other question, so clear it
+   * @param {string} newNeed - 'medical' or 'shelter'
+   */
+  const selectNeed = (newNeed) => {
+    setNeed(newNeed);
+    setRecommendationRequest(null);
+    setRecommendation(null);
+    setLaterRecommendation(null);
+    setHighlightedFacilityId(null);
+    setRoute(null);
+  };
+
+  /**
+   * Work out a minimal fallback on this device from the last saved facility data -
+   * the nearest open ER, or shelter with room (services/offlineRecommendation.js)
+   * Used when the backend can't be reached
+   * Kept in a ref so the effect below always sees the latest data without re-running
+   * @param {Object} request - What was asked for ({ severity, triageResult, need, pets })
+   * @returns {Object|null} - Recommendation, or null without saved data to work from
+   */
+  const recommendOffline = useRef(null);
+  recommendOffline.current = ({ severity: requestedSeverity, triageResult, need: requestedNeed, pets }) => {
+    if (!snapshot) return null;
+    const departAt = simulatedAt || getRegionNow(snapshot.value.region?.timezone);
+    if (requestedNeed === 'shelter') {
+      return getOfflineShelterRecommendation({
+        pets,
+        origin: origin.position,
+        snapshot: snapshot.value,
+        savedAt: snapshot.savedAt,
+        departAt
+      });
+    }
+    return getOfflineRecommendation({
+      severity: requestedSeverity,
+      origin: origin.position,
+      snapshot: snapshot.value,
+      savedAt: snapshot.savedAt,
+      departAt,
+      triage: triageResult
+    });
+  };
+
+  /**
+   * Fetch the recommendation and its road route
+   * Runs when "Get Recommendation" is clicked, and again whenever the simulated
+   * time or the origin changes, so the shown answer always matches the map.
+   * Offline, it falls back to an estimate from the last saved facility data.
+   */
+  useEffect(() => {
+    if (!recommendationRequest) return undefined;
+
+    let cancelled = false;
+    const forShelter = recommendationRequest.need === 'shelter';
+    let details = { severity: recommendationRequest.severity };
+    if (forShelter) {
+      details = { need: 'shelter', pets: recommendationRequest.pets };
+    } else if (recommendationRequest.triageAnswers) {
+      details = { triage: { answers: recommendationRequest.triageAnswers } };
+    }
+    const request = {
+      profile: recommendationRequest.profile,
+      ...details,
+      origin: { lat: origin.position[0], lng: origin.position[1] },
+      simulatedAt
     };
-    
-    // SEVERE CASES - Always go to ER or call 911
-    if (severity === 'Severe') {
-      // All severe cases need ER immediately
-      if (selectedPersona === 'pregnancy') {
-        // Pregnancy complications - prioritize hospital with OB/GYN specialists (Emory)
-        const emory = facilities.find(f => f.name.includes('Emory'));
-        result.facility = emory || ers[0];
-        result.decision = 'STAY - Call 911';
-        result.travelTime = calculateTravelTime(result.facility?.position);
-        result.reasoning = [
-          'Extreme blood pressure and seizure risk requires immediate specialized care',
-          'Ambulance provides critical monitoring and can administer emergency medications',
-          `${result.facility?.name} has excellent OB/GYN specialists available 24/7`,
-          'Do not drive yourself - risk of seizure while driving is too high'
-        ];
-      } else if (selectedPersona === 'asthma') {
-        // Severe asthma attack - Grady has excellent emergency respiratory care
-        const grady = facilities.find(f => f.name.includes('Grady'));
-        result.facility = grady || ers[0];
-        result.decision = 'STAY - Call 911';
-        result.travelTime = calculateTravelTime(result.facility?.position);
-        result.reasoning = [
-          'Red Zone (<50% PFM) indicates severe respiratory distress',
-          'Relief inhaler not working - need immediate medical intervention',
-          'Ambulance can provide nebulizer treatment and oxygen en route',
-          `${result.facility?.name} can provide intubation if breathing worsens`
-        ];
-      } else if (selectedPersona === 'dementia') {
-        // Severe crisis needs specialized geriatric ER
-        const scored = ers.map(facility => {
-          const travel = calculateTravelTime(facility.position);
-          return {
-            facility,
-            score: (100 - facility.currentWaitTime) + (50 - travel.time * 2),
-            travel
-          };
-        }).sort((a, b) => b.score - a.score);
-        
-        result.facility = scored[0].facility;
-        result.decision = 'MOVE to ER with Caretaker';
-        result.travelTime = scored[0].travel;
-        result.reasoning = [
-          'Severe crisis (screaming, hitting, paranoia) requires immediate de-escalation',
-          'Caretaker should accompany to provide familiar presence and medical history',
-          `${result.facility.name} has shortest wait (${result.facility.currentWaitTime} min)`,
-          'Avoid bright lights and loud noises - request quiet room upon arrival'
-        ];
+    // Highlight facility on map and scroll to recommendation
+    const showRecommendation = (result, later) => {
+      setHighlightedFacilityId(result.facility?.id);
+      setRecommendation(result);
+      setRecommendationFor(simulatedAt);
+      setLaterRecommendation(later);
+      if (scrollToResult.current) {
+        scrollToResult.current = false;
+        setTimeout(() => {
+          document.querySelector('.recommendation-result')?.scrollIntoView({ 
+            behavior: 'smooth', 
+            block: 'nearest' 
+          });
+        }, 100);
       }
-    } 
-    // MODERATE CASES - Weighted scoring based on persona priorities
-    else if (severity === 'Moderate') {
-      const allFacilities = ers;
-      
-      // Score each facility based on persona-specific weights
-      const scored = allFacilities.map(facility => {
-        const travel = calculateTravelTime(facility.position);
-        const totalTime = travel.time + facility.currentWaitTime;
-        
-        let score = 0;
-        let weights = {};
-        
-        // Persona-specific weights
-        if (selectedPersona === 'pregnancy') {
-          weights = { waitTime: 50, travelTime: 30, expertise: 20 };
-          score = (100 - facility.currentWaitTime) * (weights.waitTime / 100);
-          score += (50 - travel.time) * (weights.travelTime / 100);
-          score += facility.type === 'ER' ? 20 : 0; // Prefer ER
-        } else if (selectedPersona === 'asthma') {
-          weights = { waitTime: 40, travelTime: 40, cost: 20 };
-          score = (100 - facility.currentWaitTime) * (weights.waitTime / 100);
-          score += (50 - travel.time) * (weights.travelTime / 100);
-          score += facility.type === 'Urgent Care' ? 20 : 0; // UC ok if has nebulizer
-        } else if (selectedPersona === 'dementia') {
-          weights = { waitTime: 30, travelTime: 50, familiarity: 20 };
-          score = (100 - facility.currentWaitTime) * (weights.waitTime / 100);
-          score += (50 - travel.time) * (weights.travelTime / 100);
-          score += 20; // Closer is better for confusion
+    };
+
+    // Leaving now, and leaving a little later for the comparison (care only - shelters don't have waits)
+    Promise.all([
+      requestRecommendation(request),
+      forShelter ? null : requestRecommendation({ ...request, departIn: LATER_MINUTES, track: false })
+    ])
+      .then(([result, later]) => {
+        if (cancelled) return null;
+        showRecommendation(result, later);
+
+        // Road route drawn on the map and listed in the directions panel
+        let destination = null;
+        if (result.facility) {
+          destination = { facilityId: result.facility.id };
+        } else if (result.shelter) {
+          destination = { shelterId: result.shelter.id };
         }
-        
-        return { facility, score, travel, totalTime };
-      }).sort((a, b) => b.score - a.score);
-      
-      result.facility = scored[0].facility;
-      result.travelTime = scored[0].travel;
-      result.decision = `MOVE to ${result.facility.type}`;
-      
-      // Generate reasoning based on persona
-      if (selectedPersona === 'pregnancy') {
-        result.reasoning = [
-          'High blood pressure and headache need professional evaluation',
-          `${result.facility.name} can run lab tests to check for pre-eclampsia`,
-          `Wait time: ${result.facility.currentWaitTime} min, Travel: ${result.travelTime.time} min`,
-          'Total time to see doctor: ~' + (result.travelTime.time + result.facility.currentWaitTime) + ' min'
-        ];
-      } else if (selectedPersona === 'asthma') {
-        result.reasoning = [
-          'Yellow Zone (50-80% PFM) - symptoms worsening, need nebulizer treatment',
-          `${result.facility.name} can provide quick-relief treatment`,
-          `${result.facility.type === 'Urgent Care' ? 'Lower cost than ER' : 'Full emergency capabilities'}`,
-          `Total time: ${scored[0].totalTime} min (${result.travelTime.time} min travel + ${result.facility.currentWaitTime} min wait)`
-        ];
-      } else if (selectedPersona === 'dementia') {
-        result.reasoning = [
-          'Moderate agitation - increased confusion and restlessness',
-          'Closer facility reduces stress and disorientation',
-          `${result.facility.name} is only ${result.travelTime.distance} miles away`,
-          'Bring comfort items and have caretaker explain each step'
-        ];
-      }
-    }
-    // MILD CASES - Prefer Urgent Care when possible
-    else {
-      const availableUCs = urgentCares.filter(f => f.status === 'Open');
-      
-      if (availableUCs.length > 0 && selectedPersona !== 'pregnancy') {
-        // Score urgent cares
-        const scored = availableUCs.map(facility => {
-          const travel = calculateTravelTime(facility.position);
-          const totalTime = travel.time + facility.currentWaitTime;
-          return { facility, travel, totalTime };
-        }).sort((a, b) => a.totalTime - b.totalTime);
-        
-        result.facility = scored[0].facility;
-        result.travelTime = scored[0].travel;
-        result.decision = 'MOVE to Urgent Care';
-        result.reasoning = [
-          selectedPersona === 'asthma' ? 'Green Zone (80-100% PFM) - symptoms controlled, routine check recommended' :
-          selectedPersona === 'dementia' ? 'Mild distress can be managed with calming environment' :
-          'Mild pregnancy symptoms - monitoring recommended',
-          `${result.facility.name} has shortest total time (${scored[0].totalTime} min)`,
-          `Much lower cost than ER ($80-150 vs $300-500)`,
-          `Travel: ${result.travelTime.distance} mi in ${result.travelTime.time} min`
-        ];
-      } else {
-        // Pregnancy with mild symptoms or all UCs closed - go to ER
-        const scored = ers.map(facility => {
-          const travel = calculateTravelTime(facility.position);
-          return { facility, travel, totalTime: travel.time + facility.currentWaitTime };
-        }).sort((a, b) => a.totalTime - b.totalTime);
-        
-        result.facility = scored[0].facility;
-        result.travelTime = scored[0].travel;
-        result.decision = availableUCs.length === 0 ? 'MOVE to ER (Urgent Care closed)' : 'MOVE to ER';
-        result.reasoning = [
-          selectedPersona === 'pregnancy' ? 'Any pregnancy symptoms should be evaluated at ER' : 'Urgent Care centers are currently closed',
-          `${result.facility.name} has shortest wait (${result.facility.currentWaitTime} min)`,
-          `Travel: ${result.travelTime.distance} mi, ${result.travelTime.time} min`,
-          availableUCs.length === 0 ? 'Still appropriate for mild symptoms' : 'Better safe than sorry during pregnancy'
-        ];
-      }
-    }
+        return destination
+          ? fetchRoute(origin.position, destination, simulatedAt).catch(err => {
+            console.error('Failed to get route:', err);
+            return null;
+          })
+          : null;
+      })
+      .then(routeData => {
+        if (!cancelled) {
+          setRoute(routeData);
+        }
+      })
+      .catch(err => {
+        console.error('Failed to get recommendation:', err);
+        if (cancelled) return;
 
-    // Highlight facility on map and scroll to recommendation
-    setHighlightedFacilityId(result.facility?.id);
-    setRecommendation(result);
-    
-    // Auto-scroll to recommendation
-    setTimeout(() => {
-      document.querySelector('.recommendation-result')?.scrollIntoView({ 
-        behavior: 'smooth', 
-        block: 'nearest' 
+        // fetch() rejects with a TypeError when the backend can't be reached at all
+        const offline = err instanceof TypeError && recommendOffline.current(recommendationRequest);
+        if (offline) {
+          showRecommendation(offline, null);
+          setRoute(null);  // Routing needs the backend
+          return;
+        }
+        alert('Could not get a recommendation. Please check the backend connection and try again.');
       });
-    }, 100);
+    return () => { cancelled = true; };
+  }, [recommendationRequest, origin, simulatedAt]);
+
+  /**
+   * Work the shown recommendation out again with the latest facility data
+   */
+  const handleRecompute = () => {
+    setRecommendationRequest(current => ({ ...current }));
+  };
+
+  /**
+   * Pan the map to a direction step's maneuver
+   * @param {Array} location - [lat, lng]
+   */
+  const handleStepClick = (location) => {
+    if (map) {
+      map.flyTo(location, 17);
+    }
+  };
+
+  // ===== ORIGIN SELECTION =====
+  /**
+   * Switch the user's starting location
+   * Any shown recommendation and route were computed for the old location, so clear them
+   * @param {Object} newOrigin - { position: [lat, lng], label, detail }
+   */
+  const changeOrigin = (newOrigin) => {
+    setOrigin(newOrigin);
+    setRecommendationRequest(null);
+    setRecommendation(null);
+    setLaterRecommendation(null);
+    setHighlightedFacilityId(null);
+    setRoute(null);
+  };
+
+  /**
+   * Set the origin from a raw point (map click or geolocation)
+   * Names it after the closest known place when there is one
+   * @param {number} lat
+   * @param {number} lng
+   * @param {string} fallbackLabel - Label when no known place is nearby
+   */
+  const setOriginFromPoint = (lat, lng, fallbackLabel) => {
+    const detail = `${lat.toFixed(5)}, ${lng.toFixed(5)}`;
+    changeOrigin({ position: [lat, lng], label: fallbackLabel, detail });
+
+    reverseGeocode(lat, lng)
+      .then(place => {
+        if (place) {
+          setOrigin(current => (
+            current.position[0] === lat && current.position[1] === lng
+              ? { ...current, label: `${fallbackLabel} near ${place.name}` }
+              : current
+          ));
+        }
+      })
+      .catch(err => console.error('Failed to name location:', err));
+  };
+
+  /**
+   * Switch to another region, starting from its default origin
+   * The facility stream follows the origin, so the region's facilities, traffic and clock come with it
+   * @param {Object} newRegion - From GET /api/regions
+   */
+  const handleRegionChange = (newRegion) => {
+    const { lat, lng, label, detail } = newRegion.defaultOrigin;
+    changeOrigin({ position: [lat, lng], label, detail: detail || '' });
+  };
+
+  /**
+   * Use the browser's geolocation as the origin
+   */
+  const handleUseMyLocation = () => {
+    if (!navigator.geolocation) {
+      setLocating('Geolocation is not supported by this browser.');
+      return;
+    }
+    setLocating('Finding your location...');
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        setLocating('');
+        setOriginFromPoint(position.coords.latitude, position.coords.longitude, 'Your location');
+      },
+      (err) => setLocating(`Could not get your location: ${err.message}`),
+      { enableHighAccuracy: true, timeout: 10000 }
+    );
   };
 
   return (
@@ -564,144 +734,189 @@ function App() {
           <div className={`traffic-badge traffic-${trafficLevel}`}>
             Traffic: {trafficLevel.toUpperCase()}
           </div>
+          <EnvironmentBadge environment={environment} />
         </div>
       </header>
 
       <main className="App-main">
+        {backendStatus === 'Backend not running' && <OfflineBanner snapshot={snapshot} />}
+
         <section className="info-card">
           <h2>Patient Profile & Severity</h2>
           <div className="input-panel">
             <div className="persona-selector">
               <label><strong>Select Profile:</strong></label>
               <select 
-                value={selectedPersona} 
+                value={selectedPersona || ''}
                 onChange={(e) => {
                   setSelectedPersona(e.target.value);
+                  setRecommendationRequest(null);
                   setRecommendation(null);
+                  setLaterRecommendation(null);
                   setHighlightedFacilityId(null);
+                  setRoute(null);
                 }}
                 className="persona-dropdown"
               >
-                <option value="pregnancy">Pregnant Woman with Abdominal Pain</option>
-                <option value="asthma">Asthmatic Adult with Impending Attack</option>
-                <option value="dementia">Elder with Dementia (Difficulty Swallowing)</option>
+                {personas.length === 0 && <option value="">Loading profiles...</option>}
+                {personas.map(p => (
+                  <option key={p.id} value={p.id}>{p.name}</option>
+                ))}
+                {profileSchema && <option value={CUSTOM_PROFILE}>Custom profile...</option>}
               </select>
             </div>
 
-            <div className="time-simulator">
-              <label><strong>Time of Day Simulator:</strong></label>
-              <select 
-                value={simulatedHour === null ? new Date().getHours() : simulatedHour} 
-                onChange={(e) => {
-                  const newHour = parseInt(e.target.value);
-                  setSimulatedHour(newHour);
-                  console.log('Time changed to:', `${newHour}:00`);
-                }}
-                className="time-selector"
-              >
-                <option value="0">12 AM - Midnight</option>
-                <option value="2">2 AM - Late Night</option>
-                <option value="6">6 AM - Early Morning</option>
-                <option value="7">7 AM - Morning Rush Hour</option>
-                <option value="9">9 AM - Business Hours Start</option>
-                <option value="12">12 PM - Noon / Lunch Time</option>
-                <option value="14">2 PM - Afternoon</option>
-                <option value="16">4 PM - Pre-Rush Hour</option>
-                <option value="17">5 PM - Evening Rush Hour</option>
-                <option value="19">7 PM - Evening</option>
-                <option value="20">8 PM - Evening (UC Closing)</option>
-                <option value="22">10 PM - Night</option>
-              </select>
-              <p className="simulator-note">Defaults to current hour. Select different times to see how recommendations change.</p>
-              <div className="current-conditions">
-                <span><strong>Selected Time:</strong> {`${simulatedHour % 12 || 12}:00 ${simulatedHour >= 12 ? 'PM' : 'AM'}`}</span>
-                <span className="traffic-dot"><strong>Traffic:</strong> <span className={`traffic-${trafficLevel}`}>{trafficLevel.toUpperCase()}</span></span>
-              </div>
-            </div>
+            <RegionSelector regions={regions} region={region} onSelect={handleRegionChange} />
+
+            <TimeSimulator
+              simulatedAt={simulatedAt}
+              region={region}
+              onChange={handleTimeChange}
+              playing={playing}
+              onTogglePlay={handleTogglePlay}
+              trafficLevel={trafficLevel}
+            />
 
             <div className="profile-display">
-              <h3>Profile: {personas[selectedPersona].name}</h3>
-              <p>Age: {personas[selectedPersona].age} | {personas[selectedPersona].description}</p>
-              <p className="location-info">Current Location: Klaus Building, Georgia Tech (266 Ferst Dr NW)</p>
+              {isCustomProfile && profileSchema && (
+                <>
+                  <h3>Profile: Custom</h3>
+                  <ProfileBuilder schema={profileSchema} profile={customProfile} onChange={setCustomProfile} />
+                </>
+              )}
+              {persona && (
+                <>
+                  <h3>Profile: {persona.name}</h3>
+                  <p>Age: {persona.age} | {persona.description}</p>
+                </>
+              )}
+              <LocationPicker
+                origin={origin}
+                region={region}
+                onSelect={changeOrigin}
+                onUseMyLocation={handleUseMyLocation}
+                locating={locating}
+              />
             </div>
             
-            <div className="severity-selector">
-              <label><strong>{personas[selectedPersona].severityLabel}:</strong></label>
-              <div className="severity-buttons">
-                <button 
-                  className={severity === 'Mild' ? 'severity-btn active' : 'severity-btn'}
-                  onClick={() => setSeverity('Mild')}
-                  title={
-                    selectedPersona === 'pregnancy' ? personas.pregnancy.trimesters.Mild :
-                    selectedPersona === 'asthma' ? personas.asthma.zones.Mild :
-                    selectedPersona === 'dementia' ? personas.dementia.levels.Mild :
-                    'Minor injury'
-                  }
-                >
-                  Mild
-                </button>
-                <button 
-                  className={severity === 'Moderate' ? 'severity-btn active' : 'severity-btn'}
-                  onClick={() => setSeverity('Moderate')}
-                  title={
-                    selectedPersona === 'pregnancy' ? personas.pregnancy.trimesters.Moderate :
-                    selectedPersona === 'asthma' ? personas.asthma.zones.Moderate :
-                    selectedPersona === 'dementia' ? personas.dementia.levels.Moderate :
-                    'Serious condition'
-                  }
+            <div className="severity-source need-selector">
+              <button
+                type="button"
+                className={need === 'medical' ? 'severity-source-btn active' : 'severity-source-btn'}
+                onClick={() => selectNeed('medical')}
+              >
+                Medical care
+              </button>
+              <button
+                type="button"
+                className={need === 'shelter' ? 'severity-source-btn active' : 'severity-source-btn'}
+                onClick={() => selectNeed('shelter')}
+              >
+                Safe place to stay
+              </button>
+            </div>
+
+            {need === 'shelter' && (
+              <div className="shelter-options">
+                <p className="severity-hint">
+                  {weatherEvents.length > 0
+                    ? `In force: ${weatherEvents.map(event => event.name).join(', ')} - finds an open shelter or cooling / warming center that suits the profile`
+                    : 'No weather event is in force - shelters and cooling / warming centers are on standby'}
+                </p>
+                <label>
+                  <input type="checkbox" checked={bringingPets} onChange={(e) => setBringingPets(e.target.checked)} />
+                  {' '}Bringing pets
+                </label>
+              </div>
+            )}
+
+            {need === 'medical' && (
+              <div className="severity-source">
+                <button
+                  type="button"
+                  className={useTriage ? 'severity-source-btn active' : 'severity-source-btn'}
+                  onClick={() => setUseTriage(true)}
                 >
-                  Moderate
+                  Answer symptom questions
                 </button>
-                <button 
-                  className={severity === 'Severe' ? 'severity-btn active' : 'severity-btn'}
-                  onClick={() => setSeverity('Severe')}
-                  title={
-                    selectedPersona === 'pregnancy' ? personas.pregnancy.trimesters.Severe :
-                    selectedPersona === 'asthma' ? personas.asthma.zones.Severe :
-                    selectedPersona === 'dementia' ? personas.dementia.levels.Severe :
-                    'Life-threatening'
-                  }
+                <button
+                  type="button"
+                  className={useTriage ? 'severity-source-btn' : 'severity-source-btn active'}
+                  onClick={() => setUseTriage(false)}
                 >
-                  Severe
+                  Pick severity myself
                 </button>
               </div>
-              <p className="severity-hint">
-                {selectedPersona === 'pregnancy' && personas.pregnancy.trimesters[severity]}
-                {selectedPersona === 'asthma' && personas.asthma.zones[severity]}
-                {selectedPersona === 'dementia' && personas.dementia.levels[severity]}
-              </p>
-            </div>
+            )}
+
+            {need === 'medical' && useTriage && <TriageQuestionnaire onResult={setTriage} />}
+
+            {need === 'medical' && !useTriage && severityHints && (
+              <div className="severity-selector">
+                <label><strong>{severityLabel}:</strong></label>
+                <div className="severity-buttons">
+                  {SEVERITY_LEVELS.map(level => (
+                    <button
+                      key={level}
+                      className={severity === level ? 'severity-btn active' : 'severity-btn'}
+                      onClick={() => setSeverity(level)}
+                      title={severityHints[level].hint}
+                    >
+                      {level}
+                    </button>
+                  ))}
+                </div>
+                <p className="severity-hint">{severityHints[severity].hint}</p>
+              </div>
+            )}
 
             <button className="recommend-btn" onClick={handleGetRecommendation}>
               Get Recommendation
             </button>
           </div>
 
+          {recommendation && recommendation.shelter !== undefined && (
+            <ShelterRecommendation recommendation={recommendation} />
+          )}
+
           {recommendation && recommendation.facility && (
             <div className="recommendation-result">
-              <h3>Recommendation: {recommendation.decision}</h3>
+              {/* Only compare against facility updates for the same moment */}
+              {facilitiesFor === recommendationFor && (
+                <OutdatedNotice
+                  recommended={recommendation.facility}
+                  current={facilities.find(f => f.id === recommendation.facility.id)}
+                  onRecompute={handleRecompute}
+                />
+              )}
+              <h3>Recommendation: {recommendation.decision}{recommendation.offline && ' (offline estimate)'}</h3>
               <div className="facility-recommendation">
                 <h4>{recommendation.facility.name}</h4>
                 <p><strong>Type:</strong> {recommendation.facility.type}</p>
                 <p><strong>Current Wait:</strong> {recommendation.facility.waitTimeDisplay || `${recommendation.facility.currentWaitTime} min`}</p>
-                {recommendation.travelTime && (
-                  <p><strong>Travel Time:</strong> {recommendation.travelTime.time} min ({recommendation.travelTime.distance} miles)</p>
+                {recommendation.expectedWaitTime !== null && (
+                  <p><strong>Expected Wait When You Arrive:</strong> {recommendation.expectedWaitTime} min (around {formatClockTime(recommendation.arriveAt)})</p>
                 )}
-                {personas[selectedPersona].hasInsurance ? (
-                  <div className="insurance-info accepted">
-                    <p><strong>Insurance Coverage:</strong> ✓ Yes ({personas[selectedPersona].insuranceType})</p>
-                    <p className="insurance-detail">This facility accepts your insurance.</p>
-                    <p className="cost-estimate"><strong>Estimated Cost:</strong> {personas[selectedPersona].costEstimates[severity]}</p>
-                  </div>
-                ) : (
-                  <div className="insurance-info not-covered">
-                    <p><strong>Insurance Coverage:</strong> ✗ None (Uninsured)</p>
-                    <p className="cost-estimate"><strong>Estimated Cost:</strong> {personas[selectedPersona].costEstimates[severity]}</p>
-                    <p className="insurance-detail">Ask about payment plans and financial assistance programs.</p>
-                  </div>
+                {recommendation.travelTime && !recommendation.ems && (
+                  <p><strong>Travel Time ({recommendation.travelTime.label}):</strong> {recommendation.travelTime.time} min ({recommendation.travelTime.distance} miles)</p>
+                )}
+                {recommendation.facility.statusDetail && (
+                  <p><strong>Hours:</strong> {recommendation.facility.statusDetail}</p>
                 )}
+                <CostEstimate cost={recommendation.cost} />
                 <p><strong>Traffic Conditions:</strong> <span className={`traffic-${trafficLevel}`}>{trafficLevel.toUpperCase()}</span></p>
+                {recommendation.environment && recommendation.environment.risks.length > 0 && (
+                  <p>
+                    <strong>Outside:</strong> {recommendation.environment.heat.label} heat, {recommendation.environment.air.label.toLowerCase()} air
+                    {recommendation.environment.severityRaised && ` - ${recommendation.environment.severityRaised.from.toLowerCase()} symptoms treated as ${recommendation.environment.severityRaised.to.toLowerCase()}`}
+                  </p>
+                )}
               </div>
+              <EmsResponse ems={recommendation.ems} />
+              <TransportOptions transport={recommendation.transport} />
+              {recommendation.mode !== 'STAY' && (
+                <DepartureComparison now={recommendation} later={laterRecommendation} />
+              )}
               <div className="reasoning">
                 <strong>Why this recommendation:</strong>
                 <ul>
@@ -710,106 +925,179 @@ function App() {
                   ))}
                 </ul>
               </div>
+              <ScoreComparison alternatives={recommendation.comparison || recommendation.alternatives} />
             </div>
           )}
         </section>
 
         <section className="map-section">
-          <MapContainer 
-            center={midtownCenter} 
-            zoom={14} 
-            style={{ height: '500px', width: '100%', borderRadius: '12px' }}
-          >
-            <TileLayer
-              attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
-              url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
-            />
-            
-            {/* Profile location marker */}
-            <Circle
-              center={userLocation}
-              radius={50}
-              pathOptions={{ color: '#2b8a3e', fillColor: '#51cf66', fillOpacity: 0.6, weight: 3 }}
-            />
-            <Marker 
-              position={userLocation}
-              icon={new L.Icon({
-                iconUrl: 'https://raw.githubusercontent.com/pointhi/leaflet-color-markers/master/img/marker-icon-2x-green.png',
-                shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/0.7.7/images/marker-shadow.png',
-                iconSize: [25, 41],
-                iconAnchor: [12, 41],
-                popupAnchor: [1, -34],
-                shadowSize: [41, 41]
-              })}
+          <div className="map-layout">
+            <MapContainer 
+              center={DEFAULT_ORIGIN.position}
+              zoom={14}
+              style={{ height: '500px', width: '100%', borderRadius: '12px' }}
+              ref={setMap}
             >
-              <Popup>
-                <div style={{ minWidth: '180px' }}>
-                  <h3 style={{ margin: '0 0 10px 0', fontSize: '14px', color: '#2b8a3e' }}>Profile Location</h3>
-                  <p style={{ margin: '5px 0', fontSize: '13px' }}>Klaus Building, Georgia Tech</p>
-                  <p style={{ margin: '5px 0', fontSize: '12px', color: '#666' }}>266 Ferst Dr NW</p>
-                </div>
-              </Popup>
-            </Marker>
-
-            {facilities.length > 0 && facilities.map(facility => (
-              <React.Fragment key={facility.id}>
-                {/* Highlight circle for recommended facility */}
-                {highlightedFacilityId === facility.id && (
-                  <Circle
-                    center={facility.position}
-                    radius={300}
-                    pathOptions={{ 
-                      color: '#ffd43b',
-                      fillColor: '#ffd43b',
-                      fillOpacity: 0.25,
-                      weight: 4,
-                      dashArray: '10, 10'
-                    }}
-                  />
-                )}
-                
-                {/* Capacity circle - size based on wait time */}
-                <Circle
-                  center={facility.position}
-                  radius={getCapacityRadius(facility.waitTime)}
-                  pathOptions={{ 
-                    color: facility.type === 'ER' ? '#ff6b6b' : '#4dabf7',
-                    fillColor: facility.type === 'ER' ? '#ff6b6b' : '#4dabf7',
-                    fillOpacity: 0.15,
-                    weight: highlightedFacilityId === facility.id ? 3 : 2
+              <TileLayer
+                attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+                url="https://tile.openstreetmap.org/{z}/{x}/{y}.png"
+              />
+            
+              {/* Fit the map to the region shown whenever it changes */}
+              <FitRegionBounds region={region} />
+
+
+              {/* Click anywhere on the map to move the profile location */}
+              <MapClickHandler onClick={(lat, lng) => setOriginFromPoint(lat, lng, 'Dropped pin')} />
+
+              {/* Profile location marker */}
+              <Circle
+                center={userLocation}
+                radius={50}
+                pathOptions={{ color: '#2b8a3e', fillColor: '#51cf66', fillOpacity: 0.6, weight: 3 }}
+              />
+              <Marker 
+                position={userLocation}
+                icon={new L.Icon({
+                  iconUrl: markerGreen,
+                  shadowUrl: markerShadow,
+                  iconSize: [25, 41],
+                  iconAnchor: [12, 41],
+                  popupAnchor: [1, -34],
+                  shadowSize: [41, 41]
+                })}
+              >
+                <Popup>
+                  <div style={{ minWidth: '180px' }}>
+                    <h3 style={{ margin: '0 0 10px 0', fontSize: '14px', color: '#2b8a3e' }}>Profile Location</h3>
+                    <p style={{ margin: '5px 0', fontSize: '13px' }}>{origin.label}</p>
+                    <p style={{ margin: '5px 0', fontSize: '12px', color: '#666' }}>{origin.detail}</p>
+                  </div>
+                </Popup>
+              </Marker>
+
+              {/* Road route to the recommended facility, colored by traffic - dashed when only a straight-line estimate */}
+              {route && (
+                <Polyline
+                  positions={route.geometry.coordinates.map(([lng, lat]) => [lat, lng])}
+                  pathOptions={{
+                    color: ROUTE_COLORS[route.trafficLevel] || '#667eea',
+                    weight: 6,
+                    opacity: 0.85,
+                    dashArray: route.source === 'straight-line' ? '12, 12' : null
                   }}
                 />
+              )}
+
+              {/* Toggle facilities, shelters and hazards on and off */}
+              <LayersControl position="topright">
+                <LayersControl.Overlay checked name="Hospitals & urgent care">
+                  <LayerGroup>
+                    {facilities.length > 0 && facilities.map(facility => (
+                      <React.Fragment key={facility.id}>
+                        {/* Highlight circle for recommended facility */}
+                        {highlightedFacilityId === facility.id && (
+                          <Circle
+                            center={facility.position}
+                            radius={300}
+                            pathOptions={{ 
+                              color: '#ffd43b',
+                              fillColor: '#ffd43b',
+                              fillOpacity: 0.25,
+                              weight: 4,
+                              dashArray: '10, 10'
+                            }}
+                          />
+                        )}
                 
-                {/* Facility marker - gold if recommended, otherwise red/blue */}
-                <Marker 
-                  position={facility.position}
-                  icon={
-                    highlightedFacilityId === facility.id 
-                      ? highlightedIcon 
-                      : (facility.type === 'ER' ? hospitalIcon : urgentCareIcon)
-                  }
-                >
-                  <Popup>
-                    <div style={{ minWidth: '220px' }}>
-                      <h3 style={{ margin: '0 0 10px 0', fontSize: '16px' }}>{facility.name}</h3>
-                      <p style={{ margin: '5px 0' }}><strong>Type:</strong> {facility.type}</p>
-                      <p style={{ margin: '5px 0' }}><strong>Wait Time:</strong> {facility.waitTimeDisplay || `${facility.currentWaitTime} min`}</p>
-                      {(() => {
-                        const travel = calculateTravelTime(facility.position);
-                        return travel.time > 0 ? (
-                          <p style={{ margin: '5px 0' }}><strong>Travel Time:</strong> ~{travel.time} min ({travel.distance} mi)</p>
-                        ) : null;
-                      })()}
-                      <p style={{ margin: '5px 0' }}><strong>Insurance:</strong> {facility.insurance?.join(', ')}</p>
-                      <p style={{ margin: '5px 0' }}><strong>Status:</strong> <span style={{ color: facility.status === 'Open' ? 'green' : 'red' }}>{facility.status}</span></p>
-                      {facility.hours && <p style={{ margin: '5px 0', fontSize: '12px', color: '#666' }}>{facility.hours}</p>}
-                      <p style={{ margin: '8px 0 0 0', fontSize: '11px', color: '#999', borderTop: '1px solid #eee', paddingTop: '5px' }}>Traffic: {trafficLevel}</p>
-                    </div>
-                  </Popup>
-                </Marker>
-              </React.Fragment>
-            ))}
-          </MapContainer>
+                        {/* Capacity circle - size based on wait time */}
+                        <Circle
+                          center={facility.position}
+                          radius={getCapacityRadius(facility.waitTime)}
+                          pathOptions={{ 
+                            color: facility.type === 'ER' ? '#ff6b6b' : '#4dabf7',
+                            fillColor: facility.type === 'ER' ? '#ff6b6b' : '#4dabf7',
+                            fillOpacity: 0.15,
+                            weight: highlightedFacilityId === facility.id ? 3 : 2
+                          }}
+                        />
+                
+                        {/* Facility marker - gold if recommended, otherwise red/blue; faded when it takes no patients */}
+                        <Marker 
+                          position={facility.position}
+                          icon={
+                            highlightedFacilityId === facility.id 
+                              ? highlightedIcon 
+                              : (facility.type === 'ER' ? hospitalIcon : urgentCareIcon)
+                          }
+                          opacity={isTakingPatients(facility) ? 1 : 0.45}
+                        >
+                          <Popup>
+                            <div style={{ minWidth: '220px' }}>
+                              <h3 style={{ margin: '0 0 10px 0', fontSize: '16px' }}>{facility.name}</h3>
+                              <p style={{ margin: '5px 0' }}><strong>Type:</strong> {facility.type}</p>
+                              <p style={{ margin: '5px 0' }}><strong>Wait Time:</strong> {facility.waitTimeDisplay || `${facility.currentWaitTime} min`}{facility.waitTimeSource && facility.waitTimeSource !== 'simulation' && facility.status === 'Open' && ' (live)'}</p>
+                              {facility.recommendedLoad?.patients > 0 && (
+                                <p style={{ margin: '5px 0', fontSize: '12px', color: '#666' }}>
+                                  {facility.recommendedLoad.patients} {facility.recommendedLoad.patients === 1 ? 'patient' : 'patients'} sent here recently (+{facility.recommendedLoad.addedWait} min)
+                                </p>
+                              )}
+                              {facility.travelTime && facility.travelTime.time > 0 && (
+                                <p style={{ margin: '5px 0' }}><strong>Travel Time:</strong> ~{facility.travelTime.time} min ({facility.travelTime.distance} mi)</p>
+                              )}
+                              <p style={{ margin: '5px 0' }}><strong>Insurance:</strong> {facility.insurance?.map(id => planLabels[id] || id).join(', ')}</p>
+                              {facility.capabilities?.length > 0 && (
+                                <p style={{ margin: '5px 0', fontSize: '12px' }}><strong>Offers:</strong> {facility.capabilities.map(id => capabilityLabels[id] || id).join(', ')}</p>
+                              )}
+                              <p style={{ margin: '5px 0' }}><strong>Status:</strong> <span style={{ color: facility.status === 'Open' ? 'green' : 'red' }}>{facility.status}</span>{facility.statusDetail && ` · ${facility.statusDetail}`}</p>
+                              {facility.holiday && <p style={{ margin: '5px 0', fontSize: '12px', color: '#c92a2a' }}>Holiday hours: {facility.holiday}</p>}
+                              {facility.operationalStatus && facility.operationalStatus !== 'normal' && (
+                                <p style={{ margin: '5px 0', fontSize: '12px', color: '#c92a2a' }}>
+                                  <strong>{OPERATIONAL_STATUS_LABELS[facility.operationalStatus] || facility.operationalStatus}</strong>
+                                  {facility.operationalNote && ` - ${facility.operationalNote}`}
+                                  {facility.operationalUntil && ` (until ${formatClockTime(facility.operationalUntil)})`}
+                                </p>
+                              )}
+                              {facility.hazard && (
+                                <p style={{ margin: '5px 0', fontSize: '12px', color: '#c92a2a' }}>Inside the {facility.hazard.name} area - not taking patients</p>
+                              )}
+                              {facility.travelTime?.unreachable && (
+                                <p style={{ margin: '5px 0', fontSize: '12px', color: '#c92a2a' }}>Cut off - every road there is closed by {facility.travelTime.detour.hazards.map(h => h.name).join(', ')}</p>
+                              )}
+                              {facility.travelTime?.detour && !facility.travelTime.unreachable && (
+                                <p style={{ margin: '5px 0', fontSize: '12px', color: '#666' }}>Route avoids {facility.travelTime.detour.hazards.map(h => h.name).join(', ')}</p>
+                              )}
+                              {facility.hours && <p style={{ margin: '5px 0', fontSize: '12px', color: '#666' }}>{facility.hours}</p>}
+                              <p style={{ margin: '8px 0 0 0', fontSize: '11px', color: '#999', borderTop: '1px solid #eee', paddingTop: '5px' }}>Traffic: {trafficLevel}</p>
+                            </div>
+                          </Popup>
+                        </Marker>
+                      </React.Fragment>
+                    ))}
+                  </LayerGroup>
+                </LayersControl.Overlay>
+                <LayersControl.Overlay checked name="Shelters & cooling / warming centers">
+                  <LayerGroup>
+                    <ShelterLayer shelters={shelters} vocabulary={shelterVocabulary} highlightedId={recommendation?.shelter?.id} />
+                  </LayerGroup>
+                </LayersControl.Overlay>
+                <LayersControl.Overlay checked name="Hazards & road closures">
+                  <LayerGroup>
+                    {/* Evacuation mode - hazard areas and closed roads */}
+                    <HazardOverlays hazards={hazards} />
+                  </LayerGroup>
+                </LayersControl.Overlay>
+              </LayersControl>
+            </MapContainer>
+
+            {route && (recommendation?.facility || recommendation?.shelter) && (
+              <DirectionsPanel
+                route={route}
+                destinationName={(recommendation.facility || recommendation.shelter).name}
+                onStepClick={handleStepClick}
+              />
+            )}
+          </div>
         </section>
 
         <section className="info-card">
@@ -831,6 +1119,34 @@ function App() {
               <span className="legend-marker" style={{ background: '#51cf66' }}></span>
               <span>Your Profile Location</span>
             </div>
+            <div className="legend-item">
+              <span className="legend-marker" style={{ background: `linear-gradient(90deg, ${ROUTE_COLORS.low}, ${ROUTE_COLORS.severe})` }}></span>
+              <span>Route (color = traffic level)</span>
+            </div>
+            <div className="legend-item">
+              <span className="legend-marker" style={{ background: '#dc3545', opacity: 0.45 }}></span>
+              <span>Not Taking Patients (diverting, evacuating or in a hazard area)</span>
+            </div>
+            <div className="legend-item">
+              <span className="legend-marker legend-area" style={{ background: `linear-gradient(90deg, ${HAZARD_COLORS.flood}, ${HAZARD_COLORS.fire})` }}></span>
+              <span>Hazard Area (color = flood, fire, ...)</span>
+            </div>
+            <div className="legend-item">
+              <span className="legend-marker legend-closure" style={{ borderColor: HAZARD_CLOSURE_COLOR }}></span>
+              <span>Road Closed</span>
+            </div>
+            <div className="legend-item">
+              <span className="legend-marker legend-shelter" style={{ background: SHELTER_COLORS['emergency-shelter'] }}></span>
+              <span>Emergency Shelter</span>
+            </div>
+            <div className="legend-item">
+              <span className="legend-marker legend-shelter" style={{ background: SHELTER_COLORS['cooling-center'] }}></span>
+              <span>Cooling Center</span>
+            </div>
+            <div className="legend-item">
+              <span className="legend-marker legend-shelter" style={{ background: SHELTER_COLORS['warming-center'] }}></span>
+              <span>Warming Center (faded = on standby, closed or full)</span>
+            </div>
           </div>
         </section>
 
@@ -0,0 +1,59 @@
+/**
+ * CostEstimate
+ * Insurance panel for the recommended facility: whether it's in the
+ * patient's network and what the visit should cost them, item by item.
+ * The estimate comes with the recommendation (POST /api/decision → cost).
+ */
+
+import React from 'react';
+
+/**
+ * Whole dollars, e.g. 1500 → '$1,500'
+ */
+const formatDollars = (amount) => `$${Math.round(amount).toLocaleString('en-US')}`;
+
+/**
+ * How the patient's share of an item breaks down, e.g. '$250 copay'
+ */
+const describeShare = (item) => {
+  if (!item.covered) return 'not covered';
+  const parts = [
+    item.copay > 0 && `${formatDollars(item.copay)} copay`,
+    item.deductible > 0 && `${formatDollars(item.deductible)} deductible`,
+    item.coinsurance > 0 && `${formatDollars(item.coinsurance)} coinsurance`
+  ].filter(Boolean);
+  return parts.length > 0 ? parts.join(' + ') : 'fully covered';
+};
+
+/**
+ * @param {Object} props
+ * @param {Object} props.cost - Estimate from services/costEstimator.js on the backend
+ */
+function CostEstimate({ cost }) {
+  if (!cost) return null;
+
+  const covered = cost.inNetwork || cost.items.some(item => item.covered);
+
+  return (
+    <div className={covered ? 'insurance-info accepted' : 'insurance-info not-covered'}>
+      <p>
+        <strong>Insurance:</strong> {cost.plan.label}
+        {cost.plan.id !== 'none' && (cost.inNetwork ? ' - ✓ in network' : ' - ✗ out of network')}
+      </p>
+      <p className="cost-estimate"><strong>Estimated Cost:</strong> {formatDollars(cost.total.youPay)}</p>
+      <ul className="cost-items">
+        {cost.items.map(item => (
+          <li key={item.description}>
+            <span>{item.description}</span>
+            <span>{formatDollars(item.youPay)} <small>({describeShare(item)} of {formatDollars(item.billed)} billed)</small></span>
+          </li>
+        ))}
+      </ul>
+      {cost.notes.map(note => (
+        <p key={note} className="insurance-detail">{note}</p>
+      ))}
+    </div>
+  );
+}
+
+export default CostEstimate;
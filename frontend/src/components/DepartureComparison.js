@@ -0,0 +1,78 @@
+/**
+ * DepartureComparison
+ * "Leave now" vs "leave in 30 min" side by side: where to go, when you'd
+ * arrive, the wait forecast for that arrival, and roughly when you'd be seen.
+ * Both columns come from POST /api/decision (departIn 0 and LATER_MINUTES).
+ */
+
+import React from 'react';
+import { addMinutes, formatClockTime } from '../services/time';
+
+export const LATER_MINUTES = 30;
+
+/**
+ * Arrival time plus the expected wait, as 'YYYY-MM-DDTHH:MM'
+ */
+const getSeenAt = (option) => addMinutes(option.arriveAt.slice(0, 16), option.expectedWaitTime);
+
+/**
+ * @param {Object} props
+ * @param {Object} props.now - Recommendation when leaving now
+ * @param {Object} props.later - Recommendation when leaving in LATER_MINUTES
+ */
+function DepartureComparison({ now, later }) {
+  if (!now?.facility || !later?.facility) return null;
+
+  const options = [
+    { label: 'Leave now', option: now },
+    { label: `Leave in ${LATER_MINUTES} min`, option: later }
+  ];
+
+  // Waiting at home instead of in the waiting room - worth it if you're seen at about the same time
+  const seenNow = getSeenAt(now);
+  const seenLater = getSeenAt(later);
+  const waitSaved = now.expectedWaitTime - later.expectedWaitTime;
+  let advice;
+  if (seenLater <= seenNow) {
+    advice = `Leaving in ${LATER_MINUTES} min gets you seen just as soon, with ${waitSaved} min less in the waiting room.`;
+  } else if (waitSaved > 0) {
+    advice = `Leaving in ${LATER_MINUTES} min cuts the wait by ${waitSaved} min, but you'd be seen later - leave now if you can.`;
+  } else {
+    advice = 'Leaving now gets you seen soonest.';
+  }
+
+  return (
+    <div className="departure-comparison">
+      <strong>Leave now or later?</strong>
+      <table>
+        <thead>
+          <tr>
+            <th></th>
+            {options.map(({ label }) => <th key={label}>{label}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          <tr>
+            <td>Go to</td>
+            {options.map(({ label, option }) => <td key={label}>{option.facility.name}</td>)}
+          </tr>
+          <tr>
+            <td>Arrive</td>
+            {options.map(({ label, option }) => <td key={label}>{formatClockTime(option.arriveAt)}</td>)}
+          </tr>
+          <tr>
+            <td>Expected wait</td>
+            {options.map(({ label, option }) => <td key={label}>{option.expectedWaitTime} min</td>)}
+          </tr>
+          <tr>
+            <td>Seen around</td>
+            {options.map(({ label, option }) => <td key={label}>{formatClockTime(getSeenAt(option))}</td>)}
+          </tr>
+        </tbody>
+      </table>
+      <p className="departure-advice">{advice}</p>
+    </div>
+  );
+}
+
+export default DepartureComparison;
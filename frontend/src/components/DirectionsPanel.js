@@ -0,0 +1,79 @@
+/**
+ * DirectionsPanel
+ * Collapsible turn-by-turn directions for the recommended route
+ *
+ * Steps come from the backend route endpoint (GET /api/route).
+ * Each row shows the step distance and the cumulative ETA from the start;
+ * clicking a row pans the map to that maneuver. In evacuation mode the
+ * route goes around closed roads and hazard areas, and says which - and warns
+ * when the trip starts or ends inside an area it can't go around. Where no
+ * road map covers the trip the route is a straight-line estimate, and says so.
+ */
+
+import React, { useState } from 'react';
+
+/**
+ * @param {Object} props
+ * @param {Object} props.route - Route from /api/route ({ distance, duration, steps, trafficLevel, detour, hazardWarning, source, note })
+ * @param {string} props.destinationName - Facility name shown in the header
+ * @param {Function} props.onStepClick - Called with [lat, lng] of the clicked maneuver
+ */
+function DirectionsPanel({ route, destinationName, onStepClick }) {
+  const [isOpen, setIsOpen] = useState(true);
+
+  // Running total of minutes so each step shows when you'll reach it
+  let elapsed = 0;
+  const steps = route.steps.map(step => {
+    const eta = Math.round(elapsed);
+    elapsed += step.duration;
+    return { ...step, eta };
+  });
+
+  return (
+    <div className="directions-panel">
+      <button className="directions-toggle" onClick={() => setIsOpen(!isOpen)}>
+        <span>
+          <strong>Directions to {destinationName}</strong>
+          <span className="directions-summary">{route.distance} · {route.duration}</span>
+        </span>
+        <span>{isOpen ? '▲' : '▼'}</span>
+      </button>
+
+      {route.source === 'straight-line' && (
+        <p className="directions-estimate">{route.note}</p>
+      )}
+
+      {route.hazardWarning && (
+        <p className="directions-detour">{route.hazardWarning.message}</p>
+      )}
+
+      {route.detour && (
+        <p className="directions-detour">
+          Avoids {route.detour.hazards.map(hazard => hazard.name).join(', ')}
+          {route.detour.extraMinutes > 0 && ` (+${route.detour.extraMinutes} min)`}
+        </p>
+      )}
+
+      {isOpen && (
+        <ol className="directions-steps">
+          {steps.map((step, idx) => (
+            <li
+              key={idx}
+              className="directions-step"
+              onClick={() => onStepClick(step.maneuver.location)}
+              title="Show on map"
+            >
+              <span className="step-instruction">{step.instruction}</span>
+              <span className="step-meta">
+                {step.distance > 0 && `${step.distance.toFixed(2)} mi · `}
+                ETA {step.eta} min
+              </span>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
+
+export default DirectionsPanel;
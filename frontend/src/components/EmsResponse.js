@@ -0,0 +1,60 @@
+/**
+ * EmsResponse
+ * What happens after calling 911: which ambulance comes, when it reaches the
+ * patient, which hospital the crew takes them to and when - next to how long
+ * getting there themselves would take. Comes with the recommendation
+ * (POST /api/decision → ems) whenever the patient goes by ambulance.
+ */
+
+import React from 'react';
+import { formatClockTime } from '../services/time';
+
+/**
+ * How care starting with paramedics compares with going yourself
+ */
+const describeComparison = (ems) => {
+  const { selfTransport, careSoonerMinutes } = ems;
+  if (!selfTransport) return 'No safe way to get there yourself';
+  if (careSoonerMinutes > 0) {
+    return `Care starts ${careSoonerMinutes} min sooner than going yourself (${selfTransport.label.toLowerCase()}: at hospital around ${formatClockTime(selfTransport.arriveAtHospital)})`;
+  }
+  return `${selfTransport.label} would reach the hospital around ${formatClockTime(selfTransport.arriveAtHospital)} - but with no care on the way`;
+};
+
+/**
+ * @param {Object} props
+ * @param {Object} props.ems - Simulated EMS response from the recommendation
+ */
+function EmsResponse({ ems }) {
+  if (!ems) return null;
+
+  const { destination } = ems;
+
+  return (
+    <div className="ems-response">
+      <strong>911 response</strong>
+      <ol className="ems-timeline">
+        <li>
+          <span>{formatClockTime(ems.arriveAtPatient)}</span>
+          <span>
+            {ems.unit ? `${ems.unit.name} (${ems.unit.level}) from ${ems.station.name}` : 'Mutual aid ambulance'} reaches you
+            <small> - {ems.responseMinutes} min after the call</small>
+          </span>
+        </li>
+        <li>
+          <span>{formatClockTime(ems.arriveAtHospital)}</span>
+          <span>
+            At {destination.name}
+            <small> - {ems.transportMinutes} min transport{destination.bypassed ? `, ${destination.bypassed.extraMinutes} min further than ${destination.bypassed.name} for its specialists` : ''}</small>
+          </span>
+        </li>
+      </ol>
+      {ems.notes.map(note => (
+        <p key={note} className="ems-note">{note}</p>
+      ))}
+      <p className="ems-comparison">{describeComparison(ems)}</p>
+    </div>
+  );
+}
+
+export default EmsResponse;
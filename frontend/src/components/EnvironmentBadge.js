@@ -0,0 +1,33 @@
+/**
+ * EnvironmentBadge
+ * Header badge with how hot it feels and the air quality where the patient
+ * is, colored by the worse of the two - from the facility updates
+ * (GET /api/facilities → environment). Renders nothing until there is a reading.
+ */
+
+import React from 'react';
+
+// Heat index levels and AQI categories (backend/services/environmentService.js) → badge color
+const HEAT_CLASSES = { 'extreme-caution': 'caution', danger: 'danger', 'extreme-danger': 'danger' };
+const AIR_CLASSES = { 'unhealthy-sensitive': 'caution', unhealthy: 'danger', 'very-unhealthy': 'danger', hazardous: 'danger' };
+
+/**
+ * @param {Object} props
+ * @param {Object|null} props.environment - { temperature, heatIndex, heat, aqi, air, pollutantLabel, source }
+ */
+function EnvironmentBadge({ environment }) {
+  if (!environment) return null;
+  const classes = [HEAT_CLASSES[environment.heat.level], AIR_CLASSES[environment.air.level]];
+  const level = classes.includes('danger') ? 'danger' : classes.includes('caution') ? 'caution' : 'ok';
+
+  return (
+    <div
+      className={`environment-badge environment-${level}`}
+      title={`Heat: ${environment.heat.label} · Air: ${environment.air.label} (${environment.pollutantLabel}) · Source: ${environment.source}`}
+    >
+      {environment.temperature}°F{environment.heatIndex > environment.temperature && ` (feels ${environment.heatIndex}°F)`} · AQI {environment.aqi}
+    </div>
+  );
+}
+
+export default EnvironmentBadge;
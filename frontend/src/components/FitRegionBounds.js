@@ -0,0 +1,29 @@
+/**
+ * FitRegionBounds
+ * Fits the Leaflet map to a region's bounds whenever the shown region changes
+ * Must be rendered inside <MapContainer> (react-leaflet hooks need the map context)
+ */
+
+import { useEffect, useRef } from 'react';
+import { useMap } from 'react-leaflet';
+
+/**
+ * @param {Object} props
+ * @param {Object|null} props.region - { id, bounds: { south, west, north, east } } from the backend, null until known
+ */
+function FitRegionBounds({ region }) {
+  const map = useMap();
+  const fittedId = useRef(null);
+
+  // Only on a new region - panning around within one shouldn't snap back
+  useEffect(() => {
+    if (!region || region.id === fittedId.current) return;
+    const { south, west, north, east } = region.bounds;
+    map.fitBounds([[south, west], [north, east]]);
+    fittedId.current = region.id;
+  }, [map, region]);
+
+  return null;
+}
+
+export default FitRegionBounds;
@@ -0,0 +1,92 @@
+/**
+ * HazardOverlays
+ * Draws evacuation mode hazards on the map - shaded areas to keep out of and
+ * dashed lines along closed roads - each with a popup saying what it is and
+ * until when. Hazards come with the facility updates (GET /api/facilities).
+ * Must be rendered inside <MapContainer>.
+ */
+
+import React from 'react';
+import { Polygon, Polyline, Popup } from 'react-leaflet';
+import { formatLocalTime } from '../services/time';
+
+// Area fill by category; closures are always drawn in HAZARD_CLOSURE_COLOR
+export const HAZARD_COLORS = {
+  flood: '#1c7ed6',
+  fire: '#e8590c',
+  hazmat: '#9c36b5',
+  'storm-damage': '#5c940d',
+  'police-activity': '#364fc7',
+  construction: '#f08c00',
+  other: '#868e96'
+};
+export const HAZARD_CLOSURE_COLOR = '#c92a2a';
+
+/**
+ * GeoJSON [lng, lat] positions → Leaflet [lat, lng]
+ */
+const toLatLngs = (positions) => positions.map(([lng, lat]) => [lat, lng]);
+
+/**
+ * Leaflet positions for a hazard's geometry
+ * Polygon → rings; MultiPolygon → polygons of rings; LineString → line; MultiLineString → lines
+ */
+const toLeafletPositions = ({ type, coordinates }) => {
+  if (type === 'Polygon' || type === 'MultiLineString') return coordinates.map(toLatLngs);
+  if (type === 'MultiPolygon') return coordinates.map(polygon => polygon.map(toLatLngs));
+  return toLatLngs(coordinates);
+};
+
+/**
+ * @param {Object} props
+ * @param {Object} props.hazard - { name, kind, category, description, endsAt (the region's local time, null = until removed) }
+ */
+function HazardPopup({ hazard }) {
+  return (
+    <Popup>
+      <div style={{ minWidth: '180px' }}>
+        <h3 style={{ margin: '0 0 8px 0', fontSize: '14px', color: HAZARD_CLOSURE_COLOR }}>{hazard.name}</h3>
+        <p style={{ margin: '5px 0', fontSize: '13px' }}>
+          {hazard.kind === 'closure' ? 'Road closed' : 'Keep out'} · {hazard.category.replace('-', ' ')}
+        </p>
+        {hazard.description && <p style={{ margin: '5px 0', fontSize: '12px' }}>{hazard.description}</p>}
+        <p style={{ margin: '5px 0', fontSize: '12px', color: '#666' }}>
+          {hazard.endsAt ? `Until ${formatLocalTime(hazard.endsAt.slice(0, 16))}` : 'Until further notice'}
+        </p>
+      </div>
+    </Popup>
+  );
+}
+
+/**
+ * @param {Object} props
+ * @param {Array} props.hazards - Hazards in force, from the facility update (may be empty)
+ */
+function HazardOverlays({ hazards }) {
+  return hazards.map(hazard => (hazard.kind === 'closure'
+    ? (
+      <Polyline
+        key={hazard.id}
+        positions={toLeafletPositions(hazard.geometry)}
+        pathOptions={{ color: HAZARD_CLOSURE_COLOR, weight: 7, opacity: 0.9, dashArray: '8, 8' }}
+      >
+        <HazardPopup hazard={hazard} />
+      </Polyline>
+    )
+    : (
+      <Polygon
+        key={hazard.id}
+        positions={toLeafletPositions(hazard.geometry)}
+        pathOptions={{
+          color: HAZARD_COLORS[hazard.category] || HAZARD_COLORS.other,
+          fillColor: HAZARD_COLORS[hazard.category] || HAZARD_COLORS.other,
+          fillOpacity: 0.3,
+          weight: 2
+        }}
+      >
+        <HazardPopup hazard={hazard} />
+      </Polygon>
+    )));
+}
+
+export default HazardOverlays;
@@ -0,0 +1,89 @@
+/**
+ * LocationPicker
+ * Lets the user choose where they are starting from:
+ * 1. "Use my location" - browser geolocation
+ * 2. Address / place search - resolved by the backend's offline gazetteer for the region shown
+ * 3. Clicking on the map (handled by MapClickHandler, mentioned in the hint)
+ */
+
+import React, { useState } from 'react';
+import { geocodeAddress } from '../services/api';
+
+/**
+ * @param {Object} props
+ * @param {Object} props.origin - Current origin { position: [lat, lng], label, detail }
+ * @param {Object} props.region - Region shown ({ id, name }) - searches stay inside it
+ * @param {Function} props.onSelect - Called with a new origin { position, label, detail }
+ * @param {Function} props.onUseMyLocation - Called when the user asks for browser geolocation
+ * @param {string} props.locating - Status text while geolocation is running (empty when idle)
+ */
+function LocationPicker({ origin, region, onSelect, onUseMyLocation, locating }) {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [searchMessage, setSearchMessage] = useState('');
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    if (!query.trim()) return;
+
+    setSearchMessage('Searching...');
+    geocodeAddress(query, region?.id)
+      .then(matches => {
+        setResults(matches);
+        setSearchMessage(matches.length === 0
+          ? `No address or place found in ${region ? region.name : 'this region'}. Try a street intersection like "10th St & Peachtree St", or click the map.`
+          : '');
+      })
+      .catch(() => setSearchMessage('Address search is unavailable - is the backend running?'));
+  };
+
+  const handleResultClick = (match) => {
+    onSelect({
+      position: [match.position.lat, match.position.lng],
+      label: match.name,
+      detail: match.address
+    });
+    setResults([]);
+    setQuery('');
+  };
+
+  return (
+    <div className="location-picker">
+      <p className="location-info">
+        Current Location: {origin.label}{origin.detail && ` (${origin.detail})`}
+      </p>
+
+      <form className="location-search" onSubmit={handleSearch}>
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search address, place or intersection"
+          className="location-input"
+        />
+        <button type="submit" className="location-btn">Search</button>
+        <button type="button" className="location-btn" onClick={onUseMyLocation}>
+          Use my location
+        </button>
+      </form>
+
+      {locating && <p className="location-hint">{locating}</p>}
+      {searchMessage && <p className="location-hint">{searchMessage}</p>}
+
+      {results.length > 0 && (
+        <ul className="location-results">
+          {results.map((match, idx) => (
+            <li key={idx} onClick={() => handleResultClick(match)}>
+              <strong>{match.name}</strong>
+              <span>{match.address}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <p className="location-hint">Or click anywhere on the map to set your location.</p>
+    </div>
+  );
+}
+
+export default LocationPicker;
@@ -0,0 +1,20 @@
+/**
+ * MapClickHandler
+ * Listens for clicks on the Leaflet map and reports the clicked point
+ * Must be rendered inside <MapContainer> (react-leaflet hooks need the map context)
+ */
+
+import { useMapEvents } from 'react-leaflet';
+
+/**
+ * @param {Object} props
+ * @param {Function} props.onClick - Called with (lat, lng) of the clicked point
+ */
+function MapClickHandler({ onClick }) {
+  useMapEvents({
+    click: (e) => onClick(e.latlng.lat, e.latlng.lng)
+  });
+  return null;
+}
+
+export default MapClickHandler;
@@ -0,0 +1,34 @@
+/**
+ * OfflineBanner
+ * Shown while the backend can't be reached: says how old the facility data
+ * on screen is - the last snapshot kept on this device (services/offlineStore.js) -
+ * and that recommendations are worked out from it (services/offlineRecommendation.js).
+ */
+
+import React from 'react';
+import { formatLocalTime, toRegionTime } from '../services/time';
+
+/**
+ * @param {Object} props
+ * @param {Object|null} props.snapshot - { value: { simulatedAt, region, ... }, savedAt } or null if none was kept
+ */
+function OfflineBanner({ snapshot }) {
+  if (!snapshot) {
+    return (
+      <div className="offline-banner" role="status">
+        <strong>Offline.</strong> No facility data has been saved on this device yet - call 911 in an emergency.
+      </div>
+    );
+  }
+
+  const { simulatedAt, region } = snapshot.value;
+  return (
+    <div className="offline-banner" role="status">
+      <strong>Offline - last updated {formatLocalTime(toRegionTime(snapshot.savedAt, region?.timezone))}.</strong>{' '}
+      Wait times and open hours shown are from then{simulatedAt ? ` (simulated for ${formatLocalTime(simulatedAt)})` : ''},
+      and recommendations are estimated on this device until the connection is back.
+    </div>
+  );
+}
+
+export default OfflineBanner;
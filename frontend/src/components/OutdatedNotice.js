@@ -0,0 +1,57 @@
+/**
+ * OutdatedNotice
+ * Warns that the shown recommendation may no longer be the best one - its
+ * facility has closed, gone from the registry, stopped taking patients
+ * (evacuation mode) or its wait has jumped since the recommendation was worked out - with a button to work it out again.
+ * Facility changes arrive live (GET /api/facilities/stream).
+ */
+
+import React from 'react';
+
+// A wait this much longer than when the recommendation was made is worth a second look
+const WAIT_JUMP_MINUTES = 20;
+
+// Operational statuses that turn every patient away (matches backend/services/hazardService.js)
+const NOT_ACCEPTING = { diverting: 'has gone on diversion', evacuating: 'is evacuating' };
+
+/**
+ * Why the recommendation is outdated, or null if it still holds
+ * @param {Object} recommended - The facility as it was in the recommendation
+ * @param {Object} current - The same facility from the latest update (undefined if it's gone)
+ */
+const describeOutdated = (recommended, current) => {
+  if (!current) return `${recommended.name} is no longer listed`;
+  if (recommended.status === 'Open' && current.status !== 'Open') {
+    return `${current.name} has closed${current.statusDetail ? ` (${current.statusDetail})` : ''}`;
+  }
+  if (NOT_ACCEPTING[current.operationalStatus]) {
+    return `${current.name} ${NOT_ACCEPTING[current.operationalStatus]}`;
+  }
+  if (current.hazard && !recommended.hazard) {
+    return `${current.name} is now inside the ${current.hazard.name} area`;
+  }
+  if (current.currentWaitTime - recommended.currentWaitTime >= WAIT_JUMP_MINUTES) {
+    return `The wait at ${current.name} went up from ${recommended.currentWaitTime} to ${current.currentWaitTime} min`;
+  }
+  return null;
+};
+
+/**
+ * @param {Object} props
+ * @param {Object} props.recommended - Recommended facility, as returned with the recommendation
+ * @param {Object} props.current - That facility in the latest facility update
+ * @param {Function} props.onRecompute - Ask for a new recommendation
+ */
+function OutdatedNotice({ recommended, current, onRecompute }) {
+  const reason = describeOutdated(recommended, current);
+  if (!reason) return null;
+
+  return (
+    <div className="outdated-notice">
+      <span><strong>This recommendation may be out of date.</strong> {reason}.</span>
+      <button type="button" onClick={onRecompute}>Recompute</button>
+    </div>
+  );
+}
+
+export default OutdatedNotice;
@@ -0,0 +1,170 @@
+/**
+ * ProfileBuilder
+ * Form for a custom patient profile. The fields, options and labels come from
+ * the backend schema (GET /api/profiles/schema), so the form always matches
+ * what the decision engine accepts. Profiles can be saved by name in
+ * localStorage and loaded again later.
+ */
+
+import React, { useState } from 'react';
+import { validateProfile } from '../services/api';
+import { loadSavedProfiles, saveProfile, deleteSavedProfile } from '../services/profileStorage';
+
+/**
+ * One form control for a schema field
+ * @param {Object} props
+ * @param {Object} props.field - Field definition from the schema
+ * @param {*} props.value - Current value (undefined = not set)
+ * @param {Function} props.onChange - Called with the new value
+ */
+function ProfileField({ field, value, onChange }) {
+  switch (field.type) {
+    case 'integer':
+      return (
+        <label className="profile-field">
+          {field.label}
+          <input
+            type="number"
+            min={field.min}
+            max={field.max}
+            value={value ?? ''}
+            onChange={(e) => onChange(e.target.value === '' ? undefined : Number(e.target.value))}
+          />
+        </label>
+      );
+    case 'boolean':
+      return (
+        <label className="profile-field profile-checkbox">
+          <input type="checkbox" checked={value ?? field.default} onChange={(e) => onChange(e.target.checked)} />
+          {field.label}
+        </label>
+      );
+    case 'choice':
+      return (
+        <label className="profile-field">
+          {field.label}
+          <select value={value ?? field.default} onChange={(e) => onChange(e.target.value)}>
+            {field.options.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+      );
+    case 'list': {
+      const selected = value ?? field.default;
+      return (
+        <fieldset className="profile-field profile-list">
+          <legend>{field.label}</legend>
+          {field.options.map(option => (
+            <label key={option.value} className="profile-checkbox">
+              <input
+                type="checkbox"
+                checked={selected.includes(option.value)}
+                onChange={(e) => onChange(e.target.checked
+                  ? [...selected, option.value]
+                  : selected.filter(item => item !== option.value))}
+              />
+              {option.label}
+            </label>
+          ))}
+        </fieldset>
+      );
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * @param {Object} props
+ * @param {Object} props.schema - { fields, severities } from GET /api/profiles/schema
+ * @param {Object} props.profile - The profile being edited
+ * @param {Function} props.onChange - Called with the updated profile
+ */
+function ProfileBuilder({ schema, profile, onChange }) {
+  const [savedProfiles, setSavedProfiles] = useState(loadSavedProfiles);
+  const [name, setName] = useState('');
+  const [errors, setErrors] = useState([]);
+  const [message, setMessage] = useState('');
+
+  const handleFieldChange = (field, value) => {
+    setErrors([]);
+    setMessage('');
+    onChange({ ...profile, [field]: value });
+  };
+
+  const handleSave = () => {
+    const trimmed = name.trim();
+    if (!trimmed) {
+      setErrors(['Enter a name to save this profile under']);
+      return;
+    }
+    validateProfile(profile)
+      .then(result => {
+        setErrors(result.errors);
+        if (result.profile) {
+          setSavedProfiles(saveProfile(trimmed, result.profile));
+          setMessage(`Saved "${trimmed}" on this device`);
+        }
+      })
+      .catch(err => setErrors([`Could not check the profile: ${err.message}`]));
+  };
+
+  const handleLoad = (savedName) => {
+    if (!savedProfiles[savedName]) return;
+    setName(savedName);
+    setErrors([]);
+    setMessage('');
+    onChange(savedProfiles[savedName]);
+  };
+
+  const handleDelete = () => {
+    if (!savedProfiles[name]) return;
+    setSavedProfiles(deleteSavedProfile(name));
+    setMessage(`Deleted "${name}"`);
+    setName('');
+  };
+
+  return (
+    <div className="profile-builder">
+      <div className="profile-fields">
+        {Object.entries(schema.fields).map(([field, definition]) => (
+          <ProfileField
+            key={field}
+            field={definition}
+            value={profile[field]}
+            onChange={(value) => handleFieldChange(field, value)}
+          />
+        ))}
+      </div>
+
+      <div className="profile-saved">
+        {Object.keys(savedProfiles).length > 0 && (
+          <select value={savedProfiles[name] ? name : ''} onChange={(e) => handleLoad(e.target.value)}>
+            <option value="">Load a saved profile...</option>
+            {Object.keys(savedProfiles).sort().map(savedName => (
+              <option key={savedName} value={savedName}>{savedName}</option>
+            ))}
+          </select>
+        )}
+        <input
+          type="text"
+          placeholder="Profile name"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+        />
+        <button type="button" onClick={handleSave}>Save</button>
+        {savedProfiles[name] && <button type="button" onClick={handleDelete}>Delete</button>}
+      </div>
+
+      {errors.length > 0 && (
+        <ul className="profile-errors">
+          {errors.map(error => <li key={error}>{error}</li>)}
+        </ul>
+      )}
+      {message && <p className="profile-message">{message}</p>}
+    </div>
+  );
+}
+
+export default ProfileBuilder;
@@ -0,0 +1,39 @@
+/**
+ * RegionSelector
+ * Switches between the regions EVAC+ covers (GET /api/regions)
+ * Picking one moves the patient to the region's default starting point -
+ * the backend then serves that region's facilities, traffic and clock.
+ * Dropping a pin or searching inside another region switches it too.
+ */
+
+import React from 'react';
+
+/**
+ * @param {Object} props
+ * @param {Array} props.regions - [{ id, name, description, timezone, defaultOrigin, ... }]
+ * @param {Object|null} props.region - The region shown, null until the backend says
+ * @param {Function} props.onSelect - Called with the chosen region
+ */
+function RegionSelector({ regions, region, onSelect }) {
+  if (regions.length < 2) return null;
+
+  return (
+    <div className="region-selector">
+      <label htmlFor="region-select"><strong>Region:</strong></label>
+      <select
+        id="region-select"
+        value={region?.id || ''}
+        onChange={(e) => onSelect(regions.find(r => r.id === e.target.value))}
+        className="persona-dropdown"
+      >
+        {!region && <option value="" disabled>Loading region...</option>}
+        {regions.map(r => (
+          <option key={r.id} value={r.id}>{r.name}</option>
+        ))}
+      </select>
+      {region?.description && <p className="region-description">{region.description}</p>}
+    </div>
+  );
+}
+
+export default RegionSelector;
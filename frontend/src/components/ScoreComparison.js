@@ -0,0 +1,130 @@
+/**
+ * ScoreComparison
+ * Every open facility that can treat the patient ranked in a table - ERs and
+ * urgent cares alike - with the points each scoring factor earned it, so the
+ * patient can see why one came out on top. Sliders change how much each
+ * factor counts and re-rank the table as they move; with both types in it,
+ * ER care and cost move facilities too.
+ *
+ * Uses the breakdown that comes with each compared facility (POST /api/decision →
+ * comparison[].breakdown: { factor: { raw, weight, points } }); a facility
+ * scores the sum of raw × weight / 100, as on the backend. Re-weighting only
+ * changes the table - the recommendation itself chooses among its candidates
+ * and also goes by preferred capabilities and by where patients have recently
+ * been sent.
+ */
+
+import React, { useState, useEffect } from 'react';
+
+// Factor names from the backend engine (services/decisionEngine.js FACTORS), in column order
+const FACTORS = [
+  { id: 'waitTime', label: 'Wait', hint: '100 - expected wait on arrival' },
+  { id: 'travelTime', label: 'Travel', hint: '50 - travel minutes (more for time outside in bad heat or air)' },
+  { id: 'expertise', label: 'ER care', hint: '100 for an ER - full emergency capabilities' },
+  { id: 'cost', label: 'Cost', hint: '100 for an urgent care - much cheaper than an ER' },
+  { id: 'familiarity', label: 'Familiarity', hint: 'The same for every facility' }
+];
+const MAX_WEIGHT = 150;
+
+/**
+ * Score a compared facility with a set of weights
+ */
+const scoreWith = (alternative, weights) => Math.round(FACTORS
+  .reduce((sum, factor) => sum + (alternative.breakdown[factor.id]?.raw || 0) * (weights[factor.id] / 100), 0) * 10) / 10;
+
+/**
+ * @param {Object} props
+ * @param {Array} props.alternatives - Ranked comparison from the recommendation (its `comparison` list)
+ */
+function ScoreComparison({ alternatives }) {
+  // The weights the recommendation scored with - every factor, 0 for those it doesn't use
+  const scoredWith = {};
+  FACTORS.forEach(factor => {
+    scoredWith[factor.id] = alternatives?.[0]?.breakdown?.[factor.id]?.weight || 0;
+  });
+  const [weights, setWeights] = useState(null);  // null = the recommendation's own
+
+  // A new recommendation starts from its own weights again
+  useEffect(() => {
+    setWeights(null);
+  }, [alternatives]);
+
+  if (!alternatives || alternatives.length === 0 || !alternatives[0].breakdown) return null;
+
+  const current = weights || scoredWith;
+  const ranked = alternatives
+    .map(alternative => ({ alternative, score: weights ? scoreWith(alternative, current) : alternative.score }))
+    .sort((a, b) => b.score - a.score || a.alternative.rank - b.alternative.rank);
+
+  return (
+    <div className="score-comparison">
+      <strong>How the facilities compare</strong>
+      <div className="score-weights">
+        {FACTORS.map(factor => (
+          <label key={factor.id} title={factor.hint}>
+            <span>{factor.label}</span>
+            <input
+              type="range"
+              min="0"
+              max={Math.max(MAX_WEIGHT, scoredWith[factor.id])}
+              step="5"
+              value={current[factor.id]}
+              onChange={e => setWeights({ ...current, [factor.id]: Number(e.target.value) })}
+            />
+            <span className="score-weight-value">{current[factor.id]}</span>
+          </label>
+        ))}
+        {weights && (
+          <button type="button" onClick={() => setWeights(null)}>Reset weights</button>
+        )}
+      </div>
+
+      <table>
+        <thead>
+          <tr>
+            <th>#</th>
+            <th>Facility</th>
+            {FACTORS.map(factor => <th key={factor.id} title={factor.hint}>{factor.label}</th>)}
+            <th>Score</th>
+          </tr>
+        </thead>
+        <tbody>
+          {ranked.map(({ alternative, score }, index) => {
+            const moved = alternative.rank - (index + 1);
+            return (
+              <tr key={alternative.facility.id} className={alternative.recommended ? 'chosen' : ''}>
+                <td>
+                  {index + 1}
+                  {moved !== 0 && <span className="score-moved">{moved > 0 ? ` ▲${moved}` : ` ▼${-moved}`}</span>}
+                </td>
+                <td>
+                  {alternative.facility.name}
+                  {alternative.recommended && <span className="score-note"> · recommended</span>}
+                  {alternative.candidate === false && <span className="score-note"> · not considered this time</span>}
+                </td>
+                {FACTORS.map(factor => {
+                  const entry = alternative.breakdown[factor.id];
+                  return (
+                    <td key={factor.id} title={entry ? `${entry.raw} × ${current[factor.id]}%` : ''}>
+                      {entry ? Math.round(entry.raw * current[factor.id] / 10) / 10 : 0}
+                    </td>
+                  );
+                })}
+                <td><strong>{score}</strong></td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      {ranked[0] && !ranked[0].alternative.recommended && (
+        <p className="score-note">
+          The recommendation only considers the facility types suited to your situation, and also goes
+          by the care your conditions call for and by where patients have recently been sent, not by
+          score alone.
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default ScoreComparison;
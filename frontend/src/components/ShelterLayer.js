@@ -0,0 +1,103 @@
+/**
+ * ShelterLayer
+ * Draws emergency shelters, cooling centers and warming centers on the map,
+ * colored by kind - solid while open, faded on standby or when closed or
+ * full - each with a popup saying whether it is open, how much room is left,
+ * what it offers and its pet policy. Shelters come with the facility updates
+ * (GET /api/facilities → shelters). Must be rendered inside <MapContainer>.
+ */
+
+import React from 'react';
+import { CircleMarker, Popup } from 'react-leaflet';
+import { formatClockTime, formatLocalTime } from '../services/time';
+
+export const SHELTER_COLORS = {
+  'emergency-shelter': '#7048e8',
+  'cooling-center': '#1098ad',
+  'warming-center': '#f76707'
+};
+
+const STATUS_COLORS = { Open: 'green', Full: '#e67700', Closed: 'red', Standby: '#868e96' };
+
+/**
+ * Vocabulary list → { id: label }
+ */
+const toLabels = (entries = []) => Object.fromEntries(entries.map(({ id, label }) => [id, label]));
+
+/**
+ * @param {Object} props
+ * @param {Object} props.shelter - Shelter from the facility update
+ * @param {Object} props.vocabulary - From GET /api/shelters/vocabulary (null until loaded)
+ */
+function ShelterPopup({ shelter, vocabulary }) {
+  const features = toLabels(vocabulary?.accessibility);
+  const petPolicies = toLabels(vocabulary?.petPolicies);
+  return (
+    <Popup>
+      <div style={{ minWidth: '220px' }}>
+        <h3 style={{ margin: '0 0 8px 0', fontSize: '15px', color: SHELTER_COLORS[shelter.kind] }}>{shelter.name}</h3>
+        <p style={{ margin: '5px 0' }}><strong>Type:</strong> {shelter.kindLabel}</p>
+        <p style={{ margin: '5px 0' }}>
+          <strong>Status:</strong> <span style={{ color: STATUS_COLORS[shelter.status] }}>{shelter.status}</span>
+          {shelter.statusDetail && ` · ${shelter.statusDetail}`}
+        </p>
+        {shelter.activeFor.length > 0 && (
+          <p style={{ margin: '5px 0', fontSize: '12px' }}>
+            Open for the {shelter.activeFor.map(event => event.name).join(' and ')}
+            {shelter.activeUntil && ` until ${formatLocalTime(shelter.activeUntil.slice(0, 16))}`}
+          </p>
+        )}
+        <p style={{ margin: '5px 0' }}>
+          <strong>Space:</strong> {shelter.available} of {shelter.capacity} places free
+          {shelter.occupancyAsOf && <span style={{ fontSize: '12px', color: '#666' }}> (counted {formatClockTime(shelter.occupancyAsOf)})</span>}
+        </p>
+        {shelter.travelTime && shelter.travelTime.time > 0 && (
+          <p style={{ margin: '5px 0' }}><strong>Travel Time:</strong> ~{shelter.travelTime.time} min ({shelter.travelTime.distance} mi)</p>
+        )}
+        {shelter.travelTime?.unreachable && (
+          <p style={{ margin: '5px 0', fontSize: '12px', color: '#c92a2a' }}>Cut off - every road there is closed by {shelter.travelTime.detour.hazards.map(h => h.name).join(', ')}</p>
+        )}
+        {shelter.accessibility.length > 0 && (
+          <p style={{ margin: '5px 0', fontSize: '12px' }}><strong>Offers:</strong> {shelter.accessibility.map(id => features[id] || id).join(', ')}</p>
+        )}
+        <p style={{ margin: '5px 0', fontSize: '12px' }}><strong>Pets:</strong> {petPolicies[shelter.petPolicy] || shelter.petPolicy}</p>
+        {shelter.hazard && (
+          <p style={{ margin: '5px 0', fontSize: '12px', color: '#c92a2a' }}>Inside the {shelter.hazard.name} area - not taking people</p>
+        )}
+        {shelter.description && <p style={{ margin: '5px 0', fontSize: '12px', color: '#666' }}>{shelter.description}</p>}
+        {shelter.address && <p style={{ margin: '5px 0', fontSize: '12px', color: '#666' }}>{shelter.address}</p>}
+      </div>
+    </Popup>
+  );
+}
+
+/**
+ * @param {Object} props
+ * @param {Array} props.shelters - Shelters from the facility update (may be empty)
+ * @param {Object} props.vocabulary - From GET /api/shelters/vocabulary (null until loaded)
+ * @param {number|null} props.highlightedId - The recommended shelter, drawn larger with a gold ring
+ */
+function ShelterLayer({ shelters, vocabulary, highlightedId }) {
+  return shelters.map(shelter => {
+    const open = shelter.status === 'Open' && !shelter.hazard;
+    const highlighted = shelter.id === highlightedId;
+    return (
+      <CircleMarker
+        key={shelter.id}
+        center={[shelter.position.lat, shelter.position.lng]}
+        radius={highlighted ? 12 : 8}
+        pathOptions={{
+          color: highlighted ? '#ffd43b' : SHELTER_COLORS[shelter.kind],
+          fillColor: SHELTER_COLORS[shelter.kind],
+          fillOpacity: open ? 0.85 : 0.25,
+          weight: highlighted ? 4 : 2,
+          dashArray: shelter.status === 'Standby' ? '3, 3' : null
+        }}
+      >
+        <ShelterPopup shelter={shelter} vocabulary={vocabulary} />
+      </CircleMarker>
+    );
+  });
+}
+
+export default ShelterLayer;
@@ -0,0 +1,53 @@
+/**
+ * ShelterRecommendation
+ * The answer to "where can we go to stay safe?" - the shelter or cooling /
+ * warming center to relocate to, how much room it has, its hours and what it
+ * offers, or who to call when nothing suitable is open. Comes from
+ * POST /api/decision with need: 'shelter'.
+ */
+
+import React from 'react';
+import TransportOptions from './TransportOptions';
+import { formatClockTime } from '../services/time';
+
+/**
+ * @param {Object} props
+ * @param {Object} props.recommendation - Shelter recommendation from the decision engine
+ */
+function ShelterRecommendation({ recommendation }) {
+  const { shelter, weatherEvents, travelTime } = recommendation;
+
+  return (
+    <div className="recommendation-result shelter-result">
+      <h3>Recommendation: {recommendation.decision}{recommendation.offline && ' (offline estimate)'}</h3>
+      {weatherEvents.length > 0 && (
+        <p className="shelter-events">
+          In force: {weatherEvents.map(event => `${event.name} (${event.typeLabel.toLowerCase()})`).join(', ')}
+        </p>
+      )}
+      {shelter && (
+        <div className="facility-recommendation">
+          <h4>{shelter.name}</h4>
+          <p><strong>Type:</strong> {shelter.kindLabel}</p>
+          <p><strong>Space:</strong> {shelter.available} of {shelter.capacity} places free</p>
+          {travelTime && (
+            <p><strong>Travel Time ({travelTime.label}):</strong> {travelTime.time} min ({travelTime.distance} miles), arriving around {formatClockTime(recommendation.arriveAt)}</p>
+          )}
+          {shelter.statusDetail && <p><strong>Hours:</strong> {shelter.statusDetail}</p>}
+          {shelter.address && <p><strong>Address:</strong> {shelter.address}</p>}
+        </div>
+      )}
+      <TransportOptions transport={recommendation.transport} />
+      <div className="reasoning">
+        <strong>Why this recommendation:</strong>
+        <ul>
+          {recommendation.reasoning.map((reason, idx) => (
+            <li key={idx}>{reason}</li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+}
+
+export default ShelterRecommendation;
@@ -0,0 +1,90 @@
+/**
+ * TimeSimulator
+ * Picks the moment the app simulates: any date and time (the region's local time),
+ * a time-of-day shortcut, or "Now". Play steps through the next 24 hours
+ * one hour at a time so you can watch wait times, traffic, opening hours
+ * and the recommendation shift.
+ */
+
+import React from 'react';
+import { getRegionNow, setHour, getHour, formatLocalTime } from '../services/time';
+
+// Time-of-day shortcuts (applied to the selected date)
+const TIME_PRESETS = [
+  { hour: 0, label: '12 AM - Midnight' },
+  { hour: 2, label: '2 AM - Late Night' },
+  { hour: 6, label: '6 AM - Early Morning' },
+  { hour: 7, label: '7 AM - Morning Rush Hour' },
+  { hour: 9, label: '9 AM - Business Hours Start' },
+  { hour: 12, label: '12 PM - Noon / Lunch Time' },
+  { hour: 14, label: '2 PM - Afternoon' },
+  { hour: 16, label: '4 PM - Pre-Rush Hour' },
+  { hour: 17, label: '5 PM - Evening Rush Hour' },
+  { hour: 19, label: '7 PM - Evening' },
+  { hour: 20, label: '8 PM - Evening (UC Closing)' },
+  { hour: 22, label: '10 PM - Night' }
+];
+
+/**
+ * @param {Object} props
+ * @param {string|null} props.simulatedAt - 'YYYY-MM-DDTHH:MM' local time, or null for live current time
+ * @param {Object|null} props.region - The region shown ({ name, timezone, ... }), null until it is known
+ * @param {Function} props.onChange - Called with a new simulatedAt (null = back to live time)
+ * @param {boolean} props.playing - Whether play mode is stepping through the day
+ * @param {Function} props.onTogglePlay - Start or stop play mode
+ * @param {string} props.trafficLevel - Traffic at the selected time
+ */
+function TimeSimulator({ simulatedAt, region, onChange, playing, onTogglePlay, trafficLevel }) {
+  const selectedTime = simulatedAt || getRegionNow(region?.timezone);
+  const preset = TIME_PRESETS.find(({ hour }) => simulatedAt && simulatedAt.endsWith(':00') && hour === getHour(simulatedAt));
+
+  return (
+    <div className="time-simulator">
+      <label><strong>Date & Time Simulator:</strong></label>
+      <div className="time-picker-row">
+        <input
+          type="datetime-local"
+          value={selectedTime}
+          onChange={(e) => e.target.value && onChange(e.target.value)}
+          className="time-selector"
+        />
+        <button
+          type="button"
+          className="time-now-btn"
+          onClick={() => onChange(null)}
+          disabled={simulatedAt === null && !playing}
+        >
+          Now
+        </button>
+        <button
+          type="button"
+          className={playing ? 'time-play-btn playing' : 'time-play-btn'}
+          onClick={onTogglePlay}
+        >
+          {playing ? 'Pause' : 'Play 24h'}
+        </button>
+      </div>
+      <select
+        value={preset ? preset.hour : ''}
+        onChange={(e) => onChange(setHour(selectedTime, parseInt(e.target.value)))}
+        className="time-selector"
+      >
+        <option value="" disabled>Jump to a time of day...</option>
+        {TIME_PRESETS.map(({ hour, label }) => (
+          <option key={hour} value={hour}>{label}</option>
+        ))}
+      </select>
+      <p className="simulator-note">
+        {simulatedAt === null
+          ? `Using the current time in ${region ? region.name : 'the region'}. Pick any date and time, or press Play to watch a day unfold.`
+          : 'Day of week, season, opening hours and holidays all affect the results.'}
+      </p>
+      <div className="current-conditions">
+        <span><strong>{simulatedAt === null ? 'Now:' : 'Selected Time:'}</strong> {formatLocalTime(selectedTime)}</span>
+        <span className="traffic-dot"><strong>Traffic:</strong> <span className={`traffic-${trafficLevel}`}>{trafficLevel.toUpperCase()}</span></span>
+      </div>
+    </div>
+  );
+}
+
+export default TimeSimulator;
@@ -0,0 +1,73 @@
+/**
+ * TransportOptions
+ * Every way of getting to the recommended facility side by side - drive,
+ * rideshare, transit, walk, an accessible ride, ambulance - with the time and cost of each.
+ * The mode the recommendation uses is highlighted; modes the patient can't
+ * use say why. Comes with the recommendation (POST /api/decision → transport).
+ */
+
+import React from 'react';
+import { formatClockTime } from '../services/time';
+
+/**
+ * Trip cost for display, e.g. '$2.50', '$1,141' or 'Free'
+ */
+const formatCost = (option) => {
+  if (option.cost === 0) return 'Free';
+  return option.cost >= 100 ? `$${Math.round(option.cost).toLocaleString('en-US')}` : `$${option.cost.toFixed(2)}`;
+};
+
+/**
+ * One-line detail for a mode, e.g. the transit routes or the ambulance response time
+ */
+const describeOption = (option) => {
+  switch (option.mode) {
+    case 'rideshare':
+      return `Pickup in ~${option.pickupMinutes} min${option.surge > 1 ? `, ${option.surge}x surge` : ''}`;
+    case 'accessible':
+      return `Pickup in ~${option.pickupMinutes} min - paratransit, medical transport or a caretaker`;
+    case 'transit':
+      return `${option.routes.join(' → ')} - board ${formatClockTime(option.boardAt)}, ${option.walkMiles} mi walking`;
+    case 'ambulance':
+      return `${option.dispatch.unit ? option.dispatch.unit.name : 'Mutual aid'} reaches you in ~${option.responseMinutes} min; ${option.costNote.toLowerCase()}`;
+    default:
+      return `${option.distance} mi`;
+  }
+};
+
+/**
+ * @param {Object} props
+ * @param {Object} props.transport - { mode, options } from the recommendation
+ */
+function TransportOptions({ transport }) {
+  if (!transport) return null;
+
+  return (
+    <div className="transport-options">
+      <strong>Getting there</strong>
+      <table>
+        <tbody>
+          {transport.options.map(option => (
+            <tr
+              key={option.mode}
+              className={option.mode === transport.mode ? 'chosen' : option.available ? '' : 'unavailable'}
+            >
+              <td>{option.label}</td>
+              {option.available ? (
+                <>
+                  <td>{option.time} min</td>
+                  <td>{formatCost(option)}</td>
+                  <td className="transport-detail">{describeOption(option)}</td>
+                </>
+              ) : (
+                <td colSpan={3} className="transport-detail">{option.reason}</td>
+              )}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default TransportOptions;
@@ -0,0 +1,104 @@
+/**
+ * TriageQuestionnaire
+ * Asks the symptom questions one at a time (POST /api/triage decides what to
+ * ask next) until the backend has a severity and acuity score - or a red
+ * flag, which means calling 911 straight away. The answers given are listed
+ * so the patient can step back and change one.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { evaluateTriage } from '../services/api';
+
+/**
+ * @param {Object} props
+ * @param {Function} props.onResult - Called with { answers, result } once triage is
+ *   finished, and with null while questions remain
+ */
+function TriageQuestionnaire({ onResult }) {
+  // { questionId: answer value } - only answers on the current path are kept
+  const [answers, setAnswers] = useState({});
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    evaluateTriage(answers)
+      .then(evaluated => {
+        if (cancelled) return;
+        setError('');
+        setResult(evaluated);
+        onResult(evaluated.complete ? { answers, result: evaluated } : null);
+      })
+      .catch(err => {
+        if (!cancelled) setError(`Could not load the questions: ${err.message}`);
+      });
+    return () => { cancelled = true; };
+  }, [answers, onResult]);
+
+  /**
+   * Answers on the path up to (not including) the given step
+   */
+  const answersBefore = (stepCount) => Object.fromEntries(
+    result.path.slice(0, stepCount).map(step => [step.question, step.answer])
+  );
+
+  const handleAnswer = (value) => {
+    setAnswers({ ...answersBefore(result.path.length), [result.next.id]: value });
+  };
+
+  if (error) return <p className="triage-error">{error}</p>;
+  if (!result) return <p className="triage-loading">Loading questions...</p>;
+
+  return (
+    <div className="triage">
+      {result.path.length > 0 && (
+        <ol className="triage-path">
+          {result.path.map((step, index) => (
+            <li key={step.question}>
+              <span className="triage-question">{step.text}</span>
+              <span className="triage-answer">{step.label}</span>
+              <button type="button" className="triage-change" onClick={() => setAnswers(answersBefore(index))}>
+                Change
+              </button>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {!result.complete && (
+        <div className={result.next.redFlag ? 'triage-next red-flag' : 'triage-next'}>
+          <p>{result.next.text}</p>
+          <div className="triage-answers">
+            {result.next.answers.map(answer => (
+              <button type="button" key={answer.value} onClick={() => handleAnswer(answer.value)}>
+                {answer.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {result.complete && result.emergency && (
+        <div className="triage-emergency">
+          <strong>Call 911 now</strong>
+          <p>{result.reason}. Don't drive yourself - paramedics can start treatment on the way.</p>
+          <a href="tel:911" className="triage-call">Call 911</a>
+        </div>
+      )}
+
+      {result.complete && !result.emergency && (
+        <p className="triage-result">
+          <strong>Severity: {result.severity}</strong> (acuity {result.acuity}/100)
+        </p>
+      )}
+
+      {result.path.length > 0 && (
+        <button type="button" className="triage-restart" onClick={() => setAnswers({})}>
+          Start over
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default TriageQuestionnaire;
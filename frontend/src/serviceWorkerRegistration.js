@@ -0,0 +1,22 @@
+/**
+ * Service Worker Registration
+ * Registers public/service-worker.js so the app, every region's map tiles and
+ * the bundled icons keep working offline. Production builds only - in
+ * development a cached app shell would hide code changes.
+ */
+
+import { API_URL } from './services/api';
+
+/**
+ * Register the service worker once the page has loaded
+ * It reads the region bounds to cache tiles for from the backend (?api=)
+ */
+export const register = () => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js?api=${encodeURIComponent(API_URL)}`)
+      .catch(err => console.error('Service worker registration failed:', err));
+  });
+};
@@ -0,0 +1,200 @@
+/**
+ * API Client
+ * Shared backend URL and small helpers for the EVAC+ backend endpoints
+ */
+
+import { saveSnapshot, loadSnapshot } from './offlineStore';
+
+// Backend API base URL (set REACT_APP_API_URL in .env for hosted backends)
+export const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+
+/**
+ * Format a [lat, lng] position as the "lat,lng" query parameter the backend expects
+ * @param {Array} position - [lat, lng]
+ * @returns {string} - e.g. "33.777525,-84.396128"
+ */
+export const toQueryPoint = (position) => `${position[0]},${position[1]}`;
+
+/**
+ * Search a region's offline gazetteer and streets on the backend
+ * @param {string} query - Address, place name or intersection
+ * @param {string} regionId - Region to search (the backend's first region if missing)
+ * @returns {Promise<Array>} - Matches inside the region: { name, address, type, position: { lat, lng } }
+ */
+export const geocodeAddress = (query, regionId) =>
+  fetch(`${API_URL}/api/geocode?q=${encodeURIComponent(query)}${regionId ? `&region=${encodeURIComponent(regionId)}` : ''}`)
+    .then(res => res.json())
+    .then(data => (data.success ? data.data : []));
+
+/**
+ * Name the closest known place to a point
+ * @param {number} lat
+ * @param {number} lng
+ * @returns {Promise<Object|null>} - { name, address, distance } or null if nothing is nearby
+ */
+export const reverseGeocode = (lat, lng) =>
+  fetch(`${API_URL}/api/geocode/reverse?lat=${lat}&lng=${lng}`)
+    .then(res => res.json())
+    .then(data => (data.success ? data.data : null));
+
+/**
+ * Keep a copy of what a request returns for when the backend can't be reached
+ * Network failures get the last saved copy instead (the error if there is none)
+ * @param {string} key - Offline store key
+ * @param {Function} load - () → Promise of the value
+ * @returns {Promise}
+ */
+const keepOfflineCopy = (key, load) => load().then(
+  value => {
+    saveSnapshot(key, value).catch(err => console.error(`Failed to save ${key} for offline use:`, err));
+    return value;
+  },
+  err => loadSnapshot(key)
+    .catch(() => null)
+    .then(saved => {
+      if (!saved) throw err;
+      return saved.value;
+    })
+);
+
+/**
+ * Get the patient personas the backend knows about (the last copy when offline)
+ * @returns {Promise<Array>} - Personas: { id, name, age, description, severityLabel, severities, ... }
+ */
+export const fetchPersonas = () => keepOfflineCopy('personas', () =>
+  fetch(`${API_URL}/api/personas`)
+    .then(res => res.json())
+    .then(data => (data.success ? data.data : [])));
+
+/**
+ * Get the facility capability taxonomy (the last copy when offline)
+ * @returns {Promise<Object>} - { capabilities: { id: label }, conditions } (empty if unreachable)
+ */
+export const fetchCapabilities = () => keepOfflineCopy('capabilities', () =>
+  fetch(`${API_URL}/api/capabilities`)
+    .then(res => res.json())
+    .then(data => (data.success ? data.data : { capabilities: {}, conditions: {} })));
+
+/**
+ * Get the shelter layer's labels (the last copy when offline)
+ * @returns {Promise<Object>} - { kinds, accessibility, petPolicies, weatherEventTypes } - each [{ id, label }]
+ */
+export const fetchShelterVocabulary = () => keepOfflineCopy('shelterVocabulary', () =>
+  fetch(`${API_URL}/api/shelters/vocabulary`)
+    .then(res => res.json())
+    .then(data => (data.success ? data.data : null)));
+
+/**
+ * Get the regions EVAC+ covers (the last copy when offline)
+ * @returns {Promise<Array>} - Regions: { id, name, description, timezone, bounds, center, zoom, defaultOrigin }
+ */
+export const fetchRegions = () => keepOfflineCopy('regions', () =>
+  fetch(`${API_URL}/api/regions`)
+    .then(res => res.json())
+    .then(data => (data.success ? data.data : [])));
+
+/**
+ * Get the custom profile form definition (the last copy when offline)
+ * @returns {Promise<Object|null>} - { fields, severities } or null if the backend is unreachable
+ */
+export const fetchProfileSchema = () => keepOfflineCopy('profileSchema', () =>
+  fetch(`${API_URL}/api/profiles/schema`)
+    .then(res => res.json())
+    .then(data => (data.success ? data.data : null)));
+
+/**
+ * Check a custom profile against the backend schema
+ * @param {Object} profile - { age, pregnant, conditions, mobility, ... }
+ * @returns {Promise<Object>} - { profile, errors } - profile has defaults filled in (null if invalid)
+ */
+export const validateProfile = (profile) =>
+  fetch(`${API_URL}/api/profiles/validate`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(profile)
+  })
+    .then(res => res.json())
+    .then(data => (data.success ? { profile: data.data, errors: [] } : { profile: null, errors: data.details || [data.error] }));
+
+/**
+ * Walk the triage questionnaire with the answers so far
+ * @param {Object} answers - { questionId: answer value }
+ * @returns {Promise<Object>} - { complete, next } while questions remain, then
+ *   { complete, emergency, reason, severity, acuity, path }
+ */
+export const evaluateTriage = (answers) =>
+  fetch(`${API_URL}/api/triage`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ answers })
+  })
+    .then(res => res.json())
+    .then(data => {
+      if (!data.success) {
+        throw new Error(data.error);
+      }
+      return data.data;
+    });
+
+/**
+ * Query string fragment for the simulated time
+ * @param {string|null} simulatedAt - 'YYYY-MM-DDTHH:MM' local time in the region, or null for the current time
+ * @returns {string} - e.g. "&simulatedAt=2025-07-04T18%3A30" (empty for the current time)
+ */
+export const toTimeQuery = (simulatedAt) => (simulatedAt ? `&simulatedAt=${encodeURIComponent(simulatedAt)}` : '');
+
+/**
+ * Follow live facility updates (GET /api/facilities/stream, Server-Sent Events)
+ * The first update arrives on connecting, then another whenever a status, wait
+ * or the traffic changes. The browser reconnects by itself if the connection drops.
+ * @param {Array} position - Origin [lat, lng] for travel times
+ * @param {string|null} simulatedAt - Simulated time, or null to follow the clock
+ * @param {Object} handlers
+ * @param {Function} handlers.onUpdate - Gets the same body as GET /api/facilities, plus changes
+ * @param {Function} handlers.onConnectionChange - Gets true when connected, false when the connection drops
+ * @returns {Function} - Stop following
+ */
+export const subscribeFacilities = (position, simulatedAt, { onUpdate, onConnectionChange }) => {
+  const source = new EventSource(`${API_URL}/api/facilities/stream?origin=${toQueryPoint(position)}${toTimeQuery(simulatedAt)}`);
+  source.addEventListener('facilities', event => onUpdate(JSON.parse(event.data)));
+  source.onopen = () => onConnectionChange(true);
+  source.onerror = () => onConnectionChange(false);
+  return () => source.close();
+};
+
+// Identifies this browser session to the backend, so asking again replaces the
+// earlier recommendation in its count of patients sent to each facility
+const CLIENT_ID = `web-${Math.random().toString(36).slice(2, 12)}`;
+
+/**
+ * Ask the backend decision engine for a recommendation
+ * @param {Object} body - { profile: { persona } or a custom profile, severity or triage: { answers }, origin: { lat, lng }, simulatedAt },
+ *   or { profile, need: 'shelter', pets, origin, simulatedAt } for a shelter to go to;
+ *   track: false for a what-if that shouldn't count as a patient on their way
+ * @returns {Promise<Object>} - Recommendation (decision, facility or shelter, reasoning, alternatives...)
+ */
+export const requestRecommendation = (body) =>
+  fetch(`${API_URL}/api/decision`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ clientId: CLIENT_ID, ...body })
+  })
+    .then(res => res.json())
+    .then(data => {
+      if (!data.success) {
+        throw new Error(data.error);
+      }
+      return data.data;
+    });
+
+/**
+ * Fetch the road route from a point to a facility or shelter
+ * @param {Array} position - Start [lat, lng]
+ * @param {Object} destination - { facilityId } or { shelterId }
+ * @param {string|null} simulatedAt - Sets the traffic level used for the duration
+ * @returns {Promise<Object|null>} - Route (geometry, steps, duration) or null if none was found
+ */
+export const fetchRoute = (position, { facilityId, shelterId }, simulatedAt) =>
+  fetch(`${API_URL}/api/route?origin=${toQueryPoint(position)}${facilityId ? `&facilityId=${facilityId}` : `&shelterId=${shelterId}`}${toTimeQuery(simulatedAt)}`)
+    .then(res => res.json())
+    .then(data => (data.success ? data.data : null));
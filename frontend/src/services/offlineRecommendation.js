@@ -0,0 +1,222 @@
+/**
+ * Offline Recommendation
+ * A deliberately minimal fallback for when the backend can't be reached: the
+ * nearest open ER in the last facility snapshot the app kept
+ * (services/offlineStore.js). It is not a copy of the decision engine
+ * (backend/services/decisionEngine.js) - no persona options, scoring,
+ * capability matching, urgent cares, transport comparison, EMS simulation or
+ * cost estimate. The patient's profile only counts once the backend is back.
+ *
+ * - Nearest means the shortest drive: the snapshot's travel time when it was
+ *   taken from the same place, else a cautious straight-line estimate
+ * - ERs that weren't taking patients in the snapshot (on diversion,
+ *   evacuating, inside a hazard area or cut off by one) are left out
+ * - Severe symptoms, or a triage red flag, mean calling 911 first
+ *
+ * The result has the fields the app shows from POST /api/decision, plus
+ * offline: true and a first reasoning line saying how old the data is.
+ *
+ * getOfflineShelterRecommendation() does the same for the nearest open
+ * shelter with room.
+ */
+
+import { addMinutes, formatLocalTime, toRegionTime } from './time';
+
+// Straight-line drives assume city traffic at its slowest usual pace - better early than late
+const OFFLINE_DRIVE_MPH = 20;
+
+// Operational statuses that turn every patient away, as the snapshot labels them
+const NOT_ACCEPTING = { diverting: 'on diversion', evacuating: 'evacuating' };
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Straight-line distance in miles between two [lat, lng] points
+ */
+const haversineMiles = ([lat1, lng1], [lat2, lng2]) => {
+  const a = Math.sin(toRadians(lat2 - lat1) / 2) ** 2
+    + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(toRadians(lng2 - lng1) / 2) ** 2;
+  return 3958.8 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+/**
+ * How long the drive to a place takes
+ * The snapshot's own estimate when it was taken from the same place
+ * @param {Object} place - Facility or shelter, with position [lat, lng] and the snapshot's travelTime
+ */
+const estimateTravel = (place, origin, snapshotOrigin) => {
+  const samePlace = snapshotOrigin && snapshotOrigin[0] === origin[0] && snapshotOrigin[1] === origin[1];
+  if (samePlace && place.travelTime && place.travelTime.time != null) {
+    return { ...place.travelTime, label: 'Drive' };
+  }
+  const distance = haversineMiles(origin, place.position);
+  return {
+    time: Math.max(1, Math.round((distance / OFFLINE_DRIVE_MPH) * 60)),
+    distance: distance.toFixed(1),
+    source: 'straight-line',
+    label: 'Drive'
+  };
+};
+
+/**
+ * Why a facility took no patients when the snapshot was taken, or null if it did
+ */
+const getUnavailableReason = (facility) => {
+  if (NOT_ACCEPTING[facility.operationalStatus]) return NOT_ACCEPTING[facility.operationalStatus];
+  if (facility.hazard) return `inside the ${facility.hazard.name} ${facility.hazard.category} area`;
+  if (facility.travelTime?.unreachable) return 'cut off by hazards';
+  return null;
+};
+
+/**
+ * "Offline estimate from ... data last updated 14:05 - ..."
+ */
+const describeAge = (what, savedAt, snapshot, caveat) => `Offline estimate from ${what} data last updated `
+  + `${formatLocalTime(toRegionTime(savedAt, snapshot.region?.timezone))} - ${caveat}`;
+
+/**
+ * The nearest open ER, without the backend
+ * @param {Object} params
+ * @param {string} params.severity - 'Mild', 'Moderate' or 'Severe'
+ * @param {Array} params.origin - Patient location [lat, lng]
+ * @param {Object} params.snapshot - { facilities, origin, region } - the last facility update
+ * @param {string} params.savedAt - When the snapshot was taken (ISO timestamp)
+ * @param {string} params.departAt - 'YYYY-MM-DDTHH:MM' local time the patient leaves
+ * @param {Object|null} params.triage - Finished triage result ({ emergency, reason }), if the severity came from it
+ * @returns {Object} - Recommendation with the backend's display fields, and offline: true
+ */
+export const getOfflineRecommendation = ({ severity, origin, snapshot, savedAt, departAt, triage }) => {
+  const offlineNote = describeAge('facility', savedAt, snapshot, 'waits and travel times may have changed since');
+  const callFirst = Boolean(triage && triage.emergency) || severity === 'Severe';
+
+  const ers = snapshot.facilities.filter(facility => facility.type === 'ER' && facility.status === 'Open');
+  const unavailable = ers
+    .filter(facility => getUnavailableReason(facility))
+    .map(facility => ({ id: facility.id, name: facility.name, reason: getUnavailableReason(facility) }));
+  const nearest = ers
+    .filter(facility => !getUnavailableReason(facility))
+    .map(facility => ({ facility, travel: estimateTravel(facility, origin, snapshot.origin) }))
+    .sort((a, b) => a.travel.time - b.travel.time);
+
+  const base = {
+    offline: true,
+    departAt,
+    transport: null,
+    ems: null,
+    cost: null,
+    unavailable,
+    originHazard: null
+  };
+  const notes = [
+    'Offline, only the nearest open ER is shown - your profile, urgent cares, waits and costs are checked once the connection is back',
+    ...(unavailable.length > 0 ? [`Left out ${unavailable.map(entry => `${entry.name} (${entry.reason})`).join(', ')}`] : [])
+  ];
+
+  if (nearest.length === 0) {
+    return {
+      ...base,
+      decision: 'STAY - Call 911',
+      mode: 'STAY',
+      facility: null,
+      travelTime: null,
+      arriveAt: null,
+      expectedWaitTime: null,
+      totalTime: null,
+      reasoning: [offlineNote, 'No ER was open and taking patients when the data was last updated - call 911 for help', ...notes],
+      alternatives: []
+    };
+  }
+
+  const [{ facility, travel }] = nearest;
+  return {
+    ...base,
+    decision: callFirst ? 'STAY - Call 911' : 'MOVE to ER',
+    mode: callFirst ? 'STAY' : 'MOVE',
+    facility,
+    travelTime: travel,
+    arriveAt: addMinutes(departAt, travel.time),
+    expectedWaitTime: facility.currentWaitTime ?? null,
+    totalTime: facility.currentWaitTime == null ? null : travel.time + facility.currentWaitTime,
+    reasoning: [
+      offlineNote,
+      ...(triage && triage.emergency ? [`Call 911: ${triage.reason}`] : []),
+      ...(callFirst && !(triage && triage.emergency) ? ['Severe symptoms - call 911, paramedics can start treatment on the way'] : []),
+      `${facility.name} is the nearest open ER - about ${travel.time} min by car`,
+      ...notes
+    ],
+    alternatives: nearest.map((entry, index) => ({
+      rank: index + 1,
+      recommended: index === 0,
+      facility: entry.facility,
+      travelTime: entry.travel,
+      arriveAt: addMinutes(departAt, entry.travel.time)
+    }))
+  };
+};
+
+/**
+ * The nearest open shelter with room, without the backend
+ * @param {Object} params
+ * @param {boolean} params.pets - Bringing pets
+ * @param {Array} params.origin - Location [lat, lng]
+ * @param {Object} params.snapshot - { shelters, weatherEvents, origin, region } - the last facility update
+ * @param {string} params.savedAt - When the snapshot was taken (ISO timestamp)
+ * @param {string} params.departAt - 'YYYY-MM-DDTHH:MM' local time they leave
+ * @returns {Object} - Shelter recommendation with the backend's display fields, and offline: true
+ */
+export const getOfflineShelterRecommendation = ({ pets, origin, snapshot, savedAt, departAt }) => {
+  const offlineNote = describeAge('shelter', savedAt, snapshot, 'shelters may have opened, closed or filled up since');
+  const nearest = (snapshot.shelters || [])
+    .filter(shelter => shelter.status === 'Open' && shelter.available > 0 && !shelter.hazard && !shelter.travelTime?.unreachable
+      && !(pets && shelter.petPolicy === 'service-animals-only'))
+    .map(shelter => ({
+      shelter,
+      travel: estimateTravel({ ...shelter, position: [shelter.position.lat, shelter.position.lng] }, origin, snapshot.origin)
+    }))
+    .sort((a, b) => a.travel.time - b.travel.time);
+
+  const base = {
+    offline: true,
+    facility: null,
+    departAt,
+    transport: null,
+    weatherEvents: snapshot.weatherEvents || []
+  };
+
+  if (nearest.length === 0) {
+    return {
+      ...base,
+      decision: 'STAY - Call 211',
+      mode: 'STAY',
+      shelter: null,
+      travelTime: null,
+      arriveAt: null,
+      reasoning: [offlineNote, 'No shelter with room was open when the data was last updated', 'Call 211 to find somewhere to stay, or 911 if anyone is unwell'],
+      alternatives: []
+    };
+  }
+
+  const [{ shelter, travel }] = nearest;
+  return {
+    ...base,
+    decision: `RELOCATE to ${shelter.kindLabel}`,
+    mode: 'RELOCATE',
+    shelter,
+    travelTime: travel,
+    arriveAt: addMinutes(departAt, travel.time),
+    reasoning: [
+      offlineNote,
+      `${shelter.name} is the nearest open shelter with room - about ${travel.time} min by car`,
+      `${shelter.available} of ${shelter.capacity} places free when last counted`,
+      'Offline, accessibility isn\'t checked - call ahead if you need a wheelchair, medical support or power for devices',
+      'Bring medications, medical devices and chargers, ID and water'
+    ],
+    alternatives: nearest.map((entry, index) => ({
+      rank: index + 1,
+      recommended: index === 0,
+      shelter: entry.shelter,
+      travelTime: entry.travel,
+      arriveAt: addMinutes(departAt, entry.travel.time)
+    }))
+  };
+};
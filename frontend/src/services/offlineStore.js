@@ -0,0 +1,65 @@
+/**
+ * Offline Store
+ * The last copy of backend data the app needs to keep working without a
+ * connection - the facility snapshot, personas, capabilities and the custom
+ * profile form - kept in the browser's IndexedDB, one record per key.
+ * The service worker (public/service-worker.js) covers the app itself and the map.
+ */
+
+const DB_NAME = 'evac-plus';
+const DB_VERSION = 1;
+const STORE = 'snapshots';
+
+let opening = null;
+
+/**
+ * Open the database once, creating the store on first use
+ * @returns {Promise<IDBDatabase>}
+ */
+const openDatabase = () => {
+  if (!opening) {
+    opening = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    opening.catch(() => { opening = null; });  // Try again next time
+  }
+  return opening;
+};
+
+/**
+ * Run one request against the store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} makeRequest - (store) → IDBRequest
+ * @returns {Promise} - The request's result
+ */
+const withStore = (mode, makeRequest) => openDatabase().then(db => new Promise((resolve, reject) => {
+  const request = makeRequest(db.transaction(STORE, mode).objectStore(STORE));
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+}));
+
+/**
+ * Keep the latest copy of something
+ * @param {string} key - e.g. 'facilities'
+ * @param {*} value - Anything structured-cloneable
+ * @returns {Promise<string>} - When it was saved (ISO timestamp)
+ */
+export const saveSnapshot = (key, value) => {
+  const savedAt = new Date().toISOString();
+  return withStore('readwrite', store => store.put({ value, savedAt }, key)).then(() => savedAt);
+};
+
+/**
+ * Read the last copy of something
+ * @param {string} key
+ * @returns {Promise<Object|null>} - { value, savedAt }, or null if nothing was saved
+ */
+export const loadSnapshot = (key) => withStore('readonly', store => store.get(key))
+  .then(record => record || null);
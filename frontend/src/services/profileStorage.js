@@ -0,0 +1,48 @@
+/**
+ * Saved Profiles
+ * Custom patient profiles kept in the browser's localStorage, by name.
+ * Nothing is sent to the backend until a recommendation is requested.
+ */
+
+const STORAGE_KEY = 'evac.savedProfiles';
+
+/**
+ * Read every saved profile
+ * @returns {Object} - { [name]: profile } (empty if nothing is saved or storage is unavailable)
+ */
+export const loadSavedProfiles = () => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+  } catch (err) {
+    return {};
+  }
+};
+
+/**
+ * Write the saved profiles back
+ * @param {Object} profiles - { [name]: profile }
+ * @returns {Object} - The profiles written
+ */
+const storeProfiles = (profiles) => {
+  window.localStorage.setItem(STORAGE_KEY, JSON.stringify(profiles));
+  return profiles;
+};
+
+/**
+ * Save a profile under a name (replaces one with the same name)
+ * @param {string} name - e.g. 'Grandma'
+ * @param {Object} profile - Validated profile
+ * @returns {Object} - Every saved profile
+ */
+export const saveProfile = (name, profile) => storeProfiles({ ...loadSavedProfiles(), [name]: profile });
+
+/**
+ * Delete a saved profile
+ * @param {string} name
+ * @returns {Object} - The remaining saved profiles
+ */
+export const deleteSavedProfile = (name) => {
+  const { [name]: removed, ...rest } = loadSavedProfiles();
+  return storeProfiles(rest);
+};
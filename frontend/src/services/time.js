@@ -0,0 +1,108 @@
+/**
+ * Simulated Time Helpers
+ * The time simulator works in the region's wall-clock time as 'YYYY-MM-DDTHH:MM'
+ * strings - the format of <input type="datetime-local"> and of the backend's
+ * simulatedAt parameter (no offset = the region's local time, DST handled server-side)
+ */
+
+// Timezone until the backend says which region is shown (Midtown Atlanta's)
+export const DEFAULT_TIMEZONE = 'America/New_York';
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * An instant as a region's wall-clock time, whatever timezone the browser is in
+ * @param {Date|string} instant - Date or ISO timestamp
+ * @param {string} timezone - IANA zone of the region, e.g. 'America/Denver'
+ * @returns {string} - 'YYYY-MM-DDTHH:MM'
+ */
+export const toRegionTime = (instant, timezone = DEFAULT_TIMEZONE) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).formatToParts(new Date(instant)).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}`;
+};
+
+/**
+ * Current time in a region
+ * @param {string} timezone - IANA zone of the region
+ * @returns {string} - 'YYYY-MM-DDTHH:MM'
+ */
+export const getRegionNow = (timezone = DEFAULT_TIMEZONE) => toRegionTime(new Date(), timezone);
+
+// Wall-clock math is done in UTC so the browser's own DST rules never get involved
+const toWallDate = (localTime) => new Date(`${localTime}:00Z`);
+const fromWallDate = (date) => date.toISOString().slice(0, 16);
+
+/**
+ * Move a wall-clock time by a number of hours
+ * @param {string} localTime - 'YYYY-MM-DDTHH:MM'
+ * @param {number} hours
+ * @returns {string}
+ */
+export const addHours = (localTime, hours) => {
+  const date = toWallDate(localTime);
+  date.setUTCHours(date.getUTCHours() + hours);
+  return fromWallDate(date);
+};
+
+/**
+ * Move a wall-clock time by a number of minutes
+ * @param {string} localTime - 'YYYY-MM-DDTHH:MM'
+ * @param {number} minutes
+ * @returns {string}
+ */
+export const addMinutes = (localTime, minutes) => {
+  const date = toWallDate(localTime);
+  date.setUTCMinutes(date.getUTCMinutes() + minutes);
+  return fromWallDate(date);
+};
+
+/**
+ * Same day, different hour (minutes reset to :00)
+ * @param {string} localTime - 'YYYY-MM-DDTHH:MM'
+ * @param {number} hour - 0-23
+ * @returns {string}
+ */
+export const setHour = (localTime, hour) => `${localTime.slice(0, 10)}T${pad(hour)}:00`;
+
+/**
+ * Hour of a wall-clock time
+ * @param {string} localTime - 'YYYY-MM-DDTHH:MM'
+ * @returns {number}
+ */
+export const getHour = (localTime) => Number(localTime.slice(11, 13));
+
+/**
+ * Format for display, e.g. 'Mon, Jan 5, 8:00 AM'
+ * @param {string} localTime - 'YYYY-MM-DDTHH:MM'
+ * @returns {string}
+ */
+export const formatLocalTime = (localTime) => {
+  const date = toWallDate(localTime);
+  const hour = date.getUTCHours();
+  return `${DAY_NAMES[date.getUTCDay()]}, ${MONTH_NAMES[date.getUTCMonth()]} ${date.getUTCDate()}, `
+    + `${hour % 12 || 12}:${pad(date.getUTCMinutes())} ${hour >= 12 ? 'PM' : 'AM'}`;
+};
+
+/**
+ * Format just the time of day, e.g. '8:06 AM'
+ * @param {string} localTime - 'YYYY-MM-DDTHH:MM' (anything after the minutes, like an offset, is ignored)
+ * @returns {string}
+ */
+export const formatClockTime = (localTime) => {
+  const [hour, minute] = localTime.slice(11, 16).split(':').map(Number);
+  return `${hour % 12 || 12}:${pad(minute)} ${hour >= 12 ? 'PM' : 'AM'}`;
+};